@@ -1,3 +1,38 @@
+const {
+    parseRoadmapDate,
+    formatRoadmapDate,
+    compareRoadmapDates,
+    matchesTimelineRange
+} = (typeof module !== 'undefined' && module.exports) ? require('./roadmap-date.js') : window.RoadmapDate;
+
+const { DEFAULT_SOURCE_NAME, tagNames } = (typeof module !== 'undefined' && module.exports)
+    ? require('./roadmap-item.js')
+    : window.RoadmapItem;
+
+const { buildCalendar, dateChangeSequences } = (typeof module !== 'undefined' && module.exports)
+    ? require('./roadmap-ical.js')
+    : window.RoadmapIcal;
+
+const { analyzeQuality } = (typeof module !== 'undefined' && module.exports)
+    ? require('./roadmap-quality.js')
+    : window.RoadmapQuality;
+
+const { normalizeWatchlists, matchesWatchlist } = (typeof module !== 'undefined' && module.exports)
+    ? require('./roadmap-watchlist.js')
+    : window.RoadmapWatchlist;
+
+const { parseStatisticsLines, weeklyTrends, renderChart } = (typeof module !== 'undefined' && module.exports)
+    ? require('./roadmap-trends.js')
+    : window.RoadmapTrends;
+
+const { compileQuery, buildVocabulary, suggest } = (typeof module !== 'undefined' && module.exports)
+    ? require('./roadmap-query.js')
+    : window.RoadmapQuery;
+
+const { buildSearchIndex, createTextMatcher, highlightHtml } = (typeof module !== 'undefined' && module.exports)
+    ? require('./roadmap-search.js')
+    : window.RoadmapSearch;
+
 /** Load state constants for deterministic UI (testable, never broken render). */
 const LoadState = Object.freeze({
     IDLE: 'idle',
@@ -36,6 +71,64 @@ function isDiagnosticsMode() {
     }
 }
 
+/** Dashboard views in toolbar order; the first is the default. */
+const VIEWS = Object.freeze(['cards', 'timeline', 'table']);
+
+/** Multi-select filters: each holds a list of accepted values (any may match; an empty list accepts all). */
+const FACET_FILTERS = Object.freeze(['service', 'status', 'platform']);
+
+/** Filter fields carried in shareable URLs, each as a query parameter of the same name (repeated for facets). */
+const URL_FILTER_PARAMS = Object.freeze(['search', 'service', 'status', 'platform', 'timeline', 'change', 'source', 'watchlist']);
+
+/**
+ * Dashboard state from a query string: { filters, view, sort }. Facet filters
+ * are lists (?status=Launched&status=Rolling+out). Missing parameters are empty,
+ * an unknown view falls back to cards and unknown sort keys are dropped, so
+ * older links such as ?watchlist=<name> keep working.
+ */
+function parseUrlState(search) {
+    let params;
+    try {
+        params = new URLSearchParams(search || '');
+    } catch (_) {
+        params = new URLSearchParams();
+    }
+    const filters = {};
+    URL_FILTER_PARAMS.forEach(key => {
+        filters[key] = FACET_FILTERS.includes(key)
+            ? filterValues(params.getAll(key).map(value => value.trim()))
+            : (params.get(key) || '').trim();
+    });
+    const view = params.get('view');
+    return {
+        filters,
+        view: VIEWS.includes(view) ? view : VIEWS[0],
+        sort: formatSort(parseSort(params.get('sort')))
+    };
+}
+
+/**
+ * Query string for a dashboard state ("?service=Teams&view=table", or '' for the
+ * defaults). Unrelated parameters of `currentSearch`, such as ?diagnostics=1, are kept.
+ */
+function buildUrlQuery(state, currentSearch) {
+    const params = new URLSearchParams(currentSearch || '');
+    [...URL_FILTER_PARAMS, 'view', 'sort'].forEach(key => params.delete(key));
+    const filters = (state && state.filters) || {};
+    URL_FILTER_PARAMS.forEach(key => {
+        if (FACET_FILTERS.includes(key)) {
+            filterValues(filters[key]).forEach(value => params.append(key, value));
+            return;
+        }
+        const value = safeString(filters[key]).trim();
+        if (value) params.set(key, value);
+    });
+    if (state && state.view && state.view !== VIEWS[0]) params.set('view', state.view);
+    if (state && state.sort) params.set('sort', state.sort);
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
 function logDiagnostics(...args) {
     if (isDiagnosticsMode()) {
         console.log('[M365 Roadmap]', ...args);
@@ -46,35 +139,101 @@ function safeString(value) {
     return (value != null && typeof value === 'string') ? value : '';
 }
 
-function itemMatchesFilters(item, filters, timelineMatcher) {
-    if (!item || typeof item !== 'object') return false;
+/** Accepted values of a filter given as one value or a list, without blanks or duplicates. */
+function filterValues(value) {
+    const list = Array.isArray(value) ? value : [value];
+    return [...new Set(list.filter(v => typeof v === 'string' && v !== ''))];
+}
+
+/** Display labels for fields compared by detectChanges (inline diffs and data/history/changes.jsonl). */
+const CHANGE_FIELD_LABELS = Object.freeze({
+    title: 'Title',
+    description: 'Description',
+    status: 'Status',
+    publicDisclosureAvailabilityDate: 'Availability',
+    tagsContainer: 'Tags'
+});
+
+/**
+ * Parse the JSON-lines change history into a Map of item id (string) -> entries, newest first.
+ * Malformed lines are skipped so a partially written log never breaks rendering.
+ */
+function parseHistoryLines(text) {
+    const byId = new Map();
+    if (typeof text !== 'string') return byId;
+    text.split('\n').forEach(line => {
+        if (!line.trim()) return;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (_) {
+            return;
+        }
+        if (!entry || entry.id == null) return;
+        const key = String(entry.id);
+        if (!byId.has(key)) byId.set(key, []);
+        byId.get(key).push(entry);
+    });
+    byId.forEach(entries => entries.sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp))));
+    return byId;
+}
+
+let compiledSearch = { text: null, textMatcher: null, query: null };
+
+/**
+ * The search box text compiled with js/roadmap-query.js, with plain words scored
+ * by `textMatcher` when given (js/roadmap-search.js). The last query is reused
+ * across items and renders.
+ */
+function compileSearch(text, textMatcher) {
+    const matcher = textMatcher || null;
+    if (compiledSearch.text !== text || compiledSearch.textMatcher !== matcher) {
+        const options = matcher ? { matchText: (word, item) => matcher.score(word, item) } : {};
+        compiledSearch = { text, textMatcher: matcher, query: compileQuery(text, options) };
+    }
+    return compiledSearch.query;
+}
 
-    const title = safeString(item.title);
+/**
+ * True when the item passes every set filter. `search` is a query (see
+ * js/roadmap-query.js); plain words match title or description, or the search
+ * index behind `textMatcher`. Service, status and platform take one value or a
+ * list; an item matches a list when it has any of the values.
+ */
+function itemMatchesFilters(item, filters, timelineMatcher, textMatcher) {
+    if (!item || typeof item !== 'object') return false;
 
     if (filters.search) {
-        const searchText = safeString(filters.search).toLowerCase();
-        const desc = safeString(item.description);
-        const titleMatch = title.toLowerCase().includes(searchText);
-        const descMatch = desc.toLowerCase().includes(searchText);
-        if (!titleMatch && !descMatch) return false;
+        if (!compileSearch(safeString(filters.search), textMatcher).predicate(item)) return false;
     }
 
-    if (filters.service) {
+    const services = filterValues(filters.service);
+    if (services.length > 0) {
         const products = item.tagsContainer && Array.isArray(item.tagsContainer.products) ? item.tagsContainer.products : [];
-        const hasService = products.some(p => p && p.tagName === filters.service);
+        const hasService = products.some(p => p && services.includes(p.tagName));
         if (!hasService) return false;
     }
 
-    if (filters.status) {
-        if (safeString(item.status) !== filters.status) return false;
+    const statuses = filterValues(filters.status);
+    if (statuses.length > 0) {
+        if (!statuses.includes(safeString(item.status))) return false;
     }
 
-    if (filters.platform) {
+    const platformValues = filterValues(filters.platform);
+    if (platformValues.length > 0) {
         const platforms = item.tagsContainer && Array.isArray(item.tagsContainer.platforms) ? item.tagsContainer.platforms : [];
-        const hasPlatform = platforms.some(p => p && p.tagName === filters.platform);
+        const hasPlatform = platforms.some(p => p && platformValues.includes(p.tagName));
         if (!hasPlatform) return false;
     }
 
+    if (filters.change) {
+        if (item._changeType !== filters.change) return false;
+    }
+
+    if (filters.source) {
+        if ((safeString(item.source) || DEFAULT_SOURCE_NAME) !== filters.source) return false;
+    }
+
     if (filters.timeline) {
         if (typeof timelineMatcher !== 'function') return false;
         if (!timelineMatcher(item, filters.timeline)) return false;
@@ -83,39 +242,271 @@ function itemMatchesFilters(item, filters, timelineMatcher) {
     return true;
 }
 
+/** True for product tags in the dashboard's Copilot scope. */
+function isCopilotProduct(name) {
+    return typeof name === 'string' && name.includes('Copilot');
+}
+
 function filterCopilotItems(items) {
     if (!Array.isArray(items)) return [];
     return items.filter(item => {
         const products = item.tagsContainer && Array.isArray(item.tagsContainer.products)
             ? item.tagsContainer.products : [];
-        return products.some(p => p && typeof p.tagName === 'string' && p.tagName.includes('Copilot'));
+        return products.some(p => p && isCopilotProduct(p.tagName));
+    });
+}
+
+/**
+ * Pick the data/manifest.json shards needed for the Copilot scope, narrowed by an
+ * optional service filter (one service or a list). Every in-scope item lives in a
+ * Copilot shard and every item tagged with a service lives in that service's shard,
+ * so either set is complete; the one with fewer items wins. Returns null for an
+ * unusable manifest.
+ */
+function selectShards(manifest, service) {
+    if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.shards)) return null;
+    const shards = manifest.shards.filter(s => s && typeof s.file === 'string' && Array.isArray(s.products));
+    const scope = shards.filter(s => s.products.some(isCopilotProduct));
+    const services = filterValues(service);
+    if (services.length > 0) {
+        const serviceShards = shards.filter(s => s.products.some(name => services.includes(name)));
+        const covered = services.every(name => serviceShards.some(s => s.products.includes(name)));
+        const itemCount = list => list.reduce((sum, s) => sum + (Number(s.count) || 0), 0);
+        if (covered && itemCount(serviceShards) < itemCount(scope)) return serviceShards;
+    }
+    return scope;
+}
+
+/** Concatenate shard payloads ({ items } or arrays), keeping the first copy of items listed in several shards. */
+function mergeShardItems(payloads) {
+    const seen = new Set();
+    const out = [];
+    (Array.isArray(payloads) ? payloads : []).forEach(payload => {
+        const items = Array.isArray(payload) ? payload : (payload && Array.isArray(payload.items) ? payload.items : []);
+        items.forEach(item => {
+            if (!item || item.id == null) return;
+            const key = String(item.id);
+            if (seen.has(key)) return;
+            seen.add(key);
+            out.push(item);
+        });
     });
+    return out;
+}
+
+/**
+ * Data-quality indicator for the shown items: { level, text, title }, or null when
+ * none of them has an issue. `title` lists the affected count per category.
+ */
+function qualitySummary(items) {
+    const report = analyzeQuality(items);
+    if (report.affectedItems === 0) return null;
+    const lines = Object.values(report.categories)
+        .filter(category => category.count > 0)
+        .map(category => `${category.label}: ${category.count}`);
+    return {
+        level: report.level,
+        text: `${report.affectedItems} with data issues`,
+        title: `${report.affectedItems} of ${report.totalItems} shown items (${report.affectedPct}%) have data issues and may be missed by some filters.\n${lines.join('\n')}`
+    };
+}
+
+/**
+ * Team rules from data/watchlists/index.json as a Map keyed by name. An unusable
+ * index yields an empty map so the dashboard simply hides the watchlist picker.
+ */
+function parseWatchlistIndex(raw) {
+    try {
+        const rules = normalizeWatchlists(raw && Array.isArray(raw.watchlists) ? raw.watchlists : []);
+        return new Map(rules.map(rule => [rule.name, rule]));
+    } catch (error) {
+        logDiagnostics('parseWatchlistIndex: ignoring invalid index', error.message);
+        return new Map();
+    }
+}
+
+/**
+ * Markup for the Trends panel from data/history/statistics.jsonl entries: status
+ * counts, top products (plus the selected services) and weekly lifecycle moves.
+ * The time series covers every roadmap item, not just the Copilot scope shown below it.
+ */
+function trendsPanelHtml(entries, service) {
+    const trends = weeklyTrends(entries, { include: filterValues(service) });
+    if (trends.weeks.length === 0) {
+        return '<p class="trends-empty">No trend data yet. Each data update records its statistics; charts appear after the first recorded run.</p>';
+    }
+    const figure = (caption, chart) => `<figure class="trends-figure"><figcaption>${caption}</figcaption>${chart}</figure>`;
+    return `<p class="trends-note">All Microsoft 365 roadmap items, last update of each week (${trends.weeks.length} week${trends.weeks.length === 1 ? '' : 's'}).</p>
+        <div class="trends-grid">
+            ${figure('Items by status', renderChart(trends.weeks, trends.statuses, { title: 'Items by status per week' }))}
+            ${figure('Items by product', renderChart(trends.weeks, trends.products, { title: 'Items by product per week' }))}
+            ${figure('Status moves per week', renderChart(trends.weeks, trends.flow, { kind: 'bar', title: 'Items moving from In development to Rolling out to Launched per week' }))}
+        </div>`;
 }
 
-function filterRoadmapItems(items, filters, timelineMatcher) {
+/**
+ * Items passing `filters`. With a `textMatcher` (createTextMatcher of
+ * js/roadmap-search.js) plain search words match fuzzily and the results come
+ * best match first; otherwise they keep data order.
+ */
+function filterRoadmapItems(items, filters, timelineMatcher, textMatcher) {
     if (!Array.isArray(items)) return [];
     const safeFilters = (filters && typeof filters === 'object') ? filters : {};
-    return items.filter((item) => itemMatchesFilters(item, safeFilters, timelineMatcher));
+    const result = items.filter((item) => itemMatchesFilters(item, safeFilters, timelineMatcher, textMatcher));
+    const search = safeString(safeFilters.search);
+    if (!search || !textMatcher) return result;
+    const query = compileSearch(search, textMatcher);
+    if (query.highlights.words.length === 0) return result;
+    const scores = new Map(result.map(item => [item, query.score(item)]));
+    return result.sort((a, b) => scores.get(b) - scores.get(a));
+}
+
+/** Lifecycle order of roadmap statuses; other statuses sort after these by name. */
+const STATUS_ORDER = Object.freeze(['In development', 'Rolling out', 'General Availability', 'Launched']);
+
+/** Order of change markers: newest kinds of change first, unchanged items last. */
+const CHANGE_ORDER = Object.freeze(['new', 'changed', 'removed']);
+
+function compareText(a, b) {
+    return a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true });
+}
+
+/**
+ * Sort keys offered by the table headers and the sort selector. `compare`
+ * orders two items ascending; `missing` is true for an item without a value,
+ * which sorts last in either direction.
+ */
+const SORT_KEYS = Object.freeze({
+    title: {
+        label: 'Title',
+        missing: item => !safeString(item.title).trim(),
+        compare: (a, b) => compareText(safeString(a.title), safeString(b.title))
+    },
+    product: {
+        label: 'Product',
+        missing: item => tagNames(item.tagsContainer?.products).length === 0,
+        compare: (a, b) => compareText(tagNames(a.tagsContainer?.products).join(', '), tagNames(b.tagsContainer?.products).join(', '))
+    },
+    status: {
+        label: 'Status',
+        missing: item => !safeString(item.status),
+        compare: (a, b) => {
+            const rank = item => {
+                const index = STATUS_ORDER.indexOf(item.status);
+                return index === -1 ? STATUS_ORDER.length : index;
+            };
+            return (rank(a) - rank(b)) || compareText(safeString(a.status), safeString(b.status));
+        }
+    },
+    platform: {
+        label: 'Platform',
+        missing: item => tagNames(item.tagsContainer?.platforms).length === 0,
+        compare: (a, b) => compareText(tagNames(a.tagsContainer?.platforms).join(', '), tagNames(b.tagsContainer?.platforms).join(', '))
+    },
+    date: {
+        label: 'Availability',
+        missing: item => !parseRoadmapDate(item.publicDisclosureAvailabilityDate),
+        compare: (a, b) => compareRoadmapDates(a.publicDisclosureAvailabilityDate, b.publicDisclosureAvailabilityDate)
+    },
+    change: {
+        label: 'Change',
+        missing: item => !CHANGE_ORDER.includes(item._changeType),
+        compare: (a, b) => CHANGE_ORDER.indexOf(a._changeType) - CHANGE_ORDER.indexOf(b._changeType)
+    }
+});
+
+/**
+ * Sort keys from the ?sort= form: comma-separated key names, each prefixed with
+ * `-` for descending ("status,-date"). Unknown and repeated keys are dropped.
+ */
+function parseSort(text) {
+    const keys = [];
+    safeString(text).split(',').forEach(part => {
+        const trimmed = part.trim();
+        const desc = trimmed.startsWith('-');
+        const key = desc ? trimmed.slice(1) : trimmed;
+        if (Object.prototype.hasOwnProperty.call(SORT_KEYS, key) && !keys.some(entry => entry.key === key)) {
+            keys.push({ key, desc });
+        }
+    });
+    return keys;
+}
+
+/** The ?sort= form of a list of sort keys; '' keeps the default order. */
+function formatSort(keys) {
+    return (Array.isArray(keys) ? keys : []).map(entry => `${entry.desc ? '-' : ''}${entry.key}`).join(',');
+}
+
+/**
+ * Sort string after clicking a column. A plain click sorts by that column
+ * alone, reversing it when it already leads; with `additive` (Shift) the column
+ * is appended as a further key, or reversed in place when already present.
+ */
+function toggleSort(sort, key, additive) {
+    const keys = parseSort(sort);
+    const index = keys.findIndex(entry => entry.key === key);
+    if (additive) {
+        if (index === -1) keys.push({ key, desc: false });
+        else keys[index] = { key, desc: !keys[index].desc };
+        return formatSort(keys);
+    }
+    return formatSort([{ key, desc: index === 0 ? !keys[0].desc : false }]);
+}
+
+/**
+ * Copy of `items` ordered by `sort` (a ?sort= string). Ties keep their input
+ * order, so search results stay best match first within equal keys and an
+ * empty sort leaves the order unchanged.
+ */
+function sortRoadmapItems(items, sort) {
+    const list = Array.isArray(items) ? items.filter(item => item && typeof item === 'object') : [];
+    const keys = parseSort(sort);
+    if (keys.length === 0) return list;
+    const positions = new Map(list.map((item, index) => [item, index]));
+    return list.sort((a, b) => {
+        for (const { key, desc } of keys) {
+            const { missing, compare } = SORT_KEYS[key];
+            const aMissing = missing(a);
+            const bMissing = missing(b);
+            if (aMissing || bMissing) {
+                if (aMissing !== bMissing) return aMissing ? 1 : -1;
+                continue;
+            }
+            const order = compare(a, b);
+            if (order !== 0) return desc ? -order : order;
+        }
+        return positions.get(a) - positions.get(b);
+    });
 }
 
 class M365RoadmapDashboard {
     constructor() {
         this.allData = [];
+        this.removedData = [];
         this.filteredData = [];
-        this.currentView = 'cards';
+        // Filters, view and sort start from the URL so shared links render as sent.
+        const urlState = parseUrlState(typeof window !== 'undefined' ? window.location.search : '');
+        this.currentView = urlState.view;
+        this.sort = urlState.sort;
+        this.filters = urlState.filters;
         this.loadState = LoadState.IDLE;
-        this.filters = {
-            search: '',
-            service: '',
-            status: '',
-            platform: '',
-            timeline: ''
-        };
+        this.historyById = new Map();
+        this.manifest = null;
+        this.loadedShardKeys = new Set();
+        this.sourceLabels = new Map();
+        this.watchlists = new Map();
+        this.trendEntries = null;
+        this.trendsOpen = false;
+        this.vocabulary = buildVocabulary([]);
+        this.suggestions = null;
+        this.textMatcher = null;
+        this.highlight = null;
         this.init();
     }
 
     async init() {
         this.bindEvents();
+        this.syncControls();
         await this.loadData();
     }
     
@@ -125,8 +516,12 @@ class M365RoadmapDashboard {
         const clearSearchBtn = document.getElementById('clear-search');
         
         searchInput.addEventListener('input', this.debounce((e) => {
-            this.filters.search = e.target.value.toLowerCase();
+            // Refining a search rewrites its history entry instead of adding one per pause in typing.
+            const refining = Boolean(this.filters.search);
+            this.filters.search = e.target.value;
             this.applyFilters();
+            this.updateUrl(refining);
+            this.updateSearchHint();
             clearSearchBtn.style.display = e.target.value ? 'block' : 'none';
         }, 300));
         
@@ -134,36 +529,118 @@ class M365RoadmapDashboard {
             searchInput.value = '';
             this.filters.search = '';
             clearSearchBtn.style.display = 'none';
+            this.hideSuggestions();
+            this.updateSearchHint();
             this.applyFilters();
+            this.updateUrl();
         });
         
-        // Filter dropdowns
-        document.getElementById('service-filter').addEventListener('change', (e) => {
-            this.filters.service = e.target.value;
-            this.applyFilters();
+        // Query completions (field names, then tag and status values)
+        const suggestionList = document.getElementById('search-suggestions');
+        if (suggestionList) {
+            searchInput.addEventListener('input', () => this.updateSuggestions());
+            searchInput.addEventListener('blur', () => this.hideSuggestions());
+            searchInput.addEventListener('keydown', (e) => {
+                if (!this.suggestions) return;
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    this.moveSuggestion(e.key === 'ArrowDown' ? 1 : -1);
+                } else if (e.key === 'Tab' || (e.key === 'Enter' && this.suggestions.active >= 0)) {
+                    e.preventDefault();
+                    this.acceptSuggestion(Math.max(0, this.suggestions.active));
+                } else if (e.key === 'Escape') {
+                    this.hideSuggestions();
+                }
+            });
+            // mousedown rather than click so the input keeps focus.
+            suggestionList.addEventListener('mousedown', (e) => {
+                const option = e.target.closest('[data-index]');
+                e.preventDefault();
+                if (option) this.acceptSuggestion(Number(option.dataset.index));
+            });
+        }
+        
+        // Multi-select facets (checkbox lists; options are filled in as data loads)
+        FACET_FILTERS.forEach(key => {
+            const facet = document.getElementById(`${key}-filter`);
+            facet.addEventListener('change', () => {
+                this.filters[key] = Array.from(facet.querySelectorAll('input[type="checkbox"]:checked'), input => input.value);
+                this.updateFacetSummary(key);
+                this.applyFilters();
+                this.updateUrl();
+            });
         });
         
-        document.getElementById('status-filter').addEventListener('change', (e) => {
-            this.filters.status = e.target.value;
+        // Filter dropdowns
+        document.getElementById('timeline-filter').addEventListener('change', (e) => {
+            this.filters.timeline = e.target.value;
             this.applyFilters();
+            this.updateUrl();
         });
-        
-        document.getElementById('platform-filter').addEventListener('change', (e) => {
-            this.filters.platform = e.target.value;
+
+        document.getElementById('change-filter').addEventListener('change', (e) => {
+            this.filters.change = e.target.value;
             this.applyFilters();
+            this.updateUrl();
         });
-        
-        document.getElementById('timeline-filter').addEventListener('change', (e) => {
-            this.filters.timeline = e.target.value;
+
+        document.getElementById('source-filter').addEventListener('change', (e) => {
+            this.filters.source = e.target.value;
             this.applyFilters();
+            this.updateUrl();
         });
+
+        const watchlistFilter = document.getElementById('watchlist-filter');
+        if (watchlistFilter) {
+            watchlistFilter.addEventListener('change', (e) => {
+                this.filters.watchlist = e.target.value;
+                this.applyFilters();
+                this.updateUrl();
+            });
+        }
+        
+        // Sort: one selector for every view; table headers sort by their column (Shift adds a key)
+        const sortSelect = document.getElementById('sort-select');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', (e) => {
+                this.setSort(e.target.value);
+            });
+        }
+        const tableHead = document.querySelector('#table-view thead');
+        if (tableHead) {
+            tableHead.addEventListener('click', (e) => {
+                const header = e.target.closest('th[data-sort]');
+                if (header) this.setSort(toggleSort(this.sort, header.dataset.sort, e.shiftKey));
+            });
+        }
         
         // View controls
         document.querySelectorAll('.view-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
-                const view = btn.dataset.view;
-                this.switchView(view);
+                this.switchView(btn.dataset.view);
+                this.updateUrl();
+            });
+        });
+        
+        // Calendar export of the current filtered results
+        const exportCalendarBtn = document.getElementById('export-calendar');
+        if (exportCalendarBtn) {
+            exportCalendarBtn.addEventListener('click', () => {
+                this.exportCalendar();
             });
+        }
+        
+        // Trends panel (statistics time series, loaded on first open)
+        const toggleTrendsBtn = document.getElementById('toggle-trends');
+        if (toggleTrendsBtn) {
+            toggleTrendsBtn.addEventListener('click', () => {
+                this.toggleTrends();
+            });
+        }
+        
+        // Back/forward between shared or earlier filter states
+        window.addEventListener('popstate', () => {
+            this.restoreUrlState();
         });
         
         // Clear filters
@@ -228,20 +705,30 @@ class M365RoadmapDashboard {
         logDiagnostics('loadData: start');
 
         try {
-            let response = await fetch('data/roadmap-data.json');
-            if (!response.ok) {
-                response = await fetch('data/roadmap-data-compact.json');
-            }
-            if (!response.ok) {
-                response = await fetch('data/sample-data.json');
+            let raw = null;
+            try {
+                raw = await this.fetchShardedData();
+            } catch (shardError) {
+                logDiagnostics('loadData: sharded load failed, using full data file', shardError.message);
             }
-            if (!response.ok) {
-                throw new Error(`Failed to load data files: ${response.status}`);
+
+            if (!raw) {
+                let response = await fetch('data/roadmap-data.json');
+                if (!response.ok) {
+                    response = await fetch('data/roadmap-data-compact.json');
+                }
+                if (!response.ok) {
+                    response = await fetch('data/sample-data.json');
+                }
+                if (!response.ok) {
+                    throw new Error(`Failed to load data files: ${response.status}`);
+                }
+                raw = await response.json();
             }
 
-            const raw = await response.json();
             let data = this.normalizeLoadedData(raw);
             data = filterCopilotItems(data);
+            this.sourceLabels = this.readSourceLabels(raw);
             logDiagnostics('loadData: fetched', data.length, 'Copilot items');
 
             this.allData = data;
@@ -249,6 +736,10 @@ class M365RoadmapDashboard {
             this.setLoadState(data.length === 0 ? LoadState.EMPTY : LoadState.SUCCESS);
             this.processData();
             this.applyStateToDOM();
+            this.loadRemainingShards();
+            this.loadHistory();
+            this.loadRemovedItems();
+            this.loadWatchlists();
             return;
         } catch (error) {
             console.error('Error loading data:', error);
@@ -275,6 +766,182 @@ class M365RoadmapDashboard {
         }
     }
 
+    /**
+     * Loads only the data/manifest.json shards needed for the current scope and
+     * service filter. Returns null when no manifest is published, so the caller
+     * falls back to the full data files; throws if a listed shard cannot be fetched.
+     */
+    async fetchShardedData() {
+        this.manifest = null;
+        this.loadedShardKeys = new Set();
+        const response = await fetch('data/manifest.json', { cache: 'no-cache' });
+        if (!response.ok) {
+            logDiagnostics('fetchShardedData: no manifest', response.status);
+            return null;
+        }
+        const manifest = await response.json();
+        const shards = selectShards(manifest, this.filters.service);
+        if (!shards) return null;
+
+        const payloads = await Promise.all(shards.map(shard => this.fetchShard(shard)));
+        this.manifest = manifest;
+        shards.forEach(shard => this.loadedShardKeys.add(shard.key));
+        logDiagnostics('fetchShardedData: loaded', shards.length, 'of', manifest.shards.length, 'shards');
+        return { items: mergeShardItems(payloads), metadata: { sources: manifest.sources } };
+    }
+
+    /** Display label per source name from metadata.sources ({ name, label }); empty when absent. */
+    readSourceLabels(raw) {
+        const sources = raw && raw.metadata && Array.isArray(raw.metadata.sources) ? raw.metadata.sources : [];
+        const labels = new Map();
+        sources.forEach(source => {
+            if (source && typeof source.name === 'string') labels.set(source.name, safeString(source.label) || source.name);
+        });
+        return labels;
+    }
+
+    /** Fetches one shard; the content hash in the query lets browsers cache shards across updates. */
+    async fetchShard(shard) {
+        const version = typeof shard.sha256 === 'string' ? `?v=${shard.sha256.slice(0, 16)}` : '';
+        const response = await fetch(`data/${shard.file}${version}`);
+        if (!response.ok) {
+            throw new Error(`Failed to load shard ${shard.file}: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /** After a service-narrowed first load, fetches the rest of the scope so filter options and stats are complete. */
+    async loadRemainingShards() {
+        if (!this.manifest) return;
+        const missing = (selectShards(this.manifest, '') || []).filter(shard => !this.loadedShardKeys.has(shard.key));
+        if (missing.length === 0) return;
+        try {
+            const payloads = await Promise.all(missing.map(shard => this.fetchShard(shard)));
+            missing.forEach(shard => this.loadedShardKeys.add(shard.key));
+            this.allData = filterCopilotItems(this.normalizeItemList(mergeShardItems([this.allData, ...payloads])));
+            this.setCachedData({ items: this.allData });
+            logDiagnostics('loadRemainingShards: now', this.allData.length, 'Copilot items');
+            this.populateFilterOptions();
+            this.rebuildSearchIndex();
+            this.updateStatistics();
+            this.applyFilters();
+        } catch (error) {
+            logDiagnostics('loadRemainingShards: failed', error.message);
+        }
+    }
+
+    /** Loads the persistent change log in the background; missing history is not an error. */
+    async loadHistory() {
+        try {
+            const response = await fetch('data/history/changes.jsonl');
+            if (!response.ok) {
+                logDiagnostics('loadHistory: no history available', response.status);
+                return;
+            }
+            this.historyById = parseHistoryLines(await response.text());
+            logDiagnostics('loadHistory: entries for', this.historyById.size, 'items');
+            this.renderCurrentView();
+        } catch (error) {
+            logDiagnostics('loadHistory: failed', error.message);
+        }
+    }
+
+    /** Loads items dropped from the roadmap (data/removed-items.json) for the "Removed" change filter. */
+    async loadRemovedItems() {
+        try {
+            const response = await fetch('data/removed-items.json');
+            if (!response.ok) {
+                logDiagnostics('loadRemovedItems: none available', response.status);
+                return;
+            }
+            this.removedData = filterCopilotItems(this.normalizeLoadedData(await response.json()));
+            logDiagnostics('loadRemovedItems: loaded', this.removedData.length, 'Copilot items');
+            this.rebuildSearchIndex();
+            if (this.filters.change === 'removed') this.applyFilters();
+        } catch (error) {
+            logDiagnostics('loadRemovedItems: failed', error.message);
+        }
+    }
+
+    /**
+     * Loads team watchlists (data/watchlists/index.json) into the watchlist picker.
+     * A ?watchlist=<name> request is applied once the rules arrive; an unknown
+     * name is reported and dropped. No index just keeps the picker hidden.
+     */
+    async loadWatchlists() {
+        try {
+            const response = await fetch('data/watchlists/index.json');
+            if (response.ok) {
+                this.watchlists = parseWatchlistIndex(await response.json());
+            } else {
+                logDiagnostics('loadWatchlists: none available', response.status);
+            }
+        } catch (error) {
+            logDiagnostics('loadWatchlists: failed', error.message);
+        }
+
+        const select = document.getElementById('watchlist-filter');
+        const group = document.getElementById('watchlist-filter-group');
+        if (select) {
+            select.innerHTML = '<option value="">All Items</option>';
+            this.watchlists.forEach(rule => {
+                const option = document.createElement('option');
+                option.value = rule.name;
+                option.textContent = rule.label;
+                select.appendChild(option);
+            });
+        }
+        if (group) group.style.display = this.watchlists.size > 0 ? '' : 'none';
+
+        if (this.filters.watchlist && !this.watchlists.has(this.filters.watchlist)) {
+            this.showNotification(`Watchlist "${this.filters.watchlist}" was not found`, 'warning');
+            this.filters.watchlist = '';
+            this.updateUrl(true);
+        }
+        if (select) select.value = this.filters.watchlist;
+        if (this.filters.watchlist) this.applyFilters();
+    }
+
+    /** Loads the statistics time series (data/history/statistics.jsonl); missing data leaves the panel empty. */
+    async loadTrends() {
+        this.trendEntries = [];
+        try {
+            const response = await fetch('data/history/statistics.jsonl');
+            if (!response.ok) {
+                logDiagnostics('loadTrends: no statistics available', response.status);
+                return;
+            }
+            this.trendEntries = parseStatisticsLines(await response.text());
+            logDiagnostics('loadTrends: entries', this.trendEntries.length);
+        } catch (error) {
+            logDiagnostics('loadTrends: failed', error.message);
+        }
+    }
+
+    async toggleTrends() {
+        const panel = document.getElementById('trends-panel');
+        const button = document.getElementById('toggle-trends');
+        if (!panel) return;
+        this.trendsOpen = !this.trendsOpen;
+        panel.hidden = !this.trendsOpen;
+        if (button) {
+            button.classList.toggle('active', this.trendsOpen);
+            button.setAttribute('aria-expanded', String(this.trendsOpen));
+        }
+        if (!this.trendsOpen) return;
+        if (this.trendEntries === null) {
+            panel.querySelector('.trends-content').innerHTML = '<p class="trends-empty">Loading trends...</p>';
+            await this.loadTrends();
+        }
+        this.renderTrends();
+    }
+
+    renderTrends() {
+        const content = document.querySelector('#trends-panel .trends-content');
+        if (!this.trendsOpen || !content || this.trendEntries === null) return;
+        content.innerHTML = trendsPanelHtml(this.trendEntries, this.filters.service);
+    }
+
     setLoadState(state) {
         this.loadState = state;
         logDiagnostics('setLoadState', state);
@@ -357,10 +1024,11 @@ class M365RoadmapDashboard {
     
     processData() {
         this.populateFilterOptions();
-        this.filteredData = [...this.allData];
+        this.rebuildSearchIndex();
         this.updateStatistics();
-        this.renderCurrentView();
-        this.updateResultsInfo();
+        // Filters restored from the URL apply to the first render.
+        this.applyFilters();
+        this.renderTrends();
     }
     
     populateFilterOptions() {
@@ -379,73 +1047,106 @@ class M365RoadmapDashboard {
             });
         });
 
-        const serviceFilter = document.getElementById('service-filter');
-        const platformFilter = document.getElementById('platform-filter');
-        if (serviceFilter) {
-            serviceFilter.innerHTML = '<option value="">All Services</option>';
-            Array.from(services).sort().forEach(service => {
-                const option = document.createElement('option');
-                option.value = service;
-                option.textContent = service;
-                serviceFilter.appendChild(option);
-            });
-        }
-        if (platformFilter) {
-            platformFilter.innerHTML = '<option value="">All Platforms</option>';
-            Array.from(platforms).sort().forEach(platform => {
+        this.renderFacetOptions('service', services);
+        this.renderFacetOptions('platform', platforms);
+        this.vocabulary = buildVocabulary(this.allData);
+
+        // The source filter only appears once more than one source contributes items.
+        const sources = new Set(this.allData.map(item => safeString(item && item.source) || DEFAULT_SOURCE_NAME));
+        const sourceFilter = document.getElementById('source-filter');
+        const sourceGroup = document.getElementById('source-filter-group');
+        if (sourceFilter) {
+            sourceFilter.innerHTML = '<option value="">All Sources</option>';
+            Array.from(sources).sort().forEach(source => {
                 const option = document.createElement('option');
-                option.value = platform;
-                option.textContent = platform;
-                platformFilter.appendChild(option);
+                option.value = source;
+                option.textContent = this.sourceLabels.get(source) || source;
+                sourceFilter.appendChild(option);
             });
+            sourceFilter.value = this.filters.source;
         }
+        if (sourceGroup) sourceGroup.style.display = sources.size > 1 ? '' : 'none';
     }
     
+    /**
+     * Fills a data-driven facet with one checkbox per value. Selected values missing
+     * from the data (e.g. from a shared link) stay listed so they can be unticked.
+     */
+    renderFacetOptions(key, values) {
+        const container = document.querySelector(`#${key}-filter .facet-options`);
+        if (!container) return;
+        const selected = filterValues(this.filters[key]);
+        container.innerHTML = '';
+        Array.from(new Set([...values, ...selected])).sort().forEach(value => {
+            const label = document.createElement('label');
+            label.className = 'facet-option';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.value = value;
+            input.checked = selected.includes(value);
+            label.append(input, ` ${value}`);
+            container.appendChild(label);
+        });
+        this.updateFacetSummary(key);
+    }
+
+    /** Summary line of a facet: its "All ..." label, the one selected value, or a count. */
+    updateFacetSummary(key) {
+        const facet = document.getElementById(`${key}-filter`);
+        const summary = facet && facet.querySelector('.facet-summary');
+        if (!summary) return;
+        const selected = filterValues(this.filters[key]);
+        summary.textContent = selected.length === 0
+            ? (facet.dataset.allLabel || 'All')
+            : selected.length === 1 ? selected[0] : `${selected.length} selected`;
+        summary.title = selected.join(', ');
+        facet.classList.toggle('facet-active', selected.length > 0);
+    }
+
     applyFilters() {
-        this.filteredData = filterRoadmapItems(
-            this.allData,
+        // Removed items are not part of the live dataset; the "Removed" change filter swaps the source.
+        let source = this.filters.change === 'removed' ? this.removedData : this.allData;
+        const watchlist = this.watchlists.get(this.filters.watchlist);
+        if (watchlist) source = source.filter(item => matchesWatchlist(item, watchlist));
+        this.filteredData = sortRoadmapItems(filterRoadmapItems(
+            source,
             this.filters,
-            (item, timeline) => this.matchesTimeline(item, timeline)
-        );
+            (item, timeline) => this.matchesTimeline(item, timeline),
+            this.textMatcher
+        ), this.sort);
+        this.highlight = this.searchHighlight();
 
         this.renderCurrentView();
         this.updateResultsInfo();
     }
 
+    /** Full-text index over live and removed items, so every change filter can be searched. */
+    rebuildSearchIndex() {
+        this.textMatcher = createTextMatcher(buildSearchIndex([...this.allData, ...this.removedData]));
+        logDiagnostics('rebuildSearchIndex: indexed', this.allData.length + this.removedData.length, 'items');
+    }
+
+    /** Index terms and phrases of the current search to mark in results, or null without a search. */
+    searchHighlight() {
+        const search = safeString(this.filters.search);
+        if (!search) return null;
+        const { highlights } = compileSearch(search, this.textMatcher);
+        return {
+            terms: this.textMatcher ? this.textMatcher.terms(highlights.words) : new Set(),
+            phrases: highlights.phrases
+        };
+    }
+
+    /** Escaped text with the current search matches wrapped in <mark>. */
+    highlightedHtml(text) {
+        if (!this.highlight) return this.escapeHtml(text);
+        return highlightHtml(text, this.highlight.terms, this.highlight.phrases);
+    }
+
+    /** True when the item's availability period overlaps the relative timeline (see js/roadmap-date.js). */
     matchesTimeline(item, timeline) {
         if (!item || !item.publicDisclosureAvailabilityDate) return false;
-        const raw = item.publicDisclosureAvailabilityDate;
-        const itemDate = new Date(raw);
-        if (Number.isNaN(itemDate.getTime())) return false;
-        const now = new Date();
-        const currentMonth = now.getMonth();
-        const currentYear = now.getFullYear();
-
-        switch (timeline) {
-            case 'current-month':
-                return itemDate.getMonth() === currentMonth && itemDate.getFullYear() === currentYear;
-            case 'next-month': {
-                const nextMonth = new Date(now.getFullYear(), now.getMonth() + 1);
-                return itemDate.getMonth() === nextMonth.getMonth() && itemDate.getFullYear() === nextMonth.getFullYear();
-            }
-            case 'this-quarter': {
-                const currentQuarter = Math.floor(currentMonth / 3);
-                const itemQuarter = Math.floor(itemDate.getMonth() / 3);
-                return itemQuarter === currentQuarter && itemDate.getFullYear() === currentYear;
-            }
-            case 'next-quarter': {
-                const nextQuarter = (Math.floor(currentMonth / 3) + 1) % 4;
-                const nextQuarterYear = nextQuarter === 0 ? currentYear + 1 : currentYear;
-                const itemQ = Math.floor(itemDate.getMonth() / 3);
-                return itemQ === nextQuarter && itemDate.getFullYear() === nextQuarterYear;
-            }
-            case 'this-year':
-                return itemDate.getFullYear() === currentYear;
-            case 'next-year':
-                return itemDate.getFullYear() === currentYear + 1;
-            default:
-                return true;
-        }
+        return matchesTimelineRange(item.publicDisclosureAvailabilityDate, timeline);
     }
     
     switchView(view) {
@@ -460,6 +1161,175 @@ class M365RoadmapDashboard {
         this.renderCurrentView();
     }
 
+    /**
+     * Records filters, view and sort in the address bar. Each change pushes a history
+     * entry so back/forward step through them; `replace` rewrites the current entry instead.
+     */
+    updateUrl(replace) {
+        if (typeof window === 'undefined' || !window.history || typeof window.history.pushState !== 'function') return;
+        const query = buildUrlQuery({ filters: this.filters, view: this.currentView, sort: this.sort }, window.location.search);
+        if (query === window.location.search) return;
+        const url = `${window.location.pathname}${query}${window.location.hash}`;
+        try {
+            if (replace) {
+                window.history.replaceState(null, '', url);
+            } else {
+                window.history.pushState(null, '', url);
+            }
+        } catch (error) {
+            logDiagnostics('updateUrl: failed', error.message);
+        }
+    }
+
+    /** Reorders the results of every view by a ?sort= string ('' for best match / roadmap order). */
+    setSort(sort) {
+        this.sort = formatSort(parseSort(sort));
+        this.syncSortControls();
+        this.applyFilters();
+        this.updateUrl();
+    }
+
+    /**
+     * Shows the sort in the selector and the table headers. A multi-key sort set
+     * from the table appears in the selector as an extra "Custom" entry.
+     */
+    syncSortControls() {
+        const keys = parseSort(this.sort);
+        const select = document.getElementById('sort-select');
+        if (select) {
+            let custom = select.querySelector('option[data-custom]');
+            const listed = Array.from(select.options).some(option => option !== custom && option.value === this.sort);
+            if (!listed) {
+                if (!custom) {
+                    custom = document.createElement('option');
+                    custom.dataset.custom = 'true';
+                    select.appendChild(custom);
+                }
+                custom.value = this.sort;
+                custom.textContent = `Custom: ${keys.map(({ key, desc }) => `${SORT_KEYS[key].label}${desc ? ' ↓' : ''}`).join(', ')}`;
+            } else if (custom) {
+                custom.remove();
+            }
+            select.value = this.sort;
+        }
+        document.querySelectorAll('#table-view th[data-sort]').forEach(header => {
+            const position = keys.findIndex(entry => entry.key === header.dataset.sort);
+            const entry = keys[position];
+            // aria-sort belongs on one header at a time: the primary key.
+            header.setAttribute('aria-sort', position === 0 ? (entry.desc ? 'descending' : 'ascending') : 'none');
+            header.classList.toggle('sorted', position !== -1);
+            const indicator = header.querySelector('.sort-indicator');
+            if (indicator) {
+                indicator.textContent = entry ? `${entry.desc ? '▼' : '▲'}${keys.length > 1 ? position + 1 : ''}` : '';
+            }
+        });
+    }
+
+    /** Back/forward: takes filters, view and sort from the URL again without adding a history entry. */
+    restoreUrlState() {
+        const state = parseUrlState(window.location.search);
+        this.filters = state.filters;
+        this.sort = state.sort;
+        this.syncControls();
+        this.applyFilters();
+        if (state.view !== this.currentView) this.switchView(state.view);
+        this.renderTrends();
+    }
+
+    /** Shows the first problem in the search query under the search box; the query runs without the bad terms. */
+    updateSearchHint() {
+        const hint = document.getElementById('search-hint');
+        const input = document.getElementById('search-input');
+        if (!hint) return;
+        const errors = this.filters.search ? compileSearch(this.filters.search, this.textMatcher).errors : [];
+        const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
+        hint.textContent = errors.length > 0 ? `${errors[0].message}${more}` : '';
+        hint.hidden = errors.length === 0;
+        if (input) input.classList.toggle('has-error', errors.length > 0);
+    }
+
+    /** Lists completions for the word at the cursor (see suggest in js/roadmap-query.js). */
+    updateSuggestions() {
+        const input = document.getElementById('search-input');
+        const list = document.getElementById('search-suggestions');
+        if (!input || !list) return;
+        const result = suggest(input.value, input.selectionStart, this.vocabulary);
+        if (!result) {
+            this.hideSuggestions();
+            return;
+        }
+        this.suggestions = { ...result, active: -1 };
+        list.innerHTML = result.suggestions.map((entry, index) => `
+            <li id="search-suggestion-${index}" class="search-suggestion" role="option" aria-selected="false" data-index="${index}">
+                <span>${this.escapeHtml(entry.label)}</span>
+                <span class="search-suggestion-hint">${this.escapeHtml(entry.hint)}</span>
+            </li>`).join('');
+        list.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+        input.removeAttribute('aria-activedescendant');
+    }
+
+    moveSuggestion(step) {
+        const input = document.getElementById('search-input');
+        const count = this.suggestions.suggestions.length;
+        const next = this.suggestions.active + step;
+        this.suggestions.active = next < 0 ? count - 1 : next % count;
+        document.querySelectorAll('#search-suggestions [data-index]').forEach(option => {
+            option.setAttribute('aria-selected', String(Number(option.dataset.index) === this.suggestions.active));
+        });
+        input.setAttribute('aria-activedescendant', `search-suggestion-${this.suggestions.active}`);
+    }
+
+    /** Replaces the word at the cursor with a completion and searches as if it had been typed. */
+    acceptSuggestion(index) {
+        const input = document.getElementById('search-input');
+        const entry = this.suggestions && this.suggestions.suggestions[index];
+        if (!input || !entry) return;
+        const { start, end } = this.suggestions;
+        input.value = `${input.value.slice(0, start)}${entry.text}${input.value.slice(end)}`;
+        const cursor = start + entry.text.length;
+        input.setSelectionRange(cursor, cursor);
+        input.dispatchEvent(new Event('input'));
+    }
+
+    hideSuggestions() {
+        const input = document.getElementById('search-input');
+        const list = document.getElementById('search-suggestions');
+        this.suggestions = null;
+        if (list) {
+            list.hidden = true;
+            list.innerHTML = '';
+        }
+        if (input) {
+            input.setAttribute('aria-expanded', 'false');
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /** Shows the current filters, view and sort in the search box, selects, view buttons and table headers. */
+    syncControls() {
+        const searchInput = document.getElementById('search-input');
+        const clearSearchBtn = document.getElementById('clear-search');
+        if (searchInput) searchInput.value = this.filters.search;
+        if (clearSearchBtn) clearSearchBtn.style.display = this.filters.search ? 'block' : 'none';
+        this.updateSearchHint();
+        FACET_FILTERS.forEach(key => {
+            const selected = filterValues(this.filters[key]);
+            document.querySelectorAll(`#${key}-filter input[type="checkbox"]`).forEach(input => {
+                input.checked = selected.includes(input.value);
+            });
+            this.updateFacetSummary(key);
+        });
+        ['timeline', 'change', 'source', 'watchlist'].forEach(key => {
+            const select = document.getElementById(`${key}-filter`);
+            if (select) select.value = this.filters[key];
+        });
+        document.querySelectorAll('.view-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === this.currentView);
+        });
+        this.syncSortControls();
+    }
+
     renderCurrentView() {
         switch (this.currentView) {
             case 'cards':
@@ -501,29 +1371,31 @@ class M365RoadmapDashboard {
         const releasePhase = rp === 'General' ? String(item.status || '') : rp;
         const date = this.safeFormatDate(item.publicDisclosureAvailabilityDate, { year: 'numeric', month: 'short' }) || 'TBD';
 
-        const changePill = item._changeType === 'new'
-            ? '<span class="change-pill change-new">NEW</span>'
-            : item._changeType === 'changed'
-                ? '<span class="change-pill change-updated">UPDATED</span>'
-                : '';
-        const changedFieldsHtml = item._changeType === 'changed' && item._changedFields?.length
-            ? `<div class="card-changed-fields">Changed: ${this.escapeHtml(item._changedFields.join(', '))}</div>`
-            : '';
+        const changePill = this.changePillHtml(item);
+        let changedFieldsHtml = '';
+        if (item._changeType === 'changed' && item._changedFields?.length) {
+            changedFieldsHtml = this.renderChangeDiffHtml(item);
+        } else if (item._changeType === 'removed') {
+            const removedOn = this.safeFormatTimestamp(item._removedAt) || 'unknown date';
+            changedFieldsHtml = `<div class="card-changed-fields">Removed from roadmap: ${this.escapeHtml(removedOn)}</div>`;
+        }
 
         card.innerHTML = `
             <div class="card-header">
-                <h3 class="card-title">${changePill}${this.escapeHtml(item.title)}</h3>
+                <h3 class="card-title">${changePill}${this.highlightedHtml(item.title)}</h3>
                 <div class="card-date">${this.escapeHtml(date)}</div>
             </div>
             <div class="card-description">
-                ${this.escapeHtml(this.safeDescription(item.description))}
+                ${this.highlightedHtml(this.safeDescription(item.description))}
             </div>
             ${changedFieldsHtml}
             <div class="card-tags">
                 <span class="tag status ${this.getStatusClass(item.status)}">${this.escapeHtml(releasePhase)}</span>
-                <span class="tag">${this.escapeHtml(products)}</span>
-                ${platforms ? `<span class="tag">${this.escapeHtml(platforms)}</span>` : ''}
+                <span class="tag">${this.highlightedHtml(products)}</span>
+                ${platforms ? `<span class="tag">${this.highlightedHtml(platforms)}</span>` : ''}
+                ${this.sourceTagHtml(item)}
             </div>
+            ${this.renderHistoryHtml(item)}
         `;
         const expandBtn = card.querySelector('[data-expand="card"]');
         if (expandBtn) {
@@ -542,11 +1414,8 @@ class M365RoadmapDashboard {
         if (!container) return;
         container.innerHTML = '';
 
-        const sortedData = [...this.filteredData].sort((a, b) => {
-            const dA = this.safeParseDate(a?.publicDisclosureAvailabilityDate);
-            const dB = this.safeParseDate(b?.publicDisclosureAvailabilityDate);
-            return (dA.getTime ? dA.getTime() : 0) - (dB.getTime ? dB.getTime() : 0);
-        });
+        // The chosen sort applies here too; availability orders whatever it leaves tied.
+        const sortedData = sortRoadmapItems(this.filteredData, [this.sort, 'date'].filter(Boolean).join(','));
 
         sortedData.forEach(item => {
             const node = this.createTimelineItem(item);
@@ -562,24 +1431,144 @@ class M365RoadmapDashboard {
         const date = this.safeFormatDate(item.publicDisclosureAvailabilityDate, { year: 'numeric', month: 'long', day: 'numeric' }) || 'To Be Determined';
         const products = this.safeTagList(item.tagsContainer?.products);
 
-        const timelineChangePill = item._changeType === 'new'
-            ? '<span class="change-pill change-new">NEW</span>'
-            : item._changeType === 'changed'
-                ? '<span class="change-pill change-updated">UPDATED</span>'
-                : '';
+        const timelineChangePill = this.changePillHtml(item);
 
         timelineItem.innerHTML = `
             <div class="timeline-date">${this.escapeHtml(date)}</div>
-            <div class="timeline-title">${timelineChangePill}${this.escapeHtml(item.title)}</div>
+            <div class="timeline-title">${timelineChangePill}${this.highlightedHtml(item.title)}</div>
+            ${this.renderChangeDiffHtml(item)}
             <div class="timeline-description">
-                <strong>Service:</strong> ${this.escapeHtml(products)}<br>
+                <strong>Service:</strong> ${this.highlightedHtml(products)}<br>
                 <strong>Status:</strong> ${this.escapeHtml(String(item.status || ''))}<br><br>
-                ${this.escapeHtml(this.safeDescription(item.description))}
+                ${this.highlightedHtml(this.safeDescription(item.description))}
             </div>
+            ${this.renderHistoryHtml(item)}
         `;
         return timelineItem;
     }
     
+    /** Source label tag for items outside the default Microsoft 365 source; '' otherwise. */
+    sourceTagHtml(item) {
+        const source = safeString(item && item.source);
+        if (!source || source === DEFAULT_SOURCE_NAME) return '';
+        return `<span class="tag tag-source">${this.escapeHtml(this.sourceLabels.get(source) || source)}</span>`;
+    }
+
+    /** NEW / UPDATED / REMOVED pill for an item's _changeType; '' for unchanged items. */
+    changePillHtml(item) {
+        switch (item && item._changeType) {
+            case 'new':
+                return '<span class="change-pill change-new">NEW</span>';
+            case 'changed':
+                return '<span class="change-pill change-updated">UPDATED</span>';
+            case 'removed':
+                return '<span class="change-pill change-removed">REMOVED</span>';
+            default:
+                return '';
+        }
+    }
+
+    /** Collapsible per-item change log built from the persistent history; '' when the item has none. */
+    renderHistoryHtml(item) {
+        const entries = item && item.id != null ? this.historyById.get(String(item.id)) : null;
+        if (!entries || entries.length === 0) return '';
+
+        const rows = entries.map(entry => {
+            const when = this.safeFormatTimestamp(entry.timestamp);
+            let lines;
+            if (entry.changeType === 'new') {
+                lines = ['Added to roadmap'];
+            } else if (entry.changeType === 'removed') {
+                lines = ['Removed from roadmap'];
+            } else {
+                lines = (Array.isArray(entry.changes) ? entry.changes : []).map(c => this.describeHistoryChange(c));
+            }
+            return lines.map(line =>
+                `<li><time>${this.escapeHtml(when)}</time> ${this.escapeHtml(line)}</li>`
+            ).join('');
+        }).join('');
+
+        return `
+            <details class="item-history">
+                <summary>Change history (${entries.length})</summary>
+                <ol>${rows}</ol>
+            </details>
+        `;
+    }
+
+    /** One-line description of a history change ({ field, previous, current } or a tags { added, removed } diff). */
+    describeHistoryChange(change) {
+        if (!change || !change.field) return 'Updated';
+        const label = CHANGE_FIELD_LABELS[change.field] || change.field;
+        if (change.field === 'tagsContainer' && (change.added || change.removed)) {
+            const tags = this.tagChangeList(change);
+            return tags.length ? `${label}: ${tags.map(t => t.text).join(', ')}` : `${label} updated`;
+        }
+        if (change.field === 'description' || typeof change.current !== 'string') {
+            return `${label} updated`;
+        }
+        return `${label}: ${this.formatChangeValue(change.field, change.previous)} \u2192 ${this.formatChangeValue(change.field, change.current)}`;
+    }
+
+    /** Display value for a changed field: availability dates are normalized, blanks become '(empty)'. */
+    formatChangeValue(field, value) {
+        const text = value != null ? String(value) : '';
+        if (!text) return '(empty)';
+        if (field === 'publicDisclosureAvailabilityDate') {
+            return this.safeFormatDate(text, { year: 'numeric', month: 'short' }) || text;
+        }
+        return text;
+    }
+
+    /** Flattens a tags { added, removed } diff into [{ text: '+Teams', added: true }, { text: '\u2212Web', added: false }]. */
+    tagChangeList(tagChanges) {
+        const out = [];
+        const collect = (group, added) => {
+            if (!group || typeof group !== 'object') return;
+            Object.values(group).forEach(names => {
+                if (!Array.isArray(names)) return;
+                names.forEach(name => out.push({ text: `${added ? '+' : '\u2212'}${name}`, added }));
+            });
+        };
+        collect(tagChanges && tagChanges.added, true);
+        collect(tagChanges && tagChanges.removed, false);
+        return out;
+    }
+
+    /**
+     * Inline "was \u2192 now" diff for a changed item, one row per changed field.
+     * Older data without _previousValues falls back to the field name only.
+     */
+    renderChangeDiffHtml(item) {
+        if (!item || item._changeType !== 'changed' || !Array.isArray(item._changedFields) || item._changedFields.length === 0) {
+            return '';
+        }
+        const previous = item._previousValues && typeof item._previousValues === 'object' ? item._previousValues : {};
+        const rows = item._changedFields.map(field => {
+            const label = `<span class="change-diff-field">${this.escapeHtml(CHANGE_FIELD_LABELS[field] || field)}</span>`;
+            if (field === 'tagsContainer' && item._tagChanges) {
+                const tags = this.tagChangeList(item._tagChanges).map(t => t.added
+                    ? `<ins>${this.escapeHtml(t.text)}</ins>`
+                    : `<del>${this.escapeHtml(t.text)}</del>`);
+                if (tags.length) return `<li>${label} ${tags.join(' ')}</li>`;
+            }
+            if (field !== 'description' && Object.prototype.hasOwnProperty.call(previous, field)) {
+                const was = this.formatChangeValue(field, previous[field]);
+                const now = this.formatChangeValue(field, item[field]);
+                return `<li>${label} <del>${this.escapeHtml(was)}</del> \u2192 <ins>${this.escapeHtml(now)}</ins></li>`;
+            }
+            return `<li>${label} updated</li>`;
+        });
+        return `<ul class="change-diff">${rows.join('')}</ul>`;
+    }
+
+    /** Short date for an ISO timestamp; '' when invalid. */
+    safeFormatTimestamp(value) {
+        const d = new Date(value);
+        if (value == null || Number.isNaN(d.getTime())) return '';
+        return d.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+    
     renderTableView() {
         const tbody = document.querySelector('#table-view tbody');
         if (!tbody) return;
@@ -601,22 +1590,18 @@ class M365RoadmapDashboard {
         const descSnippet = this.safeDescription(item.description).substring(0, 100);
         const descDisplay = descSnippet.length >= 100 ? `${descSnippet}...` : descSnippet;
 
-        const tableChangePill = item._changeType === 'new'
-            ? '<span class="change-pill change-new">NEW</span>'
-            : item._changeType === 'changed'
-                ? '<span class="change-pill change-updated">UPDATED</span>'
-                : '';
+        const tableChangePill = this.changePillHtml(item);
 
         row.innerHTML = `
             <td>
-                <strong>${this.escapeHtml(item.title)}</strong><br>
-                <small style="color: #605e5c;">${this.escapeHtml(descDisplay)}</small>
+                <strong>${this.highlightedHtml(item.title)}</strong><br>
+                <small style="color: #605e5c;">${this.highlightedHtml(descDisplay)}</small>
             </td>
-            <td>${this.escapeHtml(products)}</td>
+            <td>${this.highlightedHtml(products)}</td>
             <td><span class="tag status ${this.getStatusClass(item.status)}">${this.escapeHtml(String(item.status || ''))}</span></td>
-            <td>${this.escapeHtml(platforms)}</td>
+            <td>${this.highlightedHtml(platforms)}</td>
             <td>${this.escapeHtml(date)}</td>
-            <td>${tableChangePill}</td>
+            <td>${tableChangePill}${this.renderChangeDiffHtml(item)}</td>
         `;
         return row;
     }
@@ -697,29 +1682,75 @@ class M365RoadmapDashboard {
         resultsInfo.style.display = 'flex';
         
         // Show clear filters button if any filters are active
-        const hasActiveFilters = Object.values(this.filters).some(filter => filter);
+        const hasActiveFilters = Object.values(this.filters).some(filter => (Array.isArray(filter) ? filter.length > 0 : filter));
         clearFiltersBtn.style.display = hasActiveFilters ? 'block' : 'none';
+
+        this.updateQualityIndicator();
+    }
+
+    /** Warn next to the result count when shown items have missing or unparseable data. */
+    updateQualityIndicator() {
+        const indicator = document.getElementById('data-quality');
+        if (!indicator) return;
+        const summary = qualitySummary(this.filteredData);
+        indicator.hidden = !summary;
+        if (!summary) return;
+        indicator.className = `data-quality data-quality-${summary.level}`;
+        indicator.title = summary.title;
+        indicator.setAttribute('aria-label', summary.title);
+        indicator.innerHTML = `<i class="fas fa-exclamation-circle" aria-hidden="true"></i> ${this.escapeHtml(summary.text)}`;
     }
     
     clearAllFilters() {
         // Reset all filters
         this.filters = {
             search: '',
-            service: '',
-            status: '',
-            platform: '',
-            timeline: ''
+            service: [],
+            status: [],
+            platform: [],
+            timeline: '',
+            change: '',
+            source: '',
+            watchlist: ''
         };
         
         // Reset UI elements
-        document.getElementById('search-input').value = '';
-        document.getElementById('clear-search').style.display = 'none';
-        document.getElementById('service-filter').value = '';
-        document.getElementById('status-filter').value = '';
-        document.getElementById('platform-filter').value = '';
-        document.getElementById('timeline-filter').value = '';
+        this.syncControls();
         
         this.applyFilters();
+        this.updateUrl();
+    }
+    
+    /** Builds an .ics of the filtered results client-side and downloads it (items without a parseable date are skipped). */
+    exportCalendar() {
+        if (this.filteredData.length === 0) {
+            this.showNotification('No items to add to calendar', 'warning');
+            return;
+        }
+        const calendar = buildCalendar(this.filteredData, {
+            name: 'Copilot Roadmap (filtered)',
+            sequences: dateChangeSequences([...this.historyById.values()].flat())
+        });
+        if (calendar.eventCount === 0) {
+            this.showNotification('None of the filtered items have an availability date', 'warning');
+            return;
+        }
+
+        const blob = new Blob([calendar.content], { type: 'text/calendar;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'copilot-roadmap.ics';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        const skipped = this.filteredData.length - calendar.eventCount;
+        this.showNotification(
+            `Exported ${calendar.eventCount} events${skipped > 0 ? ` (${skipped} without a date skipped)` : ''}`,
+            'success'
+        );
     }
     
     async refreshData() {
@@ -838,19 +1869,16 @@ class M365RoadmapDashboard {
         return names.length ? names.join(', ') : 'General';
     }
 
-    /** Format date for display; invalid/missing returns null. */
+    /** Format a roadmap date ("March CY2026", "Q2 CY2026", ...) for display; invalid/missing returns null. */
     safeFormatDate(value, options) {
         if (value == null || value === '') return null;
-        const d = new Date(value);
-        if (Number.isNaN(d.getTime())) return null;
-        return d.toLocaleDateString('en-US', options || { year: 'numeric', month: 'short' });
+        return formatRoadmapDate(value, options || { year: 'numeric', month: 'short' });
     }
 
-    /** Parse date for sorting; invalid returns sentinel. */
+    /** Parse a roadmap date for sorting; invalid returns sentinel. Uses the period start. */
     safeParseDate(value) {
-        if (value == null || value === '') return { getTime: () => 0 };
-        const d = new Date(value);
-        return Number.isNaN(d.getTime()) ? { getTime: () => 0 } : d;
+        const period = parseRoadmapDate(value);
+        return period ? period.start : { getTime: () => 0 };
     }
 }
 
@@ -867,8 +1895,19 @@ if (typeof module !== 'undefined' && module.exports) {
         getCacheMaxAgeMs,
         isCacheStale,
         filterCopilotItems,
+        selectShards,
+        mergeShardItems,
         filterRoadmapItems,
         itemMatchesFilters,
+        parseSort,
+        toggleSort,
+        sortRoadmapItems,
+        parseUrlState,
+        buildUrlQuery,
+        parseWatchlistIndex,
+        parseHistoryLines,
+        qualitySummary,
+        trendsPanelHtml,
         M365RoadmapDashboard
     };
 }
\ No newline at end of file
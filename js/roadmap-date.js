@@ -0,0 +1,286 @@
+/**
+ * Roadmap date parsing shared by the dashboard (browser global `RoadmapDate`)
+ * and the Node scripts (`require('../js/roadmap-date.js')`).
+ *
+ * The roadmap API reports availability as periods rather than days, e.g.
+ * "March CY2026", "Q2 CY2026", "H1 CY2026", "CY2026" or "FY2026". Every
+ * supported value is normalized to { start, end, precision, label } where
+ * start/end are UTC Dates and end is the last millisecond of the period.
+ * Microsoft's fiscal year runs July to June, so FY2026 is Jul 2025 - Jun 2026.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        root.RoadmapDate = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const Precision = Object.freeze({
+        DAY: 'day',
+        MONTH: 'month',
+        QUARTER: 'quarter',
+        HALF: 'half',
+        YEAR: 'year'
+    });
+
+    const MONTH_NAMES = [
+        'january', 'february', 'march', 'april', 'may', 'june',
+        'july', 'august', 'september', 'october', 'november', 'december'
+    ];
+
+    const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+    const YEAR_PATTERN = '(cy|fy)?\\s*(\\d{4})';
+
+    const MONTH_RE = new RegExp(`^${MONTH_PATTERN}\\.?\\s+${YEAR_PATTERN}$`, 'i');
+    const QUARTER_RE = new RegExp(`^q([1-4])\\s*${YEAR_PATTERN}$`, 'i');
+    const QUARTER_SUFFIX_RE = new RegExp(`^${YEAR_PATTERN}\\s*[- ]?\\s*q([1-4])$`, 'i');
+    const HALF_RE = new RegExp(`^h([12])\\s*${YEAR_PATTERN}$`, 'i');
+    const YEAR_RE = new RegExp(`^${YEAR_PATTERN}$`, 'i');
+    const ISO_DAY_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ].*)?$/;
+    const ISO_MONTH_RE = /^(\d{4})-(\d{2})$/;
+
+    function monthIndex(name) {
+        const prefix = name.slice(0, 3).toLowerCase();
+        return MONTH_NAMES.findIndex(m => m.startsWith(prefix));
+    }
+
+    /** Build a period from a calendar start month and a length in months. */
+    function monthSpan(year, month, months, precision) {
+        const start = new Date(Date.UTC(year, month, 1));
+        const end = new Date(Date.UTC(year, month + months, 1) - 1);
+        return { start, end, precision };
+    }
+
+    /**
+     * Convert a fiscal-year-relative month offset (0 = July) to a calendar year/month.
+     * FY2026 month 0 is July 2025.
+     */
+    function fiscalToCalendar(fiscalYear, offset) {
+        const month = (6 + offset) % 12;
+        const year = offset < 6 ? fiscalYear - 1 : fiscalYear;
+        return { year, month };
+    }
+
+    function isFiscal(prefix) {
+        return typeof prefix === 'string' && prefix.toLowerCase() === 'fy';
+    }
+
+    function quarterPeriod(quarter, prefix, year) {
+        const q = Number(quarter) - 1;
+        if (isFiscal(prefix)) {
+            const cal = fiscalToCalendar(year, q * 3);
+            return monthSpan(cal.year, cal.month, 3, Precision.QUARTER);
+        }
+        return monthSpan(year, q * 3, 3, Precision.QUARTER);
+    }
+
+    /**
+     * Parse a roadmap date string into a normalized period.
+     * Returns null for empty or unrecognized values.
+     */
+    function parseRoadmapDate(value) {
+        if (value == null) return null;
+        if (value instanceof Date) {
+            if (Number.isNaN(value.getTime())) return null;
+            return withLabel(monthSpanDay(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+        }
+        const text = String(value).trim().replace(/\s+/g, ' ');
+        if (!text) return null;
+
+        let m = MONTH_RE.exec(text);
+        if (m) {
+            const month = monthIndex(m[1]);
+            const year = Number(m[3]);
+            // A month stated against a fiscal year: Jul-Dec fall in the previous calendar year.
+            const calYear = isFiscal(m[2]) && month >= 6 ? year - 1 : year;
+            return withLabel(monthSpan(calYear, month, 1, Precision.MONTH));
+        }
+
+        m = QUARTER_RE.exec(text);
+        if (m) return withLabel(quarterPeriod(m[1], m[2], Number(m[3])));
+
+        m = QUARTER_SUFFIX_RE.exec(text);
+        if (m) return withLabel(quarterPeriod(m[3], m[1], Number(m[2])));
+
+        m = HALF_RE.exec(text);
+        if (m) {
+            const half = Number(m[1]) - 1;
+            const year = Number(m[3]);
+            if (isFiscal(m[2])) {
+                const cal = fiscalToCalendar(year, half * 6);
+                return withLabel(monthSpan(cal.year, cal.month, 6, Precision.HALF));
+            }
+            return withLabel(monthSpan(year, half * 6, 6, Precision.HALF));
+        }
+
+        m = YEAR_RE.exec(text);
+        if (m) {
+            const year = Number(m[2]);
+            if (isFiscal(m[1])) {
+                return withLabel(monthSpan(year - 1, 6, 12, Precision.YEAR));
+            }
+            return withLabel(monthSpan(year, 0, 12, Precision.YEAR));
+        }
+
+        m = ISO_MONTH_RE.exec(text);
+        if (m) {
+            const month = Number(m[2]) - 1;
+            if (month < 0 || month > 11) return null;
+            return withLabel(monthSpan(Number(m[1]), month, 1, Precision.MONTH));
+        }
+
+        m = ISO_DAY_RE.exec(text);
+        if (m) {
+            const year = Number(m[1]);
+            const month = Number(m[2]) - 1;
+            const day = Number(m[3]);
+            const check = new Date(Date.UTC(year, month, day));
+            if (check.getUTCMonth() !== month || check.getUTCDate() !== day) return null;
+            return withLabel(monthSpanDay(year, month, day));
+        }
+
+        // Last resort: anything the engine understands ("Mar 15, 2026"), treated as a single day.
+        const fallback = new Date(text);
+        if (Number.isNaN(fallback.getTime())) return null;
+        return withLabel(monthSpanDay(fallback.getFullYear(), fallback.getMonth(), fallback.getDate()));
+    }
+
+    function monthSpanDay(year, month, day) {
+        const start = new Date(Date.UTC(year, month, day));
+        const end = new Date(Date.UTC(year, month, day + 1) - 1);
+        return { start, end, precision: Precision.DAY };
+    }
+
+    function withLabel(period) {
+        period.label = formatPeriod(period);
+        return period;
+    }
+
+    /** Short canonical label for a period: "Mar 2026", "Q2 2026", "H1 2026", "2026" or "Mar 15, 2026". */
+    function formatPeriod(period, options) {
+        if (!period || !(period.start instanceof Date)) return '';
+        const opts = options || {};
+        const start = period.start;
+        const year = start.getUTCFullYear();
+        switch (period.precision) {
+            case Precision.DAY:
+                return start.toLocaleDateString('en-US', {
+                    year: opts.year || 'numeric',
+                    month: opts.month || 'short',
+                    day: opts.day || 'numeric',
+                    timeZone: 'UTC'
+                });
+            case Precision.MONTH:
+                return start.toLocaleDateString('en-US', {
+                    year: opts.year || 'numeric',
+                    month: opts.month || 'short',
+                    timeZone: 'UTC'
+                });
+            case Precision.QUARTER:
+                return `Q${Math.floor(start.getUTCMonth() / 3) + 1} ${year}`;
+            case Precision.HALF:
+                return `H${start.getUTCMonth() < 6 ? 1 : 2} ${year}`;
+            case Precision.YEAR:
+                return start.getUTCMonth() === 0 ? String(year) : `FY${year + 1}`;
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Format a raw roadmap date for display. `options` follows toLocaleDateString
+     * (month: 'short' | 'long', day) and only affects day/month precision values.
+     * Returns null when the value cannot be parsed.
+     */
+    function formatRoadmapDate(value, options) {
+        const period = parseRoadmapDate(value);
+        if (!period) return null;
+        const opts = options || {};
+        // Day-level formatting is only meaningful when the source is day precise.
+        if (period.precision !== Precision.DAY && opts.day) {
+            const { day, ...rest } = opts;
+            return formatPeriod(period, rest);
+        }
+        return formatPeriod(period, opts);
+    }
+
+    /** Sort comparator on raw values: earliest start first, ties by shorter period, unparseable last. */
+    function compareRoadmapDates(a, b) {
+        const pa = parseRoadmapDate(a);
+        const pb = parseRoadmapDate(b);
+        if (!pa && !pb) return 0;
+        if (!pa) return 1;
+        if (!pb) return -1;
+        return (pa.start - pb.start) || (pa.end - pb.end);
+    }
+
+    /** True when two periods share at least one instant. */
+    function periodsOverlap(a, b) {
+        if (!a || !b) return false;
+        return a.start <= b.end && b.start <= a.end;
+    }
+
+    /**
+     * Period covered by a relative timeline filter value ('current-month',
+     * 'next-month', 'this-quarter', 'next-quarter', 'this-year', 'next-year')
+     * evaluated against the UTC month of `now` (defaults to the current time), like
+     * the parsed periods. Null if unknown.
+     */
+    function getTimelineRange(timeline, now) {
+        const ref = now instanceof Date ? now : new Date();
+        const year = ref.getUTCFullYear();
+        const month = ref.getUTCMonth();
+        const quarterStart = Math.floor(month / 3) * 3;
+        switch (timeline) {
+            case 'current-month':
+                return monthSpan(year, month, 1, Precision.MONTH);
+            case 'next-month':
+                return monthSpan(year, month + 1, 1, Precision.MONTH);
+            case 'this-quarter':
+                return monthSpan(year, quarterStart, 3, Precision.QUARTER);
+            case 'next-quarter':
+                return monthSpan(year, quarterStart + 3, 3, Precision.QUARTER);
+            case 'this-year':
+                return monthSpan(year, 0, 12, Precision.YEAR);
+            case 'next-year':
+                return monthSpan(year + 1, 0, 12, Precision.YEAR);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * True when a raw roadmap date may land inside the relative timeline.
+     * Coarse periods match any range they overlap ("H1 CY2026" matches "this-quarter" in May 2026).
+     */
+    function matchesTimelineRange(value, timeline, now) {
+        const range = getTimelineRange(timeline, now);
+        if (!range) return true;
+        return periodsOverlap(parseRoadmapDate(value), range);
+    }
+
+    /**
+     * Calendar quarter bucket ("2026 Q1") for statistics. Periods coarser than a
+     * quarter or unparseable values return null rather than guessing a bucket.
+     */
+    function getQuarterKey(value) {
+        const period = parseRoadmapDate(value);
+        if (!period) return null;
+        if (period.precision === Precision.HALF || period.precision === Precision.YEAR) return null;
+        const quarter = Math.floor(period.start.getUTCMonth() / 3) + 1;
+        return `${period.start.getUTCFullYear()} Q${quarter}`;
+    }
+
+    return {
+        Precision,
+        parseRoadmapDate,
+        formatPeriod,
+        formatRoadmapDate,
+        compareRoadmapDates,
+        periodsOverlap,
+        getTimelineRange,
+        matchesTimelineRange,
+        getQuarterKey
+    };
+});
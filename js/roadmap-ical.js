@@ -0,0 +1,181 @@
+/**
+ * iCalendar (RFC 5545) export of roadmap availability periods, shared by the
+ * dashboard (browser global `RoadmapIcal`) and scripts/update-data.js.
+ *
+ * Each item becomes an all-day event spanning its availability period
+ * ("March CY2026" -> Mar 1 to Mar 31, "Q2 CY2026" -> Apr 1 to Jun 30). The UID
+ * depends only on the roadmap id and SEQUENCE counts the availability date
+ * changes in the change history, so when Microsoft moves a date calendar
+ * clients update the event in place instead of duplicating or ignoring it.
+ */
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./roadmap-date.js'), require('./roadmap-item.js'));
+    } else {
+        root.RoadmapIcal = factory(root.RoadmapDate, root.RoadmapItem);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RoadmapDate, RoadmapItem) {
+    const PRODUCT_ID = '-//m365-roadmap-dashboard//Roadmap Calendar//EN';
+    const UID_DOMAIN = 'm365-roadmap-dashboard';
+
+    /** Escape TEXT values: backslash, semicolon, comma and newlines. */
+    function escapeText(value) {
+        return String(value == null ? '' : value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r\n|\r|\n/g, '\\n');
+    }
+
+    function utf8Length(char) {
+        const cp = char.codePointAt(0);
+        if (cp < 0x80) return 1;
+        if (cp < 0x800) return 2;
+        if (cp < 0x10000) return 3;
+        return 4;
+    }
+
+    /** Fold a content line at 75 octets without splitting multi-byte characters. */
+    function foldLine(line) {
+        const parts = [];
+        let current = '';
+        let octets = 0;
+        for (const char of line) {
+            const size = utf8Length(char);
+            // Continuation lines start with a space, which counts toward their 75 octets.
+            const limit = parts.length === 0 ? 75 : 74;
+            if (octets + size > limit) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    function pad(n) {
+        return String(n).padStart(2, '0');
+    }
+
+    /** DATE value (YYYYMMDD) from a UTC Date. */
+    function formatDate(date) {
+        return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+    }
+
+    /** UTC DATE-TIME value (YYYYMMDDTHHMMSSZ). */
+    function formatDateTime(date) {
+        return `${formatDate(date)}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+    }
+
+    /**
+     * SEQUENCE per item id (Map of string id -> count) from change history
+     * entries ({ id, changes: [{ field }] }, in any order): the number of changes
+     * to the availability date. The history only grows, so the count does too,
+     * as RFC 5545 requires whenever DTSTART or DTEND move.
+     */
+    function dateChangeSequences(entries) {
+        const sequences = new Map();
+        (Array.isArray(entries) ? entries : []).forEach(entry => {
+            if (!entry || entry.id == null || !Array.isArray(entry.changes)) return;
+            if (!entry.changes.some(change => change && change.field === 'publicDisclosureAvailabilityDate')) return;
+            const key = String(entry.id);
+            sequences.set(key, (sequences.get(key) || 0) + 1);
+        });
+        return sequences;
+    }
+
+    /** Stable event UID for a roadmap item. */
+    function eventUid(id) {
+        return `roadmap-${String(id).replace(/[^A-Za-z0-9_:-]/g, '')}@${UID_DOMAIN}`;
+    }
+
+    /**
+     * VEVENT lines for one item, or null when it has no parseable availability date.
+     * DTEND is exclusive, so a March period ends on April 1. `sequence` is the
+     * item's SEQUENCE (see dateChangeSequences), 0 when omitted.
+     */
+    function buildEvent(item, dtstamp, sequence) {
+        if (!item || item.id == null) return null;
+        const period = RoadmapDate.parseRoadmapDate(item.publicDisclosureAvailabilityDate);
+        if (!period) return null;
+
+        const endExclusive = new Date(period.end.getTime() + 1);
+        const products = RoadmapItem.tagNames(item.tagsContainer && item.tagsContainer.products);
+        const link = RoadmapItem.itemLink(item);
+        const header = [
+            `Status: ${item.status || 'Unknown'}`,
+            `Availability: ${period.label} (${item.publicDisclosureAvailabilityDate})`
+        ];
+        if (products.length) header.push(`Products: ${products.join(', ')}`);
+        const description = [header.join('\n'), item.description || '', link].filter(Boolean).join('\n\n');
+
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${eventUid(item.id)}`,
+            `DTSTAMP:${formatDateTime(dtstamp)}`,
+            `SEQUENCE:${Number.isInteger(sequence) && sequence > 0 ? sequence : 0}`,
+            `DTSTART;VALUE=DATE:${formatDate(period.start)}`,
+            `DTEND;VALUE=DATE:${formatDate(endExclusive)}`,
+            `SUMMARY:${escapeText(item.title || `Roadmap item ${item.id}`)}`,
+            `DESCRIPTION:${escapeText(description)}`,
+            'TRANSP:TRANSPARENT'
+        ];
+        if (link) lines.push(`URL:${link}`);
+        if (products.length) {
+            lines.push(`CATEGORIES:${products.map(escapeText).join(',')}`);
+        }
+        // The API reports `modified` in UTC without a zone designator.
+        const rawModified = item.modified ? String(item.modified) : '';
+        const modified = rawModified
+            ? new Date(/(z|[+-]\d{2}:?\d{2})$/i.test(rawModified) ? rawModified : `${rawModified}Z`)
+            : null;
+        if (modified && !Number.isNaN(modified.getTime())) {
+            lines.push(`LAST-MODIFIED:${formatDateTime(modified)}`);
+        }
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * Full VCALENDAR document (CRLF line endings) for the given items.
+     * Options: { name: calendar display name, now: Date used for DTSTAMP,
+     * sequences: dateChangeSequences of the change history }.
+     * Items without a parseable date are skipped.
+     */
+    function buildCalendar(items, options) {
+        const opts = options || {};
+        const dtstamp = opts.now instanceof Date ? opts.now : new Date();
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeText(opts.name || 'Microsoft 365 Roadmap')}`
+        ];
+        let count = 0;
+        (Array.isArray(items) ? items : []).forEach(item => {
+            const event = buildEvent(item, dtstamp, opts.sequences instanceof Map ? opts.sequences.get(String(item && item.id)) : 0);
+            if (!event) return;
+            lines.push(...event);
+            count++;
+        });
+        lines.push('END:VCALENDAR');
+        return {
+            content: lines.map(foldLine).join('\r\n') + '\r\n',
+            eventCount: count
+        };
+    }
+
+    return {
+        escapeText,
+        foldLine,
+        eventUid,
+        dateChangeSequences,
+        buildEvent,
+        buildCalendar
+    };
+});
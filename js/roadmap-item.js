@@ -0,0 +1,39 @@
+/**
+ * Roadmap item helpers shared by the dashboard (browser global `RoadmapItem`),
+ * the other js/ modules and the Node scripts (`require('../js/roadmap-item.js')`).
+ *
+ * Items carry a `source` name (see scripts/sources.js); items without one come
+ * from the Microsoft 365 roadmap API, whose source is DEFAULT_SOURCE_NAME.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        root.RoadmapItem = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /** Source name of the Microsoft 365 roadmap API and of items without a `source`. */
+    const DEFAULT_SOURCE_NAME = 'm365';
+    const ROADMAP_ITEM_URL = 'https://www.microsoft.com/microsoft-365/roadmap?id=';
+
+    /** Trimmed, non-empty tag names of a tagsContainer list such as `products`; [] for anything else. */
+    function tagNames(list) {
+        return Array.isArray(list)
+            ? list.map(t => (t && t.tagName != null ? String(t.tagName).trim() : '')).filter(Boolean)
+            : [];
+    }
+
+    /** Roadmap page for M365 items; items from other sources link to their moreInfoLink, if any. */
+    function itemLink(item) {
+        if (item.source && item.source !== DEFAULT_SOURCE_NAME) return item.moreInfoLink || '';
+        return `${ROADMAP_ITEM_URL}${encodeURIComponent(String(item.id))}`;
+    }
+
+    return {
+        DEFAULT_SOURCE_NAME,
+        ROADMAP_ITEM_URL,
+        tagNames,
+        itemLink
+    };
+});
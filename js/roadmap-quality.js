@@ -0,0 +1,101 @@
+/**
+ * Data-quality checks for roadmap items, shared by the dashboard (browser
+ * global `RoadmapQuality`) and scripts/update-data.js (data/quality-report.json).
+ *
+ * Each check flags items that filters can silently mishandle: an item without
+ * a product tag never matches a service filter, and one without a parseable
+ * date never matches a timeline filter.
+ */
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./roadmap-date.js'), require('./roadmap-item.js'));
+    } else {
+        root.RoadmapQuality = factory(root.RoadmapDate, root.RoadmapItem);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RoadmapDate, RoadmapItem) {
+    /** Issue categories in report order. */
+    const CATEGORIES = Object.freeze([
+        { key: 'missingProducts', label: 'No product tag' },
+        { key: 'missingDate', label: 'No availability date' },
+        { key: 'unparseableDate', label: 'Unparseable availability date' },
+        { key: 'emptyDescription', label: 'Empty description' },
+        { key: 'tagMismatch', label: 'Tags missing from tagsContainer' }
+    ]);
+
+    /** Share of affected items (0-1) at or above which the level is "warning" / "poor". */
+    const LEVELS = Object.freeze({ warning: 0.05, poor: 0.2 });
+
+    /** Category keys of the issues found on one item; empty when it looks fine. */
+    function itemIssues(item) {
+        const issues = [];
+        if (!item || typeof item !== 'object') return issues;
+        const container = item.tagsContainer && typeof item.tagsContainer === 'object' ? item.tagsContainer : {};
+
+        if (RoadmapItem.tagNames(container.products).length === 0) {
+            issues.push('missingProducts');
+        }
+        const date = item.publicDisclosureAvailabilityDate == null ? '' : String(item.publicDisclosureAvailabilityDate).trim();
+        if (!date) {
+            issues.push('missingDate');
+        } else if (!RoadmapDate.parseRoadmapDate(date)) {
+            issues.push('unparseableDate');
+        }
+        if (!String(item.description == null ? '' : item.description).replace(/<[^>]*>/g, '').trim()) {
+            issues.push('emptyDescription');
+        }
+        const categorized = new Set(Object.values(container).flatMap(list => RoadmapItem.tagNames(list)));
+        if (RoadmapItem.tagNames(item.tags).some(name => !categorized.has(name))) {
+            issues.push('tagMismatch');
+        }
+        return issues;
+    }
+
+    function levelFor(share) {
+        if (share >= LEVELS.poor) return 'poor';
+        if (share >= LEVELS.warning) return 'warning';
+        return 'good';
+    }
+
+    /**
+     * Quality summary for a list of items:
+     * { generatedAt, totalItems, affectedItems, affectedPct, level,
+     *   categories: { key: { label, count, ids } } }.
+     * Options: { now: Date used for generatedAt }.
+     */
+    function analyzeQuality(items, options) {
+        const opts = options || {};
+        const list = Array.isArray(items) ? items : [];
+        const categories = {};
+        CATEGORIES.forEach(category => {
+            categories[category.key] = { label: category.label, count: 0, ids: [] };
+        });
+
+        let affected = 0;
+        list.forEach(item => {
+            const issues = itemIssues(item);
+            if (issues.length === 0) return;
+            affected++;
+            issues.forEach(key => {
+                categories[key].count++;
+                categories[key].ids.push(item.id);
+            });
+        });
+
+        const share = list.length ? affected / list.length : 0;
+        return {
+            generatedAt: (opts.now instanceof Date ? opts.now : new Date()).toISOString(),
+            totalItems: list.length,
+            affectedItems: affected,
+            affectedPct: Math.round(share * 1000) / 10,
+            level: levelFor(share),
+            categories
+        };
+    }
+
+    return {
+        CATEGORIES,
+        LEVELS,
+        itemIssues,
+        analyzeQuality
+    };
+});
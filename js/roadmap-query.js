@@ -0,0 +1,342 @@
+/**
+ * Search-box query language for the dashboard (browser global `RoadmapQuery`).
+ *
+ *   product:Teams status:"rolling out" platform:web -preview available:>2026-Q2 id:557256
+ *
+ * Words and "quoted phrases" match title or description; `field:value` terms
+ * match one field; a leading `-` negates a term; terms are ANDed and `OR`
+ * (upper case) separates alternatives, e.g. `product:Word OR product:Excel`.
+ * Values ignore case and match within names ("teams" matches "Microsoft
+ * Teams"), except id, change and source, which must match exactly.
+ * `available:` takes a roadmap period (2026-Q2, Q2 2026, 2026-05, H2 2026,
+ * 2026) with an optional comparison: `>` after it, `>=` from its start, `<`
+ * before it, `<=` by its end; without one the periods overlap.
+ *
+ * Plain words can be scored by a caller-supplied `matchText` (the dashboard
+ * uses js/roadmap-search.js for typo-tolerant, ranked matching); phrases and
+ * negated words always match as typed.
+ *
+ * Mistakes never blank the results: the offending term is reported in
+ * `errors` ({ message, start, end } offsets into the query) and skipped, or
+ * searched as plain text when its field is unknown. `word:` is only read as a
+ * field when the word is a field name or a value other than `//` follows, so
+ * URLs and "Note: ..." are plain text without a hint.
+ */
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./roadmap-date.js'), require('./roadmap-item.js'));
+    } else {
+        root.RoadmapQuery = factory(root.RoadmapDate, root.RoadmapItem);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RoadmapDate, RoadmapItem) {
+    /** Query fields in suggestion order: { name: { aliases, hint } }. */
+    const FIELDS = Object.freeze({
+        product: { aliases: ['service'], hint: 'product tag' },
+        status: { aliases: [], hint: 'roadmap status' },
+        platform: { aliases: [], hint: 'platform tag' },
+        available: { aliases: ['date'], hint: 'availability, e.g. >2026-Q2' },
+        id: { aliases: [], hint: 'roadmap id' },
+        title: { aliases: [], hint: 'title text' },
+        tag: { aliases: [], hint: 'any tag' },
+        change: { aliases: [], hint: 'new, changed or removed' },
+        source: { aliases: [], hint: 'data source' }
+    });
+
+    const COMPARISONS = ['>=', '<=', '>', '<', '='];
+    const FIELD_RE = /^([A-Za-z]+):/;
+
+    function lower(value) {
+        return value == null ? '' : String(value).toLowerCase();
+    }
+
+    function fieldName(name) {
+        const key = lower(name);
+        if (FIELDS[key]) return key;
+        return Object.keys(FIELDS).find(field => FIELDS[field].aliases.includes(key)) || null;
+    }
+
+    /** Whether `name:` followed by `rest` starts a field term rather than plain text. */
+    function isFieldPrefix(name, rest) {
+        if (fieldName(name)) return true;
+        return rest !== '' && !/^\s/.test(rest) && !rest.startsWith('//');
+    }
+
+    function tagNames(item, groups) {
+        const container = item.tagsContainer && typeof item.tagsContainer === 'object' ? item.tagsContainer : {};
+        const lists = groups ? groups.map(group => container[group]) : Object.values(container);
+        return lists.flatMap(list => RoadmapItem.tagNames(list)).map(lower);
+    }
+
+    /**
+     * Raw tokens with offsets: { negate, field, op, value, quoted, closed, start, end }.
+     * `field` is the name as typed; `closed` is false for a quote left open.
+     */
+    function tokenize(text) {
+        const source = String(text == null ? '' : text);
+        const tokens = [];
+        let i = 0;
+        while (i < source.length) {
+            if (/\s/.test(source[i])) {
+                i += 1;
+                continue;
+            }
+            const token = { negate: false, field: null, op: '', value: '', quoted: false, closed: true, start: i, end: i };
+            if (source[i] === '-' && i + 1 < source.length && !/\s/.test(source[i + 1])) {
+                token.negate = true;
+                i += 1;
+            }
+            const field = FIELD_RE.exec(source.slice(i));
+            if (field && isFieldPrefix(field[1], source.slice(i + field[0].length))) {
+                token.field = field[1];
+                i += field[0].length;
+                const op = COMPARISONS.find(candidate => source.startsWith(candidate, i));
+                if (op) {
+                    token.op = op;
+                    i += op.length;
+                }
+            }
+            if (source[i] === '"') {
+                const close = source.indexOf('"', i + 1);
+                token.quoted = true;
+                token.closed = close !== -1;
+                token.value = source.slice(i + 1, token.closed ? close : source.length);
+                i = token.closed ? close + 1 : source.length;
+            } else {
+                const rest = source.slice(i);
+                const length = rest.search(/\s/);
+                token.value = length === -1 ? rest : rest.slice(0, length);
+                i += token.value.length;
+            }
+            token.end = i;
+            tokens.push(token);
+        }
+        return tokens;
+    }
+
+    function isOr(token) {
+        return !token.negate && !token.field && !token.quoted && token.value === 'OR';
+    }
+
+    /** Checks one token and turns it into a term, or null (with an error recorded) when it cannot be used. */
+    function toTerm(token, errors) {
+        const at = { start: token.start, end: token.end };
+        if (!token.closed) {
+            errors.push({ message: 'Missing closing quote', ...at });
+        }
+        const term = { negate: token.negate, field: 'text', op: '', value: token.value, phrase: token.quoted, period: null };
+        if (token.field) {
+            const field = fieldName(token.field);
+            if (!field) {
+                errors.push({ message: `Unknown field "${token.field}:" (use ${Object.keys(FIELDS).join(', ')}); searching it as text`, ...at });
+                term.value = `${token.field}:${token.op}${token.value}`;
+                return term.value ? term : null;
+            }
+            term.field = field;
+            term.op = token.op;
+        }
+        if (!term.value.trim()) {
+            if (token.field) errors.push({ message: `"${token.field}:" needs a value`, ...at });
+            else if (token.quoted) errors.push({ message: 'Empty phrase', ...at });
+            return null;
+        }
+        if (term.op && term.field !== 'available') {
+            errors.push({ message: `Comparisons (${COMPARISONS.join(' ')}) only work with available:`, ...at });
+            return null;
+        }
+        if (term.field === 'available') {
+            term.period = RoadmapDate.parseRoadmapDate(term.value);
+            if (!term.period) {
+                errors.push({ message: `"${term.value}" is not a roadmap period such as 2026-Q2, Q2 2026, 2026-05 or 2026`, ...at });
+                return null;
+            }
+        }
+        term.value = lower(term.value);
+        return term;
+    }
+
+    /**
+     * Parsed query: { groups: [[term]], errors }. Groups are alternatives (OR);
+     * terms in a group must all match. Term: { negate, field, op, value, phrase, period }
+     * where field is "text" for free words and phrases.
+     */
+    function parseQuery(text) {
+        const errors = [];
+        const groups = [[]];
+        const tokens = tokenize(text);
+        tokens.forEach((token, index) => {
+            if (isOr(token)) {
+                const previous = tokens[index - 1];
+                const next = tokens[index + 1];
+                if (!previous || !next || isOr(previous) || isOr(next)) {
+                    errors.push({ message: 'OR needs a search term on each side', start: token.start, end: token.end });
+                } else {
+                    groups.push([]);
+                }
+                return;
+            }
+            const term = toTerm(token, errors);
+            if (term) groups[groups.length - 1].push(term);
+        });
+        return { groups: groups.filter(group => group.length > 0), errors };
+    }
+
+    function matchesPeriod(item, term) {
+        const period = RoadmapDate.parseRoadmapDate(item.publicDisclosureAvailabilityDate);
+        if (!period) return false;
+        switch (term.op) {
+            case '>': return period.start > term.period.end;
+            case '>=': return period.start >= term.period.start;
+            case '<': return period.end < term.period.start;
+            case '<=': return period.end <= term.period.end;
+            default: return RoadmapDate.periodsOverlap(period, term.period);
+        }
+    }
+
+    function termMatches(item, term) {
+        switch (term.field) {
+            case 'text':
+                return lower(item.title).includes(term.value) || lower(item.description).includes(term.value);
+            case 'title':
+                return lower(item.title).includes(term.value);
+            case 'product':
+                return tagNames(item, ['products']).some(name => name.includes(term.value));
+            case 'platform':
+                return tagNames(item, ['platforms']).some(name => name.includes(term.value));
+            case 'tag':
+                return tagNames(item).some(name => name.includes(term.value));
+            case 'status':
+                return lower(item.status).includes(term.value);
+            case 'id':
+                return lower(item.id) === term.value;
+            case 'change':
+                return lower(item._changeType) === term.value;
+            case 'source':
+                return (lower(item.source) || RoadmapItem.DEFAULT_SOURCE_NAME) === term.value;
+            case 'available':
+                return matchesPeriod(item, term);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Compiles a query into { predicate, score, errors, empty, highlights }.
+     * `predicate(item)` is true when any OR group has all its terms matching (an
+     * empty query matches everything), the shape the dashboard's filters expect.
+     * `score(item)` is -1 for items that do not match, otherwise the relevance of
+     * the best group: each matching term counts 1, except plain words when
+     * `options.matchText(word, item)` is given, which returns the word's own
+     * score (0 for no match) so an index can match fuzzily. Phrases and negated
+     * words always match as substrings. `highlights` lists the plain words and
+     * phrases worth marking in results: { words, phrases }.
+     */
+    function compileQuery(text, options) {
+        const matchText = options && typeof options.matchText === 'function' ? options.matchText : null;
+        const { groups, errors } = parseQuery(text);
+        const termScore = (item, term) => {
+            if (matchText && term.field === 'text' && !term.phrase && !term.negate) {
+                return Number(matchText(term.value, item)) || 0;
+            }
+            return termMatches(item, term) ? 1 : 0;
+        };
+        const groupScore = (item, group) => {
+            let total = 0;
+            for (const term of group) {
+                const value = termScore(item, term);
+                if ((value > 0) === term.negate) return -1;
+                if (!term.negate) total += value;
+            }
+            return total;
+        };
+        const score = item => {
+            if (!item || typeof item !== 'object') return -1;
+            if (groups.length === 0) return 0;
+            return Math.max(...groups.map(group => groupScore(item, group)));
+        };
+        const positiveText = groups.flat().filter(term => term.field === 'text' && !term.negate);
+        return {
+            predicate: item => score(item) >= 0,
+            score,
+            errors,
+            empty: groups.length === 0,
+            highlights: {
+                words: positiveText.filter(term => !term.phrase).map(term => term.value),
+                phrases: positiveText.filter(term => term.phrase).map(term => term.value)
+            }
+        };
+    }
+
+    /** Values offered for field completion, from loaded items: { product, platform, tag, status, change, source }. */
+    function buildVocabulary(items) {
+        const sets = { product: new Set(), platform: new Set(), tag: new Set(), status: new Set(), change: new Set(['new', 'changed', 'removed']), source: new Set() };
+        const add = (set, list) => (Array.isArray(list) ? list : []).forEach(tag => {
+            if (tag && typeof tag.tagName === 'string' && tag.tagName) set.add(tag.tagName);
+        });
+        (Array.isArray(items) ? items : []).forEach(item => {
+            if (!item || typeof item !== 'object') return;
+            const container = item.tagsContainer && typeof item.tagsContainer === 'object' ? item.tagsContainer : {};
+            add(sets.product, container.products);
+            add(sets.platform, container.platforms);
+            Object.values(container).forEach(list => add(sets.tag, list));
+            if (typeof item.status === 'string' && item.status) sets.status.add(item.status);
+            sets.source.add(typeof item.source === 'string' && item.source ? item.source : RoadmapItem.DEFAULT_SOURCE_NAME);
+        });
+        const vocabulary = {};
+        Object.entries(sets).forEach(([key, set]) => {
+            vocabulary[key] = [...set].sort((a, b) => a.localeCompare(b));
+        });
+        return vocabulary;
+    }
+
+    function quoteValue(value) {
+        return /\s/.test(value) ? `"${value}"` : value;
+    }
+
+    /**
+     * Completions for the word ending at `cursor`: { start, end, suggestions: [{ text, label, hint }] }
+     * where `text` replaces query.slice(start, end). Field names are offered for a bare
+     * word, values from `vocabulary` (see buildVocabulary) after "field:". Null when none apply.
+     */
+    function suggest(text, cursor, vocabulary, limit) {
+        const source = String(text == null ? '' : text);
+        const position = cursor == null ? source.length : cursor;
+        const max = limit || 8;
+        const token = tokenize(source).find(t => t.start < position && t.end === position);
+        if (!token || (token.quoted && token.closed) || isOr(token)) return null;
+        const start = token.start + (token.negate ? 1 : 0);
+
+        if (!token.field) {
+            const prefix = lower(token.value);
+            const suggestions = Object.keys(FIELDS)
+                .filter(name => name.startsWith(prefix) || FIELDS[name].aliases.some(alias => alias.startsWith(prefix)))
+                .map(name => ({ text: `${name}:`, label: `${name}:`, hint: FIELDS[name].hint }));
+            return suggestions.length > 0 ? { start, end: position, suggestions: suggestions.slice(0, max) } : null;
+        }
+
+        const field = fieldName(token.field);
+        const values = field && vocabulary && Array.isArray(vocabulary[field]) ? vocabulary[field] : [];
+        const typed = lower(token.value);
+        const ranked = values
+            .filter(value => lower(value).includes(typed) && lower(value) !== typed)
+            .sort((a, b) => Number(!lower(a).startsWith(typed)) - Number(!lower(b).startsWith(typed)));
+        if (ranked.length === 0) return null;
+        return {
+            start,
+            end: position,
+            suggestions: ranked.slice(0, max).map(value => ({
+                text: `${token.field}:${token.op}${quoteValue(value)} `,
+                label: value,
+                hint: FIELDS[field].hint
+            }))
+        };
+    }
+
+    return {
+        FIELDS,
+        tokenize,
+        parseQuery,
+        compileQuery,
+        buildVocabulary,
+        suggest
+    };
+});
@@ -0,0 +1,227 @@
+/**
+ * Client-side full-text index for the dashboard search (browser global
+ * `RoadmapSearch`), built once per data load from title, description, tag
+ * names and id.
+ *
+ * Text is split into lower-case words and plural endings are dropped
+ * ("meetings" and "meeting" index alike). A search word matches index terms
+ * exactly, as a prefix (from two letters) or, when the index lacks the word
+ * itself, within a small edit distance (one typo from four letters, two from
+ * eight), scored 1, 0.7 and 0.5. The score is multiplied by the weight of the
+ * best field the term appears in, so title and id hits outrank tag hits,
+ * which outrank description hits.
+ */
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RoadmapSearch = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /** Relevance weight per indexed field. */
+    const FIELD_WEIGHTS = Object.freeze({ title: 3, id: 3, tags: 2, description: 1 });
+
+    /** Match quality per kind of term match. */
+    const MATCH_SCORES = Object.freeze({ exact: 1, prefix: 0.7, typo: 0.5 });
+
+    const WORD_RE = /[\p{L}\p{N}]+/gu;
+
+    function escapeHtml(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /** Index form of a word: lower case without a plural ending. */
+    function normalizeWord(word) {
+        const w = String(word).toLowerCase();
+        if (w.length > 4 && w.endsWith('ies')) return `${w.slice(0, -3)}y`;
+        if (w.length > 4 && /(?:ss|x|ch|sh)es$/.test(w)) return w.slice(0, -2);
+        if (w.length > 3 && w.endsWith('s') && !/(?:ss|us|is)$/.test(w)) return w.slice(0, -1);
+        return w;
+    }
+
+    /** Normalized words of a text; markup in descriptions is ignored. */
+    function tokenizeText(text) {
+        const plain = String(text == null ? '' : text).replace(/<[^>]*>/g, ' ');
+        return (plain.match(WORD_RE) || []).map(normalizeWord);
+    }
+
+    function typoLimit(word) {
+        if (word.length >= 8) return 2;
+        return word.length >= 4 ? 1 : 0;
+    }
+
+    /** Edit distance with adjacent transpositions, or Infinity once it exceeds `limit`. */
+    function editDistance(a, b, limit) {
+        if (Math.abs(a.length - b.length) > limit) return Infinity;
+        let prevPrev = null;
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i += 1) {
+            const row = [i];
+            let best = i;
+            for (let j = 1; j <= b.length; j += 1) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+                if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, prevPrev[j - 2] + 1);
+                }
+                row.push(value);
+                best = Math.min(best, value);
+            }
+            if (best > limit) return Infinity;
+            prevPrev = prev;
+            prev = row;
+        }
+        return prev[b.length] <= limit ? prev[b.length] : Infinity;
+    }
+
+    /**
+     * Inverted index of items: { postings: Map(term -> Map(item key -> field weight)), terms, size }.
+     * Items are keyed by String(id); items without an id are skipped.
+     */
+    function buildSearchIndex(items) {
+        const postings = new Map();
+        let size = 0;
+        (Array.isArray(items) ? items : []).forEach(item => {
+            if (!item || typeof item !== 'object' || item.id == null) return;
+            const key = String(item.id);
+            const add = (text, weight) => tokenizeText(text).forEach(term => {
+                if (!postings.has(term)) postings.set(term, new Map());
+                const docs = postings.get(term);
+                docs.set(key, Math.max(docs.get(key) || 0, weight));
+            });
+            const container = item.tagsContainer && typeof item.tagsContainer === 'object' ? item.tagsContainer : {};
+            add(item.title, FIELD_WEIGHTS.title);
+            add(item.description, FIELD_WEIGHTS.description);
+            Object.values(container).forEach(list => {
+                (Array.isArray(list) ? list : []).forEach(tag => add(tag && tag.tagName, FIELD_WEIGHTS.tags));
+            });
+            add(key, FIELD_WEIGHTS.id);
+            size += 1;
+        });
+        return { postings, terms: [...postings.keys()], size };
+    }
+
+    /**
+     * Index terms a normalized search word matches, with their match quality.
+     * Typos are only considered for words the index does not contain.
+     */
+    function expandWord(index, word) {
+        const matches = new Map();
+        const limit = index.postings.has(word) ? 0 : typoLimit(word);
+        index.terms.forEach(term => {
+            if (term === word) {
+                matches.set(term, MATCH_SCORES.exact);
+            } else if (word.length >= 2 && term.startsWith(word)) {
+                matches.set(term, MATCH_SCORES.prefix);
+            } else if (limit > 0 && editDistance(word, term, limit) <= limit) {
+                matches.set(term, MATCH_SCORES.typo);
+            }
+        });
+        return matches;
+    }
+
+    /**
+     * Scores search words against an index. `score(word, item)` is the item's
+     * relevance for a word (0 when it does not match; a word that splits into
+     * several index words needs all of them, and one without letters or digits
+     * is looked up in title and description as typed), the matchText hook of
+     * RoadmapQuery.compileQuery. `terms(words)` is the set of index terms those
+     * words matched, for highlightHtml. Expansions are cached per word.
+     */
+    function createTextMatcher(index) {
+        const cache = new Map();
+        const lookup = word => {
+            if (!cache.has(word)) {
+                const parts = tokenizeText(word).map(part => {
+                    const matches = expandWord(index, part);
+                    const scores = new Map();
+                    matches.forEach((quality, term) => {
+                        index.postings.get(term).forEach((weight, key) => {
+                            scores.set(key, Math.max(scores.get(key) || 0, quality * weight));
+                        });
+                    });
+                    return { matches, scores };
+                });
+                cache.set(word, parts);
+            }
+            return cache.get(word);
+        };
+        return {
+            score(word, item) {
+                if (!item || item.id == null) return 0;
+                const key = String(item.id);
+                const parts = lookup(word);
+                if (parts.length === 0) {
+                    const text = `${item.title || ''}\n${item.description || ''}`.toLowerCase();
+                    return text.includes(String(word).toLowerCase()) ? 1 : 0;
+                }
+                let total = 0;
+                for (const part of parts) {
+                    const value = part.scores.get(key) || 0;
+                    if (value === 0) return 0;
+                    total += value;
+                }
+                return total;
+            },
+            terms(words) {
+                const found = new Set();
+                (Array.isArray(words) ? words : []).forEach(word => {
+                    lookup(word).forEach(part => part.matches.forEach((_, term) => found.add(term)));
+                });
+                return found;
+            }
+        };
+    }
+
+    /**
+     * Escaped HTML of `text` with <mark> around words whose index form is in
+     * `terms` (a Set) and around case-insensitive occurrences of `phrases`.
+     */
+    function highlightHtml(text, terms, phrases) {
+        const source = String(text == null ? '' : text);
+        const ranges = [];
+        if (terms && terms.size > 0) {
+            for (const match of source.matchAll(WORD_RE)) {
+                if (terms.has(normalizeWord(match[0]))) ranges.push([match.index, match.index + match[0].length]);
+            }
+        }
+        const lowerSource = source.toLowerCase();
+        (Array.isArray(phrases) ? phrases : []).forEach(phrase => {
+            const needle = String(phrase).toLowerCase();
+            if (!needle) return;
+            for (let at = lowerSource.indexOf(needle); at !== -1; at = lowerSource.indexOf(needle, at + needle.length)) {
+                ranges.push([at, at + needle.length]);
+            }
+        });
+        if (ranges.length === 0) return escapeHtml(source);
+
+        ranges.sort((a, b) => a[0] - b[0]);
+        const merged = [];
+        ranges.forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+            else merged.push([start, end]);
+        });
+        let html = '';
+        let pos = 0;
+        merged.forEach(([start, end]) => {
+            html += `${escapeHtml(source.slice(pos, start))}<mark>${escapeHtml(source.slice(start, end))}</mark>`;
+            pos = end;
+        });
+        return html + escapeHtml(source.slice(pos));
+    }
+
+    return {
+        FIELD_WEIGHTS,
+        MATCH_SCORES,
+        normalizeWord,
+        tokenizeText,
+        editDistance,
+        buildSearchIndex,
+        createTextMatcher,
+        highlightHtml
+    };
+});
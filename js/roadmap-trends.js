@@ -0,0 +1,215 @@
+/**
+ * Statistics time series, shared by scripts/update-data.js (which appends one
+ * entry per run to data/history/statistics.jsonl) and the dashboard's Trends
+ * panel (browser global `RoadmapTrends`).
+ *
+ * Runs are bucketed into ISO weeks: counts come from the last run of each
+ * week, status moves ("In development → Rolling out") are summed over the week.
+ * Charts are rendered as inline SVG strings so no charting library (or inline
+ * script) is needed under the dashboard's CSP.
+ */
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RoadmapTrends = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /** The roadmap's normal lifecycle; these statuses lead the status chart. */
+    const STATUS_FLOW = Object.freeze(['In development', 'Rolling out', 'Launched']);
+
+    /** Status moves shown in the lifecycle chart, in lifecycle order. */
+    const FLOW_MOVES = Object.freeze([
+        `${STATUS_FLOW[0]} → ${STATUS_FLOW[1]}`,
+        `${STATUS_FLOW[1]} → ${STATUS_FLOW[2]}`
+    ]);
+
+    function escapeXml(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /** Status changes in history entries counted per "previous → current" pair. */
+    function statusTransitions(historyEntries) {
+        const moves = {};
+        (Array.isArray(historyEntries) ? historyEntries : []).forEach(entry => {
+            if (!entry || entry.changeType !== 'changed' || !Array.isArray(entry.changes)) return;
+            entry.changes.forEach(change => {
+                if (!change || change.field !== 'status') return;
+                const key = `${change.previous || 'Unknown'} → ${change.current || 'Unknown'}`;
+                moves[key] = (moves[key] || 0) + 1;
+            });
+        });
+        return moves;
+    }
+
+    /**
+     * One time-series entry: { timestamp, totalItems, byStatus, byProduct,
+     * byPlatform, transitions } from calculateStatistics output and the run's history entries.
+     */
+    function statisticsEntry(timestamp, statistics, historyEntries) {
+        const stats = statistics || {};
+        return {
+            timestamp,
+            totalItems: stats.totalItems || 0,
+            byStatus: stats.byStatus || {},
+            byProduct: stats.byProduct || {},
+            byPlatform: stats.byPlatform || {},
+            transitions: statusTransitions(historyEntries)
+        };
+    }
+
+    /** Entries of a statistics.jsonl file in timestamp order; malformed lines are skipped. */
+    function parseStatisticsLines(text) {
+        const entries = [];
+        String(text || '').split('\n').forEach(line => {
+            if (!line.trim()) return;
+            try {
+                const entry = JSON.parse(line);
+                if (entry && typeof entry.timestamp === 'string' && !Number.isNaN(Date.parse(entry.timestamp))) {
+                    entries.push(entry);
+                }
+            } catch (_) {
+                // Partially written or hand-edited lines are not worth failing the panel over.
+            }
+        });
+        return entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /** ISO 8601 week label ("2026-W09") of a date, in UTC. */
+    function isoWeek(value) {
+        const date = new Date(value);
+        const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        const weekday = day.getUTCDay() || 7;
+        day.setUTCDate(day.getUTCDate() + 4 - weekday);
+        const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+        const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+        return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+    }
+
+    function seriesFor(names, weeks, read) {
+        return names.map(name => ({ name, values: weeks.map(week => read(week, name)) }));
+    }
+
+    /**
+     * Weekly series from time-series entries:
+     * { weeks, totals, statuses: [{ name, values }], products: [{ name, values }], flow: [{ name, values }] }.
+     * Options: { productLimit: top products by latest count (default 6), include: product names always shown }.
+     */
+    function weeklyTrends(entries, options) {
+        const opts = options || {};
+        const limit = opts.productLimit == null ? 6 : opts.productLimit;
+        const buckets = new Map();
+        (Array.isArray(entries) ? entries : []).forEach(entry => {
+            const week = isoWeek(entry.timestamp);
+            if (!buckets.has(week)) buckets.set(week, { last: null, transitions: {} });
+            const bucket = buckets.get(week);
+            if (!bucket.last || entry.timestamp >= bucket.last.timestamp) bucket.last = entry;
+            Object.entries(entry.transitions || {}).forEach(([key, count]) => {
+                bucket.transitions[key] = (bucket.transitions[key] || 0) + (Number(count) || 0);
+            });
+        });
+        const weeks = [...buckets.keys()].sort();
+        const latest = weeks.length ? buckets.get(weeks[weeks.length - 1]).last : null;
+        const count = (map, name) => Number(map && map[name]) || 0;
+
+        const statusNames = new Set();
+        weeks.forEach(week => Object.keys(buckets.get(week).last.byStatus || {}).forEach(name => statusNames.add(name)));
+        const statuses = [
+            ...STATUS_FLOW.filter(name => statusNames.has(name)),
+            ...[...statusNames].filter(name => !STATUS_FLOW.includes(name))
+                .sort((a, b) => count(latest.byStatus, b) - count(latest.byStatus, a) || a.localeCompare(b))
+        ];
+
+        const include = (opts.include || []).filter(Boolean);
+        const topProducts = Object.keys((latest && latest.byProduct) || {})
+            .sort((a, b) => count(latest.byProduct, b) - count(latest.byProduct, a) || a.localeCompare(b))
+            .filter(name => !include.includes(name))
+            .slice(0, Math.max(0, limit - include.length));
+        const products = [...include, ...topProducts];
+
+        return {
+            weeks,
+            totals: weeks.map(week => Number(buckets.get(week).last.totalItems) || 0),
+            statuses: seriesFor(statuses, weeks, (week, name) => count(buckets.get(week).last.byStatus, name)),
+            products: seriesFor(products, weeks, (week, name) => count(buckets.get(week).last.byProduct, name)),
+            flow: seriesFor(FLOW_MOVES, weeks, (week, name) => count(buckets.get(week).transitions, name))
+        };
+    }
+
+    /**
+     * SVG chart of `series` ([{ name, values }]) over `labels`. `kind` is "line"
+     * (counts over time) or "bar" (grouped bars, e.g. moves per week). Series use
+     * the CSS classes trend-series-0..5 for color; the legend sits below the plot.
+     */
+    function renderChart(labels, series, options) {
+        const opts = options || {};
+        const kind = opts.kind === 'bar' ? 'bar' : 'line';
+        const width = opts.width || 640;
+        const height = opts.height || 220;
+        const pad = { top: 12, right: 12, bottom: 28, left: 44 };
+        const legendRows = Math.ceil(series.length / 3);
+        const plotW = width - pad.left - pad.right;
+        const plotH = height - pad.top - pad.bottom;
+        const fullH = height + legendRows * 18 + 6;
+        const max = Math.max(1, ...series.flatMap(s => s.values));
+        const slot = plotW / Math.max(1, labels.length);
+        const xAt = i => pad.left + slot * i + slot / 2;
+        const yAt = v => pad.top + plotH - (v / max) * plotH;
+        const parts = [
+            `<svg class="trend-chart" viewBox="0 0 ${width} ${fullH}" role="img" aria-label="${escapeXml(opts.title || 'Trend chart')}">`,
+            `<title>${escapeXml(opts.title || 'Trend chart')}</title>`
+        ];
+
+        [0, 0.5, 1].forEach(f => {
+            const y = yAt(max * f);
+            parts.push(`<line class="trend-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y}" y2="${y}"/>`);
+            parts.push(`<text class="trend-axis" x="${pad.left - 6}" y="${y + 4}" text-anchor="end">${Math.round(max * f)}</text>`);
+        });
+        const step = Math.max(1, Math.ceil(labels.length / 8));
+        labels.forEach((label, i) => {
+            if (i % step !== 0 && i !== labels.length - 1) return;
+            parts.push(`<text class="trend-axis" x="${xAt(i)}" y="${height - 8}" text-anchor="middle">${escapeXml(label)}</text>`);
+        });
+
+        series.forEach((s, index) => {
+            const cls = `trend-series-${index % 6}`;
+            if (kind === 'bar') {
+                const barW = Math.max(2, (slot * 0.7) / series.length);
+                s.values.forEach((v, i) => {
+                    const x = xAt(i) - (barW * series.length) / 2 + barW * index;
+                    parts.push(`<rect class="${cls}" x="${x}" y="${yAt(v)}" width="${barW}" height="${pad.top + plotH - yAt(v)}"><title>${escapeXml(`${s.name}, ${labels[i]}: ${v}`)}</title></rect>`);
+                });
+                return;
+            }
+            const points = s.values.map((v, i) => `${xAt(i)},${yAt(v)}`).join(' ');
+            if (s.values.length > 1) parts.push(`<polyline class="${cls}" fill="none" points="${points}"/>`);
+            s.values.forEach((v, i) => {
+                parts.push(`<circle class="${cls}" cx="${xAt(i)}" cy="${yAt(v)}" r="3"><title>${escapeXml(`${s.name}, ${labels[i]}: ${v}`)}</title></circle>`);
+            });
+        });
+
+        series.forEach((s, index) => {
+            const x = pad.left + (index % 3) * (plotW / 3);
+            const y = height + 6 + Math.floor(index / 3) * 18;
+            parts.push(`<rect class="trend-series-${index % 6}" x="${x}" y="${y}" width="10" height="10"/>`);
+            parts.push(`<text class="trend-legend" x="${x + 14}" y="${y + 9}">${escapeXml(s.name)}</text>`);
+        });
+        parts.push('</svg>');
+        return parts.join('');
+    }
+
+    return {
+        STATUS_FLOW,
+        FLOW_MOVES,
+        statusTransitions,
+        statisticsEntry,
+        parseStatisticsLines,
+        isoWeek,
+        weeklyTrends,
+        renderChart
+    };
+});
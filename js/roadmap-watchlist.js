@@ -0,0 +1,132 @@
+/**
+ * Team watchlist rules, shared by the dashboard (browser global
+ * `RoadmapWatchlist`) and scripts/update-data.js (data/watchlists/).
+ *
+ * A rules file (watchlists.json) lists one rule per team:
+ *   { "watchlists": [
+ *       { "name": "exchange-admins", "label": "Exchange admins",
+ *         "filters": { "service": ["Exchange", "Outlook"], "status": "Rolling out" },
+ *         "keywords": ["mailbox", "transport rule"] }
+ *   ] }
+ * `filters` takes the dashboard filter fields (search, service, status,
+ * platform, timeline, change, source), each a value or a list of accepted
+ * values; `keywords` match title, description or tag names. An item matches
+ * when every filter accepts it and, if keywords are given, any keyword is
+ * found. Comparisons ignore case.
+ */
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./roadmap-date.js'), require('./roadmap-item.js'));
+    } else {
+        root.RoadmapWatchlist = factory(root.RoadmapDate, root.RoadmapItem);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RoadmapDate, RoadmapItem) {
+    /** Filter fields a rule may use; the same keys as the dashboard's filters. */
+    const FILTER_FIELDS = Object.freeze(['search', 'service', 'status', 'platform', 'timeline', 'change', 'source']);
+
+    const NAME_RE = /^[a-z0-9][a-z0-9-]*$/;
+
+    function lower(value) {
+        return value == null ? '' : String(value).trim().toLowerCase();
+    }
+
+    function tagNames(list) {
+        return RoadmapItem.tagNames(list).map(lower);
+    }
+
+    function valueList(value, label) {
+        const list = Array.isArray(value) ? value : [value];
+        if (list.length === 0 || list.some(v => typeof v !== 'string' || !v.trim())) {
+            throw new Error(`${label} must be a non-empty string or list of strings`);
+        }
+        return list.map(lower);
+    }
+
+    /**
+     * Validated rules from a parsed rules file (a list or { watchlists: [...] }):
+     * [{ name, label, filters: { field: [lowercased values] }, keywords: [lowercased] }].
+     * Throws on unknown fields, bad names or duplicates.
+     */
+    function normalizeWatchlists(config) {
+        const list = Array.isArray(config) ? config : (config && Array.isArray(config.watchlists) ? config.watchlists : null);
+        if (!list) {
+            throw new Error('Watchlists file must be a list or { "watchlists": [...] }');
+        }
+        const names = new Set();
+        return list.map((entry, i) => {
+            if (!entry || typeof entry !== 'object') {
+                throw new Error(`Watchlist at index ${i} must be an object`);
+            }
+            const name = entry.name || '';
+            if (!NAME_RE.test(name)) {
+                throw new Error(`Watchlist at index ${i} needs a lowercase name (letters, digits, dashes)`);
+            }
+            if (names.has(name)) {
+                throw new Error(`Duplicate watchlist name "${name}"`);
+            }
+            names.add(name);
+
+            const filters = {};
+            Object.entries(entry.filters || {}).forEach(([field, value]) => {
+                if (!FILTER_FIELDS.includes(field)) {
+                    throw new Error(`Watchlist "${name}" has unknown filter "${field}" (use ${FILTER_FIELDS.join(', ')})`);
+                }
+                filters[field] = valueList(value, `Watchlist "${name}" filter ${field}`);
+            });
+            const noKeywords = entry.keywords == null || (Array.isArray(entry.keywords) && entry.keywords.length === 0);
+            const keywords = noKeywords ? [] : valueList(entry.keywords, `Watchlist "${name}" keywords`);
+            if (Object.keys(filters).length === 0 && keywords.length === 0) {
+                throw new Error(`Watchlist "${name}" needs at least one filter or keyword`);
+            }
+            return { name, label: String(entry.label || name), filters, keywords };
+        });
+    }
+
+    function fieldMatches(item, field, accepted, now) {
+        const container = item.tagsContainer || {};
+        switch (field) {
+            case 'search': {
+                const text = `${lower(item.title)}\n${lower(item.description)}`;
+                return accepted.some(term => text.includes(term));
+            }
+            case 'service':
+                return tagNames(container.products).some(name => accepted.includes(name));
+            case 'platform':
+                return tagNames(container.platforms).some(name => accepted.includes(name));
+            case 'status':
+                return accepted.includes(lower(item.status));
+            case 'change':
+                return accepted.includes(lower(item._changeType));
+            case 'source':
+                return accepted.includes(lower(item.source) || RoadmapItem.DEFAULT_SOURCE_NAME);
+            case 'timeline':
+                return Boolean(item.publicDisclosureAvailabilityDate)
+                    && accepted.some(range => RoadmapDate.matchesTimelineRange(item.publicDisclosureAvailabilityDate, range, now));
+            default:
+                return false;
+        }
+    }
+
+    /** True when `item` satisfies a normalized rule. `now` anchors timeline filters (default: today). */
+    function matchesWatchlist(item, watchlist, now) {
+        if (!item || typeof item !== 'object' || !watchlist) return false;
+        const filtersOk = Object.entries(watchlist.filters)
+            .every(([field, accepted]) => fieldMatches(item, field, accepted, now));
+        if (!filtersOk) return false;
+        if (watchlist.keywords.length === 0) return true;
+
+        const container = item.tagsContainer || {};
+        const haystack = [
+            lower(item.title),
+            lower(item.description).replace(/<[^>]*>/g, ' '),
+            ...Object.values(container).flatMap(tagNames)
+        ].join('\n');
+        return watchlist.keywords.some(keyword => haystack.includes(keyword));
+    }
+
+    return {
+        FILTER_FIELDS,
+        normalizeWatchlists,
+        matchesWatchlist
+    };
+});
@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+
+/**
+ * Browse, compare and restore the timestamped roadmap-data-*.json backups that
+ * scripts/update-data.js writes on every successful update.
+ *
+ * Usage:
+ *   node scripts/backups.js list [--json]
+ *   node scripts/backups.js diff <from> <to> [--json]
+ *   node scripts/backups.js restore <backup> [--json]
+ *
+ * A backup is referenced by its position in `list` (1 = newest), its file name,
+ * or a unique part of it such as the timestamp; `current` is roadmap-data.json.
+ *
+ * `restore` validates the backup, keeps the current data as a new backup (unless
+ * an identical one exists), then atomically replaces roadmap-data.json and
+ * roadmap-data-compact.json together, rebuilds the shards, manifest and derived
+ * artifacts, and records the rollback in update-report.json and health-status.json.
+ *
+ * Options:
+ *   --data-dir  Data directory (default: OUTPUT_DIR or ./data)
+ *   --json      Machine-readable output
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    RoadmapDataUpdater,
+    validateApiResponse,
+    diffItems,
+    isBackupFile,
+    hashItems
+} = require('./update-data.js');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const DEFAULT_DATA_DIR = process.env.OUTPUT_DIR || path.join(PROJECT_ROOT, 'data');
+const CURRENT_FILE = 'roadmap-data.json';
+const COMPACT_FILE = 'roadmap-data-compact.json';
+const COMMANDS = { list: 0, diff: 2, restore: 1 };
+
+function parseArgs(argv) {
+    const options = { command: null, refs: [], dataDir: DEFAULT_DATA_DIR, jsonOutput: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') {
+            options.jsonOutput = true;
+        } else if (arg === '--data-dir') {
+            const value = argv[i + 1];
+            if (value == null) {
+                throw new Error('--data-dir requires a value');
+            }
+            options.dataDir = path.resolve(value);
+            i += 1;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown argument: ${arg}`);
+        } else if (!options.command) {
+            options.command = arg;
+        } else {
+            options.refs.push(arg);
+        }
+    }
+
+    if (!(options.command in COMMANDS)) {
+        throw new Error(`Command must be one of: ${Object.keys(COMMANDS).join(', ')}`);
+    }
+    if (options.refs.length !== COMMANDS[options.command]) {
+        throw new Error(`${options.command} takes ${COMMANDS[options.command]} backup reference(s), got ${options.refs.length}`);
+    }
+    return options;
+}
+
+/** ISO timestamp encoded in a backup name (saveData replaces ':' and '.' with '-'). */
+function backupTimestamp(file) {
+    const match = /^roadmap-data-(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json$/.exec(file);
+    return match ? `${match[1]}:${match[2]}:${match[3]}.${match[4]}Z` : null;
+}
+
+/** Parse a data file and check it is a restorable { metadata, items } snapshot. */
+function readSnapshot(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const data = JSON.parse(text);
+    if (!data || typeof data !== 'object' || !data.metadata || typeof data.metadata !== 'object') {
+        throw new Error(`${path.basename(filePath)} has no metadata object`);
+    }
+    validateApiResponse(data.items);
+    return { data, text };
+}
+
+/**
+ * Backups newest first: [{ index, file, path, createdAt, lastUpdated, itemCount,
+ * contentHash, bytes }]. Unreadable files are listed with an `error` instead of counts.
+ */
+function listBackups(dataDir) {
+    if (!fs.existsSync(dataDir)) return [];
+    const backups = fs.readdirSync(dataDir)
+        .filter(isBackupFile)
+        .map(file => {
+            const filePath = path.join(dataDir, file);
+            const stat = fs.statSync(filePath);
+            return { file, path: filePath, createdAt: backupTimestamp(file) || stat.mtime.toISOString(), bytes: stat.size };
+        })
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.file.localeCompare(a.file));
+
+    return backups.map((backup, i) => {
+        const entry = { index: i + 1, ...backup };
+        try {
+            const { data } = readSnapshot(backup.path);
+            entry.lastUpdated = data.metadata.lastUpdated || null;
+            entry.itemCount = data.items.length;
+            entry.contentHash = hashItems(data.items);
+        } catch (error) {
+            entry.error = error.message;
+        }
+        return entry;
+    });
+}
+
+/** Resolve a backup reference (index, file name, unique substring or "current") to a file path. */
+function resolveBackup(dataDir, ref) {
+    if (ref === 'current') {
+        const filePath = path.join(dataDir, CURRENT_FILE);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`${CURRENT_FILE} not found in ${dataDir}`);
+        }
+        return { file: CURRENT_FILE, path: filePath };
+    }
+
+    const backups = listBackups(dataDir);
+    let matches;
+    if (/^\d+$/.test(ref)) {
+        matches = backups.filter(b => b.index === Number(ref));
+    } else {
+        matches = backups.filter(b => b.file === ref);
+        if (matches.length === 0) matches = backups.filter(b => b.file.includes(ref));
+    }
+    if (matches.length === 0) {
+        throw new Error(`No backup matches "${ref}" (see: node scripts/backups.js list)`);
+    }
+    if (matches.length > 1) {
+        throw new Error(`"${ref}" matches ${matches.length} backups: ${matches.map(b => b.file).join(', ')}`);
+    }
+    return { file: matches[0].file, path: matches[0].path };
+}
+
+/**
+ * Item-level differences between two snapshots:
+ * { newItems: [{ id, title }], changed: [{ id, title, changes }], removed: [{ id, title }], unchangedCount }.
+ */
+function diffSnapshots(fromItems, toItems) {
+    const previous = new Map(fromItems.map(item => [String(item.id), item]));
+    const result = { newItems: [], changed: [], removed: [], unchangedCount: 0 };
+
+    for (const item of toItems) {
+        const prev = previous.get(String(item.id));
+        previous.delete(String(item.id));
+        if (!prev) {
+            result.newItems.push({ id: item.id, title: item.title });
+            continue;
+        }
+        const changes = diffItems(prev, item);
+        if (changes.length) {
+            result.changed.push({ id: item.id, title: item.title, changes });
+        } else {
+            result.unchangedCount++;
+        }
+    }
+    for (const item of previous.values()) {
+        result.removed.push({ id: item.id, title: item.title });
+    }
+    return result;
+}
+
+/** Diff two backup references; resolves { from, to, diff }. */
+function diffBackups(dataDir, fromRef, toRef) {
+    const from = resolveBackup(dataDir, fromRef);
+    const to = resolveBackup(dataDir, toRef);
+    const diff = diffSnapshots(readSnapshot(from.path).data.items, readSnapshot(to.path).data.items);
+    return { from: from.file, to: to.file, diff };
+}
+
+/**
+ * Restore a backup as the current data. `updater` supplies atomic writes, shards,
+ * the derived artifacts (feeds, calendars, quality report, watchlists) and the
+ * report/health writers; its outputDir must be `dataDir`. The data and compact
+ * files are staged together so a failed write leaves the previous pair, and
+ * removed-items.json drops the items the restored data has again.
+ * Returns the rollback record stored in update-report.json and health-status.json.
+ * Health gets status "rollback" and the restored data's lastUpdated as
+ * lastSuccessfulUpdate, so an old backup still reads as stale.
+ */
+async function restoreBackup(dataDir, ref, updater = new RoadmapDataUpdater()) {
+    const startTime = Date.now();
+    updater.outputDir = dataDir;
+    const target = resolveBackup(dataDir, ref);
+    if (target.file === CURRENT_FILE) {
+        throw new Error('Choose a backup to restore, not "current"');
+    }
+    const { data, text } = readSnapshot(target.path);
+    const contentHash = hashItems(data.items);
+
+    const currentPath = path.join(dataDir, CURRENT_FILE);
+    let currentItems = [];
+    let previousContentHash = null;
+    let preRollbackBackup = null;
+    if (fs.existsSync(currentPath)) {
+        const current = readSnapshot(currentPath);
+        currentItems = current.data.items;
+        previousContentHash = hashItems(currentItems);
+        const saved = listBackups(dataDir).find(b => b.contentHash === previousContentHash);
+        if (saved) {
+            preRollbackBackup = saved.file;
+        } else if (previousContentHash !== contentHash) {
+            preRollbackBackup = `roadmap-data-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+            await updater.writeFileAtomic(path.join(dataDir, preRollbackBackup), current.text);
+            updater.log('info', `Current data kept as ${preRollbackBackup}`);
+        }
+    }
+
+    await updater.writeFilesAtomic([
+        [currentPath, text],
+        [path.join(dataDir, COMPACT_FILE), JSON.stringify(data)]
+    ]);
+    updater.log('info', `Restored ${target.file} as ${CURRENT_FILE}`);
+
+    try {
+        await updater.saveShards(data);
+    } catch (error) {
+        updater.log('warn', 'Failed to rebuild shards after restore:', error.message);
+    }
+    try {
+        await updater.updateRemovedItems([], data.items);
+    } catch (error) {
+        updater.log('warn', 'Failed to update removed items after restore:', error.message);
+    }
+    await updater.generateArtifacts(data.items, data.metadata.lastUpdated);
+
+    const diff = diffSnapshots(currentItems, data.items);
+    const timestamp = new Date().toISOString();
+    const rollback = {
+        restoredFrom: target.file,
+        restoredAt: timestamp,
+        dataLastUpdated: data.metadata.lastUpdated || null,
+        itemCount: data.items.length,
+        contentHash,
+        previousContentHash,
+        preRollbackBackup
+    };
+    await updater.generateReport({
+        newCount: diff.newItems.length,
+        changedCount: diff.changed.length,
+        removedCount: diff.removed.length,
+        unchangedCount: diff.unchangedCount
+    }, previousContentHash !== contentHash, { rollback });
+    await updater.generateHealthStatus({
+        status: 'rollback',
+        sourceStatus: 'success',
+        itemCount: data.items.length,
+        durationMs: Date.now() - startTime,
+        timestamp,
+        dataChanged: previousContentHash !== contentHash,
+        rollback,
+        lastSuccessfulUpdate: rollback.dataLastUpdated || undefined
+    });
+    return rollback;
+}
+
+function printList(backups) {
+    if (backups.length === 0) {
+        console.log('[backups] No backups found');
+        return;
+    }
+    backups.forEach(b => {
+        const details = b.error
+            ? `unreadable: ${b.error}`
+            : `${String(b.itemCount).padStart(5)} items  ${b.contentHash.slice(0, 12)}  data ${b.lastUpdated || 'unknown'}`;
+        console.log(`${String(b.index).padStart(3)}  ${b.file}  ${details}`);
+    });
+}
+
+function printDiff({ from, to, diff }) {
+    console.log(`[backups] ${from} -> ${to}: ${diff.newItems.length} new, ${diff.changed.length} changed, ${diff.removed.length} removed, ${diff.unchangedCount} unchanged`);
+    diff.newItems.forEach(item => console.log(`  + ${item.id} ${item.title}`));
+    diff.changed.forEach(item => {
+        console.log(`  ~ ${item.id} ${item.title} (${item.changes.map(c => c.field).join(', ')})`);
+    });
+    diff.removed.forEach(item => console.log(`  - ${item.id} ${item.title}`));
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`[backups] ${error.message}`);
+        console.error('Usage: node scripts/backups.js list | diff <from> <to> | restore <backup> [--data-dir <dir>] [--json]');
+        process.exit(1);
+    }
+
+    try {
+        let result;
+        if (options.command === 'list') {
+            result = listBackups(options.dataDir);
+            if (!options.jsonOutput) printList(result);
+        } else if (options.command === 'diff') {
+            result = diffBackups(options.dataDir, options.refs[0], options.refs[1]);
+            if (!options.jsonOutput) printDiff(result);
+        } else {
+            const updater = new RoadmapDataUpdater();
+            if (options.jsonOutput) updater.logLevel = 'error';
+            result = await restoreBackup(options.dataDir, options.refs[0], updater);
+            if (!options.jsonOutput) {
+                console.log(`[backups] Restored ${result.restoredFrom} (${result.itemCount} items)`);
+                if (result.preRollbackBackup) {
+                    console.log(`[backups] Previous data is available as ${result.preRollbackBackup}`);
+                }
+            }
+        }
+        if (options.jsonOutput) {
+            console.log(JSON.stringify(result, null, 2));
+        }
+    } catch (error) {
+        console.error(`[backups] ${error.message}`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseArgs,
+    backupTimestamp,
+    listBackups,
+    resolveBackup,
+    diffSnapshots,
+    diffBackups,
+    restoreBackup
+};
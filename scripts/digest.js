@@ -0,0 +1,430 @@
+#!/usr/bin/env node
+
+/**
+ * Weekly digest of roadmap changes as Markdown and standalone HTML.
+ *
+ * Changes come from the history log that detectChanges feeds
+ * (data/history/changes.jsonl), joined with the current data and
+ * data/removed-items.json. Without a history log, or when it starts inside the
+ * window, the current data is compared with the newest backup taken before the
+ * window starts. The digest lists, per
+ * product, new items, availability date slips, status changes and removals;
+ * several changes to one item in the window collapse into one line (first
+ * previous value -> last current value).
+ *
+ * Usage:
+ *   node scripts/digest.js [--days <n>] [--since <date>] [--until <date>]
+ *                          [--data-dir <dir>] [--output-dir <dir>] [--format md|html|both]
+ *
+ * Options:
+ *   --days        Window length ending at --until (default: DIGEST_WINDOW_DAYS or 7)
+ *   --since       Window start (ISO date or date-time); overrides --days
+ *   --until       Window end (default: now)
+ *   --data-dir    Data directory (default: OUTPUT_DIR or ./data)
+ *   --output-dir  Where digest-<until date>.md/.html are written (default: <data-dir>/digests)
+ *   --format      md, html or both (default: both)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compareRoadmapDates } = require('../js/roadmap-date.js');
+const { RoadmapDataUpdater, diffItems } = require('./update-data.js');
+const { itemLink, productNames } = require('./feeds.js');
+const { listBackups } = require('./backups.js');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const DEFAULT_DATA_DIR = process.env.OUTPUT_DIR || path.join(PROJECT_ROOT, 'data');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNTAGGED = 'Untagged';
+const FORMATS = ['md', 'html', 'both'];
+
+/** Digest sections in display order. */
+const SECTIONS = [
+    { key: 'newItems', title: 'New items' },
+    { key: 'dateSlips', title: 'Date slips' },
+    { key: 'statusChanges', title: 'Status changes' },
+    { key: 'removals', title: 'Removed' }
+];
+
+function parseDate(value, flag) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`${flag} must be an ISO date or date-time, got "${value}"`);
+    }
+    return new Date(time);
+}
+
+function parseArgs(argv, now = new Date()) {
+    const options = {
+        days: Number(process.env.DIGEST_WINDOW_DAYS || 7),
+        since: null,
+        until: now,
+        dataDir: DEFAULT_DATA_DIR,
+        outputDir: null,
+        format: 'both'
+    };
+    const flags = ['--days', '--since', '--until', '--data-dir', '--output-dir', '--format'];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+        if (!flags.includes(arg)) {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+        if (value == null) {
+            throw new Error(`${arg} requires a value`);
+        }
+        if (arg === '--days') options.days = Number(value);
+        else if (arg === '--since') options.since = parseDate(value, arg);
+        else if (arg === '--until') options.until = parseDate(value, arg);
+        else if (arg === '--data-dir') options.dataDir = path.resolve(value);
+        else if (arg === '--output-dir') options.outputDir = path.resolve(value);
+        else options.format = value;
+        i += 1;
+    }
+
+    if (!Number.isFinite(options.days) || options.days <= 0) {
+        throw new Error('--days must be a positive number');
+    }
+    if (!FORMATS.includes(options.format)) {
+        throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+    }
+    options.since = options.since || new Date(options.until.getTime() - options.days * DAY_MS);
+    if (options.since >= options.until) {
+        throw new Error('--since must be before --until');
+    }
+    options.outputDir = options.outputDir || path.join(options.dataDir, 'digests');
+    return options;
+}
+
+function readItems(filePath) {
+    if (!fs.existsSync(filePath)) return [];
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(raw) ? raw : (raw && Array.isArray(raw.items) ? raw.items : []);
+}
+
+/**
+ * History-shaped entries ({ timestamp, id, title, changeType, changes, snapshot })
+ * from comparing a baseline snapshot with the current items, stamped at `timestamp`.
+ */
+function diffAgainstBaseline(baselineItems, items, timestamp) {
+    const previous = new Map(baselineItems.map(item => [String(item.id), item]));
+    const entries = [];
+    for (const item of items) {
+        const prev = previous.get(String(item.id));
+        previous.delete(String(item.id));
+        if (!prev) {
+            entries.push({ timestamp, id: item.id, title: item.title, changeType: 'new', changes: [] });
+            continue;
+        }
+        const changes = diffItems(prev, item);
+        if (changes.length) {
+            entries.push({ timestamp, id: item.id, title: item.title, changeType: 'changed', changes });
+        }
+    }
+    for (const prev of previous.values()) {
+        entries.push({ timestamp, id: prev.id, title: prev.title, changeType: 'removed', changes: [], snapshot: prev });
+    }
+    return entries;
+}
+
+/**
+ * Collapse history entries inside (since, until] into one digest line per item
+ * and section: [{ section, id, title, item, from, to, direction, timestamp }].
+ * `item` is the current item, or the last-known snapshot for removals.
+ */
+function collectDigestChanges({ items, removedItems = [], history, since, until }) {
+    const current = new Map(items.map(item => [String(item.id), item]));
+    const removedSnapshots = new Map(removedItems.map(item => [String(item.id), item]));
+    const states = new Map();
+    const sinceIso = since.toISOString();
+    const untilIso = until.toISOString();
+
+    history
+        .filter(entry => entry && entry.timestamp > sinceIso && entry.timestamp <= untilIso)
+        .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+        .forEach(entry => {
+            const key = String(entry.id);
+            if (!states.has(key)) states.set(key, { id: entry.id, title: entry.title, fields: {} });
+            const state = states.get(key);
+            state.timestamp = entry.timestamp;
+            state.title = entry.title || state.title;
+            if (entry.changeType === 'new') {
+                state.isNew = !state.removed;
+                state.removed = false;
+            } else if (entry.changeType === 'removed') {
+                state.removed = !state.isNew;
+                state.isNew = false;
+                state.snapshot = entry.snapshot || state.snapshot;
+            } else if (entry.changeType === 'changed') {
+                (entry.changes || []).forEach(change => {
+                    if (change.field !== 'status' && change.field !== 'publicDisclosureAvailabilityDate') return;
+                    const field = state.fields[change.field] || { from: change.previous };
+                    field.to = change.current;
+                    state.fields[change.field] = field;
+                });
+            }
+        });
+
+    const lines = [];
+    for (const [key, state] of states) {
+        const base = { id: state.id, title: state.title, timestamp: state.timestamp };
+        if (state.removed) {
+            const item = state.snapshot || removedSnapshots.get(key);
+            if (item) lines.push({ ...base, section: 'removals', item, title: item.title || state.title });
+            continue;
+        }
+        const item = current.get(key);
+        if (!item) continue;
+        if (state.isNew) {
+            lines.push({ ...base, section: 'newItems', item, title: item.title });
+            continue;
+        }
+        const date = state.fields.publicDisclosureAvailabilityDate;
+        if (date && (date.from || '') !== (date.to || '')) {
+            const order = compareRoadmapDates(date.to, date.from);
+            const direction = !date.from || !date.to ? 'changed' : (order > 0 ? 'later' : (order < 0 ? 'earlier' : 'changed'));
+            lines.push({ ...base, section: 'dateSlips', item, title: item.title, from: date.from || '', to: date.to || '', direction });
+        }
+        const status = state.fields.status;
+        if (status && (status.from || '') !== (status.to || '')) {
+            lines.push({ ...base, section: 'statusChanges', item, title: item.title, from: status.from || '', to: status.to || '' });
+        }
+    }
+    return lines;
+}
+
+/**
+ * Group digest lines by product (a line appears under each of its products):
+ * { since, until, generatedAt, source, totals, products: [{ product, newItems, dateSlips, statusChanges, removals }] }.
+ */
+function buildDigest(lines, { since, until, generatedAt = new Date(), source }) {
+    const totals = { newItems: 0, dateSlips: 0, statusChanges: 0, removals: 0 };
+    const groups = new Map();
+    lines.forEach(line => {
+        totals[line.section]++;
+        const products = productNames(line.item);
+        (products.length ? products : [UNTAGGED]).forEach(product => {
+            if (!groups.has(product)) {
+                groups.set(product, { product, newItems: [], dateSlips: [], statusChanges: [], removals: [] });
+            }
+            groups.get(product)[line.section].push(line);
+        });
+    });
+    const products = [...groups.values()].sort((a, b) => {
+        if (a.product === UNTAGGED || b.product === UNTAGGED) return a.product === UNTAGGED ? 1 : -1;
+        return a.product.localeCompare(b.product);
+    });
+    products.forEach(group => {
+        SECTIONS.forEach(({ key }) => group[key].sort((a, b) => String(a.title).localeCompare(String(b.title))));
+    });
+    return {
+        since: since.toISOString(),
+        until: until.toISOString(),
+        generatedAt: generatedAt.toISOString(),
+        source,
+        totals,
+        products
+    };
+}
+
+function plural(count, singular, pluralForm) {
+    return `${count} ${count === 1 ? singular : (pluralForm || `${singular}s`)}`;
+}
+
+function summaryLine(digest) {
+    const t = digest.totals;
+    return `${plural(t.newItems, 'new item')}, ${plural(t.dateSlips, 'date slip')}, ${plural(t.statusChanges, 'status change')} and ${plural(t.removals, 'removal')} across ${plural(digest.products.length, 'product')}.`;
+}
+
+function windowLabel(digest) {
+    return `${digest.since.slice(0, 10)} to ${digest.until.slice(0, 10)}`;
+}
+
+/** Detail text after the title: availability/status for new items, from -> to for changes. */
+function lineDetail(line) {
+    if (line.section === 'newItems') {
+        return `${line.item.status || 'Unknown'}, ${line.item.publicDisclosureAvailabilityDate || 'no date'}`;
+    }
+    if (line.section === 'dateSlips') {
+        const note = line.direction === 'later' ? ' (later)' : (line.direction === 'earlier' ? ' (earlier)' : '');
+        return `${line.from || 'no date'} → ${line.to || 'no date'}${note}`;
+    }
+    if (line.section === 'statusChanges') {
+        return `${line.from || 'Unknown'} → ${line.to || 'Unknown'}`;
+    }
+    return `last status ${line.item.status || 'Unknown'}`;
+}
+
+function escapeMarkdown(text) {
+    return String(text == null ? '' : text).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+}
+
+function renderMarkdown(digest) {
+    const out = [
+        `# Microsoft 365 Roadmap digest: ${windowLabel(digest)}`,
+        '',
+        summaryLine(digest),
+        ''
+    ];
+    if (digest.products.length === 0) {
+        out.push('No roadmap changes in this window.', '');
+    }
+    digest.products.forEach(group => {
+        out.push(`## ${escapeMarkdown(group.product)}`, '');
+        SECTIONS.forEach(({ key, title }) => {
+            if (group[key].length === 0) return;
+            out.push(`### ${title}`, '');
+            group[key].forEach(line => {
+                const link = itemLink(line.item);
+                const label = `${escapeMarkdown(line.title)} (${escapeMarkdown(line.id)})`;
+                out.push(`- ${link ? `[${label}](${link})` : label}: ${escapeMarkdown(lineDetail(line))}`);
+            });
+            out.push('');
+        });
+    });
+    out.push(`_Generated ${digest.generatedAt} from ${digest.source}._`, '');
+    return out.join('\n');
+}
+
+function escapeHtml(text) {
+    return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/** Self-contained HTML page (inline styles, no scripts) suitable for email or an intranet page. */
+function renderHtml(digest) {
+    const body = [];
+    if (digest.products.length === 0) {
+        body.push('<p>No roadmap changes in this window.</p>');
+    }
+    digest.products.forEach(group => {
+        body.push(`<section>`, `<h2>${escapeHtml(group.product)}</h2>`);
+        SECTIONS.forEach(({ key, title }) => {
+            if (group[key].length === 0) return;
+            body.push(`<h3>${title}</h3>`, '<ul>');
+            group[key].forEach(line => {
+                const link = itemLink(line.item);
+                const label = `${escapeHtml(line.title)} <span class="id">(${escapeHtml(line.id)})</span>`;
+                const heading = link ? `<a href="${escapeHtml(link)}">${label}</a>` : label;
+                const slip = line.direction === 'later' ? ' class="later"' : '';
+                body.push(`<li>${heading}: <span${slip}>${escapeHtml(lineDetail(line))}</span></li>`);
+            });
+            body.push('</ul>');
+        });
+        body.push('</section>');
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Microsoft 365 Roadmap digest: ${escapeHtml(windowLabel(digest))}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #111827; max-width: 860px; margin: 24px auto; padding: 0 16px; line-height: 1.5; }
+h1 { font-size: 22px; } h2 { font-size: 18px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; margin-top: 28px; } h3 { font-size: 14px; color: #374151; margin-bottom: 4px; }
+ul { margin-top: 0; padding-left: 20px; } a { color: #0078d4; } .id, footer { color: #6b7280; font-size: 12px; } .later { color: #b45309; }
+</style>
+</head>
+<body>
+<h1>Microsoft 365 Roadmap digest: ${escapeHtml(windowLabel(digest))}</h1>
+<p>${escapeHtml(summaryLine(digest))}</p>
+${body.join('\n')}
+<footer>Generated ${escapeHtml(digest.generatedAt)} from ${escapeHtml(digest.source)}.</footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Build the digest for the window in `options` (see parseArgs) from the history
+ * log, or from a diff against the newest backup taken before `since` when the
+ * log is empty or starts inside the window (it would miss the earlier changes).
+ * `source` names what the digest was built from.
+ */
+async function generateDigest(options) {
+    const items = readItems(path.join(options.dataDir, 'roadmap-data.json'));
+    const removedItems = readItems(path.join(options.dataDir, 'removed-items.json'));
+
+    const updater = new RoadmapDataUpdater();
+    updater.outputDir = options.dataDir;
+    let history = await updater.readHistory();
+    const sinceIso = options.since.toISOString();
+    const historyStart = history.reduce((oldest, entry) => (
+        entry && entry.timestamp && (!oldest || entry.timestamp < oldest) ? entry.timestamp : oldest
+    ), null);
+    let source = 'history/changes.jsonl';
+    if (!historyStart || historyStart > sinceIso) {
+        const baseline = listBackups(options.dataDir)
+            .find(backup => !backup.error && backup.lastUpdated && backup.lastUpdated <= sinceIso);
+        if (baseline) {
+            history = diffAgainstBaseline(readItems(baseline.path), items, options.until.toISOString());
+            source = historyStart
+                ? `snapshot ${baseline.file} (history/changes.jsonl starts ${historyStart})`
+                : `snapshot ${baseline.file}`;
+        } else {
+            source = historyStart
+                ? `history/changes.jsonl from ${historyStart} (no earlier snapshot)`
+                : 'no history or earlier snapshot';
+        }
+    }
+
+    const lines = collectDigestChanges({ items, removedItems, history, since: options.since, until: options.until });
+    return buildDigest(lines, { since: options.since, until: options.until, source });
+}
+
+/** Write digest-<until date>.md / .html; returns the written paths. */
+function writeDigest(digest, outputDir, format) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    const base = path.join(outputDir, `digest-${digest.until.slice(0, 10)}`);
+    const written = [];
+    if (format === 'md' || format === 'both') {
+        fs.writeFileSync(`${base}.md`, renderMarkdown(digest), 'utf8');
+        written.push(`${base}.md`);
+    }
+    if (format === 'html' || format === 'both') {
+        fs.writeFileSync(`${base}.html`, renderHtml(digest), 'utf8');
+        written.push(`${base}.html`);
+    }
+    return written;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`[digest] ${error.message}`);
+        process.exit(1);
+    }
+
+    try {
+        const digest = await generateDigest(options);
+        const written = writeDigest(digest, options.outputDir, options.format);
+        console.log(`[digest] ${windowLabel(digest)}: ${summaryLine(digest)}`);
+        written.forEach(file => console.log(`[digest] Wrote ${path.relative(process.cwd(), file)}`));
+    } catch (error) {
+        console.error(`[digest] ${error.message}`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseArgs,
+    diffAgainstBaseline,
+    collectDigestChanges,
+    buildDigest,
+    renderMarkdown,
+    renderHtml,
+    generateDigest,
+    writeDigest
+};
@@ -0,0 +1,216 @@
+/**
+ * Atom and RSS 2.0 feed builders for roadmap changes.
+ *
+ * Entries come from the persistent change history (data/history/changes.jsonl)
+ * joined with the current item set, so a change keeps the same entry id and
+ * timestamp on every later run and readers never see it twice.
+ *
+ * Used by scripts/update-data.js; no network or filesystem access here.
+ */
+
+const crypto = require('crypto');
+const { itemLink, tagNames } = require('../js/roadmap-item.js');
+
+const CHANGE_LABELS = { new: 'New', changed: 'Updated' };
+
+/** Feed-level Atom author; RFC 4287 needs one on the feed or on every entry. */
+const FEED_AUTHOR = 'Microsoft 365 Roadmap';
+
+const FIELD_LABELS = {
+    title: 'Title',
+    description: 'Description',
+    status: 'Status',
+    publicDisclosureAvailabilityDate: 'Availability',
+    tagsContainer: 'Tags'
+};
+
+function escapeXml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // Strip control characters that are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/** File-name slug for a product tag: "Microsoft Teams" -> "microsoft-teams". */
+function slugify(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'untagged';
+}
+
+/**
+ * File slug per product name, unique across `names`: Map(name -> slug).
+ * `assigned` ({ name: slug }) holds the slugs handed out before and always
+ * wins, so existing feed and calendar URLs never change. Names that slugify
+ * alike ("Teams" and "teams!") would overwrite each other's files, so a new
+ * name whose plain slug is taken gets a suffix from a hash of its exact name.
+ */
+function uniqueSlugs(names, assigned = {}) {
+    const slugs = new Map();
+    const taken = new Set(Object.values(assigned));
+    const fresh = [];
+    [...new Set(names)].forEach(name => {
+        if (Object.prototype.hasOwnProperty.call(assigned, name)) slugs.set(name, assigned[name]);
+        else fresh.push(name);
+    });
+    fresh.sort().forEach(name => {
+        const base = slugify(name);
+        const suffix = crypto.createHash('sha1').update(String(name)).digest('hex').slice(0, 6);
+        const slug = taken.has(base) ? `${base}-${suffix}` : base;
+        taken.add(slug);
+        slugs.set(name, slug);
+    });
+    return slugs;
+}
+
+/** Stable entry id: roadmap id plus the timestamp of the change it describes. */
+function entryId(id, timestamp) {
+    return `urn:m365-roadmap:${encodeURIComponent(String(id))}:${timestamp}`;
+}
+
+function productNames(item) {
+    return tagNames(item && item.tagsContainer && item.tagsContainer.products);
+}
+
+/** Plain-text summary lines for a history entry's changes. */
+function describeChanges(changes) {
+    return (Array.isArray(changes) ? changes : []).map(change => {
+        const label = FIELD_LABELS[change.field] || change.field;
+        if (change.field === 'tagsContainer') {
+            const added = Object.values(change.added || {}).flat().map(n => `+${n}`);
+            const removed = Object.values(change.removed || {}).flat().map(n => `-${n}`);
+            const tags = [...added, ...removed];
+            return tags.length ? `${label}: ${tags.join(', ')}` : `${label} updated`;
+        }
+        if (change.field === 'description') return `${label} updated`;
+        return `${label}: ${change.previous || '(empty)'} -> ${change.current || '(empty)'}`;
+    });
+}
+
+/**
+ * Build feed entries from history entries (new/changed only), newest first.
+ * Entries whose item is no longer in `items` are skipped. At most `limit` entries.
+ */
+function collectFeedEntries(items, historyEntries, { limit = 100 } = {}) {
+    const byId = new Map((items || []).map(item => [String(item.id), item]));
+    return (historyEntries || [])
+        .filter(e => e && (e.changeType === 'new' || e.changeType === 'changed') && e.timestamp)
+        .filter(e => byId.has(String(e.id)))
+        .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)))
+        .slice(0, limit)
+        .map(e => {
+            const item = byId.get(String(e.id));
+            const changeLines = describeChanges(e.changes);
+            const summary = [
+                `Status: ${item.status || 'Unknown'}`,
+                `Availability: ${item.publicDisclosureAvailabilityDate || 'TBD'}`,
+                ...changeLines,
+                '',
+                item.description || ''
+            ].join('\n').trim();
+            return {
+                id: entryId(item.id, e.timestamp),
+                roadmapId: item.id,
+                changeType: e.changeType,
+                title: `[${CHANGE_LABELS[e.changeType]}] ${item.title}`,
+                link: itemLink(item),
+                updated: e.timestamp,
+                categories: productNames(item),
+                summary
+            };
+        });
+}
+
+/** Group feed entries by product tag; an entry appears under each of its products. */
+function groupEntriesByProduct(entries) {
+    const groups = new Map();
+    for (const entry of entries) {
+        for (const product of entry.categories) {
+            if (!groups.has(product)) groups.set(product, []);
+            groups.get(product).push(entry);
+        }
+    }
+    return groups;
+}
+
+/**
+ * Atom 1.0 document. `feed` = { title, selfUrl, siteUrl, updated }.
+ */
+function buildAtomFeed(feed, entries) {
+    const updated = feed.updated || (entries[0] && entries[0].updated) || new Date().toISOString();
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <title>${escapeXml(feed.title)}</title>`,
+        `  <id>${escapeXml(feed.selfUrl)}</id>`,
+        `  <updated>${escapeXml(updated)}</updated>`,
+        `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+        `  <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}"/>`,
+        `  <author><name>${escapeXml(FEED_AUTHOR)}</name></author>`,
+        '  <generator>m365-roadmap-dashboard</generator>'
+    ];
+    for (const entry of entries) {
+        lines.push(
+            '  <entry>',
+            `    <title>${escapeXml(entry.title)}</title>`,
+            `    <id>${escapeXml(entry.id)}</id>`,
+            `    <updated>${escapeXml(entry.updated)}</updated>`,
+            ...(entry.link ? [`    <link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>`] : []),
+            ...entry.categories.map(c => `    <category term="${escapeXml(c)}"/>`),
+            `    <summary type="text">${escapeXml(entry.summary)}</summary>`,
+            '  </entry>'
+        );
+    }
+    lines.push('</feed>', '');
+    return lines.join('\n');
+}
+
+/**
+ * RSS 2.0 document with the same entries; guid is the Atom entry id (not a permalink).
+ */
+function buildRssFeed(feed, entries) {
+    const updated = feed.updated || (entries[0] && entries[0].updated) || new Date().toISOString();
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '  <channel>',
+        `    <title>${escapeXml(feed.title)}</title>`,
+        `    <link>${escapeXml(feed.siteUrl)}</link>`,
+        `    <description>${escapeXml(feed.description || feed.title)}</description>`,
+        `    <lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>`,
+        `    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`
+    ];
+    for (const entry of entries) {
+        lines.push(
+            '    <item>',
+            `      <title>${escapeXml(entry.title)}</title>`,
+            ...(entry.link ? [`      <link>${escapeXml(entry.link)}</link>`] : []),
+            `      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>`,
+            `      <pubDate>${new Date(entry.updated).toUTCString()}</pubDate>`,
+            ...entry.categories.map(c => `      <category>${escapeXml(c)}</category>`),
+            `      <description>${escapeXml(entry.summary)}</description>`,
+            '    </item>'
+        );
+    }
+    lines.push('  </channel>', '</rss>', '');
+    return lines.join('\n');
+}
+
+module.exports = {
+    escapeXml,
+    slugify,
+    uniqueSlugs,
+    entryId,
+    itemLink,
+    productNames,
+    describeChanges,
+    collectFeedEntries,
+    groupEntriesByProduct,
+    buildAtomFeed,
+    buildRssFeed
+};
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Stand-in for the Microsoft 365 roadmap API that replays a recorded response,
+ * optionally with injected faults, so the updater can be exercised offline.
+ *
+ * Usage:
+ *   node scripts/fixture-server.js [--port <port>] [--fixture <path>] [--fault <fault>] [--fail-times <n>] [--record <dir>]
+ *
+ * Then point the updater at it:
+ *   ROADMAP_SOURCE=http://127.0.0.1:8787/ node scripts/update-data.js
+ *
+ * Options:
+ *   --port        Port to listen on (default: 8787; 0 picks a free port)
+ *   --fixture     Recorded response: an API array or a data file with { items }
+ *                 (default: data/sample-data.json)
+ *   --fault       none | timeout | 500 | truncated | schema (default: none)
+ *                   timeout   - accept the request and never answer
+ *                   500       - HTTP 500 with a JSON error body
+ *                   truncated - HTTP 200 with the body cut in half
+ *                   schema    - HTTP 200 whose first item lacks `status`
+ *   --fail-times  Apply the fault to the first n requests only, then answer
+ *                 normally (default: every request); useful for retry/backoff
+ *   --record      Also act as a webhook receiver: POST bodies are saved as
+ *                 <dir>/<n>.json (timeout and 500 faults apply to POSTs too)
+ *
+ * Normal responses carry an ETag and honor If-None-Match with 304.
+ * As a webhook stand-in, point a generic webhook at http://127.0.0.1:8787/hook.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const DEFAULT_FIXTURE = path.join(PROJECT_ROOT, 'data', 'sample-data.json');
+const DEFAULT_PORT = 8787;
+const FAULTS = ['none', 'timeout', '500', 'truncated', 'schema'];
+
+function parseArgs(argv) {
+    const options = {
+        port: DEFAULT_PORT,
+        fixture: DEFAULT_FIXTURE,
+        fault: 'none',
+        failTimes: Infinity,
+        record: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+        if (['--port', '--fixture', '--fault', '--fail-times', '--record'].includes(arg) && value == null) {
+            throw new Error(`${arg} requires a value`);
+        }
+        if (arg === '--port') {
+            options.port = Number(value);
+        } else if (arg === '--fixture') {
+            options.fixture = path.resolve(value);
+        } else if (arg === '--fault') {
+            options.fault = value;
+        } else if (arg === '--fail-times') {
+            options.failTimes = Number(value);
+        } else if (arg === '--record') {
+            options.record = path.resolve(value);
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+        i += 1;
+    }
+
+    if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+        throw new Error('--port must be an integer between 0 and 65535');
+    }
+    if (!FAULTS.includes(options.fault)) {
+        throw new Error(`--fault must be one of: ${FAULTS.join(', ')}`);
+    }
+    if (options.failTimes !== Infinity && (!Number.isInteger(options.failTimes) || options.failTimes < 0)) {
+        throw new Error('--fail-times must be a non-negative integer');
+    }
+    return options;
+}
+
+/** Items of a recorded response: the API array itself, or the `items` of a data file. */
+function loadFixtureItems(fixturePath) {
+    const raw = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    const items = Array.isArray(raw) ? raw : (raw && Array.isArray(raw.items) ? raw.items : null);
+    if (!items) {
+        throw new Error(`Fixture ${fixturePath} is neither an array nor an object with items`);
+    }
+    return items;
+}
+
+/**
+ * http.Server replaying `items`. `server.requestCount` counts requests, so
+ * tests can assert how many attempts the updater made. POST requests are
+ * answered 200 and their JSON bodies collected in `server.received`
+ * ({ path, body }), and also written to `recordDir` when given.
+ */
+function createFixtureServer({ items, fault = 'none', failTimes = Infinity, recordDir = null }) {
+    const body = JSON.stringify(items);
+    const etag = `"${crypto.createHash('sha256').update(body).digest('hex').slice(0, 32)}"`;
+    const sockets = new Set();
+
+    const server = http.createServer((request, response) => {
+        server.requestCount += 1;
+        const faulty = fault !== 'none' && server.requestCount <= failTimes;
+
+        if (faulty && fault === 'timeout') {
+            return; // Leave the request hanging; the client's timeout has to fire.
+        }
+        if (faulty && fault === '500') {
+            response.writeHead(500, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ error: 'Injected server error' }));
+            return;
+        }
+        if (request.method === 'POST') {
+            receive(request, response);
+            return;
+        }
+        if (faulty && fault === 'truncated') {
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(body.slice(0, Math.floor(body.length / 2)));
+            return;
+        }
+        if (faulty && fault === 'schema') {
+            const broken = items.map((item, i) => {
+                if (i !== 0) return item;
+                const { status, ...rest } = item;
+                return rest;
+            });
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(broken));
+            return;
+        }
+
+        if (request.headers['if-none-match'] === etag) {
+            response.writeHead(304, { ETag: etag });
+            response.end();
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': 'application/json', ETag: etag });
+        response.end(body);
+    });
+
+    function receive(request, response) {
+        let text = '';
+        request.on('data', (chunk) => { text += chunk; });
+        request.on('end', () => {
+            let payload;
+            try {
+                payload = JSON.parse(text);
+            } catch (error) {
+                response.writeHead(400, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify({ error: 'Body is not JSON' }));
+                return;
+            }
+            server.received.push({ path: request.url, body: payload });
+            if (recordDir) {
+                fs.mkdirSync(recordDir, { recursive: true });
+                fs.writeFileSync(path.join(recordDir, `${server.received.length}.json`), JSON.stringify(payload, null, 2));
+            }
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ ok: true }));
+        });
+    }
+
+    server.requestCount = 0;
+    server.received = [];
+    server.on('connection', socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+    // Hanging "timeout" requests would otherwise keep close() waiting forever.
+    const close = server.close.bind(server);
+    server.close = callback => {
+        sockets.forEach(socket => socket.destroy());
+        return close(callback);
+    };
+    return server;
+}
+
+function main() {
+    let options;
+    let items;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        items = loadFixtureItems(options.fixture);
+    } catch (error) {
+        console.error(`[fixture-server] ${error.message}`);
+        process.exit(1);
+    }
+
+    const server = createFixtureServer({ items, fault: options.fault, failTimes: options.failTimes, recordDir: options.record });
+    server.listen(options.port, '127.0.0.1', () => {
+        const { port } = server.address();
+        const failNote = options.failTimes === Infinity ? '' : ` for the first ${options.failTimes} request(s)`;
+        console.log(`[fixture-server] Serving ${items.length} items from ${path.relative(PROJECT_ROOT, options.fixture)}`);
+        console.log(`[fixture-server] Fault: ${options.fault}${options.fault === 'none' ? '' : failNote}`);
+        console.log(`[fixture-server] ROADMAP_SOURCE=http://127.0.0.1:${port}/`);
+        if (options.record) {
+            console.log(`[fixture-server] Recording POSTed webhook payloads to ${path.relative(PROJECT_ROOT, options.record) || '.'}`);
+        }
+    });
+
+    const shutdown = () => server.close(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { createFixtureServer, loadFixtureItems, parseArgs, FAULTS };
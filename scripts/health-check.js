@@ -4,13 +4,16 @@
  * Operational health check for generated roadmap artifacts.
  *
  * Validates `data/health-status.json` and optionally `data/update-report.json`
- * to ensure update freshness and source/data status are still healthy.
+ * to ensure update freshness and source/data status are still healthy, and
+ * reports success rate and mean duration of the last runs recorded by
+ * scripts/update-data.js in `data/history/runs.jsonl` (informational; a missing file is fine).
  *
  * Usage:
- *   node scripts/health-check.js [--json] [--max-age-hours <hours>]
+ *   node scripts/health-check.js [--json] [--max-age-hours <hours>] [--runs <count>]
  *
  * Environment variables:
  *   HEALTH_MAX_AGE_HOURS: staleness threshold (default: 8)
+ *   HEALTH_RUNS_WINDOW: number of recent runs to summarize (default: 20)
  */
 
 const fs = require('fs');
@@ -20,6 +23,7 @@ const PROJECT_ROOT = path.resolve(__dirname, '..');
 const DATA_DIR = path.join(PROJECT_ROOT, 'data');
 const HEALTH_FILE = path.join(DATA_DIR, 'health-status.json');
 const REPORT_FILE = path.join(DATA_DIR, 'update-report.json');
+const RUNS_FILE = path.join(DATA_DIR, 'history', 'runs.jsonl');
 
 function parseNumber(value) {
     const n = Number(value);
@@ -29,6 +33,7 @@ function parseNumber(value) {
 function parseArgs(argv) {
     let jsonOutput = false;
     let maxAgeHours = parseNumber(process.env.HEALTH_MAX_AGE_HOURS || '8');
+    let runsWindow = parseNumber(process.env.HEALTH_RUNS_WINDOW || '20');
 
     for (let i = 0; i < argv.length; i++) {
         const arg = argv[i];
@@ -45,14 +50,26 @@ function parseArgs(argv) {
             maxAgeHours = parseNumber(value);
             continue;
         }
+        if (arg === '--runs') {
+            const value = argv[i + 1];
+            if (value == null) {
+                throw new Error('--runs requires a value');
+            }
+            i += 1;
+            runsWindow = parseNumber(value);
+            continue;
+        }
         throw new Error(`Unknown argument: ${arg}`);
     }
 
     if (maxAgeHours == null || maxAgeHours <= 0) {
         throw new Error('max age must be a positive number of hours');
     }
+    if (runsWindow == null || runsWindow < 1 || !Number.isInteger(runsWindow)) {
+        throw new Error('runs window must be a positive integer');
+    }
 
-    return { jsonOutput, maxAgeHours };
+    return { jsonOutput, maxAgeHours, runsWindow };
 }
 
 function loadJson(filePath, label) {
@@ -68,6 +85,46 @@ function toIso(value) {
     return Number.isNaN(ts) ? null : new Date(ts).toISOString();
 }
 
+/** Run records from runs.jsonl in file order; malformed lines are skipped. */
+function readRuns(filePath) {
+    if (!fs.existsSync(filePath)) return [];
+    return fs.readFileSync(filePath, 'utf8').split('\n').reduce((runs, line) => {
+        if (!line.trim()) return runs;
+        try {
+            const run = JSON.parse(line);
+            if (run && typeof run === 'object') runs.push(run);
+        } catch (error) {
+            // A partially written last line should not fail the health check.
+        }
+        return runs;
+    }, []);
+}
+
+/**
+ * Success rate and mean duration over the last `window` runs:
+ * { window, count, succeeded, successRate (%), meanDurationMs, lastFailure }, or null without runs.
+ * A run succeeded when it exited 0 (including runs without data changes).
+ */
+function summarizeRuns(runs, window) {
+    const recent = runs.slice(-window);
+    if (recent.length === 0) return null;
+    const succeeded = recent.filter(run => run.exitCode === 0).length;
+    const durations = recent.map(run => run.durationMs).filter(Number.isFinite);
+    const lastFailure = recent.slice().reverse().find(run => run.exitCode !== 0);
+    return {
+        window,
+        count: recent.length,
+        succeeded,
+        successRate: Math.round((succeeded / recent.length) * 1000) / 10,
+        meanDurationMs: durations.length
+            ? Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length)
+            : null,
+        lastFailure: lastFailure
+            ? { startedAt: lastFailure.startedAt || null, status: lastFailure.status || null, exitCode: lastFailure.exitCode, error: lastFailure.error || null }
+            : null
+    };
+}
+
 function validateHealth(health, now, maxAgeHours) {
     const errors = [];
     const warnings = [];
@@ -84,7 +141,10 @@ function validateHealth(health, now, maxAgeHours) {
     const timestampIso = toIso(health.timestamp);
     const lastSuccessIso = toIso(health.lastSuccessfulUpdate);
 
-    if (status !== 'ok') {
+    if (status === 'rollback') {
+        const from = health.rollback && health.rollback.restoredFrom;
+        warnings.push(`data was restored from backup ${from || '(unknown)'}; the next successful update clears this`);
+    } else if (status !== 'ok') {
         errors.push(`health status is "${status}" (expected "ok")`);
     }
     if (sourceStatus !== 'success') {
@@ -138,10 +198,12 @@ function main() {
         maxAgeHours: options.maxAgeHours,
         healthFile: path.relative(PROJECT_ROOT, HEALTH_FILE),
         reportFile: path.relative(PROJECT_ROOT, REPORT_FILE),
+        runsFile: path.relative(PROJECT_ROOT, RUNS_FILE),
         ok: false,
         errors: [],
         warnings: [],
-        health: {}
+        health: {},
+        runs: null
     };
 
     try {
@@ -168,6 +230,12 @@ function main() {
         result.warnings.push('update-report.json not found');
     }
 
+    try {
+        result.runs = summarizeRuns(readRuns(RUNS_FILE), options.runsWindow);
+    } catch (error) {
+        result.warnings.push(`unable to read runs.jsonl: ${error.message}`);
+    }
+
     result.ok = result.errors.length === 0;
 
     if (options.jsonOutput) {
@@ -181,6 +249,14 @@ function main() {
         console.log(
             `[health-check] lastSuccessfulUpdate=${result.health.lastSuccessfulUpdate || 'unknown'} (maxAgeHours=${result.maxAgeHours})`
         );
+        if (result.runs) {
+            const failure = result.runs.lastFailure;
+            console.log(
+                `[health-check] runs: ${result.runs.succeeded}/${result.runs.count} succeeded (${result.runs.successRate}%), mean duration ${result.runs.meanDurationMs == null ? 'unknown' : `${result.runs.meanDurationMs}ms`}${failure ? `, last failure ${failure.startedAt} (exit ${failure.exitCode})` : ''}`
+            );
+        } else {
+            console.log(`[health-check] runs: none recorded in ${result.runsFile}`);
+        }
         if (result.warnings.length > 0) {
             result.warnings.forEach((warning) => {
                 console.log(`[health-check] warning: ${warning}`);
@@ -196,4 +272,13 @@ function main() {
     process.exit(result.ok ? 0 : 1);
 }
 
-main();
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseArgs,
+    readRuns,
+    summarizeRuns,
+    validateHealth
+};
@@ -0,0 +1,141 @@
+/**
+ * Minimal JSON Schema (draft 2020-12) validator for the schemas in schemas/.
+ * The repo has no runtime dependencies, so this implements only the keywords
+ * those schemas use: $ref (local "#/$defs/..." pointers), type, enum, const,
+ * anyOf, required, properties, additionalProperties, propertyNames, items,
+ * minItems, minimum, minLength, pattern and format. Unknown keywords are ignored,
+ * as the spec allows. Formats are checked by the functions passed in `formats`.
+ */
+
+const patternCache = new Map();
+
+function toRegExp(pattern) {
+    if (!patternCache.has(pattern)) {
+        patternCache.set(pattern, new RegExp(pattern, 'u'));
+    }
+    return patternCache.get(pattern);
+}
+
+/** JSON Schema type name of a value ("integer" for whole numbers). */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/** Resolve "#/$defs/name" (or any local JSON pointer) against the root schema. */
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#')) {
+        throw new Error(`Only local $ref pointers are supported, got "${ref}"`);
+    }
+    return ref.slice(1).split('/').filter(Boolean).reduce((node, part) => {
+        const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+        if (!node || !(key in node)) {
+            throw new Error(`Unresolvable $ref "${ref}"`);
+        }
+        return node[key];
+    }, root);
+}
+
+function joinPath(base, key) {
+    if (typeof key === 'number') return `${base}[${key}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+}
+
+function check(value, schema, at, ctx) {
+    if (schema === true || schema == null) return;
+    if (schema === false) {
+        ctx.errors.push({ path: at, message: 'is not allowed' });
+        return;
+    }
+    if (schema.$ref) {
+        check(value, resolveRef(ctx.root, schema.$ref), at, ctx);
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            ctx.errors.push({ path: at, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        ctx.errors.push({ path: at, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}` });
+    }
+    if ('const' in schema && schema.const !== value) {
+        ctx.errors.push({ path: at, message: `must equal ${JSON.stringify(schema.const)}` });
+    }
+    if (schema.anyOf) {
+        const matched = schema.anyOf.some(option => {
+            const nested = { ...ctx, errors: [] };
+            check(value, option, at, nested);
+            return nested.errors.length === 0;
+        });
+        if (!matched) {
+            ctx.errors.push({ path: at, message: 'does not match any allowed form' });
+        }
+    }
+
+    const type = typeOf(value);
+    if (type === 'string') {
+        if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+            ctx.errors.push({ path: at, message: `must be at least ${schema.minLength} character(s)` });
+        }
+        if (schema.pattern && !toRegExp(schema.pattern).test(value)) {
+            ctx.errors.push({ path: at, message: `must match ${schema.pattern}, got ${JSON.stringify(value)}` });
+        }
+        if (schema.format && ctx.formats[schema.format] && !ctx.formats[schema.format](value)) {
+            ctx.errors.push({ path: at, message: `is not a valid ${schema.format}: ${JSON.stringify(value)}` });
+        }
+    }
+    if ((type === 'integer' || type === 'number') && typeof schema.minimum === 'number' && value < schema.minimum) {
+        ctx.errors.push({ path: at, message: `must be >= ${schema.minimum}, got ${value}` });
+    }
+    if (type === 'array') {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+            ctx.errors.push({ path: at, message: `must have at least ${schema.minItems} item(s)` });
+        }
+        if (schema.items) {
+            value.forEach((entry, i) => check(entry, schema.items, joinPath(at, i), ctx));
+        }
+    }
+    if (type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                ctx.errors.push({ path: at, message: `missing required property "${key}"` });
+            }
+        });
+        const properties = schema.properties || {};
+        for (const [key, entry] of Object.entries(value)) {
+            if (schema.propertyNames) {
+                check(key, schema.propertyNames, joinPath(at, key), ctx);
+            }
+            if (key in properties) {
+                check(entry, properties[key], joinPath(at, key), ctx);
+            } else if (schema.additionalProperties === false) {
+                ctx.errors.push({ path: joinPath(at, key), message: 'is not an allowed property' });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                check(entry, schema.additionalProperties, joinPath(at, key), ctx);
+            }
+        }
+    }
+}
+
+/**
+ * Validate `value` against `schema`. Returns [{ path, message }], empty when valid;
+ * paths look like "$.items[3].tagsContainer.products[0].tagName".
+ * Options: { formats: { name: value => boolean } }.
+ */
+function validateSchema(value, schema, options = {}) {
+    const ctx = { root: schema, formats: options.formats || {}, errors: [] };
+    check(value, schema, '$', ctx);
+    return ctx.errors;
+}
+
+module.exports = { validateSchema, typeOf };
@@ -5,7 +5,7 @@
  *
  * Checks:
  * - JavaScript syntax for js/ and scripts/ using `node --check`
- * - JSON parse validity for package.json and files in data/
+ * - JSON parse validity for package.json, watchlists.json and files in data/ and schemas/
  *
  * Exit code: 0 on pass, 1 on any failure.
  */
@@ -16,7 +16,7 @@ const { execFileSync } = require('child_process');
 
 const projectRoot = path.resolve(__dirname, '..');
 const jsRoots = ['js', 'scripts', 'tests'].map((p) => path.join(projectRoot, p));
-const jsonRoots = [path.join(projectRoot, 'data')];
+const jsonRoots = ['data', 'schemas'].map((p) => path.join(projectRoot, p));
 
 function listFilesRecursive(dirPath, include) {
     if (!fs.existsSync(dirPath)) return [];
@@ -62,6 +62,7 @@ function main() {
 
     const jsonFiles = [
         path.join(projectRoot, 'package.json'),
+        path.join(projectRoot, 'watchlists.json'),
         ...jsonRoots.flatMap((root) => listFilesRecursive(root, (name) => name.endsWith('.json')))
     ];
     for (const file of jsonFiles) {
@@ -0,0 +1,347 @@
+/**
+ * Data source adapters for scripts/update-data.js.
+ *
+ * An adapter is a plain object:
+ *   {
+ *     name,                    // stable id stored on every item as `source`
+ *     label,                   // display name for the dashboard's source filter
+ *     fetch(validators),       // -> Promise<{ data, validators } | null>; null = not modified
+ *     validate(data),          // throws when the raw payload is unusable
+ *     normalize(record)        // -> roadmap item ({ id, title, description, status, ... , source })
+ *   }
+ *
+ * `m365-api` (the default) reads Microsoft's roadmap API, or any http(s) URL or
+ * file with the same shape. `file` reads a JSON or CSV export from another
+ * tracker and maps it onto the roadmap item schema; its ids are prefixed with
+ * the source name so they cannot collide with roadmap ids.
+ *
+ * Extra sources are listed in a JSON config (ROADMAP_SOURCES_FILE):
+ *   { "sources": [
+ *       { "name": "m365", "type": "m365-api" },
+ *       { "name": "internal", "type": "file", "label": "Internal tracker", "path": "trackers/internal.csv" }
+ *   ] }
+ * File paths are relative to the config file.
+ */
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const { DEFAULT_SOURCE_NAME } = require('../js/roadmap-item.js');
+
+const DEFAULT_API_URL = 'https://www.microsoft.com/releasecommunications/api/v1/m365';
+const SOURCE_NAME_RE = /^[a-z0-9][a-z0-9-]*$/;
+
+/** Minimum schema for a single roadmap item from the API */
+const REQUIRED_ITEM_KEYS = ['id', 'title', 'description', 'status'];
+
+/** tagsContainer categories filled from file columns of the same name. */
+const TAG_CATEGORIES = ['products', 'platforms', 'cloudInstances', 'releasePhase'];
+
+function isRoadmapItem(item) {
+    if (!item || typeof item !== 'object') return false;
+    return REQUIRED_ITEM_KEYS.every(key => key in item);
+}
+
+function validateApiResponse(data) {
+    if (!Array.isArray(data)) {
+        throw new Error(`API response must be an array, got ${typeof data}`);
+    }
+    const bad = data.findIndex((item, i) => !isRoadmapItem(item));
+    if (bad !== -1) {
+        throw new Error(
+            `API item at index ${bad} missing required fields (id, title, description, status)`
+        );
+    }
+    return true;
+}
+
+/** Resolve a file source location: file: URL, absolute path, or path relative to `baseDir`. */
+function resolveFilePath(location, baseDir) {
+    if (location.startsWith('file:')) return url.fileURLToPath(location);
+    return path.resolve(baseDir || process.cwd(), location);
+}
+
+/** JSON payload as a record list: an array, or the `items` of a data file. */
+function parseJsonRecords(text) {
+    const raw = JSON.parse(text);
+    return raw && !Array.isArray(raw) && Array.isArray(raw.items) ? raw.items : raw;
+}
+
+/**
+ * Parse RFC 4180 CSV (quoted fields, doubled quotes, newlines inside quotes)
+ * into objects keyed by the header row. Blank lines are skipped.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const source = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('CSV ends inside a quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(cell => cell.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+    const header = nonEmpty[0].map(h => h.trim());
+    return nonEmpty.slice(1).map(cells => {
+        const record = {};
+        header.forEach((key, i) => {
+            if (key) record[key] = cells[i] != null ? cells[i] : '';
+        });
+        return record;
+    });
+}
+
+/** Case-insensitive lookup of the first present column among `names`. */
+function pickField(record, names) {
+    const keys = Object.keys(record);
+    for (const name of names) {
+        const key = keys.find(k => k.toLowerCase() === name.toLowerCase());
+        if (key && record[key] != null && record[key] !== '') return record[key];
+    }
+    return undefined;
+}
+
+/** Tag list from an array of names/{ tagName } or a ';'-separated string. */
+function toTagList(value) {
+    const names = Array.isArray(value)
+        ? value.map(v => (v && typeof v === 'object' ? v.tagName : v))
+        : String(value == null ? '' : value).split(';');
+    return names
+        .map(name => String(name == null ? '' : name).trim())
+        .filter(Boolean)
+        .map(tagName => ({ tagName }));
+}
+
+/**
+ * Map a record from a tracker export onto the roadmap item schema. Columns are
+ * matched case-insensitively; tag columns (products, platforms, cloudInstances,
+ * releasePhase) take ';'-separated names. An existing tagsContainer is kept.
+ */
+function normalizeFileRecord(record, sourceName) {
+    const rawId = pickField(record, ['id']);
+    const tagsContainer = {};
+    const existing = record.tagsContainer && typeof record.tagsContainer === 'object' ? record.tagsContainer : {};
+    TAG_CATEGORIES.forEach(category => {
+        const value = existing[category] != null ? existing[category] : pickField(record, [category]);
+        tagsContainer[category] = toTagList(value);
+    });
+
+    const item = {
+        id: `${sourceName}:${rawId}`,
+        title: String(pickField(record, ['title', 'name']) || ''),
+        description: String(pickField(record, ['description', 'summary']) || ''),
+        status: String(pickField(record, ['status', 'state']) || ''),
+        publicDisclosureAvailabilityDate: String(
+            pickField(record, ['publicDisclosureAvailabilityDate', 'availability', 'availabilityDate', 'date']) || ''
+        ),
+        tagsContainer,
+        source: sourceName
+    };
+    ['moreInfoLink', 'created', 'modified', 'publicPreviewDate'].forEach(field => {
+        const value = pickField(record, [field]);
+        if (value !== undefined) item[field] = String(value);
+    });
+    return item;
+}
+
+/** Each file record needs an id and a title; everything else has defaults. */
+function validateFileRecords(data) {
+    if (!Array.isArray(data)) {
+        throw new Error(`Source file must contain an array of records, got ${typeof data}`);
+    }
+    const bad = data.findIndex(record =>
+        !record || typeof record !== 'object' ||
+        pickField(record, ['id']) === undefined ||
+        pickField(record, ['title', 'name']) === undefined);
+    if (bad !== -1) {
+        throw new Error(`Source record at index ${bad} missing required fields (id, title)`);
+    }
+    return true;
+}
+
+/** GET over http(s) with conditional headers; resolves null on 304 Not Modified. */
+function httpGetJson(location, { validators, timeoutMs }) {
+    const client = /^http:/i.test(location) ? http : https;
+    const headers = {};
+    if (validators && validators.etag) headers['If-None-Match'] = validators.etag;
+    if (validators && validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+    return new Promise((resolve, reject) => {
+        const request = client.get(location, { headers }, (response) => {
+            if (response.statusCode === 304) {
+                response.resume();
+                resolve(null);
+                return;
+            }
+            let data = '';
+            response.on('data', (chunk) => { data += chunk; });
+            response.on('end', () => {
+                if (response.statusCode !== 200) {
+                    reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
+                    return;
+                }
+                try {
+                    resolve({
+                        data: JSON.parse(data),
+                        validators: {
+                            etag: response.headers.etag || null,
+                            lastModified: response.headers['last-modified'] || null
+                        }
+                    });
+                } catch (e) {
+                    reject(e);
+                }
+            });
+        });
+        request.on('error', reject);
+        request.setTimeout(timeoutMs, () => {
+            request.destroy();
+            reject(new Error('Request timeout'));
+        });
+    });
+}
+
+/**
+ * Microsoft 365 roadmap API adapter. `location` may also be another http(s) URL
+ * or a file with the API's shape (recorded responses, backups).
+ */
+function createM365ApiSource({ name = DEFAULT_SOURCE_NAME, label = 'Microsoft 365 Roadmap', location = DEFAULT_API_URL, baseDir, timeoutMs = 30000 } = {}) {
+    const isHttp = /^https?:\/\//i.test(location);
+    return {
+        name,
+        label,
+        type: 'm365-api',
+        location,
+        async fetch(validators) {
+            if (isHttp) return httpGetJson(location, { validators, timeoutMs });
+            const text = await fs.promises.readFile(resolveFilePath(location, baseDir), 'utf8');
+            return { data: parseJsonRecords(text), validators: null };
+        },
+        validate: validateApiResponse,
+        normalize: item => ({ ...item, source: name })
+    };
+}
+
+/** JSON or CSV export from another tracker; format follows the extension unless given. */
+function createFileSource({ name, label, location, baseDir, format } = {}) {
+    const filePath = resolveFilePath(location, baseDir);
+    const kind = format || (/\.csv$/i.test(filePath) ? 'csv' : 'json');
+    return {
+        name,
+        label: label || name,
+        type: 'file',
+        location,
+        async fetch() {
+            const text = await fs.promises.readFile(filePath, 'utf8');
+            return { data: kind === 'csv' ? parseCsv(text) : parseJsonRecords(text), validators: null };
+        },
+        validate: validateFileRecords,
+        normalize: record => normalizeFileRecord(record, name)
+    };
+}
+
+/**
+ * Adapters from a parsed sources config. `defaults` = { location, timeoutMs, baseDir }
+ * fill in the m365-api location (ROADMAP_SOURCE or the live API) and resolve file paths.
+ */
+function createSources(config, defaults = {}) {
+    const list = Array.isArray(config) ? config : (config && Array.isArray(config.sources) ? config.sources : null);
+    if (!list || list.length === 0) {
+        throw new Error('Sources config must list at least one source');
+    }
+    const names = new Set();
+    return list.map((entry, i) => {
+        if (!entry || typeof entry !== 'object') {
+            throw new Error(`Source at index ${i} must be an object`);
+        }
+        const type = entry.type || 'm365-api';
+        const name = entry.name || (type === 'm365-api' ? DEFAULT_SOURCE_NAME : '');
+        if (!SOURCE_NAME_RE.test(name)) {
+            throw new Error(`Source at index ${i} needs a lowercase name (letters, digits, dashes)`);
+        }
+        if (names.has(name)) {
+            throw new Error(`Duplicate source name "${name}"`);
+        }
+        names.add(name);
+
+        if (type === 'm365-api') {
+            return createM365ApiSource({
+                name,
+                label: entry.label,
+                location: entry.url || entry.path || defaults.location || DEFAULT_API_URL,
+                baseDir: defaults.baseDir,
+                timeoutMs: defaults.timeoutMs
+            });
+        }
+        if (type === 'file') {
+            if (!entry.path) throw new Error(`File source "${name}" needs a path`);
+            if (entry.format && !['json', 'csv'].includes(entry.format)) {
+                throw new Error(`File source "${name}" has unknown format "${entry.format}"`);
+            }
+            return createFileSource({
+                name,
+                label: entry.label,
+                location: entry.path,
+                baseDir: defaults.baseDir,
+                format: entry.format
+            });
+        }
+        throw new Error(`Source "${name}" has unknown type "${type}"`);
+    });
+}
+
+/** Read and build the adapters listed in a sources config file. */
+function loadSourcesFile(configPath, defaults = {}) {
+    const resolved = path.resolve(configPath);
+    const config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    return createSources(config, { ...defaults, baseDir: path.dirname(resolved) });
+}
+
+module.exports = {
+    DEFAULT_API_URL,
+    DEFAULT_SOURCE_NAME,
+    isRoadmapItem,
+    validateApiResponse,
+    parseCsv,
+    normalizeFileRecord,
+    validateFileRecords,
+    createM365ApiSource,
+    createFileSource,
+    createSources,
+    loadSourcesFile
+};
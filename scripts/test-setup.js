@@ -257,12 +257,13 @@ class SetupTester {
     
     validateNodeEnvironment() {
         const nodeVersion = process.version;
-        const majorVersion = parseInt(nodeVersion.slice(1).split('.')[0]);
+        const [majorVersion, minorVersion] = nodeVersion.slice(1).split('.').map(part => parseInt(part));
         
-        if (majorVersion >= 14) {
+        // crypto.randomUUID (run ids) needs 14.17
+        if (majorVersion > 14 || (majorVersion === 14 && minorVersion >= 17)) {
             this.log('success', `Node.js version ${nodeVersion} is supported`);
         } else {
-            this.log('error', `Node.js version ${nodeVersion} is too old. Requires Node.js 14+`);
+            this.log('error', `Node.js version ${nodeVersion} is too old. Requires Node.js 14.17+`);
         }
     }
     
@@ -4,43 +4,458 @@
  * Microsoft 365 Roadmap Data Update Script
  *
  * Fetches roadmap data from Microsoft's API with retry/backoff, validates
- * response shape, and writes JSON outputs atomically. Configurable via env.
+ * response shape, and writes JSON outputs atomically. Configurable via env,
+ * with command-line options taking precedence.
  *
  * Usage:
- *   node update-data.js
+ *   node update-data.js [options]
+ *
+ * Options:
+ *   --dry-run            Fetch, detect changes and check the publish guard, but write
+ *                        nothing (no data, backups, history, artifacts, report, health or webhooks)
+ *   --output-dir <dir>   Data directory (overrides OUTPUT_DIR)
+ *   --source <url|path>  Read this single source (overrides ROADMAP_SOURCE and ROADMAP_SOURCES_FILE)
+ *   --no-backup          Skip the timestamped roadmap-data-<timestamp>.json backup
+ *   --only-changes       Print the detected changes (one per item) instead of the run summary
+ *   --format json|text   Print a run summary to stdout, log lines go to stderr
+ *                        (JSON_OUTPUT=true selects json)
+ *   --help               Show usage
+ *
+ * Exit codes:
+ *   0 success, including runs without changes
+ *   1 publish guard refusal or any other failure
+ *   2 invalid arguments or source configuration
+ *   3 network failure (unreachable source, timeout, HTTP error)
+ *   4 validation failure (malformed or schema-violating source data)
+ *   5 write failure (data files, backups, history or health status)
  *
  * Environment Variables:
  *   - OUTPUT_DIR: Directory to save the data file (default: ../data)
  *   - LOG_LEVEL: Logging level (debug, info, warn, error) (default: info)
  *   - FETCH_TIMEOUT_MS: Request timeout in milliseconds (default: 30000)
  *   - FETCH_RETRY_COUNT: Number of retries after initial failure (default: 3)
+ *   - FETCH_RETRY_BASE_MS: Base delay of the exponential retry backoff (default: 1000)
+ *   - ROADMAP_SOURCE: http(s) URL or local file path to read instead of the live API,
+ *     e.g. scripts/fixture-server.js or a recorded response (default: Microsoft's API)
+ *   - ROADMAP_SOURCES_FILE: JSON list of source adapters (see scripts/sources.js) to
+ *     combine other roadmaps or trackers with the M365 API; every item gets a `source`
+ *   - PUBLISH_GUARD_MAX_ITEM_DROP_PCT: Max % fewer items than the previous snapshot (default: 20)
+ *   - PUBLISH_GUARD_MAX_PRODUCT_DROP_PCT: Max % fewer items for any one product (default: 50)
+ *   - PUBLISH_GUARD_MIN_PRODUCT_ITEMS: Products smaller than this are not checked (default: 10)
+ *   - PUBLISH_GUARD_MAX_REMOVED_PCT: Max % of previous items removed in one run (default: 10)
+ *   - PUBLISH_GUARD_OVERRIDE: If "true", publish even when the guard trips (genuine large changes)
  *   - BACKUP_RETENTION_COUNT: Number of timestamped backups to keep (default: 10)
  *   - JSON_OUTPUT: If "true", emit JSON summary to stdout for scripting
+ *   - SITE_URL: Public dashboard URL used for feed links (default: GitHub Pages URL)
+ *   - FEED_ENTRY_LIMIT: Max entries per Atom/RSS feed (default: 100)
+ *   - WEBHOOKS_FILE: JSON list of outbound webhooks (Teams, Slack, generic; see
+ *     scripts/webhooks.js) notified about new/changed items after an update
+ *   - WEBHOOKS_DRY_RUN_DIR: Write each webhook payload to <dir>/<name>.json instead of sending it
+ *   - WATCHLISTS_FILE: Team watchlist rules (see js/roadmap-watchlist.js) (default: ../watchlists.json)
+ *   - LOG_DIR: Directory for per-run JSON-lines logs (default: ../logs)
+ *   - LOG_RETENTION_COUNT: Number of per-run log files to keep (default: 14)
+ *   - RUN_HISTORY_LIMIT: Number of run records kept in data/history/runs.jsonl (default: 200)
+ *   - LOG_FORMAT: Console log format, "text" or "json" (JSON lines as in the log files) (default: text)
+ *
+ * Each run gets a run id and writes its log as JSON lines ({ time, level, runId,
+ * msg, event?, ... }) to logs/update-data-<timestamp>.jsonl, including phase
+ * timings (event "phase": fetch, detect, process, save, artifacts, notify) and
+ * retries (event "retry"); older files beyond LOG_RETENTION_COUNT are deleted.
+ * Every non-dry run then adds one summary line (status, exit code, duration,
+ * phases) to data/history/runs.jsonl, keeping the last RUN_HISTORY_LIMIT; it
+ * sits with the data so the update workflow commits it, and
+ * scripts/health-check.js reads it.
+ *
+ * Every detected change is appended to data/history/changes.jsonl (one JSON
+ * entry per changed item per run) so changes survive later update runs, and
+ * the run's statistics plus its status moves go to data/history/statistics.jsonl
+ * as the time series behind the dashboard's Trends panel.
+ * Items that disappear from the API are kept, with their last-known snapshot
+ * and removal timestamp, in data/removed-items.json. New/changed history
+ * entries are published as data/feed.atom and data/feed.rss, plus one pair per
+ * product tag under data/feeds/. Availability periods are exported as
+ * iCalendar files: data/calendar.ics and data/calendars/<product>.ics.
+ * data/quality-report.json lists items with missing products or dates,
+ * unparseable dates, empty descriptions or uncategorized tags.
+ * Each team rule in watchlists.json gets data/watchlists/<name>.json with its
+ * latest matching history entries; data/watchlists/index.json lists the rules
+ * for the dashboard's watchlist picker.
+ * Alongside roadmap-data.json, items are split into per-product shards under
+ * data/shards/ indexed by data/manifest.json for faster dashboard loads.
+ * Configured webhooks get the run's new/changed items last; a failed delivery
+ * is retried with the fetch backoff and then logged without failing the run.
+ *
+ * Fetches are conditional (If-None-Match / If-Modified-Since from the previous
+ * run's metadata.httpValidators). When the API answers 304, or the item set
+ * hashes to the previous metadata.contentHash, no data file, backup or derived
+ * artifact is rewritten; only the update report and health status record the
+ * successful "no changes" run, and rotated validators from a 200 response are
+ * stored in roadmap-data.json's metadata so the next fetch can get a 304 again.
+ *
+ * Before anything is written, a publish guard compares the new item set with
+ * the previous snapshot. A suspicious drop (total count, a product's count, or
+ * the share of removed items beyond the thresholds above) leaves every artifact
+ * untouched, marks health as degraded with the reasons and exits non-zero.
  */
 
-const https = require('https');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { getQuarterKey } = require('../js/roadmap-date.js');
+const {
+    slugify,
+    uniqueSlugs,
+    itemLink,
+    productNames,
+    describeChanges,
+    collectFeedEntries,
+    groupEntriesByProduct,
+    buildAtomFeed,
+    buildRssFeed
+} = require('./feeds.js');
+const { buildCalendar, dateChangeSequences } = require('../js/roadmap-ical.js');
+const { analyzeQuality } = require('../js/roadmap-quality.js');
+const { normalizeWatchlists, matchesWatchlist } = require('../js/roadmap-watchlist.js');
+const { statisticsEntry, parseStatisticsLines, isoWeek } = require('../js/roadmap-trends.js');
+const {
+    DEFAULT_API_URL,
+    DEFAULT_SOURCE_NAME,
+    isRoadmapItem,
+    validateApiResponse,
+    createM365ApiSource,
+    loadSourcesFile
+} = require('./sources.js');
+const { loadWebhooksFile, selectChanges, buildPayload, postJson } = require('./webhooks.js');
+
+/** Scalar fields compared between snapshots by detectChanges. */
+const COMPARED_FIELDS = ['title', 'description', 'status', 'publicDisclosureAvailabilityDate'];
+
+/** Append-only change log and the capped run history, relative to the output directory. */
+const HISTORY_DIR = 'history';
+const HISTORY_FILE = 'changes.jsonl';
+const STATISTICS_FILE = 'statistics.jsonl';
+const RUNS_FILE = 'runs.jsonl';
+
+/** Items dropped from the API, with last-known snapshot and removal timestamp. */
+const REMOVED_ITEMS_FILE = 'removed-items.json';
+
+/** Per-product feeds live in this subdirectory of the output directory. */
+const FEEDS_DIR = 'feeds';
+
+/** Per-product iCalendar files live in this subdirectory of the output directory. */
+const CALENDARS_DIR = 'calendars';
+
+/** File slug handed out per product name (see productSlugs). */
+const PRODUCT_SLUGS_FILE = 'product-slugs.json';
+
+/** Data-quality issues per category (see js/roadmap-quality.js). */
+const QUALITY_REPORT_FILE = 'quality-report.json';
+
+/** Per-team watchlist change files and their index, relative to the output directory. */
+const WATCHLISTS_DIR = 'watchlists';
+const WATCHLISTS_INDEX_FILE = 'index.json';
+
+/** Per-product data shards and the manifest that indexes them. */
+const SHARDS_DIR = 'shards';
+const MANIFEST_FILE = 'manifest.json';
+
+/** Per-run JSON-lines log files in the log directory. */
+const RUN_LOG_PREFIX = 'update-data-';
+
+/** Process exit codes, see the header. */
+const EXIT_CODES = Object.freeze({ OK: 0, FAILURE: 1, USAGE: 2, NETWORK: 3, VALIDATION: 4, WRITE: 5 });
+
+const OUTPUT_FORMATS = ['json', 'text'];
+
+const USAGE = [
+    'Usage: node scripts/update-data.js [options]',
+    '',
+    '  --dry-run            Fetch and detect changes without writing anything',
+    '  --output-dir <dir>   Data directory (default: OUTPUT_DIR or ./data)',
+    '  --source <url|path>  Read this single source instead of ROADMAP_SOURCE / ROADMAP_SOURCES_FILE',
+    '  --no-backup          Skip the timestamped backup of roadmap-data.json',
+    '  --only-changes       Print only the detected changes',
+    '  --format json|text   Print a run summary to stdout (default: json if JSON_OUTPUT=true)',
+    '  --help               Show this help',
+    '',
+    'Exit codes: 0 ok, 1 failure or publish guard refusal, 2 usage, 3 network, 4 validation, 5 write'
+].join('\n');
+
+/**
+ * Command-line options: { help, dryRun, outputDir, source, backup, onlyChanges, format }.
+ * Unset options keep the environment configuration; throws on unknown or invalid arguments.
+ */
+function parseArgs(argv, env = process.env) {
+    const options = {
+        help: false,
+        dryRun: false,
+        outputDir: null,
+        source: null,
+        backup: true,
+        onlyChanges: false,
+        format: env.JSON_OUTPUT === 'true' ? 'json' : null
+    };
+    const valueFlags = ['--output-dir', '--source', '--format'];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') options.help = true;
+        else if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--no-backup') options.backup = false;
+        else if (arg === '--only-changes') options.onlyChanges = true;
+        else if (valueFlags.includes(arg)) {
+            const value = argv[i + 1];
+            if (value == null || value.startsWith('--')) {
+                throw new Error(`${arg} requires a value`);
+            }
+            if (arg === '--output-dir') options.outputDir = path.resolve(value);
+            else if (arg === '--source') options.source = value;
+            else options.format = value;
+            i += 1;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (options.format !== null && !OUTPUT_FORMATS.includes(options.format)) {
+        throw new Error(`--format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (options.outputDir && fs.existsSync(options.outputDir) && !fs.statSync(options.outputDir).isDirectory()) {
+        throw new Error(`--output-dir ${options.outputDir} is not a directory`);
+    }
+    if (options.source && !/^(https?|file):/i.test(options.source)) {
+        options.source = path.resolve(options.source);
+        if (!fs.existsSync(options.source)) {
+            throw new Error(`--source must be an http(s) URL or an existing file: ${options.source}`);
+        }
+    }
+    return options;
+}
+
+/**
+ * Exit code for an error that ended a run in `stage` ("fetch", "write" or
+ * another step). Source configuration and validation errors are tagged with
+ * `error.failure` where they are thrown; any other fetch error is a network failure.
+ */
+function failureExitCode(error, stage) {
+    const failure = error && error.failure;
+    if (failure === 'config') return EXIT_CODES.USAGE;
+    if (stage === 'fetch') {
+        return failure === 'validation' || error instanceof SyntaxError ? EXIT_CODES.VALIDATION : EXIT_CODES.NETWORK;
+    }
+    if (stage === 'write') return EXIT_CODES.WRITE;
+    return EXIT_CODES.FAILURE;
+}
+
+/** One line per history entry, as printed by --only-changes in text format. */
+function formatChangeLine(entry) {
+    const marker = { new: '+', changed: '~', removed: '-' }[entry.changeType] || '?';
+    const fields = entry.changeType === 'changed' && Array.isArray(entry.changes) && entry.changes.length
+        ? ` (${entry.changes.map(change => change.field).join(', ')})`
+        : '';
+    return `${marker} ${entry.id} ${entry.title || ''}${fields}`;
+}
+
+/** Timestamped snapshots written by saveData: roadmap-data-<ISO timestamp>.json. */
+function isBackupFile(name) {
+    return name.startsWith('roadmap-data-') && name.endsWith('.json') && name !== 'roadmap-data-compact.json';
+}
+
+/** Copy of an item without the per-run change markers added by detectChanges. */
+function stripChangeMarkers(item) {
+    const { _changeType, _changedFields, _previousValues, _tagChanges, ...rest } = item || {};
+    return rest;
+}
 
-/** Minimum schema for a single roadmap item from the API */
-const REQUIRED_ITEM_KEYS = ['id', 'title', 'description', 'status'];
+/**
+ * sha256 of the item set with per-run change markers stripped and items in id
+ * order, so API reordering or an earlier detectChanges pass does not count as a change.
+ */
+function hashItems(items) {
+    const normalized = (items || [])
+        .map(stripChangeMarkers)
+        .sort((a, b) => String(a.id).localeCompare(String(b.id), undefined, { numeric: true }));
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+}
+
+/** Tag names per tagsContainer category, e.g. { products: ['Teams'], platforms: ['Web'] }. */
+function tagNamesByCategory(tagsContainer) {
+    const out = {};
+    if (!tagsContainer || typeof tagsContainer !== 'object') return out;
+    for (const [category, tags] of Object.entries(tagsContainer)) {
+        if (!Array.isArray(tags)) continue;
+        out[category] = tags
+            .map(t => (t && t.tagName != null ? String(t.tagName) : ''))
+            .filter(Boolean);
+    }
+    return out;
+}
 
-function isRoadmapItem(item) {
-    if (!item || typeof item !== 'object') return false;
-    return REQUIRED_ITEM_KEYS.every(key => key in item);
+/**
+ * Structured tagsContainer diff: { added: { category: [names] }, removed: { category: [names] } }.
+ * Categories without additions/removals are omitted; reordering alone is not a change.
+ */
+function diffTags(prevContainer, nextContainer) {
+    const prev = tagNamesByCategory(prevContainer);
+    const next = tagNamesByCategory(nextContainer);
+    const added = {};
+    const removed = {};
+    const categories = new Set([...Object.keys(prev), ...Object.keys(next)]);
+    for (const category of categories) {
+        const before = new Set(prev[category] || []);
+        const after = new Set(next[category] || []);
+        const plus = [...after].filter(name => !before.has(name));
+        const minus = [...before].filter(name => !after.has(name));
+        if (plus.length) added[category] = plus;
+        if (minus.length) removed[category] = minus;
+    }
+    return { added, removed };
 }
 
-function validateApiResponse(data) {
-    if (!Array.isArray(data)) {
-        throw new Error(`API response must be an array, got ${typeof data}`);
+/**
+ * Field-level differences between two snapshots of the same item.
+ * Returns [{ field, previous, current }] for scalar fields and
+ * { field: 'tagsContainer', added, removed } for tags; empty when nothing tracked changed.
+ */
+function diffItems(prev, item) {
+    const changes = [];
+    for (const field of COMPARED_FIELDS) {
+        const newVal = item[field] != null ? String(item[field]) : '';
+        const oldVal = prev[field] != null ? String(prev[field]) : '';
+        if (newVal !== oldVal) {
+            changes.push({ field, previous: oldVal, current: newVal });
+        }
     }
-    const bad = data.findIndex((item, i) => !isRoadmapItem(item));
-    if (bad !== -1) {
-        throw new Error(
-            `API item at index ${bad} missing required fields (id, title, description, status)`
-        );
+
+    const tags = diffTags(prev.tagsContainer, item.tagsContainer);
+    if (Object.keys(tags.added).length || Object.keys(tags.removed).length) {
+        changes.push({ field: 'tagsContainer', added: tags.added, removed: tags.removed });
     }
-    return true;
+    return changes;
+}
+
+/** Counts of new/changed/unchanged items plus removals recorded in history entries. */
+function summarizeChanges(items, history) {
+    const newCount = items.filter(i => i._changeType === 'new').length;
+    const changedCount = items.filter(i => i._changeType === 'changed').length;
+    const removedCount = (history || []).filter(e => e.changeType === 'removed').length;
+    return {
+        newCount,
+        changedCount,
+        removedCount,
+        unchangedCount: items.length - newCount - changedCount
+    };
+}
+
+/**
+ * Group items into per-product shards keyed by product slug. Product names that
+ * differ only in case or punctuation share a shard; an item with several
+ * products appears in each of their shards, and untagged items go to "untagged".
+ * Returns [{ key, products, items }] sorted by key.
+ */
+function buildShards(items) {
+    const shards = new Map();
+    const add = (key, product, item) => {
+        if (!shards.has(key)) shards.set(key, { key, products: new Set(), items: [] });
+        const shard = shards.get(key);
+        if (product) shard.products.add(product);
+        if (shard.items[shard.items.length - 1] !== item) shard.items.push(item);
+    };
+    for (const item of items) {
+        const products = item.tagsContainer && Array.isArray(item.tagsContainer.products)
+            ? item.tagsContainer.products.filter(p => p && p.tagName) : [];
+        if (products.length === 0) {
+            add(slugify(''), null, item);
+            continue;
+        }
+        for (const product of products) {
+            add(slugify(product.tagName), String(product.tagName), item);
+        }
+    }
+    return [...shards.values()]
+        .sort((a, b) => a.key.localeCompare(b.key))
+        .map(shard => ({ key: shard.key, products: [...shard.products].sort(), items: shard.items }));
+}
+
+/** Per-source item counts with display labels, in first-seen order: [{ name, label, itemCount }]. */
+function summarizeSources(items, labels) {
+    const counts = new Map();
+    for (const item of items) {
+        const name = item.source || DEFAULT_SOURCE_NAME;
+        counts.set(name, (counts.get(name) || 0) + 1);
+    }
+    return [...counts].map(([name, itemCount]) => ({
+        name,
+        label: (labels && labels.get(name)) || name,
+        itemCount
+    }));
+}
+
+/** Number of items per product tag name. */
+function countByProduct(items) {
+    const counts = new Map();
+    for (const item of items) {
+        const products = item.tagsContainer && Array.isArray(item.tagsContainer.products) ? item.tagsContainer.products : [];
+        for (const product of products) {
+            if (!product || !product.tagName) continue;
+            counts.set(product.tagName, (counts.get(product.tagName) || 0) + 1);
+        }
+    }
+    return counts;
+}
+
+function dropPct(before, after) {
+    return before > 0 ? Math.round(((before - after) / before) * 1000) / 10 : 0;
+}
+
+/**
+ * Compare the next item set with the previous snapshot against the publish
+ * guard thresholds ({ maxItemDropPct, maxProductDropPct, minProductItems, maxRemovedPct }).
+ * Returns { ok, reasons, metrics }; always ok when there is no previous snapshot.
+ */
+function evaluatePublishGuard(previousItems, nextItems, removedCount, thresholds) {
+    const reasons = [];
+    const metrics = {
+        previousCount: previousItems.length,
+        nextCount: nextItems.length,
+        itemDropPct: dropPct(previousItems.length, nextItems.length),
+        removedCount,
+        removedPct: previousItems.length > 0 ? Math.round((removedCount / previousItems.length) * 1000) / 10 : 0,
+        productDrops: []
+    };
+    if (previousItems.length === 0) {
+        return { ok: true, reasons, metrics };
+    }
+
+    if (metrics.itemDropPct > thresholds.maxItemDropPct) {
+        reasons.push(`Item count dropped ${metrics.itemDropPct}% (${metrics.previousCount} -> ${metrics.nextCount}), limit ${thresholds.maxItemDropPct}%`);
+    }
+    if (metrics.removedPct > thresholds.maxRemovedPct) {
+        reasons.push(`${removedCount} items removed (${metrics.removedPct}% of previous), limit ${thresholds.maxRemovedPct}%`);
+    }
+
+    const nextByProduct = countByProduct(nextItems);
+    for (const [product, before] of countByProduct(previousItems)) {
+        if (before < thresholds.minProductItems) continue;
+        const after = nextByProduct.get(product) || 0;
+        const pct = dropPct(before, after);
+        if (pct > thresholds.maxProductDropPct) {
+            metrics.productDrops.push({ product, before, after, dropPct: pct });
+        }
+    }
+    metrics.productDrops.sort((a, b) => b.dropPct - a.dropPct || a.product.localeCompare(b.product));
+    metrics.productDrops.forEach(drop => {
+        reasons.push(`${drop.product} dropped ${drop.dropPct}% (${drop.before} -> ${drop.after}), limit ${thresholds.maxProductDropPct}%`);
+    });
+
+    return { ok: reasons.length === 0, reasons, metrics };
+}
+
+/** Percentage threshold from the environment, clamped to 0-100. */
+function percentEnv(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? Math.max(0, Math.min(100, value)) : fallback;
 }
 
 /** Exponential backoff with jitter: delay = base * 2^attempt + jitter */
@@ -52,80 +467,297 @@ function delayMs(attempt, baseMs = 1000, maxMs = 30000) {
 
 class RoadmapDataUpdater {
     constructor() {
-        this.apiUrl = 'https://www.microsoft.com/releasecommunications/api/v1/m365';
+        this.apiUrl = process.env.ROADMAP_SOURCE || DEFAULT_API_URL;
+        this.sourcesFile = process.env.ROADMAP_SOURCES_FILE || null;
+        /** Display label per source name, filled by fetchData for metadata.sources. */
+        this.sourceLabels = new Map();
         this.outputDir = process.env.OUTPUT_DIR || path.join(__dirname, '../data');
         this.logLevel = process.env.LOG_LEVEL || 'info';
+        this.logFormat = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+        this.logDir = process.env.LOG_DIR || path.join(__dirname, '../logs');
+        this.logRetention = Math.max(1, Math.min(1000, parseInt(process.env.LOG_RETENTION_COUNT || '14', 10) || 14));
+        this.runHistoryLimit = Math.max(1, Math.min(10000, parseInt(process.env.RUN_HISTORY_LIMIT || '200', 10) || 200));
+        /** Identifies this run in log lines, runs.jsonl and health-status.json. */
+        this.runId = crypto.randomUUID();
+        /** JSON-lines log file of the current run; set by startRunLog. */
+        this.logFile = null;
+        /** Duration in ms per pipeline phase of the current run (see timePhase). */
+        this.phaseTimings = {};
         this.fetchTimeoutMs = Math.max(1000, parseInt(process.env.FETCH_TIMEOUT_MS || '30000', 10) || 30000);
         this.retryCount = Math.max(0, Math.min(10, parseInt(process.env.FETCH_RETRY_COUNT || '3', 10) || 3));
+        this.retryBaseMs = Math.max(0, parseInt(process.env.FETCH_RETRY_BASE_MS || '1000', 10) || 0);
         this.backupRetention = Math.max(1, Math.min(100, parseInt(process.env.BACKUP_RETENTION_COUNT || '10', 10) || 10));
+        this.siteUrl = (process.env.SITE_URL || 'https://millibus.github.io/m365-roadmap-dashboard/').replace(/\/?$/, '/');
+        this.feedEntryLimit = Math.max(1, Math.min(1000, parseInt(process.env.FEED_ENTRY_LIMIT || '100', 10) || 100));
+        this.publishGuard = {
+            maxItemDropPct: percentEnv('PUBLISH_GUARD_MAX_ITEM_DROP_PCT', 20),
+            maxProductDropPct: percentEnv('PUBLISH_GUARD_MAX_PRODUCT_DROP_PCT', 50),
+            minProductItems: Math.max(1, parseInt(process.env.PUBLISH_GUARD_MIN_PRODUCT_ITEMS || '10', 10) || 10),
+            maxRemovedPct: percentEnv('PUBLISH_GUARD_MAX_REMOVED_PCT', 10)
+        };
+        this.publishGuardOverride = process.env.PUBLISH_GUARD_OVERRIDE === 'true';
+        this.webhooksFile = process.env.WEBHOOKS_FILE || null;
+        this.webhooksDryRunDir = process.env.WEBHOOKS_DRY_RUN_DIR || null;
+        this.watchlistsFile = process.env.WATCHLISTS_FILE || path.join(__dirname, '../watchlists.json');
+        /** Command-line switches (see parseArgs and applyOptions). */
+        this.dryRun = false;
+        this.createBackup = true;
+        this.onlyChanges = false;
+        this.outputFormat = process.env.JSON_OUTPUT === 'true' ? 'json' : null;
+        /** ETag / Last-Modified per source name from the last 200 responses, stored in metadata.httpValidators. */
+        this.httpValidators = {};
+    }
 
-        if (!fs.existsSync(this.outputDir)) {
-            fs.mkdirSync(this.outputDir, { recursive: true });
+    /** Apply parsed command-line options (parseArgs) over the environment configuration. */
+    applyOptions(options) {
+        if (options.outputDir) this.outputDir = options.outputDir;
+        if (options.source) {
+            this.apiUrl = options.source;
+            this.sourcesFile = null;
         }
+        this.dryRun = Boolean(options.dryRun);
+        this.createBackup = options.backup !== false;
+        this.onlyChanges = Boolean(options.onlyChanges);
+        this.outputFormat = options.format || (this.onlyChanges ? 'text' : null);
     }
 
+    /**
+     * Log a line. Console lines go to stdout, or to stderr when stdout carries a
+     * summary (outputFormat); extra args are kept as `details` in JSON lines.
+     */
     log(level, message, ...args) {
+        const details = args.map(arg => (arg instanceof Error ? arg.message : arg));
+        this.writeLog(level, message, details.length ? { details } : {});
+    }
+
+    /** Log a structured event (e.g. "phase", "retry") with its fields. */
+    logEvent(level, event, message, fields = {}) {
+        this.writeLog(level, message, { event, ...fields });
+    }
+
+    /**
+     * Write one entry to the console (LOG_LEVEL) and, during a run, to the run's
+     * log file, which keeps info and above whatever the console level.
+     */
+    writeLog(level, message, fields) {
         const levels = { error: 0, warn: 1, info: 2, debug: 3 };
-        if (levels[level] <= levels[this.logLevel]) {
-            console[level === 'error' ? 'error' : 'log'](
-                `[${new Date().toISOString()}] ${level.toUpperCase()}: ${message}`,
-                ...args
-            );
+        const toConsole = levels[level] <= levels[this.logLevel];
+        const toFile = this.logFile && levels[level] <= Math.max(levels.info, levels[this.logLevel]);
+        if (!toConsole && !toFile) return;
+
+        const time = new Date().toISOString();
+        const entry = { time, level, runId: this.runId, msg: message, ...fields };
+        if (toFile) {
+            try {
+                fs.appendFileSync(this.logFile, JSON.stringify(entry) + '\n', 'utf8');
+            } catch (error) {
+                this.logFile = null;
+                this.log('warn', 'Run log disabled, could not write it:', error.message);
+            }
+        }
+        if (!toConsole) return;
+        const stream = level === 'error' || this.outputFormat ? 'error' : 'log';
+        if (this.logFormat === 'json') {
+            console[stream](JSON.stringify(entry));
+        } else {
+            console[stream](`[${time}] ${level.toUpperCase()}: ${message}`, ...(fields.details || []));
         }
     }
 
-    async fetchOne() {
-        return new Promise((resolve, reject) => {
-            const request = https.get(this.apiUrl, (response) => {
-                let data = '';
-                response.on('data', (chunk) => { data += chunk; });
-                response.on('end', () => {
-                    if (response.statusCode !== 200) {
-                        reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
-                        return;
-                    }
-                    try {
-                        const jsonData = JSON.parse(data);
-                        validateApiResponse(jsonData);
-                        resolve(jsonData);
-                    } catch (e) {
-                        reject(e);
-                    }
-                });
-            });
-            request.on('error', reject);
-            request.setTimeout(this.fetchTimeoutMs, () => {
-                request.destroy();
-                reject(new Error('Request timeout'));
-            });
-        });
+    /**
+     * Open this run's log file (LOG_DIR/update-data-<timestamp>.jsonl) and delete
+     * the oldest ones beyond logRetention. A log directory that cannot be written
+     * leaves the run with console logging only.
+     */
+    startRunLog(startedAt = new Date()) {
+        try {
+            fs.mkdirSync(this.logDir, { recursive: true });
+            const stamp = startedAt.toISOString().replace(/[:.]/g, '-');
+            this.logFile = path.join(this.logDir, `${RUN_LOG_PREFIX}${stamp}.jsonl`);
+            fs.appendFileSync(this.logFile, '', 'utf8');
+            const stale = fs.readdirSync(this.logDir)
+                .filter(name => name.startsWith(RUN_LOG_PREFIX) && name.endsWith('.jsonl'))
+                .sort()
+                .reverse()
+                .slice(this.logRetention);
+            stale.forEach(name => fs.rmSync(path.join(this.logDir, name), { force: true }));
+            if (stale.length) this.log('debug', `Deleted ${stale.length} old run logs`);
+        } catch (error) {
+            this.logFile = null;
+            this.log('warn', 'Run log disabled:', error.message);
+        }
+        return this.logFile;
+    }
+
+    /** Await `fn` and record its duration as phase `name` (phaseTimings and a "phase" log event). */
+    async timePhase(name, fn) {
+        const start = Date.now();
+        try {
+            return await fn();
+        } finally {
+            const durationMs = Date.now() - start;
+            this.phaseTimings[name] = durationMs;
+            this.logEvent('info', 'phase', `Phase ${name} took ${durationMs}ms`, { phase: name, durationMs });
+        }
+    }
+
+    /**
+     * Add this run's summary to data/history/runs.jsonl: { runId, startedAt,
+     * finishedAt, durationMs, status (ok|unchanged|blocked|failed), exitCode,
+     * dataChanged, itemCount, changes, phases, error, logFile }. Only the last
+     * runHistoryLimit records are kept.
+     */
+    async appendRunRecord(startedAt, exitCode, outcome = {}) {
+        const finishedAt = new Date();
+        const record = {
+            runId: this.runId,
+            startedAt: startedAt.toISOString(),
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt - startedAt,
+            status: outcome.status || (exitCode === EXIT_CODES.OK ? 'ok' : 'failed'),
+            exitCode,
+            dataChanged: Boolean(outcome.dataChanged),
+            itemCount: typeof outcome.itemCount === 'number' ? outcome.itemCount : null,
+            changes: outcome.changes || null,
+            phases: { ...this.phaseTimings },
+            error: outcome.error || null,
+            logFile: this.logFile ? path.basename(this.logFile) : null
+        };
+        const runsPath = path.join(this.outputDir, HISTORY_DIR, RUNS_FILE);
+        let lines = [];
+        try {
+            lines = (await fs.promises.readFile(runsPath, 'utf8')).split('\n').filter(line => line.trim());
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        lines.push(JSON.stringify(record));
+        await this.writeFileAtomic(runsPath, lines.slice(-this.runHistoryLimit).join('\n') + '\n');
+        return record;
+    }
+
+    /** Configured adapters: ROADMAP_SOURCES_FILE, or the M365 API adapter on apiUrl (ROADMAP_SOURCE). */
+    getSources() {
+        const defaults = { location: this.apiUrl, timeoutMs: this.fetchTimeoutMs };
+        if (this.sourcesFile) {
+            try {
+                return loadSourcesFile(this.sourcesFile, defaults);
+            } catch (error) {
+                error.failure = 'config';
+                throw error;
+            }
+        }
+        return [createM365ApiSource(defaults)];
     }
 
-    async fetchData() {
-        this.log('info', `Fetching data from ${this.apiUrl} (timeout=${this.fetchTimeoutMs}ms, retries=${this.retryCount})`);
+    /**
+     * Single read of one source (default: the first configured). `validators`
+     * ({ etag, lastModified }) make http(s) reads conditional; resolves null on
+     * 304 Not Modified, otherwise the validated raw records.
+     */
+    async fetchOne(validators = {}, source = this.getSources()[0]) {
+        const result = await source.fetch(validators);
+        if (result === null) return null;
+        try {
+            source.validate(result.data);
+        } catch (error) {
+            error.failure = 'validation';
+            throw error;
+        }
+        this.httpValidators[source.name] = result.validators;
+        return result.data;
+    }
+
+    /** fetchOne with retry/backoff. Returns null when the source reports 304 Not Modified. */
+    async fetchSource(source, validators) {
+        this.log('info', `Fetching ${source.name} from ${source.location} (timeout=${this.fetchTimeoutMs}ms, retries=${this.retryCount})`);
         let lastError;
         for (let attempt = 0; attempt <= this.retryCount; attempt++) {
             try {
-                const jsonData = await this.fetchOne();
-                this.log('info', `Successfully fetched ${jsonData.length} roadmap items`);
-                return jsonData;
+                const records = await this.fetchOne(validators, source);
+                if (records === null) {
+                    this.log('info', `Source ${source.name} not modified since last update (HTTP 304)`);
+                    return null;
+                }
+                this.log('info', `Successfully fetched ${records.length} ${source.name} items`);
+                return records;
             } catch (error) {
                 lastError = error;
                 this.log('warn', `Attempt ${attempt + 1}/${this.retryCount + 1} failed: ${error.message}`);
                 if (attempt < this.retryCount) {
-                    const wait = delayMs(attempt);
-                    this.log('info', `Retrying in ${wait}ms...`);
+                    const wait = delayMs(attempt, this.retryBaseMs);
+                    this.logEvent('info', 'retry', `Retrying in ${wait}ms...`, {
+                        source: source.name, attempt: attempt + 1, maxAttempts: this.retryCount + 1, waitMs: wait, error: error.message
+                    });
                     await new Promise(r => setTimeout(r, wait));
                 }
             }
         }
-        this.log('error', 'All fetch attempts failed:', lastError.message);
+        this.log('error', `All fetch attempts for ${source.name} failed:`, lastError.message);
         throw lastError;
     }
 
     /**
-     * Compare new items against the previous snapshot to detect NEW and UPDATED items.
-     * Mutates items in-place by adding _changeType and _changedFields properties.
+     * Fetch every configured source and return their normalized items, each
+     * carrying `source`. `validatorsBySource` maps source name to { etag, lastModified }.
+     * Returns null when every source reports 304; a single unmodified source
+     * reuses its items from the previous snapshot.
+     */
+    async fetchData(validatorsBySource = {}) {
+        const sources = this.getSources();
+        this.sourceLabels = new Map(sources.map(source => [source.name, source.label]));
+
+        const results = [];
+        for (const source of sources) {
+            results.push({ source, records: await this.fetchSource(source, validatorsBySource[source.name]) });
+        }
+        if (results.every(result => result.records === null)) return null;
+
+        const items = [];
+        for (const { source, records } of results) {
+            if (records !== null) {
+                items.push(...records.map(source.normalize));
+                continue;
+            }
+            const previous = this.readPreviousItems()
+                .filter(item => (item.source || DEFAULT_SOURCE_NAME) === source.name);
+            if (previous.length > 0) {
+                items.push(...previous.map(stripChangeMarkers));
+            } else {
+                items.push(...(await this.fetchSource(source, null)).map(source.normalize));
+            }
+        }
+        return items;
+    }
+
+    /** Items of the current roadmap-data.json, or [] when there is no usable previous snapshot. */
+    readPreviousItems() {
+        const dataPath = path.join(this.outputDir, 'roadmap-data.json');
+        try {
+            const raw = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+            return Array.isArray(raw) ? raw : (raw && Array.isArray(raw.items) ? raw.items : []);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /** Metadata of the current roadmap-data.json, or {} when there is no usable previous snapshot. */
+    readPreviousMetadata() {
+        const dataPath = path.join(this.outputDir, 'roadmap-data.json');
+        try {
+            const raw = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+            return raw && raw.metadata && typeof raw.metadata === 'object' ? raw.metadata : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Compare new items against the previous snapshot to detect NEW, UPDATED and REMOVED items.
+     * Mutates items in-place by adding _changeType and _changedFields properties; changed
+     * items also get _previousValues ({ field: oldValue }) and, when tags moved, _tagChanges
+     * ({ added, removed } tag names per tagsContainer category).
+     * Returns history entries ({ id, title, changeType, changes }) for appendHistory;
+     * removed entries also carry the item's last-known `snapshot`.
      */
     detectChanges(newItems) {
         const dataPath = path.join(this.outputDir, 'roadmap-data.json');
@@ -145,58 +777,495 @@ class RoadmapDataUpdater {
                 item._changeType = 'unchanged';
                 item._changedFields = [];
             }
-            return;
+            return [];
         }
 
         const prevMap = new Map(prevItems.map(i => [i.id, i]));
-        const comparedFields = ['title', 'description', 'status', 'publicDisclosureAvailabilityDate'];
+        const history = [];
 
         for (const item of newItems) {
             const prev = prevMap.get(item.id);
             if (!prev) {
                 item._changeType = 'new';
                 item._changedFields = [];
+                history.push({ id: item.id, title: item.title, changeType: 'new', changes: [] });
                 continue;
             }
 
-            const changedFields = [];
-            for (const field of comparedFields) {
-                const newVal = item[field] != null ? String(item[field]) : '';
-                const oldVal = prev[field] != null ? String(prev[field]) : '';
-                if (newVal !== oldVal) {
-                    changedFields.push(field);
+            const changes = diffItems(prev, item);
+            if (changes.length > 0) {
+                item._changeType = 'changed';
+                item._changedFields = changes.map(c => c.field);
+                const previousValues = {};
+                for (const change of changes) {
+                    if (change.field === 'tagsContainer') {
+                        item._tagChanges = { added: change.added, removed: change.removed };
+                    } else {
+                        previousValues[change.field] = change.previous;
+                    }
                 }
+                if (Object.keys(previousValues).length) item._previousValues = previousValues;
+                history.push({ id: item.id, title: item.title, changeType: 'changed', changes });
+            } else {
+                item._changeType = 'unchanged';
+                item._changedFields = [];
             }
+        }
+
+        const newIds = new Set(newItems.map(i => i.id));
+        for (const prev of prevItems) {
+            if (!prev || newIds.has(prev.id)) continue;
+            history.push({
+                id: prev.id,
+                title: prev.title,
+                changeType: 'removed',
+                changes: [],
+                snapshot: stripChangeMarkers(prev)
+            });
+        }
+
+        const summary = summarizeChanges(newItems, history);
+        this.log('info', `Change detection: ${summary.newCount} new, ${summary.changedCount} changed, ${summary.removedCount} removed, ${summary.unchangedCount} unchanged`);
+        return history;
+    }
+
+    /**
+     * Append change entries to the persistent history log (data/history/changes.jsonl).
+     * Existing lines are never rewritten; each entry is stamped with the run timestamp.
+     */
+    async appendHistory(entries, timestamp) {
+        if (!Array.isArray(entries) || entries.length === 0) return 0;
+        const historyDir = path.join(this.outputDir, HISTORY_DIR);
+        const historyPath = path.join(historyDir, HISTORY_FILE);
+        const stamp = timestamp || new Date().toISOString();
+        const lines = entries
+            .map(entry => JSON.stringify({ timestamp: stamp, ...entry }))
+            .join('\n') + '\n';
+
+        await fs.promises.mkdir(historyDir, { recursive: true });
+        await fs.promises.appendFile(historyPath, lines, 'utf8');
+        this.log('info', `Appended ${entries.length} change entries to ${historyPath}`);
+        return entries.length;
+    }
+
+    /**
+     * Append one statistics entry for this run to data/history/statistics.jsonl:
+     * { timestamp, totalItems, byStatus, byProduct, byPlatform, transitions }.
+     */
+    async appendStatistics(statistics, history, timestamp) {
+        const historyDir = path.join(this.outputDir, HISTORY_DIR);
+        const statisticsPath = path.join(historyDir, STATISTICS_FILE);
+        const entry = statisticsEntry(timestamp || new Date().toISOString(), statistics, history);
+
+        await fs.promises.mkdir(historyDir, { recursive: true });
+        await fs.promises.appendFile(statisticsPath, JSON.stringify(entry) + '\n', 'utf8');
+        this.log('info', `Appended statistics (${entry.totalItems} items) to ${statisticsPath}`);
+        return entry;
+    }
+
+    /**
+     * On a run without changes, repeat the published statistics in
+     * statistics.jsonl once per ISO week, so weeks without upstream changes keep
+     * flat counts in the weekly Trends series instead of dropping out.
+     * Returns the entry, or null when this week already has one.
+     */
+    async appendUnchangedStatistics() {
+        const statisticsPath = path.join(this.outputDir, HISTORY_DIR, STATISTICS_FILE);
+        let entries = [];
+        try {
+            entries = parseStatisticsLines(await fs.promises.readFile(statisticsPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        const timestamp = new Date().toISOString();
+        const last = entries[entries.length - 1];
+        if (last && isoWeek(last.timestamp) === isoWeek(timestamp)) return null;
 
-            // Compare tagsContainer via JSON.stringify
-            const newTags = JSON.stringify(item.tagsContainer || {});
-            const oldTags = JSON.stringify(prev.tagsContainer || {});
-            if (newTags !== oldTags) {
-                changedFields.push('tagsContainer');
+        const data = JSON.parse(await fs.promises.readFile(path.join(this.outputDir, 'roadmap-data.json'), 'utf8'));
+        if (!data || !data.statistics) return null;
+        return this.appendStatistics(data.statistics, [], timestamp);
+    }
+
+    /** Read all history entries, optionally restricted to one item id. Malformed lines are skipped. */
+    async readHistory(id) {
+        const historyPath = path.join(this.outputDir, HISTORY_DIR, HISTORY_FILE);
+        let raw;
+        try {
+            raw = await fs.promises.readFile(historyPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const entries = [];
+        for (const line of raw.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                if (id == null || String(entry.id) === String(id)) entries.push(entry);
+            } catch (error) {
+                this.log('warn', 'Skipping malformed history line:', error.message);
             }
+        }
+        return entries;
+    }
 
-            if (changedFields.length > 0) {
-                item._changeType = 'changed';
-                item._changedFields = changedFields;
-            } else {
-                item._changeType = 'unchanged';
-                item._changedFields = [];
+    /**
+     * Maintain data/removed-items.json: add items removed in this run (stamped with
+     * _removedAt) and drop any that are back in the current item set.
+     * Returns the number of items in the store.
+     */
+    async updateRemovedItems(history, currentItems, timestamp) {
+        const removedPath = path.join(this.outputDir, REMOVED_ITEMS_FILE);
+        let existing = [];
+        try {
+            const raw = JSON.parse(await fs.promises.readFile(removedPath, 'utf8'));
+            existing = raw && Array.isArray(raw.items) ? raw.items : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.log('warn', 'Could not read removed items, starting fresh:', error.message);
+            }
+        }
+
+        const removedAt = timestamp || new Date().toISOString();
+        const currentIds = new Set((currentItems || []).map(i => String(i.id)));
+        const byId = new Map();
+        for (const item of existing) {
+            if (item && !currentIds.has(String(item.id))) byId.set(String(item.id), item);
+        }
+        for (const entry of history || []) {
+            if (entry.changeType !== 'removed' || !entry.snapshot) continue;
+            byId.set(String(entry.id), {
+                ...entry.snapshot,
+                _changeType: 'removed',
+                _changedFields: [],
+                _removedAt: removedAt
+            });
+        }
+
+        if (existing.length === 0 && byId.size === 0) return 0;
+
+        const items = Array.from(byId.values())
+            .sort((a, b) => String(b._removedAt).localeCompare(String(a._removedAt)));
+        const payload = {
+            metadata: { lastUpdated: removedAt, totalItems: items.length },
+            items
+        };
+        await this.writeFileAtomic(removedPath, JSON.stringify(payload, null, 2));
+        this.log('info', `Removed items saved to ${removedPath} (${items.length} total)`);
+        return items.length;
+    }
+
+    /**
+     * Regenerate the artifacts derived from the published items (feeds,
+     * calendars, quality report, watchlists); each failure is a warning only.
+     */
+    async generateArtifacts(items, lastUpdated) {
+        try {
+            await this.generateFeeds(items);
+        } catch (error) {
+            this.log('warn', 'Failed to generate feeds:', error.message);
+        }
+        try {
+            await this.generateCalendars(items);
+        } catch (error) {
+            this.log('warn', 'Failed to generate calendars:', error.message);
+        }
+        try {
+            await this.generateQualityReport(items, lastUpdated);
+        } catch (error) {
+            this.log('warn', 'Failed to generate quality report:', error.message);
+        }
+        try {
+            await this.generateWatchlists(items, lastUpdated);
+        } catch (error) {
+            this.log('warn', 'Failed to generate watchlists:', error.message);
+        }
+    }
+
+    /**
+     * Write Atom + RSS feeds of new/changed items from the persistent history:
+     * data/feed.atom, data/feed.rss and data/feeds/<product>.{atom,rss}.
+     * Per-product feeds for products no longer present are deleted.
+     */
+    async generateFeeds(items) {
+        const history = await this.readHistory();
+        const entries = collectFeedEntries(items, history, { limit: this.feedEntryLimit });
+        const updated = entries.length ? entries[0].updated : new Date().toISOString();
+
+        const write = async (relBase, title, feedEntries) => {
+            const feedUpdated = feedEntries.length ? feedEntries[0].updated : updated;
+            const feed = { title, siteUrl: this.siteUrl, updated: feedUpdated };
+            await this.writeFileAtomic(
+                path.join(this.outputDir, `${relBase}.atom`),
+                buildAtomFeed({ ...feed, selfUrl: `${this.siteUrl}data/${relBase}.atom` }, feedEntries)
+            );
+            await this.writeFileAtomic(
+                path.join(this.outputDir, `${relBase}.rss`),
+                buildRssFeed({ ...feed, selfUrl: `${this.siteUrl}data/${relBase}.rss` }, feedEntries)
+            );
+        };
+
+        await write('feed', 'Microsoft 365 Roadmap changes', entries);
+
+        const feedsDir = path.join(this.outputDir, FEEDS_DIR);
+        await fs.promises.mkdir(feedsDir, { recursive: true });
+        const written = new Set();
+        const groups = groupEntriesByProduct(entries);
+        const slugs = await this.productSlugs([...groups.keys()]);
+        for (const [product, productEntries] of groups) {
+            const slug = slugs.get(product);
+            await write(`${FEEDS_DIR}/${slug}`, `Microsoft 365 Roadmap changes: ${product}`, productEntries);
+            written.add(`${slug}.atom`);
+            written.add(`${slug}.rss`);
+        }
+        for (const file of await fs.promises.readdir(feedsDir)) {
+            if (/\.(atom|rss)$/.test(file) && !written.has(file)) {
+                await fs.promises.unlink(path.join(feedsDir, file));
+            }
+        }
+
+        this.log('info', `Feeds saved: ${entries.length} entries, ${written.size / 2} product feeds`);
+        return entries.length;
+    }
+
+    /**
+     * uniqueSlugs for per-product files. Slugs handed out on earlier runs are kept
+     * in data/product-slugs.json ({ slugs: { name: slug } }) and reused, so a new
+     * product never takes over an existing product's file names. Logs new
+     * products whose plain slug was taken.
+     */
+    async productSlugs(products) {
+        const slugsPath = path.join(this.outputDir, PRODUCT_SLUGS_FILE);
+        let assigned = {};
+        try {
+            const raw = JSON.parse(await fs.promises.readFile(slugsPath, 'utf8'));
+            Object.entries(raw && raw.slugs && typeof raw.slugs === 'object' ? raw.slugs : {}).forEach(([name, slug]) => {
+                if (typeof slug === 'string' && slug) assigned[name] = slug;
+            });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.log('warn', 'Could not read product slugs, assigning them afresh:', error.message);
+                assigned = {};
+            }
+        }
+
+        const slugs = uniqueSlugs(products, assigned);
+        const added = [...slugs].filter(([product]) => !Object.prototype.hasOwnProperty.call(assigned, product));
+        added.forEach(([product, slug]) => {
+            if (slug !== slugify(product)) this.log('warn', `Product "${product}" shares a file name with another product; using ${slug}`);
+        });
+        if (added.length) {
+            const merged = { ...assigned, ...Object.fromEntries(added) };
+            const sorted = Object.fromEntries(Object.keys(merged).sort().map(name => [name, merged[name]]));
+            await this.writeFileAtomic(slugsPath, JSON.stringify({ slugs: sorted }, null, 2));
+        }
+        return slugs;
+    }
+
+    /**
+     * Write iCalendar exports of availability periods: data/calendar.ics for all items
+     * and data/calendars/<product>.ics per product tag. Stale product calendars are deleted.
+     */
+    async generateCalendars(items) {
+        const now = new Date();
+        const sequences = dateChangeSequences(await this.readHistory());
+        const all = buildCalendar(items, { name: 'Microsoft 365 Roadmap', now, sequences });
+        await this.writeFileAtomic(path.join(this.outputDir, 'calendar.ics'), all.content);
+
+        const byProduct = new Map();
+        for (const item of items) {
+            const products = item.tagsContainer && Array.isArray(item.tagsContainer.products)
+                ? item.tagsContainer.products : [];
+            for (const product of products) {
+                if (!product || !product.tagName) continue;
+                if (!byProduct.has(product.tagName)) byProduct.set(product.tagName, []);
+                byProduct.get(product.tagName).push(item);
+            }
+        }
+
+        const calendarsDir = path.join(this.outputDir, CALENDARS_DIR);
+        await fs.promises.mkdir(calendarsDir, { recursive: true });
+        const written = new Set();
+        const slugs = await this.productSlugs([...byProduct.keys()]);
+        for (const [product, productItems] of byProduct) {
+            const file = `${slugs.get(product)}.ics`;
+            const calendar = buildCalendar(productItems, { name: `Microsoft 365 Roadmap: ${product}`, now, sequences });
+            await this.writeFileAtomic(path.join(calendarsDir, file), calendar.content);
+            written.add(file);
+        }
+        for (const file of await fs.promises.readdir(calendarsDir)) {
+            if (file.endsWith('.ics') && !written.has(file)) {
+                await fs.promises.unlink(path.join(calendarsDir, file));
             }
         }
 
-        const newCount = newItems.filter(i => i._changeType === 'new').length;
-        const changedCount = newItems.filter(i => i._changeType === 'changed').length;
-        this.log('info', `Change detection: ${newCount} new, ${changedCount} changed, ${newItems.length - newCount - changedCount} unchanged`);
+        this.log('info', `Calendars saved: ${all.eventCount} events, ${written.size} product calendars`);
+        return all.eventCount;
+    }
+
+    /**
+     * Write data/quality-report.json: counts and item ids per issue category.
+     * A warning or poor level is logged so it shows up in the run output.
+     */
+    async generateQualityReport(items, lastUpdated) {
+        const report = { dataLastUpdated: lastUpdated || null, ...analyzeQuality(items) };
+        await this.writeFileAtomic(path.join(this.outputDir, QUALITY_REPORT_FILE), JSON.stringify(report, null, 2));
+
+        const issues = Object.values(report.categories)
+            .filter(category => category.count > 0)
+            .map(category => `${category.label}: ${category.count}`);
+        const summary = `Data quality ${report.level}: ${report.affectedItems} of ${report.totalItems} items affected${issues.length ? ` (${issues.join(', ')})` : ''}`;
+        this.log(report.level === 'good' ? 'info' : 'warn', summary);
+        return report;
     }
 
-    processData(rawData) {
+    /** Rules from WATCHLISTS_FILE, or [] when the file does not exist. */
+    readWatchlists() {
+        let raw;
+        try {
+            raw = fs.readFileSync(this.watchlistsFile, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        return normalizeWatchlists(JSON.parse(raw));
+    }
+
+    /**
+     * Write data/watchlists/<name>.json per rule (newest matching history entries,
+     * up to FEED_ENTRY_LIMIT, plus the current match count) and
+     * data/watchlists/index.json. Removed items match on their last snapshot.
+     * Files of rules that no longer exist are deleted.
+     */
+    async generateWatchlists(items, lastUpdated) {
+        const watchlists = this.readWatchlists();
+        const dir = path.join(this.outputDir, WATCHLISTS_DIR);
+        if (watchlists.length === 0 && !fs.existsSync(dir)) return [];
+
+        const byId = new Map(items.map(item => [String(item.id), item]));
+        const history = (await this.readHistory())
+            .filter(entry => entry && entry.timestamp)
+            .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+
+        await fs.promises.mkdir(dir, { recursive: true });
+        const index = [];
+        for (const watchlist of watchlists) {
+            const changes = [];
+            for (const entry of history) {
+                if (changes.length >= this.feedEntryLimit) break;
+                const item = entry.changeType === 'removed' ? entry.snapshot : byId.get(String(entry.id));
+                if (!item || !matchesWatchlist({ ...item, _changeType: entry.changeType }, watchlist)) continue;
+                changes.push({
+                    timestamp: entry.timestamp,
+                    id: item.id,
+                    title: item.title,
+                    changeType: entry.changeType,
+                    status: item.status || '',
+                    availability: item.publicDisclosureAvailabilityDate || '',
+                    products: productNames(item),
+                    link: itemLink(item),
+                    summary: describeChanges(entry.changes)
+                });
+            }
+            const matchCount = items.filter(item => matchesWatchlist(item, watchlist)).length;
+            const file = `${watchlist.name}.json`;
+            await this.writeFileAtomic(path.join(dir, file), JSON.stringify({
+                name: watchlist.name,
+                label: watchlist.label,
+                lastUpdated: lastUpdated || null,
+                matchCount,
+                changes
+            }, null, 2));
+            index.push({ ...watchlist, file: `${WATCHLISTS_DIR}/${file}`, matchCount, changeCount: changes.length });
+        }
+
+        await this.writeFileAtomic(path.join(dir, WATCHLISTS_INDEX_FILE), JSON.stringify({ lastUpdated: lastUpdated || null, watchlists: index }, null, 2));
+        const written = new Set([WATCHLISTS_INDEX_FILE, ...index.map(entry => `${entry.name}.json`)]);
+        for (const file of await fs.promises.readdir(dir)) {
+            if (file.endsWith('.json') && !written.has(file)) {
+                await fs.promises.unlink(path.join(dir, file));
+            }
+        }
+        this.log('info', `Watchlists saved: ${index.map(entry => `${entry.name} (${entry.matchCount} items, ${entry.changeCount} changes)`).join(', ') || 'none'}`);
+        return index;
+    }
+
+    /** POST one webhook payload with retry/backoff; throws the last error when every attempt fails. */
+    async deliverWebhook(webhook, payload) {
+        let lastError;
+        for (let attempt = 0; attempt <= this.retryCount; attempt++) {
+            try {
+                return await postJson(webhook.url, payload, { timeoutMs: this.fetchTimeoutMs });
+            } catch (error) {
+                lastError = error;
+                this.log('warn', `Webhook ${webhook.name} attempt ${attempt + 1}/${this.retryCount + 1} failed: ${error.message}`);
+                if (attempt < this.retryCount) {
+                    const wait = delayMs(attempt, this.retryBaseMs);
+                    this.logEvent('info', 'retry', `Retrying webhook ${webhook.name} in ${wait}ms...`, {
+                        webhook: webhook.name, attempt: attempt + 1, maxAttempts: this.retryCount + 1, waitMs: wait, error: error.message
+                    });
+                    await new Promise(r => setTimeout(r, wait));
+                }
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Notify the webhooks in WEBHOOKS_FILE about this run's new/changed items, or
+     * write their payloads to WEBHOOKS_DRY_RUN_DIR. Webhooks whose filters match
+     * nothing are skipped. Returns [{ name, status: sent|dry-run|skipped|failed, itemCount, error? }];
+     * one failing webhook does not stop the others.
+     */
+    async sendWebhooks(history, items, timestamp) {
+        if (!this.webhooksFile) return [];
+        const webhooks = loadWebhooksFile(this.webhooksFile);
+        const watchlists = webhooks.some(webhook => webhook.watchlist) ? this.readWatchlists() : [];
+        const context = { siteUrl: this.siteUrl, timestamp: timestamp || new Date().toISOString() };
+        const results = [];
+
+        for (const webhook of webhooks) {
+            const result = { name: webhook.name, status: 'skipped', itemCount: 0 };
+            results.push(result);
+            // Everything per webhook, including its watchlist lookup, fails on its own.
+            try {
+                const changes = selectChanges(webhook, history, items, watchlists);
+                result.itemCount = changes.length;
+                if (changes.length === 0) continue;
+
+                const payload = buildPayload(webhook, changes, context);
+                if (this.webhooksDryRunDir) {
+                    await fs.promises.mkdir(this.webhooksDryRunDir, { recursive: true });
+                    await this.writeFileAtomic(path.join(this.webhooksDryRunDir, `${webhook.name}.json`), JSON.stringify(payload, null, 2));
+                    result.status = 'dry-run';
+                    continue;
+                }
+                await this.deliverWebhook(webhook, payload);
+                result.status = 'sent';
+            } catch (error) {
+                result.status = 'failed';
+                result.error = error.message;
+                this.log('error', `Webhook ${webhook.name} failed:`, error.message);
+            }
+        }
+
+        const summary = results.map(r => `${r.name} ${r.status}${r.itemCount ? ` (${r.itemCount})` : ''}`).join(', ');
+        this.log('info', `Webhooks${this.webhooksDryRunDir ? ` (dry run to ${this.webhooksDryRunDir})` : ''}: ${summary || 'none configured'}`);
+        return results;
+    }
+
+    processData(rawData, history = []) {
         this.log('info', 'Processing roadmap data...');
         const processedData = {
             metadata: {
                 lastUpdated: new Date().toISOString(),
                 totalItems: rawData.length,
                 apiSource: this.apiUrl,
-                version: '1.0.0'
+                version: '1.0.0',
+                changeSummary: summarizeChanges(rawData, history),
+                contentHash: hashItems(rawData),
+                httpValidators: this.httpValidators,
+                sources: summarizeSources(rawData, this.sourceLabels)
             },
             items: rawData,
             statistics: this.calculateStatistics(rawData)
@@ -227,24 +1296,44 @@ class RoadmapDataUpdater {
                     stats.byPlatform[platform.tagName] = (stats.byPlatform[platform.tagName] || 0) + 1;
                 });
             }
-            if (item.publicDisclosureAvailabilityDate) {
-                const date = new Date(item.publicDisclosureAvailabilityDate);
-                const year = date.getFullYear();
-                const quarter = Math.ceil((date.getMonth() + 1) / 3);
-                const quarterKey = `${year} Q${quarter}`;
+            const quarterKey = getQuarterKey(item.publicDisclosureAvailabilityDate);
+            if (quarterKey) {
                 stats.byQuarter[quarterKey] = (stats.byQuarter[quarterKey] || 0) + 1;
             }
         });
         return stats;
     }
 
-    /** Write content to filePath atomically (temp file + rename). */
+    /**
+     * Write content to filePath atomically (temp file + rename), creating its
+     * directory first; nothing creates the output directory before the first write.
+     */
     async writeFileAtomic(filePath, content) {
-        const dir = path.dirname(filePath);
-        const name = path.basename(filePath);
-        const tmpPath = path.join(dir, `.${name}.tmp`);
-        await fs.promises.writeFile(tmpPath, content, 'utf8');
-        await fs.promises.rename(tmpPath, filePath);
+        await this.writeFilesAtomic([[filePath, content]]);
+    }
+
+    /**
+     * Write several [filePath, content] pairs that must change together: every
+     * temp file is written before the first rename, so a failed write leaves all
+     * targets as they were.
+     */
+    async writeFilesAtomic(files) {
+        const staged = [];
+        try {
+            for (const [filePath, content] of files) {
+                const dir = path.dirname(filePath);
+                const tmpPath = path.join(dir, `.${path.basename(filePath)}.tmp`);
+                await fs.promises.mkdir(dir, { recursive: true });
+                await fs.promises.writeFile(tmpPath, content, 'utf8');
+                staged.push([tmpPath, filePath]);
+            }
+        } catch (error) {
+            await Promise.all(staged.map(([tmpPath]) => fs.promises.unlink(tmpPath).catch(() => {})));
+            throw error;
+        }
+        for (const [tmpPath, filePath] of staged) {
+            await fs.promises.rename(tmpPath, filePath);
+        }
     }
 
     async saveData(data, filename = 'roadmap-data.json') {
@@ -255,15 +1344,21 @@ class RoadmapDataUpdater {
             await this.writeFileAtomic(filePath, payload);
             this.log('info', `Data saved to ${filePath}`);
 
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const backupPath = path.join(this.outputDir, `roadmap-data-${timestamp}.json`);
-            await this.writeFileAtomic(backupPath, payload);
-            this.log('info', `Backup saved to ${backupPath}`);
+            if (this.createBackup) {
+                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+                const backupPath = path.join(this.outputDir, `roadmap-data-${timestamp}.json`);
+                await this.writeFileAtomic(backupPath, payload);
+                this.log('info', `Backup saved to ${backupPath}`);
+            } else {
+                this.log('info', 'Backup skipped (--no-backup)');
+            }
 
             const compactPath = path.join(this.outputDir, 'roadmap-data-compact.json');
             await this.writeFileAtomic(compactPath, JSON.stringify(data));
             this.log('info', `Compact version saved to ${compactPath}`);
 
+            await this.saveShards(data);
+
             await this.cleanupBackups();
         } catch (error) {
             this.log('error', 'Failed to save data:', error.message);
@@ -271,16 +1366,59 @@ class RoadmapDataUpdater {
         }
     }
 
+    /**
+     * Write one compact shard per product under data/shards/ plus data/manifest.json
+     * (counts, sizes and sha256 per shard) so the dashboard can fetch only the
+     * products it shows. The manifest is written after its shards, then stale
+     * shards are pruned, so a reader never sees a manifest pointing at a missing file.
+     */
+    async saveShards(data) {
+        const shardsDir = path.join(this.outputDir, SHARDS_DIR);
+        await fs.promises.mkdir(shardsDir, { recursive: true });
+
+        const lastUpdated = data.metadata && data.metadata.lastUpdated;
+        const entries = [];
+        for (const shard of buildShards(data.items)) {
+            const payload = JSON.stringify({
+                metadata: { lastUpdated, products: shard.products, totalItems: shard.items.length },
+                items: shard.items
+            });
+            const file = `${shard.key}.json`;
+            await this.writeFileAtomic(path.join(shardsDir, file), payload);
+            entries.push({
+                key: shard.key,
+                products: shard.products,
+                file: `${SHARDS_DIR}/${file}`,
+                count: shard.items.length,
+                bytes: Buffer.byteLength(payload),
+                sha256: crypto.createHash('sha256').update(payload).digest('hex')
+            });
+        }
+
+        const manifest = {
+            version: 1,
+            lastUpdated,
+            totalItems: data.items.length,
+            sources: (data.metadata && data.metadata.sources) || summarizeSources(data.items),
+            shards: entries
+        };
+        await this.writeFileAtomic(path.join(this.outputDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+        const written = new Set(entries.map(e => `${e.key}.json`));
+        for (const file of await fs.promises.readdir(shardsDir)) {
+            if (file.endsWith('.json') && !written.has(file)) {
+                await fs.promises.unlink(path.join(shardsDir, file));
+            }
+        }
+        this.log('info', `Shards saved: ${entries.length} products, manifest at ${MANIFEST_FILE}`);
+        return manifest;
+    }
+
     async cleanupBackups() {
         try {
             const files = await fs.promises.readdir(this.outputDir);
             const backupFiles = files
-                .filter(
-                    (file) =>
-                        file.startsWith('roadmap-data-') &&
-                        file.endsWith('.json') &&
-                        file !== 'roadmap-data-compact.json'
-                )
+                .filter(isBackupFile)
                 .map((file) => ({
                     name: file,
                     path: path.join(this.outputDir, file),
@@ -302,16 +1440,22 @@ class RoadmapDataUpdater {
         }
     }
 
-    async generateReport() {
+    /** Write update-report.json; `extra` fields (e.g. rollback details) are merged in. */
+    async generateReport(changeSummary, dataChanged = true, extra = {}) {
         const reportPath = path.join(this.outputDir, 'update-report.json');
         const report = {
             timestamp: new Date().toISOString(),
             success: true,
+            dataChanged,
             apiUrl: this.apiUrl,
             dataPath: path.join(this.outputDir, 'roadmap-data.json'),
             nextUpdate: new Date(Date.now() + 4 * 60 * 60 * 1000).toISOString(),
             version: '1.0.0'
         };
+        if (changeSummary) {
+            report.changes = changeSummary;
+        }
+        Object.assign(report, extra);
         try {
             await this.writeFileAtomic(reportPath, JSON.stringify(report, null, 2));
             this.log('info', `Update report saved to ${reportPath}`);
@@ -322,9 +1466,10 @@ class RoadmapDataUpdater {
 
     /**
      * Emit a compact health/status artifact for operational diagnostics.
-     * The file persists lastSuccessfulUpdate across failed runs.
+     * The file persists lastSuccessfulUpdate across failed runs; `lastSuccessfulUpdate`
+     * sets it explicitly (a rollback stamps the restored data's own date).
      */
-    async generateHealthStatus({ status, sourceStatus, itemCount, durationMs, errorMessage, timestamp }) {
+    async generateHealthStatus({ status, sourceStatus, itemCount, durationMs, errorMessage, timestamp, dataChanged, publishGuard, rollback, lastSuccessfulUpdate: lastSuccess }) {
         const healthPath = path.join(this.outputDir, 'health-status.json');
         let previous = {};
         try {
@@ -336,12 +1481,13 @@ class RoadmapDataUpdater {
         }
 
         const currentTimestamp = timestamp || new Date().toISOString();
-        const lastSuccessfulUpdate = status === 'ok'
-            ? currentTimestamp
-            : (previous.lastSuccessfulUpdate || null);
+        let lastSuccessfulUpdate = previous.lastSuccessfulUpdate || null;
+        if (lastSuccess !== undefined) lastSuccessfulUpdate = lastSuccess;
+        else if (status === 'ok') lastSuccessfulUpdate = currentTimestamp;
 
         const health = {
             timestamp: currentTimestamp,
+            runId: this.runId,
             status,
             lastSuccessfulUpdate,
             source: {
@@ -359,6 +1505,15 @@ class RoadmapDataUpdater {
         if (typeof durationMs === 'number') {
             health.metrics.durationMs = durationMs;
         }
+        if (typeof dataChanged === 'boolean') {
+            health.source.dataChanged = dataChanged;
+        }
+        if (publishGuard) {
+            health.publishGuard = publishGuard;
+        }
+        if (rollback) {
+            health.rollback = rollback;
+        }
         if (errorMessage) {
             health.error = { message: errorMessage };
         }
@@ -367,17 +1522,242 @@ class RoadmapDataUpdater {
         this.log('info', `Health status saved to ${healthPath}`);
     }
 
+    /**
+     * Print the run's outcome to stdout in outputFormat (nothing when unset). With
+     * onlyChanges, a successful run prints its change entries instead: a JSON
+     * array, or one "+ / ~ / -" line per item in text.
+     */
+    printSummary(summary, history = []) {
+        if (!this.outputFormat) return;
+        if (this.onlyChanges) {
+            if (!summary.success) return;
+            if (this.outputFormat === 'json') console.log(JSON.stringify(history));
+            else history.forEach(entry => console.log(formatChangeLine(entry)));
+            return;
+        }
+        if (this.outputFormat === 'json') {
+            console.log(JSON.stringify(summary));
+            return;
+        }
+        const prefix = summary.dryRun ? '[update-data] Dry run: ' : '[update-data] ';
+        if (!summary.success) {
+            console.log(`${prefix}Update failed (exit ${summary.exitCode}): ${summary.error}`);
+        } else if (!summary.dataChanged) {
+            console.log(`${prefix}No changes (${summary.itemCount == null ? 'unknown' : summary.itemCount} items, ${summary.duration}ms)`);
+        } else {
+            const c = summary.changes || {};
+            console.log(`${prefix}${summary.dryRun ? 'would publish' : 'Published'} ${summary.itemCount} items: ${c.newCount || 0} new, ${c.changedCount || 0} changed, ${c.removedCount || 0} removed (${summary.duration}ms)`);
+        }
+    }
+
+    /**
+     * Finish a run whose data matches the previous snapshot: roadmap-data.json,
+     * backups, shards, history, feeds and calendars stay untouched; the report and
+     * health status still record a successful run with dataChanged: false, and
+     * the first such run of a week repeats the statistics for the Trends series
+     * (a dry run writes none of these).
+     */
+    async recordUnchangedRun(previous, durationMs) {
+        const itemCount = typeof previous.totalItems === 'number' ? previous.totalItems : undefined;
+        this.log('info', `No changes since ${previous.lastUpdated || 'the previous update'}; skipping save`);
+        if (!this.dryRun) {
+            await this.saveHttpValidators(previous);
+            try {
+                await this.appendUnchangedStatistics();
+            } catch (error) {
+                this.log('warn', 'Failed to append statistics:', error.message);
+            }
+            await this.generateReport({ newCount: 0, changedCount: 0, removedCount: 0, unchangedCount: itemCount || 0 }, false);
+            await this.generateHealthStatus({
+                status: 'ok',
+                sourceStatus: 'success',
+                itemCount,
+                durationMs,
+                timestamp: new Date().toISOString(),
+                dataChanged: false
+            });
+        }
+        this.log('info', `Update completed without changes in ${durationMs}ms`);
+
+        this.printSummary({
+            success: true,
+            dataChanged: false,
+            dryRun: this.dryRun,
+            itemCount,
+            duration: durationMs,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Store this run's HTTP validators in roadmap-data.json's metadata when they
+     * differ from `previous` (a 200 with unchanged content but a new ETag or
+     * Last-Modified); items and the rest of the metadata stay as they are.
+     */
+    async saveHttpValidators(previous) {
+        if (isDeepStrictEqual(previous.httpValidators || {}, this.httpValidators)) return;
+        const dataPath = path.join(this.outputDir, 'roadmap-data.json');
+        try {
+            const data = JSON.parse(await fs.promises.readFile(dataPath, 'utf8'));
+            data.metadata = { ...data.metadata, httpValidators: this.httpValidators };
+            await this.writeFileAtomic(dataPath, JSON.stringify(data, null, 2));
+            this.log('info', 'Stored new HTTP validators for the unchanged data');
+        } catch (error) {
+            this.log('warn', 'Failed to store HTTP validators:', error.message);
+        }
+    }
+
+    /**
+     * Apply the publish guard to the next item set. Returns the guard result;
+     * a tripped guard with PUBLISH_GUARD_OVERRIDE is logged and marked `overridden`.
+     */
+    checkPublishGuard(items, history) {
+        const removedCount = history.filter(entry => entry.changeType === 'removed').length;
+        const guard = evaluatePublishGuard(this.readPreviousItems(), items, removedCount, this.publishGuard);
+        if (!guard.ok) {
+            guard.overridden = this.publishGuardOverride;
+            guard.reasons.forEach(reason => this.log(guard.overridden ? 'warn' : 'error', `Publish guard: ${reason}`));
+            if (guard.overridden) this.log('warn', 'Publish guard overridden by PUBLISH_GUARD_OVERRIDE; publishing anyway');
+        }
+        return guard;
+    }
+
+    /**
+     * Finish a run refused by the publish guard: no data is published; the report
+     * and a degraded health status record the reasons (not in a dry run), while
+     * itemCount still describes the live data.
+     */
+    async recordBlockedRun(guard, durationMs) {
+        const message = `Publish guard refused update: ${guard.reasons.join('; ')}`;
+        this.log('error', message);
+        if (!this.dryRun) {
+            await this.generateReport(null, false, {
+                success: false,
+                error: message,
+                publishGuard: { blocked: true, reasons: guard.reasons, metrics: guard.metrics }
+            });
+            await this.generateHealthStatus({
+                status: 'degraded',
+                sourceStatus: 'success',
+                itemCount: guard.metrics.previousCount,
+                durationMs,
+                errorMessage: message,
+                timestamp: new Date().toISOString(),
+                publishGuard: { blocked: true, reasons: guard.reasons, metrics: guard.metrics }
+            });
+        }
+
+        this.printSummary({
+            success: false,
+            dryRun: this.dryRun,
+            error: message,
+            exitCode: EXIT_CODES.FAILURE,
+            publishGuard: guard.reasons,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Run the update pipeline with a per-run log file, then record the run in
+     * data/history/runs.jsonl; dry runs log to the console only and write neither.
+     * Resolves the process exit code (EXIT_CODES).
+     */
     async run() {
-        const startTime = Date.now();
+        const startedAt = new Date();
+        this.phaseTimings = {};
+        this.runOutcome = {};
+        if (!this.dryRun) this.startRunLog(startedAt);
+        this.log('info', `Run ${this.runId}${this.logFile ? ` logging to ${this.logFile}` : ''}`);
+
+        const exitCode = await this.runPipeline(startedAt.getTime());
+        if (!this.dryRun) {
+            try {
+                await this.appendRunRecord(startedAt, exitCode, this.runOutcome);
+            } catch (error) {
+                this.log('warn', 'Failed to append run record:', error.message);
+            }
+        }
+        return exitCode;
+    }
+
+    /** The update pipeline itself; sets this.runOutcome for the run record. */
+    async runPipeline(startTime) {
+        let stage = 'fetch';
 
         try {
-            this.log('info', 'Starting Microsoft 365 Roadmap data update...');
+            this.log('info', `Starting Microsoft 365 Roadmap data update${this.dryRun ? ' (dry run, nothing is written)' : ''}...`);
 
-            const rawData = await this.fetchData();
-            this.detectChanges(rawData);
-            const processedData = this.processData(rawData);
-            await this.saveData(processedData);
-            await this.generateReport();
+            const previous = this.readPreviousMetadata();
+            // Sources answering 304 keep their stored validators; 200 responses replace theirs.
+            this.httpValidators = { ...(previous.httpValidators || {}) };
+            const rawData = await this.timePhase('fetch', () => this.fetchData(previous.httpValidators || {}));
+            stage = 'process';
+            if (rawData === null || (previous.contentHash && hashItems(rawData) === previous.contentHash)) {
+                stage = 'write';
+                this.runOutcome = { status: 'unchanged', itemCount: previous.totalItems };
+                await this.recordUnchangedRun(previous, Date.now() - startTime);
+                return EXIT_CODES.OK;
+            }
+
+            const { history, guard } = await this.timePhase('detect', () => {
+                const changes = this.detectChanges(rawData);
+                return { history: changes, guard: this.checkPublishGuard(rawData, changes) };
+            });
+            if (!guard.ok && !guard.overridden) {
+                stage = 'write';
+                this.runOutcome = { status: 'blocked', error: `Publish guard refused update: ${guard.reasons.join('; ')}` };
+                await this.recordBlockedRun(guard, Date.now() - startTime);
+                return EXIT_CODES.FAILURE;
+            }
+
+            const processedData = await this.timePhase('process', () => this.processData(rawData, history));
+            this.runOutcome = {
+                status: 'ok',
+                dataChanged: true,
+                itemCount: processedData.metadata.totalItems,
+                changes: processedData.metadata.changeSummary
+            };
+            if (this.dryRun) {
+                const duration = Date.now() - startTime;
+                this.log('info', `Dry run completed in ${duration}ms; nothing was written`);
+                this.printSummary({
+                    success: true,
+                    dataChanged: true,
+                    dryRun: true,
+                    itemCount: processedData.metadata.totalItems,
+                    changes: processedData.metadata.changeSummary,
+                    duration,
+                    timestamp: new Date().toISOString()
+                }, history);
+                return EXIT_CODES.OK;
+            }
+
+            stage = 'write';
+            await this.timePhase('save', async () => {
+                await fs.promises.mkdir(this.outputDir, { recursive: true });
+                // History first: the next run diffs against the saved snapshot, so a
+                // snapshot saved without its history entries would lose them for good.
+                // A failed append fails the run before anything is published.
+                await this.appendHistory(history, processedData.metadata.lastUpdated);
+                await this.saveData(processedData);
+                await this.updateRemovedItems(history, rawData, processedData.metadata.lastUpdated);
+            });
+            await this.timePhase('artifacts', async () => {
+                try {
+                    await this.appendStatistics(processedData.statistics, history, processedData.metadata.lastUpdated);
+                } catch (error) {
+                    this.log('warn', 'Failed to append statistics:', error.message);
+                }
+                await this.generateArtifacts(processedData.items, processedData.metadata.lastUpdated);
+                await this.generateReport(processedData.metadata.changeSummary);
+            });
+            await this.timePhase('notify', async () => {
+                try {
+                    await this.sendWebhooks(history, processedData.items, processedData.metadata.lastUpdated);
+                } catch (error) {
+                    this.log('warn', 'Failed to send webhooks:', error.message);
+                }
+            });
 
             const duration = Date.now() - startTime;
             const timestamp = new Date().toISOString();
@@ -386,53 +1766,92 @@ class RoadmapDataUpdater {
                 sourceStatus: 'success',
                 itemCount: processedData.metadata.totalItems,
                 durationMs: duration,
-                timestamp
+                timestamp,
+                dataChanged: true,
+                publishGuard: guard.overridden
+                    ? { overridden: true, reasons: guard.reasons, metrics: guard.metrics }
+                    : undefined
             });
             this.log('info', `Update completed successfully in ${duration}ms`);
 
-            if (process.env.JSON_OUTPUT === 'true') {
-                console.log(
-                    JSON.stringify({
-                        success: true,
-                        itemCount: processedData.metadata.totalItems,
-                        duration,
-                        timestamp: new Date().toISOString()
-                    })
-                );
-            }
-            process.exit(0);
+            this.printSummary({
+                success: true,
+                dataChanged: true,
+                dryRun: false,
+                itemCount: processedData.metadata.totalItems,
+                changes: processedData.metadata.changeSummary,
+                duration,
+                timestamp: new Date().toISOString()
+            }, history);
+            return EXIT_CODES.OK;
         } catch (error) {
+            const exitCode = failureExitCode(error, stage);
+            this.runOutcome = { status: 'failed', error: error.message };
             this.log('error', 'Update failed:', error.message);
             const duration = Date.now() - startTime;
-            try {
-                await this.generateHealthStatus({
-                    status: 'degraded',
-                    sourceStatus: 'failed',
-                    durationMs: duration,
-                    errorMessage: error.message,
-                    timestamp: new Date().toISOString()
-                });
-            } catch (healthError) {
-                this.log('warn', 'Failed to write health status:', healthError.message);
-            }
-
-            if (process.env.JSON_OUTPUT === 'true') {
-                console.log(
-                    JSON.stringify({
-                        success: false,
-                        error: error.message,
+            if (!this.dryRun) {
+                try {
+                    await this.generateHealthStatus({
+                        status: 'degraded',
+                        sourceStatus: stage === 'fetch' ? 'failed' : 'success',
+                        durationMs: duration,
+                        errorMessage: error.message,
                         timestamp: new Date().toISOString()
-                    })
-                );
+                    });
+                } catch (healthError) {
+                    this.log('warn', 'Failed to write health status:', healthError.message);
+                }
             }
-            process.exit(1);
+
+            this.printSummary({
+                success: false,
+                dryRun: this.dryRun,
+                error: error.message,
+                exitCode,
+                timestamp: new Date().toISOString()
+            });
+            return exitCode;
         }
     }
 }
 
-if (require.main === module) {
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`[update-data] ${error.message}`);
+        console.error(USAGE);
+        process.exit(EXIT_CODES.USAGE);
+    }
+    if (options.help) {
+        console.log(USAGE);
+        process.exit(EXIT_CODES.OK);
+    }
+
     const updater = new RoadmapDataUpdater();
-    updater.run();
+    updater.applyOptions(options);
+    process.exit(await updater.run());
+}
+
+if (require.main === module) {
+    main();
 }
 
-module.exports = { RoadmapDataUpdater, validateApiResponse, isRoadmapItem };
+module.exports = {
+    EXIT_CODES,
+    parseArgs,
+    failureExitCode,
+    formatChangeLine,
+    RoadmapDataUpdater,
+    validateApiResponse,
+    isRoadmapItem,
+    diffItems,
+    diffTags,
+    summarizeChanges,
+    summarizeSources,
+    evaluatePublishGuard,
+    isBackupFile,
+    buildShards,
+    hashItems
+};
@@ -10,6 +10,7 @@
 #
 # Options:
 #   -d, --deploy      Deploy to GitHub Pages after update
+#   -g, --digest      Write the weekly change digest (data/digests/) after update
 #   -q, --quiet       Suppress non-error output
 #   -h, --help        Show this help message
 #
@@ -17,6 +18,7 @@
 #   GITHUB_TOKEN      GitHub personal access token for deployment
 #   GITHUB_REPO       GitHub repository (owner/repo)
 #   GH_PAGES_BRANCH   GitHub Pages branch (default: gh-pages)
+#   DIGEST_WINDOW_DAYS  Days covered by the digest (default: 7)
 
 set -Eeuo pipefail
 IFS=$'\n\t'
@@ -29,6 +31,7 @@ DATA_DIR="$PROJECT_DIR/data"
 
 # Default values
 DEPLOY=false
+DIGEST=false
 QUIET=false
 GITHUB_REPO="${GITHUB_REPO:-""}"
 GH_PAGES_BRANCH="${GH_PAGES_BRANCH:-gh-pages}"
@@ -78,6 +81,7 @@ Usage: $0 [options]
 
 Options:
     -d, --deploy      Deploy to GitHub Pages after update
+    -g, --digest      Write the weekly change digest (data/digests/) after update
     -q, --quiet       Suppress non-error output
     -h, --help        Show this help message
 
@@ -85,11 +89,13 @@ Environment Variables:
     GITHUB_TOKEN      GitHub personal access token for deployment
     GITHUB_REPO       GitHub repository (owner/repo)
     GH_PAGES_BRANCH   GitHub Pages branch (default: gh-pages)
+    DIGEST_WINDOW_DAYS  Days covered by the digest (default: 7)
 
 Examples:
     $0                          # Update data only
     $0 --deploy                 # Update data and deploy
     $0 --quiet --deploy         # Silent update and deploy
+    $0 --digest                 # Update data and write the weekly digest
 
 EOF
 }
@@ -101,6 +107,10 @@ while [[ $# -gt 0 ]]; do
             DEPLOY=true
             shift
             ;;
+        -g|--digest)
+            DIGEST=true
+            shift
+            ;;
         -q|--quiet)
             QUIET=true
             shift
@@ -176,6 +186,21 @@ update_data() {
     fi
 }
 
+# Write the weekly change digest
+generate_digest() {
+    if [ "$DIGEST" = false ]; then
+        return 0
+    fi
+
+    log_info "Generating roadmap digest (last ${DIGEST_WINDOW_DAYS:-7} days)..."
+
+    if node "$SCRIPT_DIR/digest.js" --data-dir "$DATA_DIR" --days "${DIGEST_WINDOW_DAYS:-7}"; then
+        log_success "Digest written to: $DATA_DIR/digests"
+    else
+        log_warning "Digest generation failed; continuing without it"
+    fi
+}
+
 # Deploy to GitHub Pages
 deploy_to_github() {
     if [ "$DEPLOY" = false ]; then
@@ -330,6 +355,7 @@ main() {
     check_dependencies
     create_directories
     update_data
+    generate_digest
     deploy_to_github
     generate_summary
     
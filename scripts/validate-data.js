@@ -3,144 +3,306 @@
 /**
  * M365 Roadmap Data Validation Script
  *
- * Validates shape and required fields of roadmap JSON files (roadmap-data.json,
- * roadmap-data-compact.json, sample-data.json). Used by npm run validate and
- * can be run standalone for CI or local checks.
+ * Validates roadmap JSON files (roadmap-data.json, roadmap-data-compact.json,
+ * sample-data.json) against schemas/roadmap-data.schema.json, checks for
+ * duplicate ids and inconsistent totals/hashes, and checks that the compact
+ * file carries the same snapshot as roadmap-data.json. Used by npm run validate
+ * and can be run standalone for CI or local checks. Availability dates the
+ * dashboard cannot parse are left to the quality report (js/roadmap-quality.js):
+ * one odd upstream date should not fail validation.
  *
  * Usage:
- *   node scripts/validate-data.js [path-to-data-dir]
+ *   node scripts/validate-data.js [path-to-data-dir] [--format text|json|junit] [--output <file>]
  *
  * Default data directory: ./data (relative to project root)
- * Exit: 0 if all valid, 1 if any validation fails.
+ * --format  Report format (default: text); junit emits JUnit XML for CI test reporting
+ * --output  Write the report to a file (e.g. test-results/validate-data.xml); the text
+ *           report is still printed so failures stay visible in the console
+ * Exit: 0 if all valid, 1 if any validation fails or the arguments are invalid.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { validateSchema } = require('./json-schema.js');
+const { hashItems } = require('./update-data.js');
 
 const PROJECT_ROOT = path.resolve(__dirname, '..');
 const DEFAULT_DATA_DIR = path.join(PROJECT_ROOT, 'data');
+const SCHEMA_PATH = path.join(PROJECT_ROOT, 'schemas', 'roadmap-data.schema.json');
+const FORMATS = ['text', 'json', 'junit'];
 
-const REQUIRED_TOP_LEVEL_KEYS = ['metadata', 'items'];
-const REQUIRED_METADATA_KEYS = ['lastUpdated', 'totalItems', 'apiSource', 'version'];
-const REQUIRED_ITEM_KEYS = ['id', 'title', 'description', 'status'];
+/** Errors kept per check; a broken file can otherwise produce one per item. */
+const MAX_ERRORS_PER_CHECK = 50;
 
-function isNonEmptyArray(value) {
-    return Array.isArray(value) && value.length >= 0;
-}
+const DATA_FILES = [
+    { file: 'roadmap-data.json', required: true },
+    { file: 'roadmap-data-compact.json', required: false },
+    { file: 'sample-data.json', required: false }
+];
 
-function validateMetadata(metadata, source) {
-    const errors = [];
-    if (!metadata || typeof metadata !== 'object') {
-        return [`${source}: metadata must be an object`];
-    }
-    for (const key of REQUIRED_METADATA_KEYS) {
-        if (!(key in metadata)) {
-            errors.push(`${source}: metadata missing "${key}"`);
+/** ISO 8601 date-time; the roadmap API omits the zone on created/modified. */
+const DATE_TIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+const SCHEMA_FORMATS = {
+    'date-time': value => DATE_TIME_RE.test(value) && !Number.isNaN(Date.parse(value))
+};
+
+function parseArgs(argv) {
+    const options = { dataDir: DEFAULT_DATA_DIR, format: 'text', output: null };
+    let dataDirSet = false;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--format' || arg === '--output') {
+            const value = argv[i + 1];
+            if (value == null) {
+                throw new Error(`${arg} requires a value`);
+            }
+            options[arg.slice(2)] = arg === '--output' ? path.resolve(value) : value;
+            i += 1;
+        } else if (arg.startsWith('--') || dataDirSet) {
+            throw new Error(`Unknown argument: ${arg}`);
+        } else {
+            options.dataDir = path.resolve(arg);
+            dataDirSet = true;
         }
     }
-    if (metadata.totalItems != null && typeof metadata.totalItems !== 'number') {
-        errors.push(`${source}: metadata.totalItems must be a number`);
+
+    if (!FORMATS.includes(options.format)) {
+        throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
     }
-    return errors;
+    return options;
+}
+
+function loadSchema() {
+    return JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
 }
 
-function validateItem(item, index, source) {
+/** Ids that appear more than once, as "<id> (items[i], items[j])" strings. */
+function findDuplicateIds(items) {
+    const seen = new Map();
+    items.forEach((item, i) => {
+        if (!item || typeof item !== 'object' || item.id == null) return;
+        const key = String(item.id);
+        if (!seen.has(key)) seen.set(key, []);
+        seen.get(key).push(i);
+    });
+    return [...seen.entries()]
+        .filter(([, indexes]) => indexes.length > 1)
+        .map(([id, indexes]) => `duplicate id ${id} (${indexes.map(i => `items[${i}]`).join(', ')})`);
+}
+
+/** metadata.totalItems, statistics and metadata.contentHash must describe the items. */
+function checkTotals(data) {
     const errors = [];
-    if (!item || typeof item !== 'object') {
-        errors.push(`${source}: items[${index}] must be an object`);
-        return errors;
+    const count = data.items.length;
+    const metadata = data.metadata || {};
+    if (typeof metadata.totalItems === 'number' && metadata.totalItems !== count) {
+        errors.push(`metadata.totalItems (${metadata.totalItems}) does not match items.length (${count})`);
     }
-    for (const key of REQUIRED_ITEM_KEYS) {
-        if (!(key in item)) {
-            errors.push(`${source}: items[${index}] missing "${key}"`);
+    const stats = data.statistics;
+    if (stats && typeof stats === 'object') {
+        if (typeof stats.totalItems === 'number' && stats.totalItems !== count) {
+            errors.push(`statistics.totalItems (${stats.totalItems}) does not match items.length (${count})`);
+        }
+        if (stats.byStatus && typeof stats.byStatus === 'object') {
+            const sum = Object.values(stats.byStatus).reduce((total, n) => total + (Number(n) || 0), 0);
+            if (sum !== count) {
+                errors.push(`statistics.byStatus adds up to ${sum}, expected ${count}`);
+            }
         }
     }
+    if (typeof metadata.contentHash === 'string' && metadata.contentHash !== hashItems(data.items)) {
+        errors.push('metadata.contentHash does not match the items');
+    }
     return errors;
 }
 
 /**
- * Validates payload shape: { metadata, items[, statistics] } with items array
- * of objects that have id, title, description, status.
+ * Validate one parsed payload. Returns [{ name, errors }] for the schema,
+ * unique-id and totals checks; later checks are skipped when the shape is wrong.
  */
-function validateRoadmapPayload(data, source) {
-    const errors = [];
-    if (!data || typeof data !== 'object') {
-        errors.push(`${source}: root must be an object`);
-        return errors;
+function validatePayload(data, schema = loadSchema()) {
+    const schemaErrors = validateSchema(data, schema, { formats: SCHEMA_FORMATS })
+        .map(error => `${error.path} ${error.message}`);
+    const checks = [{ name: 'schema', errors: schemaErrors }];
+    if (!data || typeof data !== 'object' || !Array.isArray(data.items)) {
+        return checks;
     }
-    for (const key of REQUIRED_TOP_LEVEL_KEYS) {
-        if (!(key in data)) {
-            errors.push(`${source}: missing "${key}"`);
+    checks.push({ name: 'unique ids', errors: findDuplicateIds(data.items) });
+    checks.push({ name: 'totals', errors: checkTotals(data) });
+    return checks;
+}
+
+/** roadmap-data.json and roadmap-data-compact.json must hold the same snapshot. */
+function checkConsistency(full, compact) {
+    const errors = [];
+    const fullMeta = full.metadata || {};
+    const compactMeta = compact.metadata || {};
+    ['lastUpdated', 'totalItems', 'contentHash'].forEach(key => {
+        if (fullMeta[key] !== compactMeta[key]) {
+            errors.push(`metadata.${key} differs: ${JSON.stringify(fullMeta[key])} vs ${JSON.stringify(compactMeta[key])}`);
         }
-    }
-    if (!isNonEmptyArray(data.items)) {
-        errors.push(`${source}: "items" must be an array`);
-    } else {
-        errors.push(...validateMetadata(data.metadata, source));
-        const expectedTotal = data.metadata?.totalItems;
-        if (typeof expectedTotal === 'number' && data.items.length !== expectedTotal) {
-            errors.push(
-                `${source}: metadata.totalItems (${expectedTotal}) does not match items.length (${data.items.length})`
-            );
+    });
+    if (Array.isArray(full.items) && Array.isArray(compact.items)) {
+        if (full.items.length !== compact.items.length) {
+            errors.push(`item count differs: ${full.items.length} vs ${compact.items.length}`);
+        } else if (JSON.stringify(full.items) !== JSON.stringify(compact.items)) {
+            const index = full.items.findIndex((item, i) => JSON.stringify(item) !== JSON.stringify(compact.items[i]));
+            errors.push(`items differ, first at items[${index}] (id ${full.items[index] && full.items[index].id})`);
         }
-        data.items.forEach((item, i) => {
-            errors.push(...validateItem(item, i, source));
-        });
     }
     return errors;
 }
 
-function loadAndValidateFile(filePath, sourceLabel) {
-    const errors = [];
-    let data;
-    try {
-        const raw = fs.readFileSync(filePath, 'utf8');
-        data = JSON.parse(raw);
-    } catch (e) {
-        errors.push(`${sourceLabel}: ${e.message}`);
-        return errors;
-    }
-    errors.push(...validateRoadmapPayload(data, sourceLabel));
-    return errors;
+function capErrors(errors) {
+    if (errors.length <= MAX_ERRORS_PER_CHECK) return errors;
+    return [...errors.slice(0, MAX_ERRORS_PER_CHECK), `... and ${errors.length - MAX_ERRORS_PER_CHECK} more`];
 }
 
-function main() {
-    const dataDir = process.argv[2] || DEFAULT_DATA_DIR;
-    const allErrors = [];
-    const files = [
-        { file: 'roadmap-data.json', label: 'roadmap-data.json', required: true },
-        { file: 'roadmap-data-compact.json', label: 'roadmap-data-compact.json', required: false },
-        { file: 'sample-data.json', label: 'sample-data.json', required: false }
-    ];
+/**
+ * Validate the data files in `dataDir`. Returns
+ * { ok, dataDir, checkedAt, checks: [{ suite, name, errorCount, errors }] }
+ * where `suite` is a file name or "consistency".
+ */
+function validateDataDir(dataDir) {
+    const schema = loadSchema();
+    const checks = [];
+    const parsed = {};
+    const add = (suite, name, errors) => {
+        checks.push({ suite, name, errorCount: errors.length, errors: capErrors(errors) });
+    };
 
-    let validatedCount = 0;
-    for (const { file, label, required } of files) {
+    for (const { file, required } of DATA_FILES) {
         const fullPath = path.join(dataDir, file);
         if (!fs.existsSync(fullPath)) {
-            if (required) {
-                allErrors.push(`${label}: required file not found at ${fullPath}`);
-            }
+            if (required) add(file, 'exists', [`required file not found at ${fullPath}`]);
             continue;
         }
-        const fileErrors = loadAndValidateFile(fullPath, label);
-        if (fileErrors.length > 0) {
-            allErrors.push(...fileErrors);
-        } else {
-            validatedCount++;
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+        } catch (error) {
+            add(file, 'parse', [error.message]);
+            continue;
         }
+        add(file, 'parse', []);
+        validatePayload(data, schema).forEach(check => add(file, check.name, check.errors));
+        parsed[file] = data;
+    }
+
+    if (parsed['roadmap-data.json'] && parsed['roadmap-data-compact.json']) {
+        add('consistency', 'roadmap-data.json matches roadmap-data-compact.json',
+            checkConsistency(parsed['roadmap-data.json'], parsed['roadmap-data-compact.json']));
+    }
+    if (Object.keys(parsed).length === 0 && checks.length === 0) {
+        add('data', 'exists', [`No data files found in ${dataDir}. Run npm run update-data or add sample-data.json.`]);
+    }
+
+    return {
+        ok: checks.every(check => check.errorCount === 0),
+        dataDir,
+        checkedAt: new Date().toISOString(),
+        checks
+    };
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/** JUnit XML: one <testsuite> per file (plus "consistency"), one <testcase> per check. */
+function formatJunit(result) {
+    const suites = new Map();
+    result.checks.forEach(check => {
+        if (!suites.has(check.suite)) suites.set(check.suite, []);
+        suites.get(check.suite).push(check);
+    });
+    const failures = result.checks.filter(check => check.errorCount > 0).length;
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="validate-data" tests="${result.checks.length}" failures="${failures}" timestamp="${result.checkedAt}">`
+    ];
+    for (const [suite, checks] of suites) {
+        const suiteFailures = checks.filter(check => check.errorCount > 0).length;
+        lines.push(`  <testsuite name="${escapeXml(suite)}" tests="${checks.length}" failures="${suiteFailures}">`);
+        checks.forEach(check => {
+            const open = `    <testcase classname="validate-data.${escapeXml(suite)}" name="${escapeXml(check.name)}"`;
+            if (check.errorCount === 0) {
+                lines.push(`${open}/>`);
+                return;
+            }
+            lines.push(`${open}>`);
+            lines.push(`      <failure message="${escapeXml(`${check.errorCount} error(s)`)}">${escapeXml(check.errors.join('\n'))}</failure>`);
+            lines.push('    </testcase>');
+        });
+        lines.push('  </testsuite>');
     }
+    lines.push('</testsuites>');
+    return lines.join('\n') + '\n';
+}
 
-    if (validatedCount === 0 && allErrors.length === 0) {
-        allErrors.push('No data files found in ' + dataDir + '. Run npm run update-data or add sample-data.json.');
+function formatText(result) {
+    const failed = result.checks.filter(check => check.errorCount > 0);
+    if (failed.length === 0) {
+        return '[validate-data] All data files passed validation.\n';
     }
+    const lines = ['[validate-data] Validation failed:', ''];
+    failed.forEach(check => {
+        check.errors.forEach(error => lines.push(`  - ${check.suite} (${check.name}): ${error}`));
+    });
+    return lines.join('\n') + '\n';
+}
 
-    if (allErrors.length > 0) {
-        console.error('[validate-data] Validation failed:\n');
-        allErrors.forEach((e) => console.error('  -', e));
+function formatReport(result, format) {
+    if (format === 'json') return JSON.stringify(result, null, 2) + '\n';
+    if (format === 'junit') return formatJunit(result);
+    return formatText(result);
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`[validate-data] ${error.message}`);
         process.exit(1);
     }
-    console.log('[validate-data] All data files passed validation.');
-    process.exit(0);
+
+    const result = validateDataDir(options.dataDir);
+    const report = formatReport(result, options.format);
+    const text = options.format === 'text' ? report : formatText(result);
+    if (options.output) {
+        fs.mkdirSync(path.dirname(options.output), { recursive: true });
+        fs.writeFileSync(options.output, report, 'utf8');
+    }
+    if (options.output || options.format === 'text') {
+        (result.ok ? process.stdout : process.stderr).write(text);
+    } else {
+        process.stdout.write(report);
+    }
+    if (options.output) {
+        console.log(`[validate-data] ${options.format} report written to ${path.relative(process.cwd(), options.output)}`);
+    }
+    process.exit(result.ok ? 0 : 1);
+}
+
+if (require.main === module) {
+    main();
 }
 
-main();
+module.exports = {
+    parseArgs,
+    findDuplicateIds,
+    checkTotals,
+    validatePayload,
+    checkConsistency,
+    validateDataDir,
+    formatJunit,
+    formatText
+};
@@ -0,0 +1,277 @@
+/**
+ * Outbound webhooks that announce new and changed roadmap items after an update.
+ *
+ * A webhook is a plain object built from the webhooks config (WEBHOOKS_FILE):
+ *   { "webhooks": [
+ *       { "name": "teams-eng", "type": "teams", "urlEnv": "TEAMS_WEBHOOK_URL", "products": ["Microsoft Teams"] },
+ *       { "name": "slack-it", "type": "slack", "url": "https://hooks.slack.com/services/...", "statuses": ["Rolling out"] },
+ *       { "name": "tracker", "type": "generic", "url": "http://127.0.0.1:8787/hook", "changeTypes": ["new"] }
+ *   ] }
+ * `teams` posts an Adaptive Card message (Teams incoming webhook / Workflows),
+ * `slack` a Slack-compatible { text, blocks } message and `generic` the change
+ * list as JSON. `urlEnv` names an environment variable holding the URL so
+ * secrets stay out of the config. Filters (`products`, `statuses`,
+ * `changeTypes`) are case-insensitive; an item matches a list when any of its
+ * values is in it, and an omitted list matches everything. `watchlist` names a
+ * team rule from watchlists.json (js/roadmap-watchlist.js) that items must match too.
+ *
+ * Used by scripts/update-data.js, which owns retries and dry runs; only
+ * postJson touches the network here.
+ */
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const { itemLink, productNames, describeChanges } = require('./feeds.js');
+const { matchesWatchlist } = require('../js/roadmap-watchlist.js');
+
+const WEBHOOK_TYPES = ['teams', 'slack', 'generic'];
+const CHANGE_TYPES = ['new', 'changed'];
+const WEBHOOK_NAME_RE = /^[a-z0-9][a-z0-9-]*$/;
+
+/** Items listed per chat message; Teams and Slack truncate or reject larger cards. */
+const MAX_CHAT_ITEMS = 20;
+
+const CHANGE_LABELS = { new: 'New', changed: 'Updated' };
+
+function lowerList(value, field, name) {
+    if (value == null) return null;
+    if (!Array.isArray(value) || value.some(v => typeof v !== 'string' || !v.trim())) {
+        throw new Error(`Webhook "${name}" ${field} must be a list of non-empty strings`);
+    }
+    return value.map(v => v.trim().toLowerCase());
+}
+
+/**
+ * Webhooks from a parsed config. `env` resolves `urlEnv` (default: process.env).
+ * Returns [{ name, type, url, products, statuses, changeTypes, watchlist }] with lowercased filters.
+ */
+function createWebhooks(config, env = process.env) {
+    const list = Array.isArray(config) ? config : (config && Array.isArray(config.webhooks) ? config.webhooks : null);
+    if (!list) {
+        throw new Error('Webhooks config must be a list or { "webhooks": [...] }');
+    }
+    const names = new Set();
+    return list.map((entry, i) => {
+        if (!entry || typeof entry !== 'object') {
+            throw new Error(`Webhook at index ${i} must be an object`);
+        }
+        const name = entry.name || '';
+        if (!WEBHOOK_NAME_RE.test(name)) {
+            throw new Error(`Webhook at index ${i} needs a lowercase name (letters, digits, dashes)`);
+        }
+        if (names.has(name)) {
+            throw new Error(`Duplicate webhook name "${name}"`);
+        }
+        names.add(name);
+
+        const type = entry.type || 'generic';
+        if (!WEBHOOK_TYPES.includes(type)) {
+            throw new Error(`Webhook "${name}" has unknown type "${type}"`);
+        }
+        const url = entry.urlEnv ? env[entry.urlEnv] : entry.url;
+        if (!url || !/^https?:\/\//i.test(url)) {
+            throw new Error(entry.urlEnv
+                ? `Webhook "${name}" needs an http(s) URL in $${entry.urlEnv}`
+                : `Webhook "${name}" needs an http(s) url`);
+        }
+        if (entry.watchlist != null && (typeof entry.watchlist !== 'string' || !entry.watchlist)) {
+            throw new Error(`Webhook "${name}" watchlist must be a watchlist name`);
+        }
+        const changeTypes = lowerList(entry.changeTypes, 'changeTypes', name) || CHANGE_TYPES;
+        const unknown = changeTypes.find(t => !CHANGE_TYPES.includes(t));
+        if (unknown) {
+            throw new Error(`Webhook "${name}" has unknown change type "${unknown}"`);
+        }
+        return {
+            name,
+            type,
+            url,
+            products: lowerList(entry.products, 'products', name),
+            statuses: lowerList(entry.statuses, 'statuses', name),
+            changeTypes,
+            watchlist: entry.watchlist || null
+        };
+    });
+}
+
+/** Read and build the webhooks listed in a config file. */
+function loadWebhooksFile(configPath, env = process.env) {
+    const config = JSON.parse(fs.readFileSync(path.resolve(configPath), 'utf8'));
+    return createWebhooks(config, env);
+}
+
+/**
+ * New/changed items of one run for a webhook: history entries joined with the
+ * current items and filtered by the webhook's change types, products, statuses
+ * and watchlist rule (looked up by name in normalized `watchlists`).
+ * Returns [{ changeType, item, changes }] in history order.
+ */
+function selectChanges(webhook, history, items, watchlists = []) {
+    const rule = webhook.watchlist ? watchlists.find(watchlist => watchlist.name === webhook.watchlist) : null;
+    if (webhook.watchlist && !rule) {
+        throw new Error(`Webhook "${webhook.name}" refers to unknown watchlist "${webhook.watchlist}"`);
+    }
+    const byId = new Map((items || []).map(item => [String(item.id), item]));
+    return (history || [])
+        .filter(entry => entry && webhook.changeTypes.includes(entry.changeType) && byId.has(String(entry.id)))
+        .map(entry => ({ changeType: entry.changeType, item: byId.get(String(entry.id)), changes: entry.changes || [] }))
+        .filter(({ item }) => !webhook.products
+            || productNames(item).some(product => webhook.products.includes(product.toLowerCase())))
+        .filter(({ item }) => !webhook.statuses
+            || webhook.statuses.includes(String(item.status || '').toLowerCase()))
+        .filter(({ changeType, item }) => !rule || matchesWatchlist({ ...item, _changeType: changeType }, rule));
+}
+
+function countLine(changes) {
+    const count = type => changes.filter(change => change.changeType === type).length;
+    return `${count('new')} new, ${count('changed')} updated roadmap item(s)`;
+}
+
+/** Status, availability and change lines shown under each item in chat messages. */
+function detailLines({ item, changes }) {
+    return [
+        `Status: ${item.status || 'Unknown'} · Availability: ${item.publicDisclosureAvailabilityDate || 'TBD'}`,
+        ...describeChanges(changes)
+    ];
+}
+
+/** Teams incoming-webhook message carrying one Adaptive Card. */
+function buildTeamsPayload(changes, { siteUrl, timestamp }) {
+    const shown = changes.slice(0, MAX_CHAT_ITEMS);
+    const body = [
+        { type: 'TextBlock', size: 'Large', weight: 'Bolder', text: 'Microsoft 365 Roadmap changes', wrap: true },
+        { type: 'TextBlock', isSubtle: true, spacing: 'None', text: `${countLine(changes)} · ${timestamp}`, wrap: true }
+    ];
+    shown.forEach(change => {
+        const link = itemLink(change.item);
+        const title = `[${CHANGE_LABELS[change.changeType]}] ${change.item.title}`;
+        body.push({
+            type: 'Container',
+            separator: true,
+            items: [
+                { type: 'TextBlock', weight: 'Bolder', text: link ? `[${title}](${link})` : title, wrap: true },
+                ...detailLines(change).map(line => ({ type: 'TextBlock', spacing: 'None', isSubtle: true, text: line, wrap: true }))
+            ]
+        });
+    });
+    if (changes.length > shown.length) {
+        body.push({ type: 'TextBlock', text: `...and ${changes.length - shown.length} more on the dashboard.`, wrap: true });
+    }
+    return {
+        type: 'message',
+        attachments: [{
+            contentType: 'application/vnd.microsoft.card.adaptive',
+            contentUrl: null,
+            content: {
+                $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                type: 'AdaptiveCard',
+                version: '1.4',
+                body,
+                actions: [{ type: 'Action.OpenUrl', title: 'Open dashboard', url: siteUrl }]
+            }
+        }]
+    };
+}
+
+/** Slack mrkdwn needs &, < and > escaped outside of links. */
+function escapeSlack(text) {
+    return String(text == null ? '' : text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/** Slack-compatible incoming-webhook message (also accepted by Mattermost and Rocket.Chat). */
+function buildSlackPayload(changes, { siteUrl, timestamp }) {
+    const shown = changes.slice(0, MAX_CHAT_ITEMS);
+    const blocks = [
+        { type: 'header', text: { type: 'plain_text', text: 'Microsoft 365 Roadmap changes' } },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: `${countLine(changes)} · ${timestamp}` }] }
+    ];
+    shown.forEach(change => {
+        const link = itemLink(change.item);
+        const title = `[${CHANGE_LABELS[change.changeType]}] ${escapeSlack(change.item.title)}`;
+        const lines = detailLines(change).map(escapeSlack);
+        blocks.push({
+            type: 'section',
+            text: { type: 'mrkdwn', text: [`*${link ? `<${link}|${title}>` : title}*`, ...lines].join('\n') }
+        });
+    });
+    const more = changes.length - shown.length;
+    blocks.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `${more > 0 ? `...and ${more} more. ` : ''}<${siteUrl}|Open dashboard>` }]
+    });
+    return { text: `Microsoft 365 Roadmap: ${countLine(changes)}`, blocks };
+}
+
+/** Every matching change as JSON, for custom receivers. */
+function buildGenericPayload(changes, { siteUrl, timestamp, webhook }) {
+    return {
+        event: 'roadmap.changes',
+        webhook: webhook.name,
+        timestamp,
+        siteUrl,
+        summary: {
+            newCount: changes.filter(change => change.changeType === 'new').length,
+            changedCount: changes.filter(change => change.changeType === 'changed').length
+        },
+        items: changes.map(({ changeType, item, changes: fieldChanges }) => ({
+            id: item.id,
+            title: item.title,
+            changeType,
+            status: item.status || '',
+            availability: item.publicDisclosureAvailabilityDate || '',
+            products: productNames(item),
+            link: itemLink(item),
+            changes: fieldChanges
+        }))
+    };
+}
+
+/** Payload for `webhook` in its type's format; `context` = { siteUrl, timestamp }. */
+function buildPayload(webhook, changes, context) {
+    if (webhook.type === 'teams') return buildTeamsPayload(changes, context);
+    if (webhook.type === 'slack') return buildSlackPayload(changes, context);
+    return buildGenericPayload(changes, { ...context, webhook });
+}
+
+/** POST a JSON body; resolves { statusCode } on 2xx and rejects otherwise. */
+function postJson(location, body, { timeoutMs = 10000 } = {}) {
+    const client = /^http:/i.test(location) ? http : https;
+    const data = JSON.stringify(body);
+    return new Promise((resolve, reject) => {
+        const request = client.request(location, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) }
+        }, (response) => {
+            let text = '';
+            response.on('data', (chunk) => { text += chunk; });
+            response.on('end', () => {
+                if (response.statusCode >= 200 && response.statusCode < 300) {
+                    resolve({ statusCode: response.statusCode });
+                    return;
+                }
+                reject(new Error(`HTTP ${response.statusCode}: ${text.slice(0, 200) || response.statusMessage}`));
+            });
+        });
+        request.on('error', reject);
+        request.setTimeout(timeoutMs, () => {
+            request.destroy();
+            reject(new Error('Request timeout'));
+        });
+        request.end(data);
+    });
+}
+
+module.exports = {
+    WEBHOOK_TYPES,
+    MAX_CHAT_ITEMS,
+    createWebhooks,
+    loadWebhooksFile,
+    selectChanges,
+    buildTeamsPayload,
+    buildSlackPayload,
+    buildGenericPayload,
+    buildPayload,
+    postJson
+};
@@ -3,7 +3,19 @@
 const assert = require('assert');
 const path = require('path');
 
-const { filterRoadmapItems } = require(path.join(__dirname, '..', '..', 'js', 'app.js'));
+const {
+    filterRoadmapItems,
+    selectShards,
+    mergeShardItems,
+    qualitySummary,
+    parseWatchlistIndex,
+    trendsPanelHtml,
+    parseUrlState,
+    buildUrlQuery,
+    parseSort,
+    toggleSort,
+    sortRoadmapItems
+} = require(path.join(__dirname, '..', '..', 'js', 'app.js'));
 
 function runTest(name, fn) {
     try {
@@ -57,6 +69,26 @@ runTest('search filter matches title and description case-insensitively', () =>
     assert.strictEqual(descResult[0].id, 2);
 });
 
+runTest('search accepts the query language alongside the other filters', () => {
+    assert.deepStrictEqual(filterRoadmapItems(fixtures, { search: 'product:teams OR product:outlook' }).map(i => i.id), [1, 2]);
+    assert.deepStrictEqual(filterRoadmapItems(fixtures, { search: '-platform:web', status: 'In development' }).map(i => i.id), [3]);
+    assert.deepStrictEqual(filterRoadmapItems(fixtures, { search: 'available:>2026-Q1' }).map(i => i.id), [2]);
+});
+
+runTest('a search index matches typos and returns the best matches first', () => {
+    const { buildSearchIndex, createTextMatcher } = require(path.join(__dirname, '..', '..', 'js', 'roadmap-search.js'));
+    const matcher = createTextMatcher(buildSearchIndex(fixtures));
+    const ids = filters => filterRoadmapItems(fixtures, filters, null, matcher).map(i => i.id);
+    assert.deepStrictEqual(ids({ search: 'drat' }), [2], 'one typo away from draft');
+    assert.deepStrictEqual(ids({ search: 'summarize' }), [1]);
+    assert.deepStrictEqual(ids({ search: 'filters' }), [3]);
+    const ranked = [{ id: 'a', title: 'Other', description: 'Mentions a meeting' }, { id: 'b', title: 'Meeting notes', description: '' }];
+    const rankedMatcher = createTextMatcher(buildSearchIndex(ranked));
+    assert.deepStrictEqual(filterRoadmapItems(ranked, { search: 'meetings' }, null, rankedMatcher).map(i => i.id), ['b', 'a']);
+    assert.deepStrictEqual(ids({ search: 'status:"in development"' }), [1, 3], 'no ranking without plain words');
+    assert.deepStrictEqual(filterRoadmapItems(fixtures, { search: 'drat' }).length, 0, 'substring search without an index');
+});
+
 runTest('service/status/platform filters apply together', () => {
     const result = filterRoadmapItems(fixtures, {
         service: 'Teams',
@@ -68,6 +100,16 @@ runTest('service/status/platform filters apply together', () => {
     assert.strictEqual(result[0].id, 1);
 });
 
+runTest('list filters accept any listed value within a facet and combine facets with AND', () => {
+    const ids = filters => filterRoadmapItems(fixtures, filters).map(i => i.id);
+    assert.deepStrictEqual(ids({ service: ['Teams', 'Outlook'] }), [1, 2]);
+    assert.deepStrictEqual(ids({ status: ['Rolling out', 'Launched'] }), [2]);
+    assert.deepStrictEqual(ids({ status: ['In development', 'Rolling out'] }), [1, 2, 3]);
+    assert.deepStrictEqual(ids({ service: ['Teams', 'Outlook'], platform: ['Desktop'] }), [2]);
+    assert.deepStrictEqual(ids({ service: ['Teams', 'Outlook'], status: ['Rolling out'], platform: ['Web'] }), []);
+    assert.deepStrictEqual(ids({ service: [], status: [''], platform: [] }), [1, 2, 3]);
+});
+
 runTest('malformed items are ignored without throwing', () => {
     const mixed = [...fixtures, null, undefined, 'not-an-object'];
     const result = filterRoadmapItems(mixed, { status: 'In development' });
@@ -90,6 +132,155 @@ runTest('timeline filter delegates to supplied matcher', () => {
     assert.strictEqual(result[0].id, 2);
 });
 
+runTest('change filter matches item change type', () => {
+    const items = [
+        { ...fixtures[0], _changeType: 'new' },
+        { ...fixtures[1], _changeType: 'changed' },
+        { ...fixtures[2], _changeType: 'removed', _removedAt: '2026-02-21T00:00:00.000Z' }
+    ];
+    assert.deepStrictEqual(filterRoadmapItems(items, { change: 'removed' }).map(i => i.id), [3]);
+    assert.deepStrictEqual(filterRoadmapItems(items, { change: 'new', service: 'Teams' }).map(i => i.id), [1]);
+    assert.strictEqual(filterRoadmapItems(items, { change: 'new', service: 'Outlook' }).length, 0);
+});
+
+runTest('source filter matches item source, treating untagged items as m365', () => {
+    const items = [
+        { id: 1, title: 'Roadmap item' },
+        { id: 2, title: 'Explicit roadmap item', source: 'm365' },
+        { id: 'internal:3', title: 'Tracker item', source: 'internal' }
+    ];
+    assert.deepStrictEqual(filterRoadmapItems(items, { source: 'm365' }).map(i => i.id), [1, 2]);
+    assert.deepStrictEqual(filterRoadmapItems(items, { source: 'internal' }).map(i => i.id), ['internal:3']);
+});
+
+const manifest = {
+    shards: [
+        { key: 'microsoft-copilot-microsoft-365', products: ['Microsoft Copilot (Microsoft 365)'], file: 'shards/microsoft-copilot-microsoft-365.json', count: 600 },
+        { key: 'copilot-studio', products: ['Copilot Studio'], file: 'shards/copilot-studio.json', count: 40 },
+        { key: 'microsoft-teams', products: ['Microsoft Teams'], file: 'shards/microsoft-teams.json', count: 300 },
+        { key: 'sharepoint', products: ['SharePoint'], file: 'shards/sharepoint.json', count: 900 }
+    ]
+};
+
+runTest('selectShards loads Copilot shards, or a smaller service shard when filtered', () => {
+    const keys = shards => shards.map(s => s.key);
+    assert.deepStrictEqual(keys(selectShards(manifest, '')), ['microsoft-copilot-microsoft-365', 'copilot-studio']);
+    assert.deepStrictEqual(keys(selectShards(manifest, 'Microsoft Teams')), ['microsoft-teams']);
+    assert.deepStrictEqual(keys(selectShards(manifest, 'SharePoint')), ['microsoft-copilot-microsoft-365', 'copilot-studio']);
+    assert.deepStrictEqual(keys(selectShards(manifest, 'Unknown')), ['microsoft-copilot-microsoft-365', 'copilot-studio']);
+    assert.deepStrictEqual(keys(selectShards(manifest, ['Microsoft Teams', 'Copilot Studio'])), ['copilot-studio', 'microsoft-teams']);
+    assert.deepStrictEqual(keys(selectShards(manifest, ['Microsoft Teams', 'Unknown'])), ['microsoft-copilot-microsoft-365', 'copilot-studio']);
+    assert.strictEqual(selectShards({}, ''), null);
+    assert.strictEqual(selectShards(null, ''), null);
+});
+
+runTest('mergeShardItems keeps one copy of items listed in several shards', () => {
+    const merged = mergeShardItems([
+        { items: [{ id: 1, title: 'A' }, { id: 2, title: 'B' }] },
+        [{ id: 2, title: 'B' }, { id: 3, title: 'C' }, null]
+    ]);
+    assert.deepStrictEqual(merged.map(i => i.id), [1, 2, 3]);
+});
+
+runTest('qualitySummary describes shown items with data issues, or null when clean', () => {
+    const clean = {
+        id: 1,
+        description: 'Text',
+        publicDisclosureAvailabilityDate: 'Q2 CY2026',
+        tagsContainer: { products: [{ tagName: 'Teams' }] }
+    };
+    assert.strictEqual(qualitySummary([clean]), null);
+
+    const summary = qualitySummary([clean, { ...clean, id: 2, tagsContainer: {} }]);
+    assert.strictEqual(summary.level, 'poor');
+    assert.strictEqual(summary.text, '1 with data issues');
+    assert.ok(summary.title.startsWith('1 of 2 shown items (50%) have data issues'));
+    assert.ok(summary.title.endsWith('No product tag: 1'));
+});
+
+runTest('parseWatchlistIndex keys published rules by name and ignores an invalid index', () => {
+    const rules = parseWatchlistIndex({ watchlists: [
+        { name: 'teams-admins', label: 'Teams admins', filters: { service: ['microsoft teams'] }, keywords: [], file: 'watchlists/teams-admins.json', matchCount: 4 }
+    ] });
+    assert.deepStrictEqual([...rules.keys()], ['teams-admins']);
+    assert.deepStrictEqual(rules.get('teams-admins'), {
+        name: 'teams-admins', label: 'Teams admins', filters: { service: ['microsoft teams'] }, keywords: []
+    });
+    assert.strictEqual(parseWatchlistIndex({ watchlists: [{ name: 'Bad name' }] }).size, 0);
+    assert.strictEqual(parseWatchlistIndex(null).size, 0);
+});
+
+runTest('trendsPanelHtml renders three charts, keeping the selected service, or an empty note', () => {
+    const entries = [{
+        timestamp: '2026-03-02T06:00:00.000Z',
+        totalItems: 3,
+        byStatus: { 'In development': 2, Launched: 1 },
+        byProduct: { 'Microsoft Teams': 3, Outlook: 2, Word: 1 },
+        transitions: { 'Rolling out → Launched': 1 }
+    }];
+    const html = trendsPanelHtml(entries, 'Word');
+    assert.strictEqual((html.match(/<svg /g) || []).length, 3);
+    assert.ok(html.includes('(1 week)'));
+    assert.ok(html.includes('>Word</text>'));
+    assert.ok(trendsPanelHtml([], '').includes('class="trends-empty"'));
+});
+
+runTest('parseUrlState reads filters, view and sort, defaulting missing or unknown values', () => {
+    const state = parseUrlState('?service=Microsoft+Teams&service=Outlook&service=Outlook&timeline=next-quarter&search=meeting%20notes&view=table&sort=date');
+    assert.deepStrictEqual(state.filters.service, ['Microsoft Teams', 'Outlook']);
+    assert.strictEqual(state.filters.timeline, 'next-quarter');
+    assert.strictEqual(state.filters.search, 'meeting notes');
+    assert.deepStrictEqual(state.filters.status, []);
+    assert.strictEqual(state.view, 'table');
+    assert.strictEqual(state.sort, 'date');
+
+    assert.strictEqual(parseUrlState('?view=gallery').view, 'cards');
+    assert.strictEqual(parseUrlState('?sort=colour,-date,date').sort, '-date');
+    assert.strictEqual(parseUrlState('?watchlist=teams-admins').filters.watchlist, 'teams-admins');
+    assert.deepStrictEqual(Object.keys(parseUrlState('').filters),
+        ['search', 'service', 'status', 'platform', 'timeline', 'change', 'source', 'watchlist']);
+});
+
+runTest('buildUrlQuery writes only non-default state and keeps unrelated parameters', () => {
+    const filters = { ...parseUrlState('').filters, service: ['Microsoft Teams'], status: ['Rolling out', 'Launched'] };
+    const query = buildUrlQuery({ filters, view: 'timeline', sort: '' }, '?diagnostics=1&service=Outlook&view=table');
+    assert.strictEqual(query, '?diagnostics=1&service=Microsoft+Teams&status=Rolling+out&status=Launched&view=timeline');
+    assert.strictEqual(buildUrlQuery({ filters: parseUrlState('').filters, view: 'cards', sort: '' }, ''), '');
+
+    const roundTrip = parseUrlState(buildUrlQuery({ filters, view: 'table', sort: 'title' }, ''));
+    assert.deepStrictEqual(roundTrip, { filters, view: 'table', sort: 'title' });
+});
+
+runTest('parseSort and toggleSort keep a list of distinct keys with directions', () => {
+    assert.deepStrictEqual(parseSort(' status , -date,bogus,status'), [{ key: 'status', desc: false }, { key: 'date', desc: true }]);
+    assert.deepStrictEqual(parseSort(''), []);
+    assert.strictEqual(toggleSort('', 'title', false), 'title');
+    assert.strictEqual(toggleSort('title', 'title', false), '-title');
+    assert.strictEqual(toggleSort('-title,date', 'date', false), 'date');
+    assert.strictEqual(toggleSort('status', 'date', true), 'status,date');
+    assert.strictEqual(toggleSort('status,date', 'date', true), 'status,-date');
+});
+
+runTest('sortRoadmapItems orders by roadmap periods, lifecycle and several keys', () => {
+    const tag = name => [{ tagName: name }];
+    const items = [
+        { id: 1, title: 'Item 10', status: 'Launched', publicDisclosureAvailabilityDate: 'Q2 CY2026', tagsContainer: { products: tag('Word') } },
+        { id: 2, title: 'item 9', status: 'In development', publicDisclosureAvailabilityDate: 'March CY2026', tagsContainer: { products: tag('Excel') }, _changeType: 'changed' },
+        { id: 3, title: 'Undated', status: 'Rolling out', publicDisclosureAvailabilityDate: 'TBD', tagsContainer: { products: tag('Word') }, _changeType: 'new' },
+        { id: 4, title: 'Item 1', status: 'Rolling out', publicDisclosureAvailabilityDate: 'April CY2026' }
+    ];
+    const ids = sort => sortRoadmapItems(items, sort).map(item => item.id);
+    assert.deepStrictEqual(ids('date'), [2, 4, 1, 3], 'periods, not strings; undated last');
+    assert.deepStrictEqual(ids('-date'), [1, 4, 2, 3], 'undated stays last when descending');
+    assert.deepStrictEqual(ids('title'), [4, 2, 1, 3], 'case-insensitive with numeric parts');
+    assert.deepStrictEqual(ids('status'), [2, 3, 4, 1]);
+    assert.deepStrictEqual(ids('status,-date'), [2, 4, 3, 1]);
+    assert.deepStrictEqual(ids('product,title'), [2, 1, 3, 4], 'items without products last');
+    assert.deepStrictEqual(ids('change'), [3, 2, 1, 4], 'ties keep input order');
+    assert.deepStrictEqual(ids(''), [1, 2, 3, 4]);
+    assert.deepStrictEqual(items.map(item => item.id), [1, 2, 3, 4], 'input is not reordered');
+});
+
 if (process.exitCode) {
     process.exit(process.exitCode);
 }
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    parseArgs,
+    backupTimestamp,
+    listBackups,
+    resolveBackup,
+    diffBackups,
+    restoreBackup
+} = require(path.join(__dirname, '..', '..', 'scripts', 'backups.js'));
+const { RoadmapDataUpdater, hashItems } = require(path.join(__dirname, '..', '..', 'scripts', 'update-data.js'));
+
+function runTest(name, fn) {
+    const fail = (error) => {
+        console.error(`FAIL ${name}`);
+        console.error(error.stack || error.message);
+        process.exitCode = 1;
+    };
+    try {
+        const result = fn();
+        if (result && typeof result.then === 'function') {
+            return result.then(() => console.log(`PASS ${name}`), fail);
+        }
+        console.log(`PASS ${name}`);
+    } catch (error) {
+        fail(error);
+    }
+}
+
+function item(id, status = 'In development') {
+    return { id, title: `Item ${id}`, description: '', status };
+}
+
+/** Data dir with two backups (older: 1,2,3; newer: 1 launched, 2, 4) and the newer one as current. */
+function makeDataDir() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-'));
+    const updater = quietUpdater(dataDir);
+    const older = updater.processData([item(1), item(2), item(3)]);
+    const newer = updater.processData([item(1, 'Launched'), item(2), item(4)]);
+    older.metadata.lastUpdated = '2026-03-01T06:00:00.000Z';
+    newer.metadata.lastUpdated = '2026-03-02T06:00:00.000Z';
+    fs.writeFileSync(path.join(dataDir, 'roadmap-data-2026-03-01T06-00-00-000Z.json'), JSON.stringify(older, null, 2));
+    fs.writeFileSync(path.join(dataDir, 'roadmap-data-2026-03-02T06-00-00-000Z.json'), JSON.stringify(newer, null, 2));
+    fs.writeFileSync(path.join(dataDir, 'roadmap-data.json'), JSON.stringify(newer, null, 2));
+    fs.writeFileSync(path.join(dataDir, 'roadmap-data-compact.json'), JSON.stringify(newer));
+    return dataDir;
+}
+
+function quietUpdater(dataDir) {
+    const updater = new RoadmapDataUpdater();
+    updater.logLevel = 'error';
+    updater.outputDir = dataDir;
+    return updater;
+}
+
+async function main() {
+    await runTest('parseArgs checks commands and reference counts', () => {
+        const options = parseArgs(['diff', '2', 'current', '--json', '--data-dir', '/tmp/x']);
+        assert.deepStrictEqual(options, { command: 'diff', refs: ['2', 'current'], dataDir: '/tmp/x', jsonOutput: true });
+        assert.throws(() => parseArgs([]), /Command must be one of/);
+        assert.throws(() => parseArgs(['restore']), /restore takes 1 backup reference/);
+        assert.throws(() => parseArgs(['list', '--force']), /Unknown argument/);
+    });
+
+    await runTest('backupTimestamp decodes saveData backup names', () => {
+        assert.strictEqual(backupTimestamp('roadmap-data-2026-03-01T06-00-00-000Z.json'), '2026-03-01T06:00:00.000Z');
+        assert.strictEqual(backupTimestamp('roadmap-data-compact.json'), null);
+    });
+
+    await runTest('listBackups lists newest first with counts and hashes; resolveBackup finds them', () => {
+        const dataDir = makeDataDir();
+        try {
+            fs.writeFileSync(path.join(dataDir, 'roadmap-data-2026-02-01T06-00-00-000Z.json'), '{"items":');
+            const backups = listBackups(dataDir);
+            assert.deepStrictEqual(backups.map(b => b.file), [
+                'roadmap-data-2026-03-02T06-00-00-000Z.json',
+                'roadmap-data-2026-03-01T06-00-00-000Z.json',
+                'roadmap-data-2026-02-01T06-00-00-000Z.json'
+            ]);
+            assert.strictEqual(backups[1].itemCount, 3);
+            assert.strictEqual(backups[1].contentHash, hashItems([item(1), item(2), item(3)]));
+            assert.ok(backups[2].error);
+
+            assert.strictEqual(resolveBackup(dataDir, '2').file, backups[1].file);
+            assert.strictEqual(resolveBackup(dataDir, '2026-03-01').file, backups[1].file);
+            assert.strictEqual(resolveBackup(dataDir, 'current').file, 'roadmap-data.json');
+            assert.throws(() => resolveBackup(dataDir, '2026-03'), /matches 2 backups/);
+            assert.throws(() => resolveBackup(dataDir, '9'), /No backup matches "9"/);
+        } finally {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+
+    await runTest('diffBackups reports new, changed and removed items', () => {
+        const dataDir = makeDataDir();
+        try {
+            const { diff } = diffBackups(dataDir, '2', '1');
+            assert.deepStrictEqual(diff.newItems, [{ id: 4, title: 'Item 4' }]);
+            assert.deepStrictEqual(diff.changed.map(c => [c.id, c.changes.map(ch => ch.field)]), [[1, ['status']]]);
+            assert.deepStrictEqual(diff.removed, [{ id: 3, title: 'Item 3' }]);
+            assert.strictEqual(diff.unchangedCount, 1);
+        } finally {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+
+    await runTest('restoreBackup swaps the data pair and records the rollback', async () => {
+        const dataDir = makeDataDir();
+        try {
+            const older = fs.readFileSync(path.join(dataDir, 'roadmap-data-2026-03-01T06-00-00-000Z.json'), 'utf8');
+            fs.writeFileSync(path.join(dataDir, 'removed-items.json'), JSON.stringify({
+                metadata: { lastUpdated: '2026-03-02T06:00:00.000Z', totalItems: 1 },
+                items: [{ ...item(3), _removedAt: '2026-03-02T06:00:00.000Z' }]
+            }));
+            const rollback = await restoreBackup(dataDir, '2026-03-01', quietUpdater(dataDir));
+
+            assert.strictEqual(rollback.restoredFrom, 'roadmap-data-2026-03-01T06-00-00-000Z.json');
+            // The replaced data already matched the newer backup, so no extra copy is written.
+            assert.strictEqual(rollback.preRollbackBackup, 'roadmap-data-2026-03-02T06-00-00-000Z.json');
+            assert.strictEqual(fs.readFileSync(path.join(dataDir, 'roadmap-data.json'), 'utf8'), older);
+            assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'roadmap-data-compact.json'), 'utf8')), JSON.parse(older));
+            assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'manifest.json'), 'utf8')).totalItems, 3);
+            // Derived artifacts describe the restored items, and item 3 is no longer "removed".
+            const quality = JSON.parse(fs.readFileSync(path.join(dataDir, 'quality-report.json'), 'utf8'));
+            assert.deepStrictEqual([quality.totalItems, quality.dataLastUpdated], [3, '2026-03-01T06:00:00.000Z']);
+            assert.ok(fs.existsSync(path.join(dataDir, 'feed.atom')));
+            assert.ok(fs.existsSync(path.join(dataDir, 'calendar.ics')));
+            assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'removed-items.json'), 'utf8')).items, []);
+            assert.deepStrictEqual(fs.readdirSync(dataDir).filter(file => file.endsWith('.tmp')), []);
+
+            const report = JSON.parse(fs.readFileSync(path.join(dataDir, 'update-report.json'), 'utf8'));
+            assert.deepStrictEqual(report.rollback, rollback);
+            assert.deepStrictEqual(report.changes, { newCount: 1, changedCount: 1, removedCount: 1, unchangedCount: 1 });
+            const health = JSON.parse(fs.readFileSync(path.join(dataDir, 'health-status.json'), 'utf8'));
+            assert.strictEqual(health.status, 'rollback');
+            assert.strictEqual(health.lastSuccessfulUpdate, '2026-03-01T06:00:00.000Z', 'the restored data is as old as its backup');
+            assert.strictEqual(health.metrics.itemCount, 3);
+            assert.strictEqual(health.rollback.restoredFrom, rollback.restoredFrom);
+
+            await assert.rejects(restoreBackup(dataDir, 'current', quietUpdater(dataDir)), /not "current"/);
+        } finally {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+
+    await runTest('restoreBackup keeps unsaved current data and refuses invalid backups', async () => {
+        const dataDir = makeDataDir();
+        try {
+            const edited = JSON.parse(fs.readFileSync(path.join(dataDir, 'roadmap-data.json'), 'utf8'));
+            edited.items.push(item(5));
+            fs.writeFileSync(path.join(dataDir, 'roadmap-data.json'), JSON.stringify(edited));
+
+            const rollback = await restoreBackup(dataDir, '2', quietUpdater(dataDir));
+            assert.ok(rollback.preRollbackBackup);
+            const kept = JSON.parse(fs.readFileSync(path.join(dataDir, rollback.preRollbackBackup), 'utf8'));
+            assert.strictEqual(kept.items.length, 4);
+
+            fs.writeFileSync(path.join(dataDir, 'roadmap-data-2020-01-01T00-00-00-000Z.json'), JSON.stringify({ metadata: {}, items: [{ id: 1 }] }));
+            const before = fs.readFileSync(path.join(dataDir, 'roadmap-data.json'), 'utf8');
+            await assert.rejects(restoreBackup(dataDir, '2020-01-01', quietUpdater(dataDir)), /missing required fields/);
+            assert.strictEqual(fs.readFileSync(path.join(dataDir, 'roadmap-data.json'), 'utf8'), before);
+        } finally {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+}
+
+main().then(() => {
+    if (process.exitCode) {
+        process.exit(process.exitCode);
+    }
+});
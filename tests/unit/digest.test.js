@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    parseArgs,
+    collectDigestChanges,
+    buildDigest,
+    renderMarkdown,
+    renderHtml,
+    generateDigest
+} = require(path.join(__dirname, '..', '..', 'scripts', 'digest.js'));
+const { RoadmapDataUpdater } = require(path.join(__dirname, '..', '..', 'scripts', 'update-data.js'));
+
+function runTest(name, fn) {
+    const fail = (error) => {
+        console.error(`FAIL ${name}`);
+        console.error(error.stack || error.message);
+        process.exitCode = 1;
+    };
+    try {
+        const result = fn();
+        if (result && typeof result.then === 'function') {
+            return result.then(() => console.log(`PASS ${name}`), fail);
+        }
+        console.log(`PASS ${name}`);
+    } catch (error) {
+        fail(error);
+    }
+}
+
+const since = new Date('2026-03-01T00:00:00.000Z');
+const until = new Date('2026-03-08T00:00:00.000Z');
+
+function item(id, product, status = 'In development', date = 'March CY2026') {
+    return {
+        id,
+        title: `Item ${id}`,
+        description: '',
+        status,
+        publicDisclosureAvailabilityDate: date,
+        tagsContainer: { products: product ? [{ tagName: product }] : [] }
+    };
+}
+
+function change(field, previous, current) {
+    return { field, previous, current };
+}
+
+const items = [
+    item(1, 'Microsoft Teams', 'Rolling out', 'June CY2026'),
+    item(2, 'Outlook'),
+    item(3, 'Microsoft Teams', 'In development', 'February CY2026'),
+    item(4, null)
+];
+
+const history = [
+    { timestamp: '2026-02-20T06:00:00.000Z', id: 4, title: 'Item 4', changeType: 'new', changes: [] },
+    { timestamp: '2026-03-02T06:00:00.000Z', id: 1, title: 'Item 1', changeType: 'changed',
+        changes: [change('publicDisclosureAvailabilityDate', 'March CY2026', 'April CY2026'), change('status', 'In development', 'Rolling out')] },
+    { timestamp: '2026-03-05T06:00:00.000Z', id: 1, title: 'Item 1', changeType: 'changed',
+        changes: [change('publicDisclosureAvailabilityDate', 'April CY2026', 'June CY2026')] },
+    { timestamp: '2026-03-03T06:00:00.000Z', id: 2, title: 'Item 2', changeType: 'new', changes: [] },
+    { timestamp: '2026-03-04T06:00:00.000Z', id: 2, title: 'Item 2', changeType: 'changed', changes: [change('status', 'Launched', 'In development')] },
+    { timestamp: '2026-03-04T06:00:00.000Z', id: 3, title: 'Item 3', changeType: 'changed',
+        changes: [change('publicDisclosureAvailabilityDate', 'March CY2026', 'February CY2026'), change('title', 'Old', 'Item 3')] },
+    { timestamp: '2026-03-06T06:00:00.000Z', id: 9, title: 'Gone', changeType: 'removed', changes: [], snapshot: item(9, 'Outlook', 'Launched') },
+    { timestamp: '2026-03-09T06:00:00.000Z', id: 3, title: 'Item 3', changeType: 'changed', changes: [change('status', 'In development', 'Launched')] }
+];
+
+runTest('parseArgs derives the window from --days and validates dates', () => {
+    const options = parseArgs(['--days', '14', '--until', '2026-03-15', '--data-dir', '/tmp/data'], until);
+    assert.strictEqual(options.since.toISOString(), '2026-03-01T00:00:00.000Z');
+    assert.strictEqual(options.outputDir, path.join('/tmp/data', 'digests'));
+    assert.strictEqual(parseArgs(['--since', '2026-03-01'], until).since.toISOString(), since.toISOString());
+    assert.throws(() => parseArgs(['--until', 'Monday']), /ISO date/);
+    assert.throws(() => parseArgs(['--since', '2026-03-09'], until), /before --until/);
+    assert.throws(() => parseArgs(['--format', 'pdf']), /--format must be one of/);
+});
+
+runTest('collectDigestChanges collapses the window into new items, slips, status changes and removals', () => {
+    const lines = collectDigestChanges({ items, history, since, until });
+    const summary = lines.map(l => [l.section, l.id, l.from, l.to, l.direction].filter(v => v !== undefined));
+    assert.deepStrictEqual(summary, [
+        ['dateSlips', 1, 'March CY2026', 'June CY2026', 'later'],
+        ['statusChanges', 1, 'In development', 'Rolling out'],
+        ['newItems', 2],
+        ['dateSlips', 3, 'March CY2026', 'February CY2026', 'earlier'],
+        ['removals', 9]
+    ]);
+});
+
+runTest('buildDigest groups by product and renders Markdown and HTML', () => {
+    const lines = collectDigestChanges({ items, history, since, until });
+    const digest = buildDigest(lines, { since, until, generatedAt: until, source: 'history/changes.jsonl' });
+    assert.deepStrictEqual(digest.totals, { newItems: 1, dateSlips: 2, statusChanges: 1, removals: 1 });
+    assert.deepStrictEqual(digest.products.map(p => p.product), ['Microsoft Teams', 'Outlook']);
+
+    const md = renderMarkdown(digest);
+    assert.ok(md.startsWith('# Microsoft 365 Roadmap digest: 2026-03-01 to 2026-03-08\n\n1 new item, 2 date slips, 1 status change and 1 removal across 2 products.'));
+    assert.ok(md.includes('## Microsoft Teams\n\n### Date slips\n\n- [Item 1 (1)](https://www.microsoft.com/microsoft-365/roadmap?id=1): March CY2026 → June CY2026 (later)'));
+    assert.ok(md.includes('### Removed\n\n- [Item 9 (9)](https://www.microsoft.com/microsoft-365/roadmap?id=9): last status Launched'));
+
+    const html = renderHtml({ ...digest, products: [{ ...digest.products[0], newItems: [{ ...lines[2], title: '<b>Bold</b>' }] }] });
+    assert.ok(html.startsWith('<!DOCTYPE html>'));
+    assert.ok(html.includes('&lt;b&gt;Bold&lt;/b&gt;'));
+    assert.ok(html.includes('<span class="later">March CY2026 → June CY2026 (later)</span>'));
+    assert.ok(!/<script/i.test(html));
+});
+
+runTest('generateDigest falls back to the newest backup before the window without history', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-'));
+    try {
+        const updater = new RoadmapDataUpdater();
+        updater.logLevel = 'error';
+        const write = (file, list, lastUpdated) => {
+            const data = updater.processData(list);
+            data.metadata.lastUpdated = lastUpdated;
+            fs.writeFileSync(path.join(dataDir, file), JSON.stringify(data));
+        };
+        write('roadmap-data-2026-02-27T06-00-00-000Z.json', [item(1, 'Outlook'), item(2, 'Outlook')], '2026-02-27T06:00:00.000Z');
+        write('roadmap-data-2026-03-07T06-00-00-000Z.json', [item(1, 'Outlook', 'Launched')], '2026-03-07T06:00:00.000Z');
+        write('roadmap-data.json', [item(1, 'Outlook', 'Launched')], '2026-03-07T06:00:00.000Z');
+
+        const digest = await generateDigest({ dataDir, since, until });
+        assert.strictEqual(digest.source, 'snapshot roadmap-data-2026-02-27T06-00-00-000Z.json');
+        assert.deepStrictEqual(digest.totals, { newItems: 0, dateSlips: 0, statusChanges: 1, removals: 1 });
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+runTest('generateDigest uses the backup when the history log starts inside the window', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-'));
+    try {
+        const updater = new RoadmapDataUpdater();
+        updater.logLevel = 'error';
+        const write = (file, list, lastUpdated) => {
+            const data = updater.processData(list);
+            data.metadata.lastUpdated = lastUpdated;
+            fs.writeFileSync(path.join(dataDir, file), JSON.stringify(data));
+        };
+        write('roadmap-data-2026-02-27T06-00-00-000Z.json', [item(1, 'Outlook'), item(2, 'Outlook')], '2026-02-27T06:00:00.000Z');
+        write('roadmap-data.json', [item(1, 'Outlook', 'Launched')], '2026-03-07T06:00:00.000Z');
+        fs.mkdirSync(path.join(dataDir, 'history'));
+        fs.writeFileSync(path.join(dataDir, 'history', 'changes.jsonl'), JSON.stringify({
+            timestamp: '2026-03-07T06:00:00.000Z', id: 1, title: 'Item 1', changeType: 'changed',
+            changes: [{ field: 'status', previous: 'In development', current: 'Launched' }]
+        }) + '\n');
+
+        const digest = await generateDigest({ dataDir, since, until });
+        assert.strictEqual(digest.source, 'snapshot roadmap-data-2026-02-27T06-00-00-000Z.json (history/changes.jsonl starts 2026-03-07T06:00:00.000Z)');
+        assert.deepStrictEqual(digest.totals, { newItems: 0, dateSlips: 0, statusChanges: 1, removals: 1 });
+
+        fs.unlinkSync(path.join(dataDir, 'roadmap-data-2026-02-27T06-00-00-000Z.json'));
+        const partial = await generateDigest({ dataDir, since, until });
+        assert.strictEqual(partial.source, 'history/changes.jsonl from 2026-03-07T06:00:00.000Z (no earlier snapshot)');
+        assert.deepStrictEqual(partial.totals, { newItems: 0, dateSlips: 0, statusChanges: 1, removals: 0 });
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
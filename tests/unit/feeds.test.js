@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+
+const {
+    escapeXml,
+    slugify,
+    uniqueSlugs,
+    collectFeedEntries,
+    groupEntriesByProduct,
+    buildAtomFeed,
+    buildRssFeed
+} = require(path.join(__dirname, '..', '..', 'scripts', 'feeds.js'));
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`PASS ${name}`);
+    } catch (error) {
+        console.error(`FAIL ${name}`);
+        console.error(error.stack || error.message);
+        process.exitCode = 1;
+    }
+}
+
+const items = [
+    {
+        id: 101,
+        title: 'Teams <recap>',
+        description: 'Meeting recap & notes',
+        status: 'Rolling out',
+        publicDisclosureAvailabilityDate: 'June CY2026',
+        tagsContainer: { products: [{ tagName: 'Microsoft Teams' }, { tagName: 'Microsoft Copilot (Microsoft 365)' }] }
+    },
+    {
+        id: 102,
+        title: 'Outlook drafting',
+        description: 'Draft with AI',
+        status: 'In development',
+        publicDisclosureAvailabilityDate: 'March CY2026',
+        tagsContainer: { products: [{ tagName: 'Outlook' }] }
+    }
+];
+
+const history = [
+    { timestamp: '2026-02-01T06:00:00.000Z', id: 101, changeType: 'new', changes: [] },
+    { timestamp: '2026-02-08T06:00:00.000Z', id: 101, changeType: 'changed', changes: [
+        { field: 'publicDisclosureAvailabilityDate', previous: 'March CY2026', current: 'June CY2026' }
+    ] },
+    { timestamp: '2026-02-08T06:00:00.000Z', id: 102, changeType: 'new', changes: [] },
+    { timestamp: '2026-02-08T06:00:00.000Z', id: 999, changeType: 'removed', changes: [] }
+];
+
+runTest('collectFeedEntries builds stable ids from roadmap id and change timestamp', () => {
+    const entries = collectFeedEntries(items, history);
+    assert.strictEqual(entries.length, 3);
+    assert.deepStrictEqual(entries.map(e => e.id).sort(), [
+        'urn:m365-roadmap:101:2026-02-01T06:00:00.000Z',
+        'urn:m365-roadmap:101:2026-02-08T06:00:00.000Z',
+        'urn:m365-roadmap:102:2026-02-08T06:00:00.000Z'
+    ]);
+    // Same inputs produce the same ids on a later run
+    assert.deepStrictEqual(collectFeedEntries(items, history).map(e => e.id), entries.map(e => e.id));
+
+    const slip = entries.find(e => e.id.endsWith('101:2026-02-08T06:00:00.000Z'));
+    assert.strictEqual(slip.title, '[Updated] Teams <recap>');
+    assert.ok(slip.summary.includes('Availability: March CY2026 -> June CY2026'));
+});
+
+runTest('collectFeedEntries honours the entry limit newest first', () => {
+    const entries = collectFeedEntries(items, history, { limit: 1 });
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].updated, '2026-02-08T06:00:00.000Z');
+});
+
+runTest('groupEntriesByProduct and slugify produce per-product feeds', () => {
+    const groups = groupEntriesByProduct(collectFeedEntries(items, history));
+    assert.strictEqual(groups.get('Microsoft Teams').length, 2);
+    assert.strictEqual(groups.get('Outlook').length, 1);
+    assert.strictEqual(slugify('Microsoft Copilot (Microsoft 365)'), 'microsoft-copilot-microsoft-365');
+    const slugs = uniqueSlugs(['Teams', 'teams!', 'Outlook', 'Teams']);
+    assert.strictEqual(slugs.get('Teams'), 'teams');
+    assert.strictEqual(slugs.get('Outlook'), 'outlook');
+    assert.match(slugs.get('teams!'), /^teams-[0-9a-f]{6}$/);
+    assert.strictEqual(uniqueSlugs(['teams!', 'Teams', 'Word']).get('teams!'), slugs.get('teams!'), 'suffixes do not depend on the other names');
+
+    // A slug handed out before stays with its name even when a new name sorts first.
+    const kept = uniqueSlugs(['Teams', 'teams!'], { 'teams!': 'teams' });
+    assert.strictEqual(kept.get('teams!'), 'teams');
+    assert.match(kept.get('Teams'), /^teams-[0-9a-f]{6}$/);
+});
+
+runTest('Atom and RSS output escape content and carry entry ids', () => {
+    const entries = collectFeedEntries(items, history);
+    const feed = { title: 'Roadmap', siteUrl: 'https://example.test/', selfUrl: 'https://example.test/data/feed.atom' };
+    const atom = buildAtomFeed(feed, entries);
+    assert.ok(atom.startsWith('<?xml version="1.0" encoding="utf-8"?>'));
+    assert.ok(atom.includes('<id>urn:m365-roadmap:102:2026-02-08T06:00:00.000Z</id>'));
+    assert.ok(atom.includes('  <author><name>Microsoft 365 Roadmap</name></author>\n'), 'RFC 4287 requires a feed-level author');
+    assert.ok(atom.includes('Teams &lt;recap&gt;'));
+    assert.ok(!atom.includes('<recap>'));
+
+    const rss = buildRssFeed({ ...feed, selfUrl: 'https://example.test/data/feed.rss' }, entries);
+    assert.ok(rss.includes('<guid isPermaLink="false">urn:m365-roadmap:101:2026-02-01T06:00:00.000Z</guid>'));
+    assert.ok(rss.includes('<pubDate>Sun, 01 Feb 2026 06:00:00 GMT</pubDate>'));
+    assert.strictEqual(escapeXml('a & "b"'), 'a &amp; &quot;b&quot;');
+});
+
+runTest('items from other sources link to their own page, or nowhere', () => {
+    const tracked = [
+        { id: 'internal:1', title: 'Linked', status: 'In development', source: 'internal', moreInfoLink: 'https://tracker.example/1', tagsContainer: {} },
+        { id: 'internal:2', title: 'Unlinked', status: 'In development', source: 'internal', tagsContainer: {} }
+    ];
+    const entries = collectFeedEntries(tracked, [
+        { timestamp: '2026-02-01T06:00:00.000Z', id: 'internal:1', changeType: 'new', changes: [] },
+        { timestamp: '2026-02-01T06:00:00.000Z', id: 'internal:2', changeType: 'new', changes: [] }
+    ]);
+    assert.deepStrictEqual(entries.map(e => e.link).sort(), ['', 'https://tracker.example/1']);
+
+    const atom = buildAtomFeed({ title: 'Roadmap', siteUrl: 'https://example.test/', selfUrl: 'https://example.test/feed.atom' }, entries);
+    assert.strictEqual((atom.match(/<link rel="alternate" type="text\/html" href="https:\/\/tracker/g) || []).length, 1);
+    assert.ok(!atom.includes('href=""'));
+});
+
+if (process.exitCode) {
+    process.exit(process.exitCode);
+}
@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const { createFixtureServer, loadFixtureItems, parseArgs } = require(path.join(__dirname, '..', '..', 'scripts', 'fixture-server.js'));
+const { RoadmapDataUpdater, EXIT_CODES } = require(path.join(__dirname, '..', '..', 'scripts', 'update-data.js'));
+
+const UPDATE_SCRIPT = path.join(__dirname, '..', '..', 'scripts', 'update-data.js');
+const items = loadFixtureItems(path.join(__dirname, '..', '..', 'data', 'sample-data.json'));
+
+function runTest(name, fn) {
+    const fail = (error) => {
+        console.error(`FAIL ${name}`);
+        console.error(error.stack || error.message);
+        process.exitCode = 1;
+    };
+    try {
+        const result = fn();
+        if (result && typeof result.then === 'function') {
+            return result.then(() => console.log(`PASS ${name}`), fail);
+        }
+        console.log(`PASS ${name}`);
+    } catch (error) {
+        fail(error);
+    }
+}
+
+/** Start a fixture server on a free port; resolves { server, source }. */
+function startServer(options) {
+    const server = createFixtureServer({ items, ...options });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, source: `http://127.0.0.1:${server.address().port}/` });
+        });
+    });
+}
+
+function stopServer(server) {
+    return new Promise(resolve => server.close(() => resolve()));
+}
+
+function offlineUpdater(source) {
+    const updater = new RoadmapDataUpdater();
+    updater.logLevel = 'error';
+    updater.apiUrl = source;
+    updater.retryBaseMs = 5;
+    return updater;
+}
+
+/**
+ * Run update-data.js as a child process against `source` with extra `args`,
+ * logging to <outputDir>/logs; resolves { code, health, stdout } (health is
+ * null when none was written).
+ */
+function runUpdateScript(source, outputDir, args = []) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [UPDATE_SCRIPT, ...args], {
+            env: {
+                ...process.env,
+                ROADMAP_SOURCE: source,
+                OUTPUT_DIR: outputDir,
+                LOG_DIR: path.join(outputDir, 'logs'),
+                FETCH_RETRY_COUNT: '1',
+                FETCH_RETRY_BASE_MS: '5',
+                LOG_LEVEL: 'error'
+            },
+            timeout: 30000
+        }, (error, stdout) => {
+            const healthPath = path.join(outputDir, 'health-status.json');
+            const health = fs.existsSync(healthPath) ? JSON.parse(fs.readFileSync(healthPath, 'utf8')) : null;
+            resolve({ code: error ? error.code : 0, health, stdout });
+        });
+    });
+}
+
+async function main() {
+    await runTest('parseArgs validates faults and counts', () => {
+        assert.deepStrictEqual(
+            parseArgs(['--fault', '500', '--fail-times', '2', '--port', '0']),
+            { port: 0, fixture: parseArgs([]).fixture, fault: '500', failTimes: 2, record: null }
+        );
+        assert.throws(() => parseArgs(['--fault', 'meteor']), /--fault must be one of/);
+        assert.throws(() => parseArgs(['--fail-times', '-1']), /non-negative/);
+        assert.throws(() => parseArgs(['--port']), /requires a value/);
+    });
+
+    await runTest('fetchData retries past injected 500s and then honors the ETag', async () => {
+        const { server, source } = await startServer({ fault: '500', failTimes: 2 });
+        try {
+            const updater = offlineUpdater(source);
+            updater.retryCount = 2;
+            const data = await updater.fetchData();
+            assert.strictEqual(data.length, items.length);
+            assert.strictEqual(server.requestCount, 3);
+
+            assert.strictEqual(await updater.fetchData(updater.httpValidators), null);
+        } finally {
+            await stopServer(server);
+        }
+    });
+
+    await runTest('fetchData rejects truncated JSON and schema violations', async () => {
+        for (const [fault, message] of [['truncated', /JSON/], ['schema', /missing required fields/]]) {
+            const { server, source } = await startServer({ fault });
+            try {
+                const updater = offlineUpdater(source);
+                updater.retryCount = 1;
+                await assert.rejects(updater.fetchData(), message);
+                assert.strictEqual(server.requestCount, 2);
+            } finally {
+                await stopServer(server);
+            }
+        }
+    });
+
+    await runTest('fetchOne times out against a hanging source', async () => {
+        const { server, source } = await startServer({ fault: 'timeout' });
+        try {
+            const updater = offlineUpdater(source);
+            updater.fetchTimeoutMs = 200;
+            await assert.rejects(updater.fetchOne(), /Request timeout/);
+        } finally {
+            await stopServer(server);
+        }
+    });
+
+    await runTest('fetchOne reads a recorded response from a file source', async () => {
+        const updater = offlineUpdater(path.join(__dirname, '..', '..', 'data', 'sample-data.json'));
+        const data = await updater.fetchOne();
+        assert.deepStrictEqual(data.map(i => i.id), items.map(i => i.id));
+    });
+
+    await runTest('update-data.js records degraded health on failure and recovers offline', async () => {
+        const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'offline-run-'));
+        try {
+            let { server, source } = await startServer({ fault: '500' });
+            let result = await runUpdateScript(source, outputDir);
+            await stopServer(server);
+            assert.strictEqual(result.code, EXIT_CODES.NETWORK);
+            assert.strictEqual(result.health.status, 'degraded');
+            assert.strictEqual(result.health.source.status, 'failed');
+            assert.ok(/HTTP 500/.test(result.health.error.message));
+
+            ({ server, source } = await startServer({ fault: '500', failTimes: 1 }));
+            result = await runUpdateScript(source, outputDir);
+            await stopServer(server);
+            assert.strictEqual(result.code, 0);
+            assert.strictEqual(result.health.status, 'ok');
+            assert.strictEqual(result.health.metrics.itemCount, items.length);
+            assert.ok(fs.existsSync(path.join(outputDir, 'roadmap-data.json')));
+
+            const logDir = path.join(outputDir, 'logs');
+            const runs = fs.readFileSync(path.join(outputDir, 'history', 'runs.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            assert.deepStrictEqual(runs.map(run => [run.status, run.exitCode]), [['failed', EXIT_CODES.NETWORK], ['ok', 0]]);
+            assert.strictEqual(runs[1].runId, result.health.runId);
+            assert.deepStrictEqual(Object.keys(runs[1].phases), ['fetch', 'detect', 'process', 'save', 'artifacts', 'notify']);
+            const events = fs.readFileSync(path.join(logDir, runs[1].logFile), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            assert.ok(events.every(event => event.runId === runs[1].runId));
+            assert.ok(events.some(event => event.event === 'retry' && event.source === 'm365' && event.attempt === 1));
+            assert.ok(events.some(event => event.event === 'phase' && event.phase === 'fetch'));
+        } finally {
+            fs.rmSync(outputDir, { recursive: true, force: true });
+        }
+    });
+
+    await runTest('update-data.js exits with distinct codes for validation and write failures', async () => {
+        const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exit-codes-'));
+        try {
+            const { server, source } = await startServer({ fault: 'truncated' });
+            let result = await runUpdateScript(source, outputDir);
+            await stopServer(server);
+            assert.strictEqual(result.code, EXIT_CODES.VALIDATION);
+            assert.strictEqual(result.health.source.status, 'failed');
+
+            // A directory where roadmap-data.json should go makes the atomic rename fail.
+            fs.mkdirSync(path.join(outputDir, 'roadmap-data.json', 'blocker'), { recursive: true });
+            const sample = path.join(__dirname, '..', '..', 'data', 'sample-data.json');
+            result = await runUpdateScript(sample, outputDir, ['--format', 'json']);
+            assert.strictEqual(result.code, EXIT_CODES.WRITE);
+            const summary = JSON.parse(result.stdout.trim());
+            assert.strictEqual(summary.success, false);
+            assert.strictEqual(summary.exitCode, EXIT_CODES.WRITE);
+        } finally {
+            fs.rmSync(outputDir, { recursive: true, force: true });
+        }
+    });
+
+    await runTest('update-data.js --dry-run --source writes nothing and prints a summary', async () => {
+        const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-'));
+        const sample = path.join(__dirname, '..', '..', 'data', 'sample-data.json');
+        try {
+            const result = await runUpdateScript('http://127.0.0.1:9/unused', outputDir, ['--dry-run', '--source', sample, '--format', 'json']);
+            assert.strictEqual(result.code, EXIT_CODES.OK);
+            assert.deepStrictEqual(fs.readdirSync(outputDir), []);
+            const summary = JSON.parse(result.stdout.trim());
+            assert.strictEqual(summary.dryRun, true);
+            assert.strictEqual(summary.itemCount, items.length);
+
+            const usage = await runUpdateScript(sample, outputDir, ['--format', 'yaml']);
+            assert.strictEqual(usage.code, EXIT_CODES.USAGE);
+            const help = await runUpdateScript(sample, outputDir, ['--help']);
+            assert.strictEqual(help.code, EXIT_CODES.OK);
+            assert.ok(help.stdout.startsWith('Usage: node scripts/update-data.js'));
+            assert.deepStrictEqual(fs.readdirSync(outputDir), []);
+        } finally {
+            fs.rmSync(outputDir, { recursive: true, force: true });
+        }
+    });
+}
+
+main().then(() => {
+    if (process.exitCode) {
+        process.exit(process.exitCode);
+    }
+});
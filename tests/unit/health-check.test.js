@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    parseArgs,
+    readRuns,
+    summarizeRuns,
+    validateHealth
+} = require(path.join(__dirname, '..', '..', 'scripts', 'health-check.js'));
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`PASS ${name}`);
+    } catch (error) {
+        console.error(`FAIL ${name}`);
+        console.error(error.stack || error.message);
+        process.exitCode = 1;
+    }
+}
+
+function run(startedAt, exitCode, durationMs, extra) {
+    return { runId: startedAt, startedAt, exitCode, durationMs, status: exitCode === 0 ? 'ok' : 'failed', ...extra };
+}
+
+runTest('parseArgs validates the runs window', () => {
+    assert.strictEqual(parseArgs(['--runs', '5']).runsWindow, 5);
+    assert.throws(() => parseArgs(['--runs']), /--runs requires a value/);
+    assert.throws(() => parseArgs(['--runs', '0']), /positive integer/);
+    assert.throws(() => parseArgs(['--runs', '2.5']), /positive integer/);
+});
+
+runTest('readRuns skips malformed lines and a missing file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-runs-'));
+    const file = path.join(dir, 'runs.jsonl');
+    fs.writeFileSync(file, `${JSON.stringify(run('2026-03-01T06:00:00.000Z', 0, 100))}\n{"runId": "trunc\n\n`);
+    try {
+        assert.deepStrictEqual(readRuns(file).map(r => r.runId), ['2026-03-01T06:00:00.000Z']);
+        assert.deepStrictEqual(readRuns(path.join(dir, 'missing.jsonl')), []);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+runTest('summarizeRuns reports success rate, mean duration and last failure over the window', () => {
+    const runs = [
+        run('2026-03-01T06:00:00.000Z', 3, 5000, { error: 'HTTP 500' }),
+        run('2026-03-02T06:00:00.000Z', 4, 900, { error: 'Unexpected end of JSON input' }),
+        run('2026-03-03T06:00:00.000Z', 0, 1200, { status: 'unchanged' }),
+        run('2026-03-04T06:00:00.000Z', 0, 1800),
+        run('2026-03-05T06:00:00.000Z', 0, undefined)
+    ];
+    assert.deepStrictEqual(summarizeRuns(runs, 4), {
+        window: 4,
+        count: 4,
+        succeeded: 3,
+        successRate: 75,
+        meanDurationMs: 1300,
+        lastFailure: { startedAt: '2026-03-02T06:00:00.000Z', status: 'failed', exitCode: 4, error: 'Unexpected end of JSON input' }
+    });
+    assert.strictEqual(summarizeRuns(runs, 3).lastFailure, null);
+    assert.strictEqual(summarizeRuns(runs, 20).successRate, 60);
+    assert.strictEqual(summarizeRuns([], 20), null);
+});
+
+runTest('validateHealth warns about a rollback and still checks the restored data for staleness', () => {
+    const now = new Date('2026-03-10T06:00:00.000Z');
+    const health = {
+        status: 'rollback',
+        timestamp: '2026-03-10T05:00:00.000Z',
+        lastSuccessfulUpdate: '2026-03-01T06:00:00.000Z',
+        source: { status: 'success' },
+        metrics: { itemCount: 3 },
+        rollback: { restoredFrom: 'roadmap-data-2026-03-01T06-00-00-000Z.json' }
+    };
+    const stale = validateHealth(health, now, 26);
+    assert.deepStrictEqual(stale.warnings, ['data was restored from backup roadmap-data-2026-03-01T06-00-00-000Z.json; the next successful update clears this']);
+    assert.deepStrictEqual(stale.errors, ['lastSuccessfulUpdate is stale (216.00h old, threshold 26h)']);
+    assert.deepStrictEqual(validateHealth({ ...health, lastSuccessfulUpdate: '2026-03-09T12:00:00.000Z' }, now, 26).errors, []);
+});
+
+if (process.exitCode) {
+    process.exit(process.exitCode);
+}
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+
+const {
+    parseRoadmapDate,
+    formatRoadmapDate,
+    compareRoadmapDates,
+    matchesTimelineRange,
+    getQuarterKey
+} = require(path.join(__dirname, '..', '..', 'js', 'roadmap-date.js'));
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`PASS ${name}`);
+    } catch (error) {
+        console.error(`FAIL ${name}`);
+        console.error(error.stack || error.message);
+        process.exitCode = 1;
+    }
+}
+
+function iso(period) {
+    return [period.start.toISOString().slice(0, 10), period.end.toISOString().slice(0, 10), period.precision];
+}
+
+runTest('parseRoadmapDate handles month, quarter, half and year periods', () => {
+    assert.deepStrictEqual(iso(parseRoadmapDate('March CY2026')), ['2026-03-01', '2026-03-31', 'month']);
+    assert.deepStrictEqual(iso(parseRoadmapDate('Q2 CY2026')), ['2026-04-01', '2026-06-30', 'quarter']);
+    assert.deepStrictEqual(iso(parseRoadmapDate('H2 CY2026')), ['2026-07-01', '2026-12-31', 'half']);
+    assert.deepStrictEqual(iso(parseRoadmapDate('CY2026')), ['2026-01-01', '2026-12-31', 'year']);
+    assert.deepStrictEqual(iso(parseRoadmapDate('2026-03-15')), ['2026-03-15', '2026-03-15', 'day']);
+});
+
+runTest('parseRoadmapDate maps fiscal years starting in July', () => {
+    assert.deepStrictEqual(iso(parseRoadmapDate('FY2026')), ['2025-07-01', '2026-06-30', 'year']);
+    assert.deepStrictEqual(iso(parseRoadmapDate('Q1 FY2026')), ['2025-07-01', '2025-09-30', 'quarter']);
+    assert.deepStrictEqual(iso(parseRoadmapDate('October FY2026')), ['2025-10-01', '2025-10-31', 'month']);
+});
+
+runTest('parseRoadmapDate returns null for empty or unknown values', () => {
+    assert.strictEqual(parseRoadmapDate(''), null);
+    assert.strictEqual(parseRoadmapDate(null), null);
+    assert.strictEqual(parseRoadmapDate('sometime soon'), null);
+    assert.strictEqual(parseRoadmapDate('2026-02-30'), null);
+});
+
+runTest('formatRoadmapDate respects period precision', () => {
+    assert.strictEqual(formatRoadmapDate('March CY2026', { year: 'numeric', month: 'short' }), 'Mar 2026');
+    assert.strictEqual(formatRoadmapDate('March CY2026', { year: 'numeric', month: 'long', day: 'numeric' }), 'March 2026');
+    assert.strictEqual(formatRoadmapDate('Q3 CY2026'), 'Q3 2026');
+    assert.strictEqual(formatRoadmapDate('not a date'), null);
+});
+
+runTest('compareRoadmapDates orders by period start and puts unparseable values last', () => {
+    const sorted = ['Q2 CY2026', '', 'March CY2026', 'January CY2026', 'TBD']
+        .sort(compareRoadmapDates);
+    assert.deepStrictEqual(sorted.slice(0, 3), ['January CY2026', 'March CY2026', 'Q2 CY2026']);
+});
+
+runTest('matchesTimelineRange uses period overlap relative to now', () => {
+    const now = new Date(Date.UTC(2026, 1, 10)); // Feb 2026
+    assert.strictEqual(matchesTimelineRange('March CY2026', 'this-quarter', now), true);
+    assert.strictEqual(matchesTimelineRange('April CY2026', 'this-quarter', now), false);
+    assert.strictEqual(matchesTimelineRange('April CY2026', 'next-quarter', now), true);
+    assert.strictEqual(matchesTimelineRange('March CY2026', 'next-month', now), true);
+    assert.strictEqual(matchesTimelineRange('H1 CY2026', 'current-month', now), true);
+    assert.strictEqual(matchesTimelineRange('December CY2026', 'next-quarter', new Date(Date.UTC(2026, 7, 1))), true);
+    assert.strictEqual(matchesTimelineRange('garbage', 'this-year', now), false);
+
+    // Months are UTC like the parsed periods, whatever the local time zone.
+    const endOfMarch = new Date(Date.UTC(2026, 2, 31, 23, 30));
+    assert.strictEqual(matchesTimelineRange('March CY2026', 'current-month', endOfMarch), true);
+    assert.strictEqual(matchesTimelineRange('April CY2026', 'current-month', endOfMarch), false);
+});
+
+runTest('getQuarterKey buckets quarter-or-finer periods only', () => {
+    assert.strictEqual(getQuarterKey('March CY2026'), '2026 Q1');
+    assert.strictEqual(getQuarterKey('Q4 CY2025'), '2025 Q4');
+    assert.strictEqual(getQuarterKey('H1 CY2026'), null);
+    assert.strictEqual(getQuarterKey(''), null);
+});
+
+if (process.exitCode) {
+    process.exit(process.exitCode);
+}
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+
+const {
+    escapeText,
+    foldLine,
+    eventUid,
+    dateChangeSequences,
+    buildCalendar
+} = require(path.join(__dirname, '..', '..', 'js', 'roadmap-ical.js'));
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`PASS ${name}`);
+    } catch (error) {
+        console.error(`FAIL ${name}`);
+        console.error(error.stack || error.message);
+        process.exitCode = 1;
+    }
+}
+
+const now = new Date(Date.UTC(2026, 1, 1, 12, 0, 0));
+
+runTest('buildCalendar emits all-day events spanning the availability period', () => {
+    const { content, eventCount } = buildCalendar([
+        { id: 1, title: 'Month item', status: 'Rolling out', publicDisclosureAvailabilityDate: 'March CY2026' },
+        { id: 2, title: 'Quarter item', status: 'In development', publicDisclosureAvailabilityDate: 'Q4 CY2026' },
+        { id: 3, title: 'Fiscal item', status: 'In development', publicDisclosureAvailabilityDate: 'Q1 FY2027' }
+    ], { now });
+
+    assert.strictEqual(eventCount, 3);
+    assert.ok(content.startsWith('BEGIN:VCALENDAR\r\n'));
+    assert.ok(content.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(content.includes('DTSTART;VALUE=DATE:20260301\r\nDTEND;VALUE=DATE:20260401'));
+    assert.ok(content.includes('DTSTART;VALUE=DATE:20261001\r\nDTEND;VALUE=DATE:20270101'));
+    assert.ok(content.includes('DTSTART;VALUE=DATE:20260701\r\nDTEND;VALUE=DATE:20261001'));
+    assert.ok(content.includes('DTSTAMP:20260201T120000Z'));
+});
+
+runTest('buildCalendar keeps the UID stable when the date moves and skips undated items', () => {
+    const before = buildCalendar([{ id: 42, title: 'A', publicDisclosureAvailabilityDate: 'March CY2026' }], { now });
+    const after = buildCalendar([
+        { id: 42, title: 'A', publicDisclosureAvailabilityDate: 'May CY2026' },
+        { id: 43, title: 'No date', publicDisclosureAvailabilityDate: '' }
+    ], { now });
+
+    assert.strictEqual(after.eventCount, 1);
+    assert.ok(before.content.includes(`UID:${eventUid(42)}`));
+    assert.ok(after.content.includes(`UID:${eventUid(42)}`));
+    assert.ok(after.content.includes('DTSTART;VALUE=DATE:20260501'));
+});
+
+runTest('buildCalendar bumps SEQUENCE with each availability date change in the history', () => {
+    const sequences = dateChangeSequences([
+        { id: 42, changes: [{ field: 'publicDisclosureAvailabilityDate', previous: 'March CY2026', current: 'April CY2026' }] },
+        { id: '42', changes: [{ field: 'status', previous: 'In development', current: 'Rolling out' }] },
+        { id: 42, changes: [{ field: 'publicDisclosureAvailabilityDate', previous: 'April CY2026', current: 'May CY2026' }] },
+        { id: 43, changes: [] }
+    ]);
+    assert.deepStrictEqual([...sequences], [['42', 2]]);
+
+    const { content } = buildCalendar([
+        { id: 42, title: 'Moved', publicDisclosureAvailabilityDate: 'May CY2026' },
+        { id: 43, title: 'Never moved', publicDisclosureAvailabilityDate: 'May CY2026' }
+    ], { now, sequences });
+    assert.ok(content.includes(`UID:${eventUid(42)}\r\nDTSTAMP:20260201T120000Z\r\nSEQUENCE:2\r\n`));
+    assert.ok(content.includes(`UID:${eventUid(43)}\r\nDTSTAMP:20260201T120000Z\r\nSEQUENCE:0\r\n`));
+});
+
+runTest('escapeText and foldLine follow RFC 5545', () => {
+    assert.strictEqual(escapeText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+
+    const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+    const lines = folded.split('\r\n');
+    assert.ok(lines.length > 1);
+    lines.forEach((line, i) => {
+        assert.ok(Buffer.byteLength(line, 'utf8') <= 75);
+        if (i > 0) assert.ok(line.startsWith(' '));
+    });
+    assert.strictEqual(lines.map((l, i) => (i ? l.slice(1) : l)).join(''), `SUMMARY:${'é'.repeat(60)}`);
+});
+
+if (process.exitCode) {
+    process.exit(process.exitCode);
+}
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+
+const {
+    DEFAULT_SOURCE_NAME,
+    tagNames,
+    itemLink
+} = require(path.join(__dirname, '..', '..', 'js', 'roadmap-item.js'));
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`PASS ${name}`);
+    } catch (error) {
+        console.error(`FAIL ${name}`);
+        console.error(error.stack || error.message);
+        process.exitCode = 1;
+    }
+}
+
+runTest('tagNames returns trimmed non-empty names and ignores non-lists', () => {
+    assert.deepStrictEqual(tagNames([{ tagName: ' Microsoft Teams ' }, { tagName: '' }, null, { tagName: 42 }]), ['Microsoft Teams', '42']);
+    assert.deepStrictEqual(tagNames(undefined), []);
+    assert.deepStrictEqual(tagNames({ tagName: 'Outlook' }), []);
+});
+
+runTest('itemLink points M365 items at the roadmap and other sources at moreInfoLink', () => {
+    assert.strictEqual(itemLink({ id: 557256 }), 'https://www.microsoft.com/microsoft-365/roadmap?id=557256');
+    assert.strictEqual(itemLink({ id: 1, source: DEFAULT_SOURCE_NAME }), 'https://www.microsoft.com/microsoft-365/roadmap?id=1');
+    assert.strictEqual(itemLink({ id: 'internal:12', source: 'internal', moreInfoLink: 'https://tracker.example/12' }), 'https://tracker.example/12');
+    assert.strictEqual(itemLink({ id: 'internal:13', source: 'internal' }), '');
+});
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+
+const {
+    CATEGORIES,
+    itemIssues,
+    analyzeQuality
+} = require(path.join(__dirname, '..', '..', 'js', 'roadmap-quality.js'));
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`PASS ${name}`);
+    } catch (error) {
+        console.error(`FAIL ${name}`);
+        console.error(error.stack || error.message);
+        process.exitCode = 1;
+    }
+}
+
+function goodItem(id) {
+    return {
+        id,
+        title: `Item ${id}`,
+        description: '<p>Details</p>',
+        status: 'In development',
+        publicDisclosureAvailabilityDate: 'March CY2026',
+        tags: [{ tagName: 'Teams' }, { tagName: 'Web' }],
+        tagsContainer: { products: [{ tagName: 'Teams' }], platforms: [{ tagName: 'Web' }] }
+    };
+}
+
+runTest('itemIssues flags each category independently', () => {
+    assert.deepStrictEqual(itemIssues(goodItem(1)), []);
+    assert.deepStrictEqual(itemIssues({ ...goodItem(2), tagsContainer: { products: [{ tagName: ' ' }], platforms: [{ tagName: 'Web' }] } }),
+        ['missingProducts', 'tagMismatch']);
+    assert.deepStrictEqual(itemIssues({ ...goodItem(3), publicDisclosureAvailabilityDate: '' }), ['missingDate']);
+    assert.deepStrictEqual(itemIssues({ ...goodItem(4), publicDisclosureAvailabilityDate: 'Soon' }), ['unparseableDate']);
+    assert.deepStrictEqual(itemIssues({ ...goodItem(5), description: '<p> </p>' }), ['emptyDescription']);
+    assert.deepStrictEqual(itemIssues({ ...goodItem(6), tags: [{ tagName: 'Teams' }, { tagName: 'Android' }] }), ['tagMismatch']);
+    assert.deepStrictEqual(itemIssues({ id: 7, title: 'Bare' }), ['missingProducts', 'missingDate', 'emptyDescription']);
+});
+
+runTest('analyzeQuality counts items and ids per category and grades the share affected', () => {
+    const items = [goodItem(1), goodItem(2), goodItem(3), { ...goodItem(4), description: '', publicDisclosureAvailabilityDate: 'TBD' }];
+    const report = analyzeQuality(items, { now: new Date(Date.UTC(2026, 0, 1)) });
+
+    assert.strictEqual(report.generatedAt, '2026-01-01T00:00:00.000Z');
+    assert.strictEqual(report.totalItems, 4);
+    assert.strictEqual(report.affectedItems, 1);
+    assert.strictEqual(report.affectedPct, 25);
+    assert.strictEqual(report.level, 'poor');
+    assert.deepStrictEqual(Object.keys(report.categories), CATEGORIES.map(c => c.key));
+    assert.deepStrictEqual(report.categories.unparseableDate, { label: 'Unparseable availability date', count: 1, ids: [4] });
+    assert.deepStrictEqual(report.categories.emptyDescription.ids, [4]);
+    assert.strictEqual(report.categories.missingProducts.count, 0);
+
+    const many = Array.from({ length: 19 }, (_, i) => goodItem(i));
+    assert.strictEqual(analyzeQuality([...many, { ...goodItem(99), tagsContainer: {} }]).level, 'warning');
+    assert.strictEqual(analyzeQuality(many).level, 'good');
+    assert.strictEqual(analyzeQuality([]).affectedPct, 0);
+});
+
+if (process.exitCode) {
+    process.exit(process.exitCode);
+}
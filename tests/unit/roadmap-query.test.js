@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+
+const {
+    tokenize,
+    parseQuery,
+    compileQuery,
+    buildVocabulary,
+    suggest
+} = require(path.join(__dirname, '..', '..', 'js', 'roadmap-query.js'));
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`PASS ${name}`);
+    } catch (error) {
+        console.error(`FAIL ${name}`);
+        console.error(error.stack || error.message);
+        process.exitCode = 1;
+    }
+}
+
+const items = [
+    {
+        id: 557256,
+        title: 'Recap in Teams meetings',
+        description: 'Copilot recaps for scheduled meetings',
+        status: 'Rolling out',
+        publicDisclosureAvailabilityDate: 'September CY2026',
+        tagsContainer: {
+            products: [{ tagName: 'Microsoft Teams' }, { tagName: 'Microsoft Copilot (Microsoft 365)' }],
+            platforms: [{ tagName: 'Web' }, { tagName: 'Desktop' }],
+            releasePhase: [{ tagName: 'General Availability' }]
+        }
+    },
+    {
+        id: 480001,
+        title: 'Outlook draft coaching preview',
+        description: 'Tone suggestions while drafting',
+        status: 'In development',
+        publicDisclosureAvailabilityDate: 'Q2 CY2026',
+        tagsContainer: {
+            products: [{ tagName: 'Outlook' }],
+            platforms: [{ tagName: 'Web' }],
+            releasePhase: [{ tagName: 'Preview' }]
+        },
+        _changeType: 'new'
+    },
+    {
+        id: 'internal:12',
+        title: 'Tracker item without a date',
+        description: '',
+        status: 'Launched',
+        source: 'internal',
+        tagsContainer: { products: [{ tagName: 'Microsoft Teams' }] }
+    }
+];
+
+function ids(query) {
+    const { predicate } = compileQuery(query);
+    return items.filter(predicate).map(item => item.id);
+}
+
+runTest('tokenize keeps negation, fields, comparisons and quoted phrases with offsets', () => {
+    const tokens = tokenize('-preview status:"rolling out" available:>=2026-Q2');
+    assert.deepStrictEqual(tokens.map(t => [t.negate, t.field, t.op, t.value, t.start, t.end]), [
+        [true, null, '', 'preview', 0, 8],
+        [false, 'status', '', 'rolling out', 9, 29],
+        [false, 'available', '>=', '2026-Q2', 30, 49]
+    ]);
+    assert.strictEqual(tokenize('"open phrase')[0].closed, false);
+});
+
+runTest('words and phrases match title or description, all of them required', () => {
+    assert.deepStrictEqual(ids('recap meetings'), [557256]);
+    assert.deepStrictEqual(ids('"draft coaching"'), [480001]);
+    assert.deepStrictEqual(ids('"coaching draft"'), []);
+    assert.deepStrictEqual(ids(''), [557256, 480001, 'internal:12']);
+});
+
+runTest('fields match tags, status and ids ignoring case, and negation excludes', () => {
+    assert.deepStrictEqual(ids('product:teams'), [557256, 'internal:12']);
+    assert.deepStrictEqual(ids('service:teams platform:web'), [557256]);
+    assert.deepStrictEqual(ids('status:"rolling out"'), [557256]);
+    assert.deepStrictEqual(ids('platform:web -preview'), [557256]);
+    assert.deepStrictEqual(ids('tag:preview'), [480001]);
+    assert.deepStrictEqual(ids('-tag:preview'), [557256, 'internal:12']);
+    assert.deepStrictEqual(ids('id:557256'), [557256]);
+    assert.deepStrictEqual(ids('id:55725'), []);
+    assert.deepStrictEqual(ids('change:new'), [480001]);
+    assert.deepStrictEqual(ids('source:m365'), [557256, 480001]);
+    assert.deepStrictEqual(ids('title:tracker'), ['internal:12']);
+});
+
+runTest('available compares roadmap periods; undated items never match', () => {
+    assert.deepStrictEqual(ids('available:>2026-Q2'), [557256]);
+    assert.deepStrictEqual(ids('available:>=2026-Q2'), [557256, 480001]);
+    assert.deepStrictEqual(ids('available:<2026-Q3'), [480001]);
+    assert.deepStrictEqual(ids('available:<=H1 CY2026'), []);
+    assert.deepStrictEqual(ids('available:"H1 2026"'), [480001]);
+    assert.deepStrictEqual(ids('date:2026'), [557256, 480001]);
+});
+
+runTest('OR separates alternatives of ANDed terms', () => {
+    assert.deepStrictEqual(ids('product:outlook OR status:launched'), [480001, 'internal:12']);
+    assert.deepStrictEqual(ids('product:teams status:launched OR id:480001'), [480001, 'internal:12']);
+    assert.deepStrictEqual(ids('product:outlook or status:launched'), [], 'lower-case "or" is a search word');
+});
+
+runTest('the request example parses without errors', () => {
+    const { groups, errors } = parseQuery('product:Teams status:"rolling out" platform:web -preview available:>2026-Q2 id:557256');
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(groups[0].map(term => `${term.negate ? '-' : ''}${term.field}${term.op}=${term.value}`), [
+        'product=teams', 'status=rolling out', 'platform=web', '-text=preview', 'available>=2026-q2', 'id=557256'
+    ]);
+    assert.deepStrictEqual(ids('product:Teams status:"rolling out" platform:web -preview available:>2026-Q2 id:557256'), [557256]);
+});
+
+runTest('syntax errors are reported with offsets and the rest of the query still applies', () => {
+    const bad = compileQuery('product:teams status: available:>soon OR');
+    assert.deepStrictEqual(bad.errors.map(e => [e.start, e.end]), [[14, 21], [22, 37], [38, 40]]);
+    assert.ok(bad.errors[0].message.includes('needs a value'));
+    assert.ok(bad.errors[1].message.includes('not a roadmap period'));
+    assert.ok(bad.errors[2].message.includes('OR needs'));
+    assert.deepStrictEqual(items.filter(bad.predicate).map(i => i.id), [557256, 'internal:12']);
+
+    const unknown = compileQuery('colour:blue');
+    assert.ok(unknown.errors[0].message.startsWith('Unknown field "colour:"'));
+    assert.strictEqual(unknown.predicate({ title: 'colour:blue theme' }), true);
+
+    const url = compileQuery('https://learn.microsoft.com/teams');
+    assert.deepStrictEqual(url.errors, []);
+    assert.strictEqual(url.predicate({ description: 'See https://learn.microsoft.com/teams for details' }), true);
+    const note = compileQuery('Note: preview');
+    assert.deepStrictEqual(note.errors, []);
+    assert.strictEqual(note.predicate({ description: 'Note: preview only' }), true);
+
+    assert.ok(compileQuery('status:>launched').errors[0].message.includes('only work with available:'));
+    assert.strictEqual(compileQuery('"rolling out').errors[0].message, 'Missing closing quote');
+    assert.deepStrictEqual(ids('"rolling out'), []);
+});
+
+runTest('buildVocabulary collects tag, status, change and source values', () => {
+    const vocabulary = buildVocabulary(items);
+    assert.deepStrictEqual(vocabulary.product, ['Microsoft Copilot (Microsoft 365)', 'Microsoft Teams', 'Outlook']);
+    assert.deepStrictEqual(vocabulary.platform, ['Desktop', 'Web']);
+    assert.ok(vocabulary.tag.includes('Preview'));
+    assert.deepStrictEqual(vocabulary.status, ['In development', 'Launched', 'Rolling out']);
+    assert.deepStrictEqual(vocabulary.change, ['changed', 'new', 'removed']);
+    assert.deepStrictEqual(vocabulary.source, ['internal', 'm365']);
+});
+
+runTest('suggest completes field names, then values quoted when they contain spaces', () => {
+    const vocabulary = buildVocabulary(items);
+    assert.deepStrictEqual(suggest('recap -pla', 10, vocabulary), {
+        start: 7, end: 10, suggestions: [{ text: 'platform:', label: 'platform:', hint: 'platform tag' }]
+    });
+    const values = suggest('product:te', 10, vocabulary);
+    assert.deepStrictEqual(values.suggestions.map(s => s.text), ['product:"Microsoft Teams" ']);
+    assert.strictEqual(values.start, 0);
+    assert.deepStrictEqual(suggest('-product:o', 10, vocabulary).suggestions.map(s => s.label),
+        ['Outlook', 'Microsoft Copilot (Microsoft 365)', 'Microsoft Teams'], 'prefix matches first');
+    assert.deepStrictEqual(suggest('status:la', 9, vocabulary).suggestions.map(s => s.label), ['Launched']);
+    assert.strictEqual(suggest('product:te ', 11, vocabulary), null);
+    assert.strictEqual(suggest('xyz', 3, vocabulary), null);
+    assert.strictEqual(suggest('status:"rolling out"', 20, vocabulary), null);
+});
+
+if (process.exitCode) {
+    process.exit(process.exitCode);
+}
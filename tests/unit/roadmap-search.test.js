@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+
+const {
+    normalizeWord,
+    tokenizeText,
+    editDistance,
+    buildSearchIndex,
+    createTextMatcher,
+    highlightHtml
+} = require(path.join(__dirname, '..', '..', 'js', 'roadmap-search.js'));
+const { compileQuery } = require(path.join(__dirname, '..', '..', 'js', 'roadmap-query.js'));
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`PASS ${name}`);
+    } catch (error) {
+        console.error(`FAIL ${name}`);
+        console.error(error.stack || error.message);
+        process.exitCode = 1;
+    }
+}
+
+const items = [
+    {
+        id: 101,
+        title: 'Meeting recap in Teams',
+        description: '<p>Copilot summarizes the meeting.</p>',
+        tagsContainer: { products: [{ tagName: 'Microsoft Teams' }] }
+    },
+    {
+        id: 102,
+        title: 'Outlook scheduling assistant',
+        description: 'Finds times for meetings and recaps the agenda.',
+        tagsContainer: { products: [{ tagName: 'Outlook' }], platforms: [{ tagName: 'Web' }] }
+    },
+    {
+        id: 103,
+        title: 'Policies for agents',
+        description: 'Admins control which agents can run.',
+        tagsContainer: { products: [{ tagName: 'Copilot Studio' }] }
+    }
+];
+
+const matcher = createTextMatcher(buildSearchIndex(items));
+
+function search(query) {
+    const compiled = compileQuery(query, { matchText: (word, item) => matcher.score(word, item) });
+    return items.filter(compiled.predicate)
+        .sort((a, b) => compiled.score(b) - compiled.score(a))
+        .map(item => item.id);
+}
+
+runTest('normalizeWord drops plural endings and tokenizeText ignores markup', () => {
+    assert.deepStrictEqual(['meetings', 'policies', 'boxes', 'classes', 'status', 'analysis', 'Teams'].map(normalizeWord),
+        ['meeting', 'policy', 'box', 'class', 'status', 'analysis', 'team']);
+    assert.deepStrictEqual(tokenizeText('<p>Copilot summarizes the <b>meeting</b>.</p>'), ['copilot', 'summarize', 'the', 'meeting']);
+});
+
+runTest('editDistance counts transpositions as one edit and stops past the limit', () => {
+    assert.strictEqual(editDistance('meetign', 'meeting', 1), 1);
+    assert.strictEqual(editDistance('meetng', 'meeting', 1), 1);
+    assert.strictEqual(editDistance('recap', 'react', 1), Infinity);
+    assert.strictEqual(editDistance('a', 'abcd', 2), Infinity);
+});
+
+runTest('words match plurals, prefixes and typos', () => {
+    assert.deepStrictEqual(search('meetings'), [101, 102]);
+    assert.deepStrictEqual(search('recaps'), [101, 102]);
+    assert.deepStrictEqual(search('schedul'), [102]);
+    assert.deepStrictEqual(search('meetnig'), [101, 102]);
+    assert.deepStrictEqual(search('polcy'), [103]);
+    assert.deepStrictEqual(search('team'), [101]);
+    assert.deepStrictEqual(search('xyzzy'), []);
+});
+
+runTest('title hits rank above tag and description hits, and every word must match', () => {
+    assert.deepStrictEqual(search('agents'), [103]);
+    assert.deepStrictEqual(search('recap meeting'), [101, 102]);
+    assert.deepStrictEqual(search('outlook'), [102]);
+    assert.deepStrictEqual(search('web meeting'), [102]);
+    assert.ok(matcher.score('meeting', items[0]) > matcher.score('meeting', items[1]));
+    assert.strictEqual(matcher.score('103', items[2]), 3, 'ids count like titles');
+});
+
+runTest('negated words and phrases keep substring semantics', () => {
+    assert.deepStrictEqual(search('meeting -outlook'), [101]);
+    assert.deepStrictEqual(search('"the meeting"'), [101]);
+    assert.deepStrictEqual(search('"meetnig"'), []);
+});
+
+runTest('terms lists the index words a search matched', () => {
+    assert.deepStrictEqual([...matcher.terms(['meetnig'])], ['meeting']);
+    assert.deepStrictEqual([...matcher.terms(['recap'])].sort(), ['recap']);
+});
+
+runTest('highlightHtml escapes text and marks matched words and phrases', () => {
+    assert.strictEqual(highlightHtml('Meetings <b> & meeting notes', new Set(['meeting']), ['notes']),
+        '<mark>Meetings</mark> &lt;b&gt; &amp; <mark>meeting</mark> <mark>notes</mark>');
+    assert.strictEqual(highlightHtml('Team meeting', new Set(), ['team meet', 'meeting']), '<mark>Team meeting</mark>');
+    assert.strictEqual(highlightHtml('a < b', new Set(), []), 'a &lt; b');
+});
+
+if (process.exitCode) {
+    process.exit(process.exitCode);
+}
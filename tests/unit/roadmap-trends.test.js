@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+
+const {
+    FLOW_MOVES,
+    statusTransitions,
+    statisticsEntry,
+    parseStatisticsLines,
+    isoWeek,
+    weeklyTrends,
+    renderChart
+} = require(path.join(__dirname, '..', '..', 'js', 'roadmap-trends.js'));
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`PASS ${name}`);
+    } catch (error) {
+        console.error(`FAIL ${name}`);
+        console.error(error.stack || error.message);
+        process.exitCode = 1;
+    }
+}
+
+function entry(timestamp, byStatus, byProduct, transitions) {
+    return { timestamp, totalItems: Object.values(byStatus).reduce((a, b) => a + b, 0), byStatus, byProduct, byPlatform: {}, transitions: transitions || {} };
+}
+
+runTest('statusTransitions counts status moves from changed history entries only', () => {
+    assert.deepStrictEqual(statusTransitions([
+        { id: 1, changeType: 'changed', changes: [{ field: 'status', previous: 'In development', current: 'Rolling out' }] },
+        { id: 2, changeType: 'changed', changes: [
+            { field: 'title', previous: 'a', current: 'b' },
+            { field: 'status', previous: 'In development', current: 'Rolling out' }
+        ] },
+        { id: 3, changeType: 'changed', changes: [{ field: 'status', previous: 'Rolling out', current: 'Launched' }] },
+        { id: 4, changeType: 'new', changes: [] },
+        { id: 5, changeType: 'removed', changes: [], snapshot: { status: 'Launched' } }
+    ]), { 'In development → Rolling out': 2, 'Rolling out → Launched': 1 });
+    assert.deepStrictEqual(statusTransitions(null), {});
+});
+
+runTest('statisticsEntry keeps the time-series fields and drops quarters', () => {
+    const stats = { totalItems: 2, byStatus: { Launched: 2 }, byProduct: { Teams: 2 }, byPlatform: { Web: 1 }, byQuarter: { '2026-Q1': 2 } };
+    assert.deepStrictEqual(statisticsEntry('2026-03-02T06:00:00.000Z', stats, []), {
+        timestamp: '2026-03-02T06:00:00.000Z', totalItems: 2, byStatus: { Launched: 2 }, byProduct: { Teams: 2 }, byPlatform: { Web: 1 }, transitions: {}
+    });
+});
+
+runTest('parseStatisticsLines sorts by timestamp and skips malformed lines', () => {
+    const text = [
+        JSON.stringify({ timestamp: '2026-03-09T00:00:00.000Z', totalItems: 2 }),
+        '{"timestamp": "2026-03',
+        JSON.stringify({ timestamp: 'not a date' }),
+        '',
+        JSON.stringify({ timestamp: '2026-03-02T00:00:00.000Z', totalItems: 1 })
+    ].join('\n');
+    assert.deepStrictEqual(parseStatisticsLines(text).map(e => e.totalItems), [1, 2]);
+    assert.deepStrictEqual(parseStatisticsLines(''), []);
+});
+
+runTest('isoWeek follows ISO 8601 week numbering across year ends', () => {
+    assert.strictEqual(isoWeek('2026-03-02T06:00:00.000Z'), '2026-W10');
+    assert.strictEqual(isoWeek('2026-03-08T23:59:00.000Z'), '2026-W10');
+    assert.strictEqual(isoWeek('2027-01-01T00:00:00.000Z'), '2026-W53');
+    assert.strictEqual(isoWeek('2024-12-30T00:00:00.000Z'), '2025-W01');
+});
+
+runTest('weeklyTrends uses the last run per week and sums moves within a week', () => {
+    const trends = weeklyTrends([
+        entry('2026-03-02T06:00:00.000Z', { 'In development': 5, 'Rolling out': 1 }, { Teams: 4, Outlook: 2 },
+            { 'In development → Rolling out': 1 }),
+        entry('2026-03-04T06:00:00.000Z', { 'In development': 4, 'Rolling out': 2 }, { Teams: 4, Outlook: 2 },
+            { 'In development → Rolling out': 2, 'Launched → Rolling out': 1 }),
+        entry('2026-03-10T06:00:00.000Z', { 'In development': 3, 'Rolling out': 2, Launched: 1, Cancelled: 1 }, { Teams: 3, Outlook: 3, Word: 1 },
+            { 'Rolling out → Launched': 1 })
+    ], { productLimit: 2 });
+    assert.deepStrictEqual(trends.weeks, ['2026-W10', '2026-W11']);
+    assert.deepStrictEqual(trends.totals, [6, 7]);
+    assert.deepStrictEqual(trends.statuses, [
+        { name: 'In development', values: [4, 3] },
+        { name: 'Rolling out', values: [2, 2] },
+        { name: 'Launched', values: [0, 1] },
+        { name: 'Cancelled', values: [0, 1] }
+    ]);
+    assert.deepStrictEqual(trends.products.map(s => s.name), ['Outlook', 'Teams']);
+    assert.deepStrictEqual(trends.flow, [
+        { name: FLOW_MOVES[0], values: [3, 0] },
+        { name: FLOW_MOVES[1], values: [0, 1] }
+    ]);
+
+    const withService = weeklyTrends([entry('2026-03-10T06:00:00.000Z', {}, { Teams: 3, Outlook: 3, Word: 1 })], { productLimit: 2, include: ['Word'] });
+    assert.deepStrictEqual(withService.products, [{ name: 'Word', values: [1] }, { name: 'Outlook', values: [3] }]);
+    assert.deepStrictEqual(weeklyTrends([]).weeks, []);
+});
+
+runTest('renderChart draws escaped line and bar series with a legend', () => {
+    const line = renderChart(['2026-W10', '2026-W11'], [{ name: 'A <b> & c', values: [1, 4] }], { title: 'Status' });
+    assert.ok(line.startsWith('<svg class="trend-chart"'));
+    assert.ok(line.includes('<title>Status</title>'));
+    assert.ok(line.includes('<polyline class="trend-series-0"'));
+    assert.ok(line.includes('A &lt;b&gt; &amp; c'));
+    assert.ok(!line.includes('<b>'));
+    assert.strictEqual((line.match(/<circle /g) || []).length, 2);
+
+    const single = renderChart(['2026-W10'], [{ name: 'A', values: [3] }]);
+    assert.ok(!single.includes('<polyline'));
+
+    const bars = renderChart(['2026-W10'], [{ name: 'x', values: [2] }, { name: 'y', values: [0] }], { kind: 'bar' });
+    assert.strictEqual((bars.match(/<rect class="trend-series-\d"[^>]*><title>/g) || []).length, 2);
+});
+
+if (process.exitCode) {
+    process.exit(process.exitCode);
+}
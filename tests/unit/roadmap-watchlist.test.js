@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+
+const {
+    normalizeWatchlists,
+    matchesWatchlist
+} = require(path.join(__dirname, '..', '..', 'js', 'roadmap-watchlist.js'));
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`PASS ${name}`);
+    } catch (error) {
+        console.error(`FAIL ${name}`);
+        console.error(error.stack || error.message);
+        process.exitCode = 1;
+    }
+}
+
+function item(overrides) {
+    return {
+        id: 1,
+        title: 'Mailbox auditing in Copilot',
+        description: '<p>Admins can review <b>transport rule</b> hits.</p>',
+        status: 'Rolling out',
+        publicDisclosureAvailabilityDate: 'March CY2026',
+        tagsContainer: {
+            products: [{ tagName: 'Exchange' }, { tagName: 'Microsoft Copilot (Microsoft 365)' }],
+            platforms: [{ tagName: 'Web' }]
+        },
+        ...overrides
+    };
+}
+
+runTest('normalizeWatchlists lowercases values and rejects bad rules', () => {
+    assert.deepStrictEqual(normalizeWatchlists({ watchlists: [
+        { name: 'exchange-admins', label: 'Exchange admins', filters: { service: ['Exchange', 'Outlook'], status: 'Rolling out' }, keywords: 'Mailbox' }
+    ] }), [{
+        name: 'exchange-admins',
+        label: 'Exchange admins',
+        filters: { service: ['exchange', 'outlook'], status: ['rolling out'] },
+        keywords: ['mailbox']
+    }]);
+    assert.strictEqual(normalizeWatchlists([{ name: 'a', keywords: ['x'] }])[0].label, 'a');
+    assert.throws(() => normalizeWatchlists({}), /must be a list/);
+    assert.throws(() => normalizeWatchlists([{ name: 'Teams Admins', keywords: ['x'] }]), /lowercase name/);
+    assert.throws(() => normalizeWatchlists([{ name: 'a', filters: { product: 'Teams' } }]), /unknown filter "product"/);
+    assert.throws(() => normalizeWatchlists([{ name: 'a', filters: { status: [] } }]), /non-empty string/);
+    assert.throws(() => normalizeWatchlists([{ name: 'a' }]), /at least one filter or keyword/);
+    assert.throws(() => normalizeWatchlists([{ name: 'a', keywords: ['x'] }, { name: 'a', keywords: ['y'] }]), /Duplicate/);
+});
+
+runTest('matchesWatchlist requires every filter and any keyword', () => {
+    const [rule] = normalizeWatchlists([{ name: 'a', filters: { service: ['outlook', 'EXCHANGE'], platform: 'web' }, keywords: ['transport rule', 'retention'] }]);
+    assert.strictEqual(matchesWatchlist(item(), rule), true);
+    assert.strictEqual(matchesWatchlist(item({ description: 'Nothing relevant' }), rule), false);
+    assert.strictEqual(matchesWatchlist(item({ tagsContainer: { products: [{ tagName: 'Exchange' }] } }), rule), false);
+
+    const [tagKeyword] = normalizeWatchlists([{ name: 'b', keywords: ['web'] }]);
+    assert.strictEqual(matchesWatchlist(item(), tagKeyword), true);
+});
+
+runTest('matchesWatchlist supports status, change, source, search and timeline filters', () => {
+    const rule = filters => normalizeWatchlists([{ name: 'r', filters }])[0];
+    assert.strictEqual(matchesWatchlist(item(), rule({ status: ['launched', 'rolling out'] })), true);
+    assert.strictEqual(matchesWatchlist(item({ _changeType: 'new' }), rule({ change: 'new' })), true);
+    assert.strictEqual(matchesWatchlist(item(), rule({ change: 'new' })), false);
+    assert.strictEqual(matchesWatchlist(item(), rule({ source: 'm365' })), true);
+    assert.strictEqual(matchesWatchlist(item({ source: 'internal' }), rule({ source: 'm365' })), false);
+    assert.strictEqual(matchesWatchlist(item(), rule({ search: 'AUDITING' })), true);
+
+    const now = new Date(Date.UTC(2026, 2, 10));
+    assert.strictEqual(matchesWatchlist(item(), rule({ timeline: 'current-month' }), now), true);
+    assert.strictEqual(matchesWatchlist(item(), rule({ timeline: ['next-month', 'next-quarter'] }), now), false);
+    assert.strictEqual(matchesWatchlist(item({ publicDisclosureAvailabilityDate: '' }), rule({ timeline: 'this-year' }), now), false);
+});
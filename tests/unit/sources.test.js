@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    parseCsv,
+    normalizeFileRecord,
+    createSources
+} = require(path.join(__dirname, '..', '..', 'scripts', 'sources.js'));
+const { RoadmapDataUpdater } = require(path.join(__dirname, '..', '..', 'scripts', 'update-data.js'));
+
+const SAMPLE_DATA = path.join(__dirname, '..', '..', 'data', 'sample-data.json');
+
+function runTest(name, fn) {
+    const fail = (error) => {
+        console.error(`FAIL ${name}`);
+        console.error(error.stack || error.message);
+        process.exitCode = 1;
+    };
+    try {
+        const result = fn();
+        if (result && typeof result.then === 'function') {
+            return result.then(() => console.log(`PASS ${name}`), fail);
+        }
+        console.log(`PASS ${name}`);
+    } catch (error) {
+        fail(error);
+    }
+}
+
+runTest('parseCsv handles quotes, doubled quotes, embedded newlines and CRLF', () => {
+    const records = parseCsv('id,title,description\r\n1,"Hello, world","Line one\nsaid ""hi"""\r\n\r\n2,Plain,\r\n');
+    assert.deepStrictEqual(records, [
+        { id: '1', title: 'Hello, world', description: 'Line one\nsaid "hi"' },
+        { id: '2', title: 'Plain', description: '' }
+    ]);
+    assert.throws(() => parseCsv('id,title\n1,"open'), /quoted field/);
+});
+
+runTest('normalizeFileRecord maps tracker columns onto the roadmap item schema', () => {
+    const item = normalizeFileRecord({
+        ID: '42',
+        Title: 'Release tracker item',
+        Status: 'Rolling out',
+        Availability: 'Q3 CY2026',
+        Products: 'Microsoft Copilot (Microsoft 365); Teams',
+        moreInfoLink: 'https://tracker.example/42'
+    }, 'internal');
+
+    assert.strictEqual(item.id, 'internal:42');
+    assert.strictEqual(item.source, 'internal');
+    assert.strictEqual(item.description, '');
+    assert.strictEqual(item.publicDisclosureAvailabilityDate, 'Q3 CY2026');
+    assert.deepStrictEqual(item.tagsContainer.products, [
+        { tagName: 'Microsoft Copilot (Microsoft 365)' },
+        { tagName: 'Teams' }
+    ]);
+    assert.deepStrictEqual(item.tagsContainer.platforms, []);
+    assert.strictEqual(item.moreInfoLink, 'https://tracker.example/42');
+});
+
+runTest('createSources validates names, types and file paths', () => {
+    const sources = createSources({ sources: [{ type: 'm365-api' }, { name: 'internal', type: 'file', path: 'x.csv' }] }, { location: SAMPLE_DATA });
+    assert.deepStrictEqual(sources.map(s => [s.name, s.type]), [['m365', 'm365-api'], ['internal', 'file']]);
+    assert.strictEqual(sources[1].label, 'internal');
+
+    assert.throws(() => createSources([]), /at least one source/);
+    assert.throws(() => createSources([{ type: 'file', name: 'Bad Name', path: 'x' }]), /lowercase name/);
+    assert.throws(() => createSources([{ type: 'm365-api' }, { type: 'm365-api' }]), /Duplicate source name "m365"/);
+    assert.throws(() => createSources([{ type: 'file', name: 'a' }]), /needs a path/);
+    assert.throws(() => createSources([{ type: 'rss', name: 'a' }]), /unknown type "rss"/);
+});
+
+runTest('fetchData combines configured sources and tags every item with its source', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sources-'));
+    try {
+        fs.writeFileSync(path.join(tmpDir, 'internal.csv'), [
+            'id,title,status,availability,products',
+            '7,Internal rollout,In development,March CY2026,Microsoft Copilot (Microsoft 365)'
+        ].join('\n'));
+        fs.writeFileSync(path.join(tmpDir, 'sources.json'), JSON.stringify({
+            sources: [
+                { name: 'm365', type: 'm365-api', path: SAMPLE_DATA },
+                { name: 'internal', type: 'file', label: 'Internal tracker', path: 'internal.csv' }
+            ]
+        }));
+
+        const updater = new RoadmapDataUpdater();
+        updater.logLevel = 'error';
+        updater.outputDir = tmpDir;
+        updater.sourcesFile = path.join(tmpDir, 'sources.json');
+
+        const items = await updater.fetchData();
+        const sampleCount = JSON.parse(fs.readFileSync(SAMPLE_DATA, 'utf8')).items.length;
+        assert.strictEqual(items.length, sampleCount + 1);
+        assert.ok(items.slice(0, sampleCount).every(item => item.source === 'm365'));
+        assert.deepStrictEqual(items[sampleCount].id, 'internal:7');
+
+        const processed = updater.processData(items);
+        assert.deepStrictEqual(processed.metadata.sources, [
+            { name: 'm365', label: 'Microsoft 365 Roadmap', itemCount: sampleCount },
+            { name: 'internal', label: 'Internal tracker', itemCount: 1 }
+        ]);
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+});
+
+runTest('fetchData rejects file records without an id', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sources-'));
+    try {
+        fs.writeFileSync(path.join(tmpDir, 'tracker.json'), JSON.stringify([{ title: 'No id' }]));
+        fs.writeFileSync(path.join(tmpDir, 'sources.json'), JSON.stringify([
+            { name: 'tracker', type: 'file', path: 'tracker.json' }
+        ]));
+        const updater = new RoadmapDataUpdater();
+        updater.logLevel = 'error';
+        updater.retryCount = 0;
+        updater.sourcesFile = path.join(tmpDir, 'sources.json');
+        await assert.rejects(updater.fetchData(), /index 0 missing required fields \(id, title\)/);
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+});
+
+if (process.exitCode) {
+    process.exit(process.exitCode);
+}
@@ -6,17 +6,31 @@ const path = require('path');
 const {
     RoadmapDataUpdater,
     validateApiResponse,
-    isRoadmapItem
+    isRoadmapItem,
+    diffTags,
+    hashItems,
+    evaluatePublishGuard,
+    EXIT_CODES,
+    parseArgs,
+    failureExitCode,
+    formatChangeLine
 } = require(path.join(__dirname, '..', '..', 'scripts', 'update-data.js'));
+const { uniqueSlugs } = require(path.join(__dirname, '..', '..', 'scripts', 'feeds.js'));
 
 function runTest(name, fn) {
-    try {
-        fn();
-        console.log(`PASS ${name}`);
-    } catch (error) {
+    const fail = (error) => {
         console.error(`FAIL ${name}`);
         console.error(error.stack || error.message);
         process.exitCode = 1;
+    };
+    try {
+        const result = fn();
+        if (result && typeof result.then === 'function') {
+            return result.then(() => console.log(`PASS ${name}`), fail);
+        }
+        console.log(`PASS ${name}`);
+    } catch (error) {
+        fail(error);
     }
 }
 
@@ -86,6 +100,17 @@ runTest('processData calculates statistics from normalized items', () => {
     assert.strictEqual(processed.statistics.byStatus['Rolling out'], 1);
     assert.strictEqual(processed.statistics.byProduct.Teams, 1);
     assert.strictEqual(processed.statistics.byPlatform.Web, 1);
+    assert.strictEqual(processed.statistics.byQuarter['2026 Q1'], 2);
+});
+
+runTest('calculateStatistics buckets roadmap period strings by quarter', () => {
+    const updater = new RoadmapDataUpdater();
+    const stats = updater.calculateStatistics([
+        { id: 1, status: 'In development', publicDisclosureAvailabilityDate: 'March CY2026' },
+        { id: 2, status: 'In development', publicDisclosureAvailabilityDate: 'Q2 CY2026' },
+        { id: 3, status: 'In development', publicDisclosureAvailabilityDate: 'Not announced' }
+    ]);
+    assert.deepStrictEqual(stats.byQuarter, { '2026 Q1': 1, '2026 Q2': 1 });
 });
 
 runTest('detectChanges marks new items', () => {
@@ -144,6 +169,753 @@ runTest('detectChanges detects new and changed items against previous snapshot',
     fs.rmdirSync(tmpDir);
 });
 
+runTest('detectChanges returns history entries with previous and current values', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const updater = new RoadmapDataUpdater();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'detect-history-'));
+    updater.outputDir = tmpDir;
+
+    fs.writeFileSync(path.join(tmpDir, 'roadmap-data.json'), JSON.stringify({
+        items: [{ id: 1, title: 'A', description: 'desc', status: 'In development', publicDisclosureAvailabilityDate: 'March CY2026' }]
+    }));
+
+    const history = updater.detectChanges([
+        { id: 1, title: 'A', description: 'desc', status: 'Rolling out', publicDisclosureAvailabilityDate: 'June CY2026' },
+        { id: 2, title: 'B', description: 'desc', status: 'Launched' }
+    ]);
+
+    assert.strictEqual(history.length, 2);
+    assert.deepStrictEqual(history[0], {
+        id: 1,
+        title: 'A',
+        changeType: 'changed',
+        changes: [
+            { field: 'status', previous: 'In development', current: 'Rolling out' },
+            { field: 'publicDisclosureAvailabilityDate', previous: 'March CY2026', current: 'June CY2026' }
+        ]
+    });
+    assert.strictEqual(history[1].changeType, 'new');
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+runTest('diffTags reports tag additions and removals per category, ignoring order', () => {
+    const prev = { products: [{ tagName: 'Teams' }, { tagName: 'Outlook' }], platforms: [{ tagName: 'Web' }] };
+    const next = { products: [{ tagName: 'Outlook' }, { tagName: 'Teams' }, { tagName: 'Word' }], platforms: [] };
+    assert.deepStrictEqual(diffTags(prev, next), {
+        added: { products: ['Word'] },
+        removed: { platforms: ['Web'] }
+    });
+    assert.deepStrictEqual(diffTags(next, next), { added: {}, removed: {} });
+});
+
+runTest('detectChanges records previous values and tag changes on changed items', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const updater = new RoadmapDataUpdater();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'detect-previous-'));
+    updater.outputDir = tmpDir;
+
+    fs.writeFileSync(path.join(tmpDir, 'roadmap-data.json'), JSON.stringify({
+        items: [{
+            id: 1, title: 'A', description: 'desc', status: 'In development',
+            publicDisclosureAvailabilityDate: 'March CY2026',
+            tagsContainer: { products: [{ tagName: 'Teams' }] }
+        }]
+    }));
+
+    const items = [{
+        id: 1, title: 'A', description: 'desc', status: 'In development',
+        publicDisclosureAvailabilityDate: 'June CY2026',
+        tagsContainer: { products: [{ tagName: 'Teams' }, { tagName: 'Outlook' }] }
+    }];
+    const history = updater.detectChanges(items);
+
+    assert.deepStrictEqual(items[0]._changedFields, ['publicDisclosureAvailabilityDate', 'tagsContainer']);
+    assert.deepStrictEqual(items[0]._previousValues, { publicDisclosureAvailabilityDate: 'March CY2026' });
+    assert.deepStrictEqual(items[0]._tagChanges, { added: { products: ['Outlook'] }, removed: {} });
+    assert.deepStrictEqual(history[0].changes[1], {
+        field: 'tagsContainer',
+        added: { products: ['Outlook'] },
+        removed: {}
+    });
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+runTest('appendHistory appends across runs and readHistory filters by id', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const updater = new RoadmapDataUpdater();
+    updater.logLevel = 'error';
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'append-history-'));
+    updater.outputDir = tmpDir;
+
+    await updater.appendHistory([{ id: 1, changeType: 'new', changes: [] }], '2026-01-01T00:00:00.000Z');
+    await updater.appendHistory([
+        { id: 1, changeType: 'changed', changes: [{ field: 'status', previous: 'In development', current: 'Launched' }] },
+        { id: 2, changeType: 'new', changes: [] }
+    ], '2026-01-08T00:00:00.000Z');
+    await updater.appendHistory([], '2026-01-15T00:00:00.000Z');
+
+    const all = await updater.readHistory();
+    assert.strictEqual(all.length, 3);
+    const forItem = await updater.readHistory(1);
+    assert.deepStrictEqual(forItem.map(e => e.timestamp), ['2026-01-01T00:00:00.000Z', '2026-01-08T00:00:00.000Z']);
+    assert.strictEqual(forItem[1].changes[0].current, 'Launched');
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+runTest('appendStatistics appends one time-series line per run with status moves', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const updater = new RoadmapDataUpdater();
+    updater.logLevel = 'error';
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'append-statistics-'));
+    updater.outputDir = tmpDir;
+
+    const items = [
+        { id: 1, title: 'A', status: 'Rolling out', tagsContainer: { products: [{ tagName: 'Teams' }], platforms: [{ tagName: 'Web' }] } },
+        { id: 2, title: 'B', status: 'Launched', tagsContainer: { products: [{ tagName: 'Teams' }] } }
+    ];
+    await updater.appendStatistics(updater.calculateStatistics(items), [], '2026-03-02T00:00:00.000Z');
+    await updater.appendStatistics(updater.calculateStatistics(items), [
+        { id: 1, changeType: 'changed', changes: [{ field: 'status', previous: 'In development', current: 'Rolling out' }] }
+    ], '2026-03-09T00:00:00.000Z');
+
+    const lines = fs.readFileSync(path.join(tmpDir, 'history', 'statistics.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(lines.length, 2);
+    assert.deepStrictEqual(lines[1], {
+        timestamp: '2026-03-09T00:00:00.000Z',
+        totalItems: 2,
+        byStatus: { 'Rolling out': 1, Launched: 1 },
+        byProduct: { Teams: 2 },
+        byPlatform: { Web: 1 },
+        transitions: { 'In development → Rolling out': 1 }
+    });
+    assert.deepStrictEqual(lines[0].transitions, {});
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+runTest('detectChanges records removed items and updateRemovedItems persists them', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const updater = new RoadmapDataUpdater();
+    updater.logLevel = 'error';
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'removed-items-'));
+    updater.outputDir = tmpDir;
+
+    fs.writeFileSync(path.join(tmpDir, 'roadmap-data.json'), JSON.stringify({
+        items: [
+            { id: 1, title: 'Kept', description: 'desc', status: 'Launched', _changeType: 'unchanged', _changedFields: [] },
+            { id: 2, title: 'Dropped', description: 'desc', status: 'In development', _changeType: 'new', _changedFields: [] }
+        ]
+    }));
+
+    const current = [{ id: 1, title: 'Kept', description: 'desc', status: 'Launched' }];
+    const history = updater.detectChanges(current);
+    const removed = history.filter(e => e.changeType === 'removed');
+    assert.strictEqual(removed.length, 1);
+    assert.strictEqual(removed[0].id, 2);
+    assert.strictEqual(removed[0].snapshot.title, 'Dropped');
+    assert.strictEqual('_changeType' in removed[0].snapshot, false);
+
+    const processed = updater.processData(current, history);
+    assert.strictEqual(processed.metadata.changeSummary.removedCount, 1);
+
+    const count = await updater.updateRemovedItems(history, current, '2026-02-21T13:00:00.000Z');
+    assert.strictEqual(count, 1);
+    const store = JSON.parse(fs.readFileSync(path.join(tmpDir, 'removed-items.json'), 'utf8'));
+    assert.strictEqual(store.items[0].id, 2);
+    assert.strictEqual(store.items[0]._changeType, 'removed');
+    assert.strictEqual(store.items[0]._removedAt, '2026-02-21T13:00:00.000Z');
+
+    // An item that comes back is dropped from the removed store
+    const returned = await updater.updateRemovedItems([], [...current, { id: 2 }], '2026-02-22T13:00:00.000Z');
+    assert.strictEqual(returned, 0);
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+runTest('generateFeeds writes site and per-product feeds and prunes stale ones', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const updater = new RoadmapDataUpdater();
+    updater.logLevel = 'error';
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feeds-'));
+    updater.outputDir = tmpDir;
+
+    fs.mkdirSync(path.join(tmpDir, 'feeds'));
+    fs.writeFileSync(path.join(tmpDir, 'feeds', 'retired-product.atom'), '<feed/>');
+    await updater.appendHistory([{ id: 1, changeType: 'new', changes: [] }], '2026-02-01T00:00:00.000Z');
+
+    const count = await updater.generateFeeds([
+        { id: 1, title: 'A', description: 'desc', status: 'Launched', tagsContainer: { products: [{ tagName: 'Teams' }] } }
+    ]);
+
+    assert.strictEqual(count, 1);
+    assert.ok(fs.readFileSync(path.join(tmpDir, 'feed.atom'), 'utf8').includes('urn:m365-roadmap:1:2026-02-01T00:00:00.000Z'));
+    assert.ok(fs.existsSync(path.join(tmpDir, 'feed.rss')));
+    assert.deepStrictEqual(fs.readdirSync(path.join(tmpDir, 'feeds')).sort(), ['teams.atom', 'teams.rss']);
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+runTest('generateCalendars writes full and per-product calendars and prunes stale ones', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const updater = new RoadmapDataUpdater();
+    updater.logLevel = 'error';
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendars-'));
+    updater.outputDir = tmpDir;
+
+    fs.mkdirSync(path.join(tmpDir, 'calendars'));
+    fs.writeFileSync(path.join(tmpDir, 'calendars', 'retired-product.ics'), 'BEGIN:VCALENDAR');
+
+    const count = await updater.generateCalendars([
+        { id: 1, title: 'A', publicDisclosureAvailabilityDate: 'March CY2026', tagsContainer: { products: [{ tagName: 'Microsoft Teams' }] } },
+        { id: 2, title: 'B', publicDisclosureAvailabilityDate: '', tagsContainer: { products: [{ tagName: 'Outlook' }] } }
+    ]);
+
+    assert.strictEqual(count, 1);
+    assert.ok(fs.readFileSync(path.join(tmpDir, 'calendar.ics'), 'utf8').includes('DTSTART;VALUE=DATE:20260301'));
+    assert.deepStrictEqual(fs.readdirSync(path.join(tmpDir, 'calendars')).sort(), ['microsoft-teams.ics', 'outlook.ics']);
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+runTest('products whose names slugify alike get separate feeds and calendars', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const updater = new RoadmapDataUpdater();
+    updater.logLevel = 'error';
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slugs-'));
+    updater.outputDir = tmpDir;
+    await updater.appendHistory([{ id: 1, changeType: 'new', changes: [] }, { id: 2, changeType: 'new', changes: [] }], '2026-02-01T00:00:00.000Z');
+    const existing = { id: 2, title: 'B', description: '', status: 'Launched', publicDisclosureAvailabilityDate: 'April CY2026', tagsContainer: { products: [{ tagName: 'Viva engage!' }] } };
+    const added = { id: 1, title: 'A', description: '', status: 'Launched', publicDisclosureAvailabilityDate: 'March CY2026', tagsContainer: { products: [{ tagName: 'Viva Engage' }] } };
+
+    await updater.generateFeeds([existing]);
+    await updater.generateCalendars([existing]);
+    assert.deepStrictEqual(fs.readdirSync(path.join(tmpDir, 'calendars')), ['viva-engage.ics']);
+
+    // "Viva Engage" sorts first but arrives later, so it is the one that gets a suffix.
+    await updater.generateFeeds([added, existing]);
+    await updater.generateCalendars([added, existing]);
+    const suffixed = uniqueSlugs(['Viva Engage', 'Viva engage!'], { 'Viva engage!': 'viva-engage' }).get('Viva Engage');
+    assert.match(suffixed, /^viva-engage-[0-9a-f]{6}$/);
+    assert.deepStrictEqual(fs.readdirSync(path.join(tmpDir, 'feeds')).sort(),
+        ['viva-engage.atom', 'viva-engage.rss', `${suffixed}.atom`, `${suffixed}.rss`].sort());
+    assert.deepStrictEqual(fs.readdirSync(path.join(tmpDir, 'calendars')).sort(), ['viva-engage.ics', `${suffixed}.ics`].sort());
+    assert.ok(fs.readFileSync(path.join(tmpDir, 'calendars', 'viva-engage.ics'), 'utf8').includes('DTSTART;VALUE=DATE:20260401'));
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(tmpDir, 'product-slugs.json'), 'utf8')).slugs,
+        { 'Viva Engage': suffixed, 'Viva engage!': 'viva-engage' });
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+runTest('saveShards writes per-product shards and a manifest with hashes', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const crypto = require('crypto');
+    const updater = new RoadmapDataUpdater();
+    updater.logLevel = 'error';
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shards-'));
+    updater.outputDir = tmpDir;
+
+    fs.mkdirSync(path.join(tmpDir, 'shards'));
+    fs.writeFileSync(path.join(tmpDir, 'shards', 'retired-product.json'), '{}');
+
+    const manifest = await updater.saveShards({
+        metadata: { lastUpdated: '2026-02-01T00:00:00.000Z' },
+        items: [
+            { id: 1, title: 'A', tagsContainer: { products: [{ tagName: 'Microsoft Teams' }, { tagName: 'Outlook' }] } },
+            { id: 2, title: 'B', tagsContainer: { products: [{ tagName: 'Microsoft Teams' }, { tagName: 'Microsoft teams' }] } },
+            { id: 3, title: 'C', tagsContainer: { products: [] } }
+        ]
+    });
+
+    assert.strictEqual(manifest.totalItems, 3);
+    assert.deepStrictEqual(manifest.shards.map(s => [s.key, s.count]), [['microsoft-teams', 2], ['outlook', 1], ['untagged', 1]]);
+    assert.deepStrictEqual(manifest.shards[0].products, ['Microsoft Teams', 'Microsoft teams']);
+    assert.deepStrictEqual(fs.readdirSync(path.join(tmpDir, 'shards')).sort(), ['microsoft-teams.json', 'outlook.json', 'untagged.json']);
+
+    const content = fs.readFileSync(path.join(tmpDir, manifest.shards[0].file), 'utf8');
+    assert.strictEqual(crypto.createHash('sha256').update(content).digest('hex'), manifest.shards[0].sha256);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(tmpDir, 'manifest.json'), 'utf8')), manifest);
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+runTest('hashItems ignores item order and change markers', () => {
+    const a = { id: 2, title: 'B', status: 'Launched' };
+    const b = { id: 10, title: 'A', status: 'In development' };
+    assert.strictEqual(hashItems([a, b]), hashItems([{ ...b, _changeType: 'new' }, a]));
+    assert.notStrictEqual(hashItems([a, b]), hashItems([a, { ...b, status: 'Launched' }]));
+});
+
+runTest('fetchOne sends conditional headers and resolves null on 304', async () => {
+    const https = require('https');
+    const { EventEmitter } = require('events');
+    const originalGet = https.get;
+    const seenHeaders = [];
+    const statuses = [200, 304];
+    https.get = (url, options, callback) => {
+        seenHeaders.push(options.headers);
+        const request = new EventEmitter();
+        request.setTimeout = () => {};
+        request.destroy = () => {};
+        const response = new EventEmitter();
+        response.statusCode = statuses.shift();
+        response.headers = { etag: '"v1"', 'last-modified': 'Sun, 01 Feb 2026 00:00:00 GMT' };
+        response.resume = () => {};
+        process.nextTick(() => {
+            callback(response);
+            response.emit('data', JSON.stringify([{ id: 1, title: 'A', description: '', status: 'Launched' }]));
+            response.emit('end');
+        });
+        return request;
+    };
+    try {
+        const updater = new RoadmapDataUpdater();
+        const items = await updater.fetchOne();
+        assert.strictEqual(items.length, 1);
+        assert.deepStrictEqual(updater.httpValidators.m365, { etag: '"v1"', lastModified: 'Sun, 01 Feb 2026 00:00:00 GMT' });
+
+        assert.strictEqual(await updater.fetchOne(updater.httpValidators.m365), null);
+        assert.deepStrictEqual(seenHeaders, [
+            {},
+            { 'If-None-Match': '"v1"', 'If-Modified-Since': 'Sun, 01 Feb 2026 00:00:00 GMT' }
+        ]);
+    } finally {
+        https.get = originalGet;
+    }
+});
+
+runTest('a rotated ETag on unchanged content is stored so the next run gets a 304', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const { createM365ApiSource } = require(path.join(__dirname, '..', '..', 'scripts', 'sources.js'));
+    const items = [{ id: 1, title: 'A', description: '', status: 'Launched' }];
+    const seen = [];
+    // The API now serves the same content under a new ETag.
+    const source = {
+        ...createM365ApiSource(),
+        async fetch(validators) {
+            const etag = validators && validators.etag;
+            seen.push(etag);
+            return etag === '"v2"' ? null : { data: items, validators: { etag: '"v2"', lastModified: null } };
+        }
+    };
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'validators-'));
+    const newUpdater = () => {
+        const updater = new RoadmapDataUpdater();
+        updater.logLevel = 'error';
+        updater.outputDir = tmpDir;
+        updater.logDir = path.join(tmpDir, 'logs');
+        updater.getSources = () => [source];
+        return updater;
+    };
+    try {
+        const first = newUpdater();
+        first.httpValidators = { m365: { etag: '"v1"', lastModified: null } };
+        const published = first.processData(items.map(source.normalize));
+        fs.writeFileSync(path.join(tmpDir, 'roadmap-data.json'), JSON.stringify(published));
+
+        assert.strictEqual(await first.run(), EXIT_CODES.OK);
+        assert.strictEqual(first.runOutcome.status, 'unchanged');
+        const metadata = first.readPreviousMetadata();
+        assert.deepStrictEqual(metadata.httpValidators, { m365: { etag: '"v2"', lastModified: null } });
+        assert.strictEqual(metadata.contentHash, published.metadata.contentHash);
+        assert.strictEqual(metadata.lastUpdated, published.metadata.lastUpdated);
+
+        const second = newUpdater();
+        assert.strictEqual(await second.run(), EXIT_CODES.OK);
+        assert.strictEqual(second.runOutcome.status, 'unchanged');
+        assert.deepStrictEqual(seen, ['"v1"', '"v2"'], 'the second run sends the rotated ETag and gets a 304');
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+});
+
+runTest('recordUnchangedRun leaves data untouched and records a successful no-change run', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const updater = new RoadmapDataUpdater();
+    updater.logLevel = 'error';
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'unchanged-'));
+    updater.outputDir = tmpDir;
+
+    const dataPath = path.join(tmpDir, 'roadmap-data.json');
+    const data = updater.processData([{ id: 1, title: 'A', description: '', status: 'Launched' }]);
+    fs.writeFileSync(dataPath, JSON.stringify(data));
+    const previous = updater.readPreviousMetadata();
+    assert.strictEqual(previous.contentHash, hashItems(data.items));
+
+    const statisticsPath = path.join(tmpDir, 'history', 'statistics.jsonl');
+    fs.mkdirSync(path.dirname(statisticsPath));
+    fs.writeFileSync(statisticsPath, JSON.stringify({ timestamp: '2026-01-05T06:00:00.000Z', totalItems: 1, byStatus: { 'In development': 1 }, transitions: {} }) + '\n');
+
+    await updater.recordUnchangedRun(previous, 5);
+
+    assert.strictEqual(fs.readFileSync(dataPath, 'utf8'), JSON.stringify(data));
+    assert.deepStrictEqual(fs.readdirSync(tmpDir).sort(), ['health-status.json', 'history', 'roadmap-data.json', 'update-report.json']);
+    // The first unchanged run of a week repeats the published counts for the Trends series, later ones add nothing.
+    const readStatistics = () => fs.readFileSync(statisticsPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    const repeated = readStatistics()[1];
+    assert.deepStrictEqual([repeated.totalItems, repeated.byStatus, repeated.transitions], [1, { Launched: 1 }, {}]);
+    await updater.recordUnchangedRun(previous, 5);
+    assert.strictEqual(readStatistics().length, 2);
+    const health = JSON.parse(fs.readFileSync(path.join(tmpDir, 'health-status.json'), 'utf8'));
+    assert.strictEqual(health.status, 'ok');
+    assert.strictEqual(health.source.status, 'success');
+    assert.strictEqual(health.source.dataChanged, false);
+    assert.strictEqual(health.metrics.itemCount, 1);
+    const report = JSON.parse(fs.readFileSync(path.join(tmpDir, 'update-report.json'), 'utf8'));
+    assert.strictEqual(report.dataChanged, false);
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+runTest('evaluatePublishGuard flags total, per-product and removal drops', () => {
+    const thresholds = { maxItemDropPct: 20, maxProductDropPct: 50, minProductItems: 10, maxRemovedPct: 10 };
+    const make = (count, product, offset = 0) => Array.from({ length: count }, (_, i) => ({
+        id: offset + i,
+        tagsContainer: { products: [{ tagName: product }] }
+    }));
+    const previous = [...make(80, 'Teams'), ...make(20, 'Excel', 100), ...make(5, 'Visio', 200)];
+
+    assert.deepStrictEqual(evaluatePublishGuard([], [], 0, thresholds).ok, true);
+    assert.strictEqual(evaluatePublishGuard(previous, previous.slice(0, 100), 5, thresholds).ok, true);
+
+    const excelGone = [...make(80, 'Teams'), ...make(5, 'Excel', 100), ...make(5, 'Visio', 200)];
+    let guard = evaluatePublishGuard(previous, excelGone, 5, thresholds);
+    assert.strictEqual(guard.ok, false);
+    assert.deepStrictEqual(guard.metrics.productDrops, [{ product: 'Excel', before: 20, after: 5, dropPct: 75 }]);
+    assert.strictEqual(guard.reasons.length, 1);
+
+    // Small products may vanish without tripping the guard.
+    guard = evaluatePublishGuard(previous, previous.slice(0, 100), 0, thresholds);
+    assert.strictEqual(guard.metrics.productDrops.length, 0);
+
+    guard = evaluatePublishGuard(previous, make(50, 'Teams'), 55, thresholds);
+    assert.strictEqual(guard.ok, false);
+    assert.ok(guard.reasons.some(r => /Item count dropped 52.4% \(105 -> 50\)/.test(r)));
+    assert.ok(guard.reasons.some(r => /55 items removed/.test(r)));
+    assert.strictEqual(guard.metrics.removedPct, 52.4);
+});
+
+runTest('checkPublishGuard honors PUBLISH_GUARD_OVERRIDE and recordBlockedRun keeps data untouched', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const updater = new RoadmapDataUpdater();
+    updater.logLevel = 'error';
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guard-'));
+    updater.outputDir = tmpDir;
+
+    const items = Array.from({ length: 10 }, (_, i) => ({ id: i, title: `Item ${i}`, description: '', status: 'Launched' }));
+    const dataPath = path.join(tmpDir, 'roadmap-data.json');
+    const saved = JSON.stringify(updater.processData(items));
+    fs.writeFileSync(dataPath, saved);
+
+    const next = items.slice(0, 5);
+    const history = updater.detectChanges(next);
+    let guard = updater.checkPublishGuard(next, history);
+    assert.strictEqual(guard.ok, false);
+    assert.strictEqual(guard.overridden, false);
+
+    await updater.recordBlockedRun(guard, 5);
+    assert.strictEqual(fs.readFileSync(dataPath, 'utf8'), saved);
+    const health = JSON.parse(fs.readFileSync(path.join(tmpDir, 'health-status.json'), 'utf8'));
+    assert.strictEqual(health.status, 'degraded');
+    assert.strictEqual(health.source.status, 'success');
+    assert.strictEqual(health.metrics.itemCount, 10);
+    assert.strictEqual(health.publishGuard.blocked, true);
+    assert.ok(/Publish guard refused update/.test(health.error.message));
+    const report = JSON.parse(fs.readFileSync(path.join(tmpDir, 'update-report.json'), 'utf8'));
+    assert.strictEqual(report.success, false);
+    assert.strictEqual(report.dataChanged, false);
+    assert.deepStrictEqual(report.publishGuard.reasons, guard.reasons);
+
+    updater.publishGuardOverride = true;
+    guard = updater.checkPublishGuard(next, history);
+    assert.strictEqual(guard.overridden, true);
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+runTest('generateQualityReport writes counts and ids per issue category', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const updater = new RoadmapDataUpdater();
+    updater.logLevel = 'error';
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quality-'));
+    updater.outputDir = tmpDir;
+
+    await updater.generateQualityReport([
+        { id: 1, title: 'A', description: 'x', status: '', publicDisclosureAvailabilityDate: 'May CY2026', tagsContainer: { products: [{ tagName: 'Teams' }] } },
+        { id: 2, title: 'B', description: '', status: '', publicDisclosureAvailabilityDate: 'May CY2026', tagsContainer: { products: [{ tagName: 'Teams' }] } }
+    ], '2026-05-01T00:00:00.000Z');
+
+    const report = JSON.parse(fs.readFileSync(path.join(tmpDir, 'quality-report.json'), 'utf8'));
+    assert.strictEqual(report.dataLastUpdated, '2026-05-01T00:00:00.000Z');
+    assert.strictEqual(report.affectedItems, 1);
+    assert.deepStrictEqual(report.categories.emptyDescription.ids, [2]);
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+runTest('generateWatchlists writes per-team change files and an index, dropping stale rules', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const updater = new RoadmapDataUpdater();
+    updater.logLevel = 'error';
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlists-'));
+    updater.outputDir = tmpDir;
+    updater.watchlistsFile = path.join(tmpDir, 'watchlists.json');
+    fs.writeFileSync(updater.watchlistsFile, JSON.stringify({ watchlists: [
+        { name: 'teams-admins', label: 'Teams admins', filters: { service: 'Microsoft Teams' } },
+        { name: 'meetings', keywords: ['meeting'] }
+    ] }));
+    fs.mkdirSync(path.join(tmpDir, 'watchlists'));
+    fs.writeFileSync(path.join(tmpDir, 'watchlists', 'old-team.json'), '{}');
+
+    const teams = { tagsContainer: { products: [{ tagName: 'Microsoft Teams' }] } };
+    const items = [
+        { id: 1, title: 'Meeting recap', description: '', status: 'Rolling out', ...teams },
+        { id: 2, title: 'Chat export', description: '', status: 'Launched', ...teams }
+    ];
+    await updater.appendHistory([
+        { id: 2, title: 'Chat export', changeType: 'changed', changes: [{ field: 'status', previous: 'Rolling out', current: 'Launched' }] },
+        { id: 3, title: 'Meeting notes', changeType: 'removed', changes: [], snapshot: { id: 3, title: 'Meeting notes', status: 'Launched', ...teams } }
+    ], '2026-03-01T00:00:00.000Z');
+    await updater.appendHistory([{ id: 1, title: 'Meeting recap', changeType: 'new', changes: [] }], '2026-03-02T00:00:00.000Z');
+
+    const index = await updater.generateWatchlists(items, '2026-03-02T00:00:00.000Z');
+    assert.deepStrictEqual(index.map(entry => [entry.name, entry.file, entry.matchCount, entry.changeCount]), [
+        ['teams-admins', 'watchlists/teams-admins.json', 2, 3],
+        ['meetings', 'watchlists/meetings.json', 1, 2]
+    ]);
+
+    const team = JSON.parse(fs.readFileSync(path.join(tmpDir, 'watchlists', 'teams-admins.json'), 'utf8'));
+    assert.strictEqual(team.label, 'Teams admins');
+    assert.deepStrictEqual(team.changes.map(change => [change.id, change.changeType]), [[1, 'new'], [2, 'changed'], [3, 'removed']]);
+    assert.deepStrictEqual(team.changes[1].summary, ['Status: Rolling out -> Launched']);
+    const meetings = JSON.parse(fs.readFileSync(path.join(tmpDir, 'watchlists', 'meetings.json'), 'utf8'));
+    assert.deepStrictEqual(meetings.changes.map(change => change.id), [1, 3]);
+
+    const published = JSON.parse(fs.readFileSync(path.join(tmpDir, 'watchlists', 'index.json'), 'utf8'));
+    assert.deepStrictEqual(published.watchlists[1].keywords, ['meeting']);
+    assert.deepStrictEqual(fs.readdirSync(path.join(tmpDir, 'watchlists')).sort(), ['index.json', 'meetings.json', 'teams-admins.json']);
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+runTest('parseArgs reads flags over environment defaults and rejects bad input', () => {
+    assert.deepStrictEqual(parseArgs([], {}), {
+        help: false, dryRun: false, outputDir: null, source: null, backup: true, onlyChanges: false, format: null
+    });
+    assert.strictEqual(parseArgs([], { JSON_OUTPUT: 'true' }).format, 'json');
+    const options = parseArgs(['--dry-run', '--no-backup', '--only-changes', '--format', 'text', '--output-dir', 'out', '--source', 'https://example.test/api'], {});
+    assert.deepStrictEqual(options, {
+        help: false, dryRun: true, outputDir: path.resolve('out'), source: 'https://example.test/api', backup: false, onlyChanges: true, format: 'text'
+    });
+    assert.strictEqual(parseArgs(['--source', __filename], {}).source, __filename);
+    assert.strictEqual(parseArgs(['-h'], {}).help, true);
+    assert.throws(() => parseArgs(['--verbose'], {}), /Unknown argument: --verbose/);
+    assert.throws(() => parseArgs(['--format', 'yaml'], {}), /--format must be one of: json, text/);
+    assert.throws(() => parseArgs(['--output-dir'], {}), /requires a value/);
+    assert.throws(() => parseArgs(['--source', '--dry-run'], {}), /requires a value/);
+    assert.throws(() => parseArgs(['--output-dir', __filename], {}), /is not a directory/);
+    assert.throws(() => parseArgs(['--source', 'missing-export.json'], {}), /existing file/);
+});
+
+runTest('applyOptions overrides the environment configuration', () => {
+    const updater = new RoadmapDataUpdater();
+    updater.sourcesFile = 'sources.json';
+    updater.applyOptions(parseArgs(['--source', 'https://example.test/api', '--only-changes', '--no-backup'], {}));
+    assert.strictEqual(updater.apiUrl, 'https://example.test/api');
+    assert.strictEqual(updater.sourcesFile, null);
+    assert.strictEqual(updater.createBackup, false);
+    assert.strictEqual(updater.outputFormat, 'text');
+});
+
+runTest('failureExitCode separates config, network, validation and write failures', () => {
+    const tagged = (failure) => Object.assign(new Error('x'), { failure });
+    assert.strictEqual(failureExitCode(tagged('config'), 'fetch'), EXIT_CODES.USAGE);
+    assert.strictEqual(failureExitCode(new Error('Request timeout'), 'fetch'), EXIT_CODES.NETWORK);
+    assert.strictEqual(failureExitCode(tagged('validation'), 'fetch'), EXIT_CODES.VALIDATION);
+    assert.strictEqual(failureExitCode(new SyntaxError('Unexpected end of JSON input'), 'fetch'), EXIT_CODES.VALIDATION);
+    assert.strictEqual(failureExitCode(new Error('ENOSPC'), 'write'), EXIT_CODES.WRITE);
+    assert.strictEqual(failureExitCode(new Error('bug'), 'process'), EXIT_CODES.FAILURE);
+});
+
+runTest('formatChangeLine marks new, changed and removed entries', () => {
+    assert.strictEqual(formatChangeLine({ id: 1, title: 'A', changeType: 'new', changes: [] }), '+ 1 A');
+    assert.strictEqual(formatChangeLine({ id: 2, title: 'B', changeType: 'changed', changes: [{ field: 'status' }, { field: 'tagsContainer' }] }), '~ 2 B (status, tagsContainer)');
+    assert.strictEqual(formatChangeLine({ id: 3, title: 'C', changeType: 'removed', changes: [] }), '- 3 C');
+});
+
+runTest('saveData skips the timestamped backup when createBackup is off', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const updater = new RoadmapDataUpdater();
+    updater.logLevel = 'error';
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'no-backup-'));
+    updater.outputDir = tmpDir;
+    updater.createBackup = false;
+
+    await updater.saveData(updater.processData([{ id: 1, title: 'A', status: 'Launched', tagsContainer: {} }], []));
+    assert.deepStrictEqual(fs.readdirSync(tmpDir).filter(name => name.startsWith('roadmap-data')).sort(),
+        ['roadmap-data-compact.json', 'roadmap-data.json']);
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+runTest('run logs are JSON lines with run id, phases and details, rotated by count', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const updater = new RoadmapDataUpdater();
+    updater.logLevel = 'error';
+    updater.logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-logs-'));
+    updater.logRetention = 2;
+    ['2026-03-01T06-00-00-000Z', '2026-03-02T06-00-00-000Z', '2026-03-03T06-00-00-000Z'].forEach(stamp => {
+        fs.writeFileSync(path.join(updater.logDir, `update-data-${stamp}.jsonl`), '');
+    });
+
+    const logFile = updater.startRunLog(new Date(Date.UTC(2026, 2, 4, 6)));
+    assert.deepStrictEqual(fs.readdirSync(updater.logDir).sort(), [
+        'update-data-2026-03-03T06-00-00-000Z.jsonl',
+        'update-data-2026-03-04T06-00-00-000Z.jsonl'
+    ]);
+    updater.log('info', 'Fetched', new Error('detail'));
+    updater.log('debug', 'Not recorded below info');
+    assert.strictEqual(await updater.timePhase('fetch', async () => 42), 42);
+
+    const entries = fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(entries.map(entry => [entry.level, entry.msg, entry.runId]), [
+        ['info', 'Fetched', updater.runId],
+        ['info', entries[1].msg, updater.runId]
+    ]);
+    assert.deepStrictEqual(entries[0].details, ['detail']);
+    assert.strictEqual(entries[1].event, 'phase');
+    assert.strictEqual(entries[1].phase, 'fetch');
+    assert.strictEqual(typeof updater.phaseTimings.fetch, 'number');
+
+    updater.outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-history-'));
+    updater.runHistoryLimit = 2;
+    const runsPath = path.join(updater.outputDir, 'history', 'runs.jsonl');
+    const readRuns = () => fs.readFileSync(runsPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    const record = await updater.appendRunRecord(new Date(Date.now() - 50), EXIT_CODES.OK, { status: 'unchanged', itemCount: 5 });
+    assert.deepStrictEqual(readRuns(), [record]);
+    assert.strictEqual(record.status, 'unchanged');
+    assert.strictEqual(record.logFile, 'update-data-2026-03-04T06-00-00-000Z.jsonl');
+    assert.ok(record.durationMs >= 50);
+
+    const second = await updater.appendRunRecord(new Date(), EXIT_CODES.FAILURE, { status: 'blocked' });
+    const third = await updater.appendRunRecord(new Date(), EXIT_CODES.OK);
+    assert.deepStrictEqual(readRuns(), [second, third]);
+
+    fs.rmSync(updater.logDir, { recursive: true, force: true });
+    fs.rmSync(updater.outputDir, { recursive: true, force: true });
+});
+
+runTest('a dry run writes no run log, runs.jsonl or data and rotates nothing', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const updater = new RoadmapDataUpdater();
+    updater.logLevel = 'error';
+    updater.outputFormat = null;
+    updater.outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-data-'));
+    updater.logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-logs-'));
+    updater.logRetention = 1;
+    const oldLogs = ['update-data-2026-03-01T06-00-00-000Z.jsonl', 'update-data-2026-03-02T06-00-00-000Z.jsonl'];
+    oldLogs.forEach(name => fs.writeFileSync(path.join(updater.logDir, name), ''));
+    updater.applyOptions({ dryRun: true });
+    updater.fetchData = async () => [{ id: 1, title: 'A', description: '', status: 'Launched', tagsContainer: {} }];
+
+    assert.strictEqual(await updater.run(), EXIT_CODES.OK);
+    assert.strictEqual(updater.logFile, null);
+    assert.deepStrictEqual(fs.readdirSync(updater.logDir).sort(), oldLogs);
+    assert.deepStrictEqual(fs.readdirSync(updater.outputDir), []);
+
+    fs.rmSync(updater.logDir, { recursive: true, force: true });
+    fs.rmSync(updater.outputDir, { recursive: true, force: true });
+});
+
+runTest('the output directory is created by the first write, not by the constructor or a dry run', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'output-dir-'));
+    const envDir = path.join(scratch, 'env-data');
+    const optionDir = path.join(scratch, 'option-data');
+    const previousOutputDir = process.env.OUTPUT_DIR;
+    process.env.OUTPUT_DIR = envDir;
+    let updater;
+    try {
+        updater = new RoadmapDataUpdater();
+    } finally {
+        if (previousOutputDir === undefined) delete process.env.OUTPUT_DIR;
+        else process.env.OUTPUT_DIR = previousOutputDir;
+    }
+    assert.strictEqual(fs.existsSync(envDir), false);
+
+    updater.logLevel = 'error';
+    updater.outputFormat = null;
+    updater.logDir = path.join(scratch, 'logs');
+    updater.applyOptions({ dryRun: true, outputDir: optionDir });
+    updater.fetchData = async () => [{ id: 1, title: 'A', description: '', status: 'Launched', tagsContainer: {} }];
+    assert.strictEqual(await updater.run(), EXIT_CODES.OK);
+    assert.deepStrictEqual(fs.readdirSync(scratch), []);
+
+    await updater.writeFileAtomic(path.join(optionDir, 'health-status.json'), '{}');
+    assert.deepStrictEqual(fs.readdirSync(optionDir), ['health-status.json']);
+
+    fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+runTest('writeFilesAtomic leaves every target untouched when one write fails', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const updater = new RoadmapDataUpdater();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'write-files-'));
+    const first = path.join(dir, 'roadmap-data.json');
+    fs.writeFileSync(first, 'old');
+    fs.writeFileSync(path.join(dir, 'not-a-dir'), '');
+
+    await assert.rejects(updater.writeFilesAtomic([[first, 'new'], [path.join(dir, 'not-a-dir', 'compact.json'), 'new']]));
+    assert.strictEqual(fs.readFileSync(first, 'utf8'), 'old');
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['not-a-dir', 'roadmap-data.json']);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+runTest('a failed history append fails the run before the new snapshot is saved', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-first-'));
+    const updater = new RoadmapDataUpdater();
+    updater.logLevel = 'error';
+    updater.outputDir = tmpDir;
+    updater.logDir = path.join(tmpDir, 'logs');
+    const published = updater.processData([{ id: 1, title: 'A', description: '', status: 'In development', tagsContainer: {} }]);
+    fs.writeFileSync(path.join(tmpDir, 'roadmap-data.json'), JSON.stringify(published));
+    updater.fetchData = async () => [{ id: 1, title: 'A', description: '', status: 'Launched', tagsContainer: {} }];
+    updater.appendHistory = async () => {
+        throw new Error('disk full');
+    };
+
+    assert.strictEqual(await updater.run(), EXIT_CODES.WRITE);
+    const saved = JSON.parse(fs.readFileSync(path.join(tmpDir, 'roadmap-data.json'), 'utf8'));
+    assert.strictEqual(saved.items[0].status, 'In development', 'the next run still sees the change');
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'roadmap-data-compact.json')));
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
 if (process.exitCode) {
     process.exit(process.exitCode);
 }
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { validateSchema } = require(path.join(__dirname, '..', '..', 'scripts', 'json-schema.js'));
+const {
+    parseArgs,
+    validatePayload,
+    checkConsistency,
+    validateDataDir,
+    formatJunit
+} = require(path.join(__dirname, '..', '..', 'scripts', 'validate-data.js'));
+const { RoadmapDataUpdater } = require(path.join(__dirname, '..', '..', 'scripts', 'update-data.js'));
+
+const SAMPLE_DATA = path.join(__dirname, '..', '..', 'data', 'sample-data.json');
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`PASS ${name}`);
+    } catch (error) {
+        console.error(`FAIL ${name}`);
+        console.error(error.stack || error.message);
+        process.exitCode = 1;
+    }
+}
+
+function sample() {
+    return JSON.parse(fs.readFileSync(SAMPLE_DATA, 'utf8'));
+}
+
+function errorsOf(checks, name) {
+    return checks.find(check => check.name === name).errors;
+}
+
+runTest('validateSchema handles $ref, type unions, anyOf, enums and additionalProperties', () => {
+    const schema = {
+        type: 'object',
+        required: ['id'],
+        properties: {
+            id: { anyOf: [{ type: 'integer' }, { type: 'string', pattern: '^x:' }] },
+            kind: { $ref: '#/$defs/kind' },
+            link: { type: ['string', 'null'] }
+        },
+        additionalProperties: false,
+        $defs: { kind: { enum: ['a', 'b'] } }
+    };
+    assert.deepStrictEqual(validateSchema({ id: 1, kind: 'a', link: null }, schema), []);
+    assert.deepStrictEqual(validateSchema({ id: 'x:1' }, schema), []);
+    assert.deepStrictEqual(
+        validateSchema({ id: 1.5, kind: 'c', link: 3, extra: true }, schema).map(e => e.path),
+        ['$.id', '$.kind', '$.link', '$.extra']
+    );
+    assert.deepStrictEqual(validateSchema({}, schema), [{ path: '$', message: 'missing required property "id"' }]);
+});
+
+runTest('sample data and freshly processed data match the schema', () => {
+    const checks = validatePayload(sample());
+    checks.forEach(check => assert.deepStrictEqual(check.errors, [], check.name));
+
+    const updater = new RoadmapDataUpdater();
+    updater.logLevel = 'error';
+    const items = sample().items;
+    items[0]._changeType = 'changed';
+    items[0]._changedFields = ['status'];
+    items[0]._previousValues = { status: 'Rolling out' };
+    items.push({ id: 'internal:7', title: 'Tracker item', description: '', status: '', source: 'internal',
+        publicDisclosureAvailabilityDate: 'Q3 CY2026', tagsContainer: { products: [] } });
+    validatePayload(updater.processData(items)).forEach(check => assert.deepStrictEqual(check.errors, [], check.name));
+});
+
+runTest('validatePayload reports item types, tag shapes, timestamps and enums with paths', () => {
+    const data = sample();
+    data.items[0].id = '557348';
+    data.items[1].tagsContainer.products = [{ name: 'Teams' }];
+    data.items[2].publicDisclosureAvailabilityDate = 'Sometime soon';
+    data.items[3].created = '13/02/2026';
+    data.items[4]._changeType = 'moved';
+    data.statistics.byQuarter = { 'NaN QNaN': 5 };
+
+    const errors = errorsOf(validatePayload(data), 'schema');
+    assert.ok(errors.some(e => e.startsWith('$.items[0].id does not match')));
+    assert.ok(errors.some(e => e === '$.items[1].tagsContainer.products[0] missing required property "tagName"'));
+    assert.ok(!errors.some(e => e.startsWith('$.items[2]')), 'unparseable availability dates are quality issues, not errors');
+    assert.ok(errors.some(e => e.startsWith('$.items[3].created is not a valid date-time')));
+    assert.ok(errors.some(e => e.startsWith('$.items[4]._changeType must be one of')));
+    assert.ok(errors.some(e => e.startsWith('$.statistics.byQuarter["NaN QNaN"] must match')));
+});
+
+runTest('validatePayload detects duplicate ids and totals that disagree with the items', () => {
+    const data = sample();
+    data.items.push({ ...data.items[0] });
+    const checks = validatePayload(data);
+    assert.deepStrictEqual(errorsOf(checks, 'unique ids'), ['duplicate id 557348 (items[0], items[5])']);
+    assert.deepStrictEqual(errorsOf(checks, 'totals'), [
+        'metadata.totalItems (5) does not match items.length (6)',
+        'statistics.totalItems (5) does not match items.length (6)',
+        'statistics.byStatus adds up to 5, expected 6'
+    ]);
+});
+
+runTest('checkConsistency compares the full and compact snapshots', () => {
+    const full = sample();
+    assert.deepStrictEqual(checkConsistency(full, sample()), []);
+    const compact = sample();
+    compact.metadata.lastUpdated = '2026-01-01T00:00:00.000Z';
+    compact.items[2].status = 'Launched';
+    assert.deepStrictEqual(checkConsistency(full, compact), [
+        'metadata.lastUpdated differs: "2026-02-17T19:15:00.000Z" vs "2026-01-01T00:00:00.000Z"',
+        'items differ, first at items[2] (id 557168)'
+    ]);
+});
+
+runTest('validateDataDir and formatJunit report failures per file and check', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-'));
+    try {
+        const data = sample();
+        fs.writeFileSync(path.join(dataDir, 'roadmap-data.json'), JSON.stringify(data, null, 2));
+        data.items.pop();
+        fs.writeFileSync(path.join(dataDir, 'roadmap-data-compact.json'), JSON.stringify(data));
+
+        const result = validateDataDir(dataDir);
+        assert.strictEqual(result.ok, false);
+        const failed = result.checks.filter(check => check.errorCount > 0).map(check => `${check.suite}/${check.name}`);
+        assert.deepStrictEqual(failed, [
+            'roadmap-data-compact.json/totals',
+            'consistency/roadmap-data.json matches roadmap-data-compact.json'
+        ]);
+
+        const xml = formatJunit(result);
+        assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+        assert.ok(xml.includes('<testsuites name="validate-data" tests="9" failures="2"'));
+        assert.ok(xml.includes('<testsuite name="roadmap-data.json" tests="4" failures="0">'));
+        assert.ok(xml.includes('<failure message="1 error(s)">item count differs: 5 vs 4</failure>'));
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+runTest('parseArgs accepts a data dir, format and output file', () => {
+    assert.deepStrictEqual(parseArgs(['data', '--format', 'junit', '--output', 'report.xml']), {
+        dataDir: path.resolve('data'),
+        format: 'junit',
+        output: path.resolve('report.xml')
+    });
+    assert.throws(() => parseArgs(['--format', 'yaml']), /--format must be one of/);
+    assert.throws(() => parseArgs(['a', 'b']), /Unknown argument: b/);
+});
+
+if (process.exitCode) {
+    process.exit(process.exitCode);
+}
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    MAX_CHAT_ITEMS,
+    createWebhooks,
+    selectChanges,
+    buildTeamsPayload,
+    buildSlackPayload,
+    buildGenericPayload
+} = require(path.join(__dirname, '..', '..', 'scripts', 'webhooks.js'));
+const { normalizeWatchlists } = require(path.join(__dirname, '..', '..', 'js', 'roadmap-watchlist.js'));
+const { createFixtureServer } = require(path.join(__dirname, '..', '..', 'scripts', 'fixture-server.js'));
+const { RoadmapDataUpdater } = require(path.join(__dirname, '..', '..', 'scripts', 'update-data.js'));
+
+function runTest(name, fn) {
+    const fail = (error) => {
+        console.error(`FAIL ${name}`);
+        console.error(error.stack || error.message);
+        process.exitCode = 1;
+    };
+    try {
+        const result = fn();
+        if (result && typeof result.then === 'function') {
+            return result.then(() => console.log(`PASS ${name}`), fail);
+        }
+        console.log(`PASS ${name}`);
+    } catch (error) {
+        fail(error);
+    }
+}
+
+function item(id, product, status = 'In development') {
+    return {
+        id,
+        title: `Item ${id}`,
+        description: '',
+        status,
+        publicDisclosureAvailabilityDate: 'June CY2026',
+        tagsContainer: { products: [{ tagName: product }] }
+    };
+}
+
+const items = [item(1, 'Microsoft Teams'), item(2, 'Outlook', 'Rolling out'), item(3, 'Microsoft Teams', 'Launched')];
+const history = [
+    { id: 1, title: 'Item 1', changeType: 'new', changes: [] },
+    { id: 2, title: 'Item 2', changeType: 'changed', changes: [{ field: 'status', previous: 'In development', current: 'Rolling out' }] },
+    { id: 3, title: 'Item 3', changeType: 'changed', changes: [{ field: 'publicDisclosureAvailabilityDate', previous: 'May CY2026', current: 'June CY2026' }] },
+    { id: 9, title: 'Gone', changeType: 'removed', changes: [], snapshot: item(9, 'Outlook') }
+];
+const context = { siteUrl: 'https://example.test/dashboard/', timestamp: '2026-03-02T06:00:00.000Z' };
+
+function startServer(options) {
+    const server = createFixtureServer({ items, ...options });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}/hook` }));
+    });
+}
+
+function stopServer(server) {
+    return new Promise(resolve => server.close(() => resolve()));
+}
+
+function updaterWith(config) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    const updater = new RoadmapDataUpdater();
+    updater.logLevel = 'error';
+    updater.outputDir = dir;
+    updater.retryCount = 1;
+    updater.retryBaseMs = 5;
+    updater.fetchTimeoutMs = 2000;
+    updater.webhooksFile = path.join(dir, 'webhooks.json');
+    fs.writeFileSync(updater.webhooksFile, JSON.stringify(config));
+    return { updater, dir };
+}
+
+async function main() {
+    await runTest('createWebhooks validates names, types, urls and filters', () => {
+        const [hook] = createWebhooks({ webhooks: [{ name: 'teams-eng', type: 'teams', urlEnv: 'HOOK_URL', products: ['Microsoft Teams'] }] },
+            { HOOK_URL: 'https://example.test/hook' });
+        assert.deepStrictEqual(hook, {
+            name: 'teams-eng', type: 'teams', url: 'https://example.test/hook',
+            products: ['microsoft teams'], statuses: null, changeTypes: ['new', 'changed'], watchlist: null
+        });
+        assert.throws(() => createWebhooks([{ name: 'Bad Name', url: 'https://x.test' }]), /lowercase name/);
+        assert.throws(() => createWebhooks([{ name: 'a', type: 'email', url: 'https://x.test' }]), /unknown type "email"/);
+        assert.throws(() => createWebhooks([{ name: 'a', urlEnv: 'MISSING_URL' }], {}), /\$MISSING_URL/);
+        assert.throws(() => createWebhooks([{ name: 'a', url: 'https://x.test', changeTypes: ['removed'] }]), /unknown change type/);
+        assert.throws(() => createWebhooks([{ name: 'a', url: 'https://x.test' }, { name: 'a', url: 'https://y.test' }]), /Duplicate/);
+    });
+
+    await runTest('selectChanges filters by change type, product and status', () => {
+        const ids = config => selectChanges(createWebhooks([{ name: 'a', url: 'https://x.test', ...config }])[0], history, items)
+            .map(change => change.item.id);
+        assert.deepStrictEqual(ids({}), [1, 2, 3]);
+        assert.deepStrictEqual(ids({ products: ['microsoft TEAMS'] }), [1, 3]);
+        assert.deepStrictEqual(ids({ statuses: ['Rolling out', 'Launched'] }), [2, 3]);
+        assert.deepStrictEqual(ids({ changeTypes: ['new'] }), [1]);
+    });
+
+    await runTest('selectChanges narrows to a team watchlist by name', () => {
+        const watchlists = normalizeWatchlists([{ name: 'outlook-admins', filters: { service: 'Outlook' } }]);
+        const [webhook] = createWebhooks([{ name: 'a', url: 'https://x.test', watchlist: 'outlook-admins' }]);
+        assert.deepStrictEqual(selectChanges(webhook, history, items, watchlists).map(change => change.item.id), [2]);
+        assert.throws(() => selectChanges(webhook, history, items, []), /unknown watchlist "outlook-admins"/);
+    });
+
+    await runTest('payload builders emit Adaptive Card, Slack blocks and generic JSON', () => {
+        const [webhook] = createWebhooks([{ name: 'generic', url: 'https://x.test' }]);
+        const changes = selectChanges(webhook, history, items);
+
+        const teams = buildTeamsPayload(changes, context);
+        const card = teams.attachments[0];
+        assert.strictEqual(card.contentType, 'application/vnd.microsoft.card.adaptive');
+        assert.strictEqual(card.content.type, 'AdaptiveCard');
+        assert.strictEqual(card.content.body[1].text, '1 new, 2 updated roadmap item(s) · 2026-03-02T06:00:00.000Z');
+        assert.strictEqual(card.content.body[2].items[0].text, '[[New] Item 1](https://www.microsoft.com/microsoft-365/roadmap?id=1)');
+        assert.strictEqual(card.content.body[3].items[2].text, 'Status: In development -> Rolling out');
+        assert.deepStrictEqual(card.content.actions[0], { type: 'Action.OpenUrl', title: 'Open dashboard', url: context.siteUrl });
+
+        const slack = buildSlackPayload([{ ...changes[0], item: { ...items[0], title: 'A <b> & c' } }], context);
+        assert.strictEqual(slack.text, 'Microsoft 365 Roadmap: 1 new, 0 updated roadmap item(s)');
+        assert.ok(slack.blocks[2].text.text.startsWith('*<https://www.microsoft.com/microsoft-365/roadmap?id=1|[New] A &lt;b&gt; &amp; c>*'));
+
+        const generic = buildGenericPayload(changes, { ...context, webhook });
+        assert.deepStrictEqual(generic.summary, { newCount: 1, changedCount: 2 });
+        assert.deepStrictEqual(generic.items[1], {
+            id: 2, title: 'Item 2', changeType: 'changed', status: 'Rolling out', availability: 'June CY2026',
+            products: ['Outlook'], link: 'https://www.microsoft.com/microsoft-365/roadmap?id=2', changes: history[1].changes
+        });
+
+        const many = Array.from({ length: MAX_CHAT_ITEMS + 5 }, () => changes[0]);
+        assert.strictEqual(buildTeamsPayload(many, context).attachments[0].content.body.slice(-1)[0].text, '...and 5 more on the dashboard.');
+        assert.strictEqual(buildSlackPayload(many, context).blocks.length, MAX_CHAT_ITEMS + 3);
+    });
+
+    await runTest('sendWebhooks retries a failing receiver and skips webhooks with no matches', async () => {
+        const { server, url } = await startServer({ fault: '500', failTimes: 1 });
+        const { updater, dir } = updaterWith({ webhooks: [
+            { name: 'all', type: 'generic', url },
+            { name: 'word', type: 'slack', url, products: ['Word'] }
+        ] });
+        try {
+            const results = await updater.sendWebhooks(history, items, context.timestamp);
+            assert.deepStrictEqual(results, [
+                { name: 'all', status: 'sent', itemCount: 3 },
+                { name: 'word', status: 'skipped', itemCount: 0 }
+            ]);
+            assert.strictEqual(server.requestCount, 2);
+            assert.strictEqual(server.received.length, 1);
+            assert.strictEqual(server.received[0].path, '/hook');
+            assert.strictEqual(server.received[0].body.event, 'roadmap.changes');
+        } finally {
+            await stopServer(server);
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    await runTest('sendWebhooks reports a receiver that keeps failing without throwing', async () => {
+        const { server, url } = await startServer({ fault: '500' });
+        const { updater, dir } = updaterWith([{ name: 'down', type: 'teams', url }]);
+        try {
+            const [result] = await updater.sendWebhooks(history, items, context.timestamp);
+            assert.strictEqual(result.status, 'failed');
+            assert.ok(/HTTP 500/.test(result.error));
+            assert.strictEqual(server.requestCount, 2);
+        } finally {
+            await stopServer(server);
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    await runTest('sendWebhooks fails a webhook with an unknown watchlist and still sends the others', async () => {
+        const { server, url } = await startServer({});
+        const { updater, dir } = updaterWith([
+            { name: 'typo', type: 'generic', url, watchlist: 'outlok-admins' },
+            { name: 'all', type: 'generic', url }
+        ]);
+        updater.watchlistsFile = path.join(dir, 'watchlists.json');
+        fs.writeFileSync(updater.watchlistsFile, JSON.stringify([{ name: 'outlook-admins', filters: { service: 'Outlook' } }]));
+        try {
+            const results = await updater.sendWebhooks(history, items, context.timestamp);
+            assert.strictEqual(results[0].status, 'failed');
+            assert.ok(/unknown watchlist "outlok-admins"/.test(results[0].error));
+            assert.deepStrictEqual(results[1], { name: 'all', status: 'sent', itemCount: 3 });
+            assert.strictEqual(server.received.length, 1);
+        } finally {
+            await stopServer(server);
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    await runTest('sendWebhooks dry run writes payloads instead of posting', async () => {
+        const { updater, dir } = updaterWith([{ name: 'teams-eng', type: 'teams', url: 'http://127.0.0.1:9/unreachable' }]);
+        updater.webhooksDryRunDir = path.join(dir, 'payloads');
+        try {
+            const results = await updater.sendWebhooks(history, items, context.timestamp);
+            assert.deepStrictEqual(results, [{ name: 'teams-eng', status: 'dry-run', itemCount: 3 }]);
+            const payload = JSON.parse(fs.readFileSync(path.join(dir, 'payloads', 'teams-eng.json'), 'utf8'));
+            assert.strictEqual(payload.type, 'message');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+}
+
+main().then(() => {
+    if (process.exitCode) {
+        process.exit(process.exitCode);
+    }
+});